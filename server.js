@@ -1,10 +1,40 @@
 // server.js - WebSocket multiplayer server for FPS game
 import { WebSocketServer, WebSocket } from 'ws';
 import { createServer } from 'http';
+import { randomBytes, timingSafeEqual } from 'crypto';
+import {
+    createReadStream, createWriteStream, mkdirSync, readFileSync, readdirSync, renameSync, statSync, unlinkSync, writeFileSync
+} from 'fs';
+import { join } from 'path';
+import { createInterface } from 'readline';
+import { createGzip } from 'zlib';
+import * as THREE from 'three';
+import { LAYOUTS, ArenaLayoutFactory } from './src/ArenaLayout.js';
+import { Pathfinding } from './src/Pathfinding.js';
+import { PLAYER, WEAPONS, BODY_PART_MULTIPLIERS, TEAMS, ENEMY_TYPES, WAVES } from './src/config/GameConfig.js';
+import {
+    FIELDS, MAX_INPUTS_PER_MESSAGE, quantizePlayerState, diffPlayerState, dequantizePlayerState,
+    encodeSnapshot, encodeInputAck, decodeMessage
+} from './src/NetProtocol.js';
+import {
+    INPUT_FLAGS, MOVEMENT, createMovementBody, createMovementInput, simulateMovement, CollisionWorld
+} from './src/PlayerMovement.js';
+import {
+    getReplayFileName, parseReplayFileName, encodeReplayHeader, encodeReplayEvent
+} from './src/ReplayFormat.js';
 
 const PORT = process.env.PORT || 8080;
 const MAX_CONNECTIONS = parseInt(process.env.MAX_CONNECTIONS) || 100;
 
+// Map rotation order (comma-separated layout names, e.g. MAP_ROTATION=BUNKER,COURTYARD)
+function parseMapRotation(value) {
+    const maps = (value || '')
+        .split(',')
+        .map(name => name.trim().toUpperCase())
+        .filter(name => LAYOUTS[name]);
+    return maps.length > 0 ? maps : Object.keys(LAYOUTS);
+}
+
 // Game configuration
 const CONFIG = {
     KILL_LIMIT: 20,
@@ -12,16 +42,197 @@ const CONFIG = {
     RESPAWN_DELAY: 3000, // 3 seconds
     TICK_RATE: 20, // Updates per second
     MAX_PLAYERS_PER_ROOM: 8,
+    MAX_SPECTATORS_PER_ROOM: 8, // Spectators don't take player slots
+    MAX_ROOMS: 50,
+    ROOM_CODE_LENGTH: 5,
     PLAYER_TIMEOUT: 30000, // 30 seconds without update = disconnect
-    TIMEOUT_CHECK_INTERVAL: 10000 // Check every 10 seconds
+    TIMEOUT_CHECK_INTERVAL: 10000, // Check every 10 seconds
+    MAP_ROTATION: parseMapRotation(process.env.MAP_ROTATION),
+    SPAWN_HEIGHT: 1.7, // Camera height above layout spawn points
+    VOTE_RESTART_TIMEOUT: 30000, // Restart votes expire after 30 seconds
+    INTERP_DELAY: 100, // Clients render remote players ~100ms in the past
+    MAX_REWIND: 400, // Never rewind victims further than this (ms)
+    MAX_SHOT_ORIGIN_OFFSET: 1.5, // Allowed gap between shot origin and known position
+    MAX_INPUT_LEAD: 1000, // Movement time (ms) a client may bank ahead of real time to ride out jitter
+    TEAM_KILL_LIMIT: 50, // Team Deathmatch: first team to this many kills wins
+    CAPTURE_LIMIT: 3, // Capture the Flag: first team to this many captures wins
+    FLAG_PICKUP_RADIUS: 1.5,
+    FLAG_RETURN_TIME: 20000, // Dropped flags return to base after 20 seconds
+    HILL_SCORE_LIMIT: 100, // King of the Hill: first to this many hill points wins
+    HILL_CAPTURE_TIME: 5000, // Time alone on the hill to capture it from neutral
+    HILL_POINTS_PER_SECOND: 1,
+    HILL_MOVE_INTERVAL: 60000, // The hill moves to the layout's next zone every minute
+    HILL_BROADCAST_INTERVAL: 250, // Progress updates at most 4 times per second
+    RESUME_GRACE_PERIOD: parseInt(process.env.RESUME_GRACE_PERIOD) || 30000, // Disconnected players can resume for 30 seconds
+    FRIENDLY_FIRE: process.env.FRIENDLY_FIRE === 'true' // Default for new team rooms
+};
+
+// Per-room win conditions (time in ms). Rooms start with these; admins can change them.
+const DEFAULT_LIMITS = {
+    kills: CONFIG.KILL_LIMIT,
+    teamKills: CONFIG.TEAM_KILL_LIMIT,
+    captures: CONFIG.CAPTURE_LIMIT,
+    hillScore: CONFIG.HILL_SCORE_LIMIT,
+    waves: WAVES.length, // Co-op: waves to survive (past WAVES the last one repeats, growing)
+    time: CONFIG.TIME_LIMIT // Not applied in co-op, which runs until the waves are survived or everyone is down
 };
 
+// Game modes a room can run. teamScore says what counts towards team totals,
+// objective which map objective the room runs.
+const GAME_MODES = {
+    FFA: { name: 'Free For All', teams: false },
+    TDM: { name: 'Team Deathmatch', teams: true, teamScore: 'kills' },
+    CTF: { name: 'Capture the Flag', teams: true, teamScore: 'captures', objective: 'flag' },
+    KOTH: { name: 'King of the Hill', teams: true, teamScore: 'hill', objective: 'hill' },
+    KOTH_FFA: { name: 'King of the Hill (FFA)', teams: false, objective: 'hill' },
+    COOP: { name: 'Co-op Survival', teams: false, objective: 'waves' }
+};
+
+// Join messages that may carry a resume token
+const RESUMABLE_JOINS = new Set(['join', 'join_room', 'create_room', 'queue']);
+
 // Rate limiting configuration (per player)
 const RATE_LIMITS = {
-    position: { interval: 40, maxPerSecond: 30 },  // ~25/sec allowed
-    shoot: { interval: 50, maxPerSecond: 20 },
-    hit: { interval: 80, maxPerSecond: 15 },
-    weapon_change: { interval: 200, maxPerSecond: 10 }
+    input: { maxPerSecond: 60 }, // Batched at ~20/sec, plus flushes on jump/land; no interval, a dropped batch is a lost jump
+    shoot: { maxPerSecond: 25 }, // Flood cap only; Player.fireShot enforces the fire rate and corrects ammo
+    weapon_change: { interval: 200, maxPerSecond: 10 },
+    voteRestart: { interval: 1000, maxPerSecond: 1 },
+    chat: { interval: 750, maxPerSecond: 2 },
+    chat_mute: { interval: 200, maxPerSecond: 5 },
+    spectate: { interval: 150, maxPerSecond: 5 },
+    reload: { interval: 200, maxPerSecond: 5 }
+};
+
+// Chat moderation
+const CHAT = {
+    SPAM_STRIKES: 5, // Rate-limited messages within SPAM_WINDOW before an automatic mute
+    SPAM_WINDOW: 10000,
+    SPAM_MUTE_DURATION: 30000,
+    // Whole words masked with asterisks (matched case-insensitively)
+    BLOCKED_WORDS: ['fuck', 'shit', 'cunt', 'bitch', 'asshole', 'faggot', 'nigger', 'retard']
+};
+const BLOCKED_WORDS_PATTERN = new RegExp(`\\b(${CHAT.BLOCKED_WORDS.join('|')})\\w*`, 'gi');
+
+// Movement anti-cheat. Every simulated input step is checked against what the
+// movement rules allow; offending steps are undone (rubber-banded) and add suspicion.
+const ANTI_CHEAT = {
+    SPEED_TOLERANCE: 1.25, // Horizontal step may reach sprint speed times this
+    STEP_SLACK: 0.05, // Extra distance allowed per step (m), covers rounding and push-outs
+    MAX_STEP_UP: 0.6, // Ledges below the collision box are climbed in a single step (m)
+    WALL_INSET: 0.05, // Grazing a collider surface doesn't count as passing through it
+    // Suspicion added per violation type (at most once per type per input batch)
+    VIOLATIONS: {
+        speed: 3, // Moved faster than sprinting/jumping allows
+        noclip: 4, // Path went through a collider
+        timing: 2, // Inputs ahead of real time or with impossible frame times
+        fire_rate: 1, // Shot faster than the weapon's fire rate (per refused shot)
+        ammo: 1 // Shot with an empty magazine or while reloading (per refused shot)
+    },
+    SUSPICION_DECAY: 1, // Points forgiven per second
+    KICK_SUSPICION: 15
+};
+
+// Server-side weapon handling: magazines, reloads and fire rate follow WEAPONS.
+// The leeways absorb network jitter so honest clients never have shots refused.
+const GUNPLAY = {
+    SHOT_JITTER: 80, // A shot may arrive this much (ms) before the fire rate allows it; the schedule doesn't move
+    RELOAD_LEEWAY: 150, // Reloads finish this much (ms) early, the client's timer started before ours
+    SWITCH_TIME: 150 // Shots are refused this long (ms) after a switch (the client's animation holds fire for 200)
+};
+
+// Match replays. Every match is recorded to REPLAY_DIR and served from /replays.
+const REPLAYS = {
+    ENABLED: process.env.RECORD_REPLAYS !== 'false',
+    DIR: process.env.REPLAY_DIR || 'replays',
+    MAX_FILES: parseInt(process.env.MAX_REPLAYS) || 50, // Oldest replays are deleted past this
+    MIN_DURATION: 10000 // Shorter matches (everyone left right away) aren't kept
+};
+
+// Player profiles and career stats. Kept in STATS.FILE and served from /stats.
+const STATS = {
+    ENABLED: process.env.TRACK_STATS !== 'false',
+    FILE: process.env.STATS_FILE || 'stats.json',
+    SAVE_DELAY: 5000, // Writes are batched; matches ending together are saved once
+    RECENT_MATCHES: 10 // Match results kept per profile
+};
+
+// Admin API (/admin, Bearer ADMIN_TOKEN; off without a token), console, and the ban list
+const ADMIN = {
+    TOKEN: process.env.ADMIN_TOKEN || null,
+    BANS_FILE: process.env.BANS_FILE || 'bans.json',
+    MAX_BODY: 16 * 1024, // Request body size limit (bytes)
+    MAX_ROOM_SIZE: 16 // Highest maxPlayers an admin can give a room
+};
+
+// Skill-based matchmaking. Ratings are Elo, kept on player profiles and updated when a match ends.
+const MATCHMAKING = {
+    INITIAL_RATING: 1000,
+    K_FACTOR: 32, // Most a rating can move in one match
+    MATCH_SIZE: 4, // Queued players put into a room together
+    MIN_MATCH_SIZE: 2, // Smaller groups start once the longest waiter has waited FILL_WAIT
+    FILL_WAIT: 15000,
+    BASE_WINDOW: 100, // Rating difference accepted straight away
+    WINDOW_GROWTH: 10, // Window widening per second waited
+    MAX_WINDOW: 800,
+    UPDATE_INTERVAL: 1000 // How often the queue is matched and waiting players get a status
+};
+
+// Server-side bots. Rooms with people in them are topped up to FILL_TO players with bots,
+// and a bot gives up its slot whenever a person joins.
+const BOTS = {
+    ENABLED: process.env.BOTS !== 'false',
+    FILL_TO: parseInt(process.env.BOT_FILL) || 4, // Default for new rooms; admins can change it per room
+    SKILL: (process.env.BOT_SKILL || 'normal').toLowerCase(), // Key of SKILLS
+    JOIN_DELAY: 3000, // A short room waits this long for people before bots take the slots
+    THINK_INTERVAL: 200, // Target checks (line of sight is a raycast per enemy)
+    SIGHT_RANGE: 50,
+    HEARING_RANGE: 6, // Enemies this close are noticed from any direction
+    VIEW_COS: 0.5, // Otherwise only within 60 degrees of where the bot looks
+    MEMORY: 4000, // A lost target's last position is hunted this long (ms)
+    REPATH_INTERVAL: 1000,
+    REPATH_DISTANCE: 2, // A goal that moved this far gets a new path straight away
+    WAYPOINT_REACHED: 0.6,
+    STUCK_TIME: 1500, // Bots that moved less than STUCK_DISTANCE in this long try another way
+    STUCK_DISTANCE: 0.3,
+    STRAFE_TIME: 1200, // Average time between changes of strafe direction while fighting
+    AIM_TOLERANCE: 0.5, // Fire once the aim passes this close (m) to the aim point
+    WEAPONS: ['RIFLE', 'SMG', 'SHOTGUN', 'PISTOL'],
+    ENGAGE_RANGES: { RIFLE: 18, SMG: 10, SHOTGUN: 5, PISTOL: 12, SNIPER: 30 }, // Closer than this they strafe, not chase
+    NAMES: ['Viper', 'Ghost', 'Raven', 'Blaze', 'Havoc', 'Nova', 'Reaper', 'Tango', 'Echo', 'Frost', 'Onyx', 'Rook'],
+    // reactionTime: ms from seeing a target to the first shot, turnSpeed: rad/s,
+    // aimSpread: extra random error per shot, headshotChance: share of targets aimed at the head
+    SKILLS: {
+        easy: { reactionTime: 900, turnSpeed: 3, aimSpread: 0.06, headshotChance: 0.05 },
+        normal: { reactionTime: 500, turnSpeed: 6, aimSpread: 0.03, headshotChance: 0.15 },
+        hard: { reactionTime: 250, turnSpeed: 10, aimSpread: 0.012, headshotChance: 0.35 }
+    }
+};
+
+// Co-op wave survival. The server runs the waves and the enemies (ENEMY_TYPES, WAVES);
+// players who go down can be revived by a teammate until they bleed out.
+const COOP = {
+    FIRST_WAVE_DELAY: 5000,
+    WAVE_BREAK: 8000, // Pause between a cleared wave and the next
+    MAX_ALIVE: 20, // Enemies in the arena at once; the rest of the wave waits its turn
+    COUNT_PER_PLAYER: 0.5, // Each player past the first adds this share of a wave's enemies...
+    HEALTH_PER_PLAYER: 0.3, // ...and this share of enemy health
+    ENDLESS_GROWTH: 0.25, // Waves past WAVES repeat the last one with this share more enemies each
+    SPAWN_MIN_DISTANCE: 8, // Enemies never spawn closer than this to a standing player, if they can help it
+    KILL_POINTS: { NORMAL: 10, RUNNER: 10, TANK: 25, BERSERKER: 20, SNIPER: 20 },
+    REVIVE_RADIUS: 1.5,
+    REVIVE_TIME: 3000, // A teammate has to stay this long next to a downed player
+    REVIVE_HEALTH: 50,
+    BLEED_OUT_TIME: 30000, // Downed players nobody revives are out until the next wave
+    ENEMY_RADIUS: 0.4,
+    STEP_HEIGHT: 0.3, // Ledges enemies walk straight onto
+    SEPARATION: 1.0, // Enemies closer than this push apart
+    REPATH_INTERVAL: 500,
+    REPATH_DISTANCE: 2, // A target that moved this far gets a new path straight away
+    WAYPOINT_REACHED: 0.6,
+    LEAP_SPEED: 12, // Berserker leaps (m/s, for LEAP_TIME ms)
+    LEAP_TIME: 400,
+    SNIPER_SPREAD: 0.02, // Aim error of sniper shots (radians)
+    SNAPSHOT_INTERVAL: 100 // Enemy positions go out 10 times a second
 };
 
 // Input validation bounds
@@ -30,10 +241,44 @@ const BOUNDS = {
     MIN_POSITION: -15,
     MAX_HEIGHT: 10,
     MIN_HEIGHT: 0,
-    MAX_DAMAGE: 500,
-    MAX_NAME_LENGTH: 16
+    MAX_NAME_LENGTH: 16,
+    MAX_ROOM_NAME_LENGTH: 24,
+    MAX_CHAT_LENGTH: 120
+};
+
+// Room code alphabet (no 0/O or 1/I to avoid misreads)
+const ROOM_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Weapon range limits
+const WEAPON_RANGES = {
+    RIFLE: 80,
+    SMG: 40,
+    SHOTGUN: 15,
+    PISTOL: 50,
+    SNIPER: 150
 };
 
+// Server-side hitboxes, matching the RemotePlayer model.
+// Local space: origin at the feet, facing -Z, [center, size] in metres.
+const HITBOXES = [
+    { part: 'head', center: [0, 1.5, 0], size: [0.4, 0.4, 0.4], upper: true },
+    { part: 'torso', center: [0, 1.05, 0], size: [0.45, 0.55, 0.25], upper: true },
+    { part: 'arm', center: [-0.3, 1.1, -0.05], size: [0.1, 0.45, 0.1], upper: true },
+    { part: 'arm', center: [0.3, 1.1, -0.05], size: [0.1, 0.45, 0.1], upper: true },
+    { part: 'leg', center: [-0.12, 0.35, 0], size: [0.16, 0.7, 0.16], upper: false },
+    { part: 'leg', center: [0.12, 0.35, 0], size: [0.16, 0.7, 0.16], upper: false }
+];
+// Co-op enemy hitboxes, matching the Enemy model at scale 1. Axis-aligned: enemies are
+// close enough to round that their facing doesn't matter. Origin at the feet, [center, size].
+const ENEMY_HITBOXES = [
+    { part: 'head', center: [0, 1.45, 0], size: [0.35, 0.35, 0.35] },
+    { part: 'torso', center: [0, 0.85, 0], size: [0.8, 0.9, 0.45] },
+    { part: 'leg', center: [0, 0.2, 0], size: [0.4, 0.4, 0.25] }
+];
+const STAND_EYE_HEIGHT = 1.6;
+const CROUCH_EYE_HEIGHT = 1.0;
+const CROUCH_BODY_DROP = 0.35; // Upper body lowers this much when crouched
+
 // Validation utilities
 function isValidNumber(val) {
     return typeof val === 'number' && isFinite(val) && !isNaN(val);
@@ -48,16 +293,168 @@ function isValidPosition(pos) {
     return true;
 }
 
-function isValidRotation(rot) {
-    if (!rot || typeof rot !== 'object') return false;
-    if (!isValidNumber(rot.x) || !isValidNumber(rot.y)) return false;
-    return true;
+function isValidMap(name) {
+    return typeof name === 'string' && !!LAYOUTS[name.toUpperCase()];
+}
+
+function isValidMode(mode) {
+    return typeof mode === 'string' && Object.hasOwn(GAME_MODES, mode);
+}
+
+function isValidWeapon(weapon) {
+    return typeof weapon === 'string' && Object.hasOwn(WEAPONS, weapon);
+}
+
+function toVector3(vec) {
+    return new THREE.Vector3(vec.x, vec.y, vec.z);
+}
+
+// Snapshot entities ({ netId, quantized, mask }) as they appear in JSON snapshot messages
+function toSnapshotJSON(entities) {
+    return entities.map(e => ({ netId: e.netId, ...dequantizePlayerState(e.quantized, e.mask) }));
+}
+
+// Scratch objects for hitbox raycasts
+const _solidHit = new THREE.Vector3();
+const _localRay = new THREE.Ray();
+const _hitboxBox = new THREE.Box3();
+const _hitPoint = new THREE.Vector3();
+
+/**
+ * Raycast against a player's hitboxes at a given pose
+ * @param {THREE.Ray} ray - World-space ray (normalized direction)
+ * @param {Object} pose - { position, yaw, isCrouching } from Player.getPoseAtTime()
+ * @returns {Object|null} { distance, part } of the closest hit, or null
+ */
+function raycastHitboxes(ray, pose) {
+    const eyeHeight = pose.isCrouching ? CROUCH_EYE_HEIGHT : STAND_EYE_HEIGHT;
+    const feet = new THREE.Vector3(pose.position.x, pose.position.y - eyeHeight, pose.position.z);
+
+    // Move the ray into the player's local (unrotated) space
+    _localRay.copy(ray);
+    _localRay.origin.sub(feet).applyAxisAngle(THREE.Object3D.DEFAULT_UP, -pose.yaw);
+    _localRay.direction.applyAxisAngle(THREE.Object3D.DEFAULT_UP, -pose.yaw);
+
+    let closest = null;
+    for (const box of HITBOXES) {
+        let centerY = box.center[1];
+        let sizeY = box.size[1];
+        if (pose.isCrouching) {
+            if (box.upper) {
+                centerY -= CROUCH_BODY_DROP;
+            } else {
+                // Bent legs: half the height
+                sizeY /= 2;
+                centerY /= 2;
+            }
+        }
+
+        _hitboxBox.min.set(box.center[0] - box.size[0] / 2, centerY - sizeY / 2, box.center[2] - box.size[2] / 2);
+        _hitboxBox.max.set(box.center[0] + box.size[0] / 2, centerY + sizeY / 2, box.center[2] + box.size[2] / 2);
+
+        if (_localRay.intersectBox(_hitboxBox, _hitPoint)) {
+            const distance = _hitPoint.distanceTo(_localRay.origin);
+            if (!closest || distance < closest.distance) {
+                closest = { distance, part: box.part };
+            }
+        }
+    }
+    return closest;
+}
+
+/**
+ * Raycast against a co-op enemy's hitboxes
+ * @param {THREE.Ray} ray - World-space ray (normalized direction)
+ * @param {Object} feet - Enemy position {x, y, z} at the feet
+ * @param {number} scale - Enemy type scale
+ * @returns {Object|null} { distance, part } of the closest hit, or null
+ */
+function raycastEnemyHitboxes(ray, feet, scale) {
+    let closest = null;
+    for (const box of ENEMY_HITBOXES) {
+        const [cx, cy, cz] = box.center;
+        const [sx, sy, sz] = box.size;
+        _hitboxBox.min.set(feet.x + (cx - sx / 2) * scale, feet.y + (cy - sy / 2) * scale, feet.z + (cz - sz / 2) * scale);
+        _hitboxBox.max.set(feet.x + (cx + sx / 2) * scale, feet.y + (cy + sy / 2) * scale, feet.z + (cz + sz / 2) * scale);
+
+        if (ray.intersectBox(_hitboxBox, _hitPoint)) {
+            const distance = _hitPoint.distanceTo(ray.origin);
+            if (!closest || distance < closest.distance) {
+                closest = { distance, part: box.part };
+            }
+        }
+    }
+    return closest;
 }
 
-function sanitizeName(name) {
+function sanitizeName(name, maxLength = BOUNDS.MAX_NAME_LENGTH) {
     if (!name || typeof name !== 'string') return null;
     // Remove non-printable characters, limit length
-    return name.replace(/[^\x20-\x7E]/g, '').trim().slice(0, BOUNDS.MAX_NAME_LENGTH);
+    return name.replace(/[^\x20-\x7E]/g, '').trim().slice(0, maxLength);
+}
+
+// Chat text: printable ASCII, collapsed whitespace, length limit, blocked words masked
+function sanitizeChat(text) {
+    const clean = sanitizeName(text, BOUNDS.MAX_CHAT_LENGTH * 2);
+    if (!clean) return null;
+    return clean
+        .replace(/\s+/g, ' ')
+        .slice(0, BOUNDS.MAX_CHAT_LENGTH)
+        .replace(BLOCKED_WORDS_PATTERN, word => '*'.repeat(word.length)) || null;
+}
+
+/**
+ * Read a JSON request body
+ * @param {IncomingMessage} req - HTTP request
+ * @param {number} maxBytes - Size limit
+ * @returns {Promise<Object>} Parsed body ({} when empty)
+ * @throws {AdminError} If the body is too big or not a JSON object
+ */
+function readJsonBody(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        let tooLarge = false;
+        req.on('data', chunk => {
+            if (tooLarge) return; // Dropped; the 413 closes the connection once it is sent
+            body += chunk;
+            if (body.length > maxBytes) {
+                tooLarge = true;
+                body = '';
+                reject(new AdminError('Request body too large', 413));
+            }
+        });
+        req.on('end', () => {
+            if (tooLarge) return;
+            if (!body) {
+                resolve({});
+                return;
+            }
+            try {
+                const parsed = JSON.parse(body);
+                if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+                    resolve(parsed);
+                    return;
+                }
+            } catch (e) {
+                // Falls through to the rejection
+            }
+            reject(new AdminError('Body must be a JSON object'));
+        });
+        req.on('error', reject);
+    });
+}
+
+// Admin request that can't be carried out; status is the HTTP status to answer with
+class AdminError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Per-match numbers that go into the player's career stats when the match is over
+function createMatchStats() {
+    return { shots: 0, hits: 0, headshots: 0, streak: 0, longestStreak: 0, weaponKills: {} };
 }
 
 // Player class
@@ -72,10 +469,55 @@ class Player {
         this.kills = 0;
         this.deaths = 0;
         this.weapon = 'RIFLE';
+        this.ammo = WEAPONS.RIFLE.magazineSize; // Rounds in the magazine, counted here and not trusted from the client
+        this.ammoByWeapon = {}; // Magazines of holstered weapons, by weapon key (missing = full)
+        this.reloadingUntil = 0; // When the reload in progress completes, 0 while not reloading
+        this.nextShotTime = 0; // Earliest time the weapon's fire rate allows the next shot
         this.isAlive = true;
         this.respawnTime = 0;
+        this.isDowned = false; // Co-op: down and waiting for a teammate's revive
+        this.downedAt = 0;
+        this.reviveProgress = 0; // ms of reviving done
         this.color = this.generateColor();
+        this.team = null; // Team index in team modes
+        this.score = 0; // Objective points in free-for-all objective modes
         this.lastUpdate = Date.now();
+        this.isBot = false; // Played by the server (see Bot)
+
+        // Network state
+        this.netId = 0; // Compact per-room id used in snapshots
+        this.protocol = 'json'; // 'binary' or 'json', negotiated at join
+        this.netState = null; // Quantised position/rotation/state, null until the first update
+        this.needsFullSnapshot = true; // Next snapshot sends every field of every player
+
+        // Server-side movement: inputs are simulated here, clients only predict
+        this.movement = createMovementBody();
+        this.lastInputSeq = 0; // Highest input sequence number received
+        this.inputBudget = CONFIG.MAX_INPUT_LEAD / 1000; // Seconds of movement the client may still simulate
+        this.lastInputTime = 0;
+
+        // Anti-cheat
+        this.suspicion = 0; // Decays over time, kick at ANTI_CHEAT.KICK_SUSPICION
+        this.suspicionUpdated = Date.now();
+        this.violationCounts = {}; // Violation type -> count, for the kick log
+
+        // Session resume
+        this.resumeToken = randomBytes(16).toString('hex'); // Lets a reconnecting client reclaim this player
+        this.suspendedAt = 0; // When the connection dropped, 0 while connected
+
+        // Spectating (spectators, and players while dead)
+        this.isSpectator = false; // Watches the room without playing
+        this.spectateTargetId = null; // Player being watched
+        this.sentSpectateState = null; // Last 'spectating' message sent, to only send changes
+
+        // Career stats
+        this.profileToken = null; // Profile this player's matches are recorded to
+        this.matchStats = null; // createMatchStats() while in a match, null once recorded
+
+        // Chat moderation
+        this.mutedPlayerIds = new Set(); // Players whose chat this player has muted
+        this.chatMutedUntil = 0; // Automatic spam mute
+        this.chatStrikes = []; // Times of rate-limited chat messages
 
         // Rate limiting state
         this.rateLimits = {};
@@ -96,7 +538,8 @@ class Player {
         this.positionHistory.push({
             time: now,
             position: { ...this.position },
-            rotation: { ...this.rotation }
+            rotation: { ...this.rotation },
+            isCrouching: !!(this.state && this.state.isCrouching)
         });
 
         // Prune old entries
@@ -109,22 +552,58 @@ class Player {
     /**
      * Get position at a specific time (for lag compensation)
      * @param {number} targetTime - Timestamp to look up
-     * @returns {Object} Position at that time
+     * @returns {Object} Position at that time, interpolated between history samples
      */
     getPositionAtTime(targetTime) {
-        if (this.positionHistory.length === 0) {
+        const history = this.positionHistory;
+        if (history.length === 0) {
             return this.position;
         }
 
+        // Target time is after all history, return newest
+        if (targetTime >= history[history.length - 1].time) {
+            return history[history.length - 1].position;
+        }
+
         // Find the two entries that bracket the target time
-        for (let i = this.positionHistory.length - 1; i >= 0; i--) {
-            if (this.positionHistory[i].time <= targetTime) {
-                return this.positionHistory[i].position;
+        for (let i = history.length - 1; i > 0; i--) {
+            const before = history[i - 1];
+            const after = history[i];
+            if (before.time <= targetTime) {
+                const span = after.time - before.time;
+                const t = span > 0 ? (targetTime - before.time) / span : 1;
+                return {
+                    x: before.position.x + (after.position.x - before.position.x) * t,
+                    y: before.position.y + (after.position.y - before.position.y) * t,
+                    z: before.position.z + (after.position.z - before.position.z) * t
+                };
             }
         }
 
         // Target time is before all history, return oldest
-        return this.positionHistory[0].position;
+        return history[0].position;
+    }
+
+    /**
+     * Get the full hitbox pose at a specific time
+     * @param {number} targetTime - Timestamp to look up
+     * @returns {Object} { position, yaw, isCrouching }
+     */
+    getPoseAtTime(targetTime) {
+        const position = this.getPositionAtTime(targetTime);
+
+        // Yaw and crouch snap to the latest sample at or before the target time
+        let sample = null;
+        for (let i = this.positionHistory.length - 1; i >= 0; i--) {
+            sample = this.positionHistory[i];
+            if (sample.time <= targetTime) break;
+        }
+
+        return {
+            position,
+            yaw: sample ? sample.rotation.y : this.rotation.y,
+            isCrouching: sample ? sample.isCrouching : !!(this.state && this.state.isCrouching)
+        };
     }
 
     // Check rate limit for message type, returns true if allowed
@@ -142,8 +621,8 @@ class Player {
             state.lastSecond = currentSecond;
         }
 
-        // Check interval
-        if (now - state.lastTime < limit.interval) {
+        // Check interval (types without one are only capped per second)
+        if (limit.interval && now - state.lastTime < limit.interval) {
             return false;
         }
 
@@ -157,6 +636,69 @@ class Player {
         return true;
     }
 
+    // === WEAPON STATE ===
+
+    // Full magazines and nothing in progress (match start and respawn)
+    resetWeapon() {
+        this.ammo = WEAPONS[this.weapon].magazineSize;
+        this.ammoByWeapon = {};
+        this.reloadingUntil = 0;
+        this.nextShotTime = 0;
+    }
+
+    /**
+     * Take out another weapon with the magazine it was put away with; only reloads refill
+     * @param {string} weapon - Valid weapon key
+     * @param {number} now - Current time (ms)
+     * @returns {boolean} True if the weapon changed
+     */
+    switchWeapon(weapon, now) {
+        if (weapon === this.weapon) return false;
+
+        this.ammoByWeapon[this.weapon] = this.ammo;
+        this.weapon = weapon;
+        this.ammo = this.ammoByWeapon[weapon] ?? WEAPONS[weapon].magazineSize;
+        this.reloadingUntil = 0; // Switching cancels a reload
+        this.nextShotTime = Math.max(this.nextShotTime, now + GUNPLAY.SWITCH_TIME);
+        return true;
+    }
+
+    /**
+     * @param {number} now - Current time (ms)
+     * @returns {boolean} True if a reload started
+     */
+    startReload(now) {
+        this.updateReload(now);
+        if (this.reloadingUntil || this.ammo >= WEAPONS[this.weapon].magazineSize) return false;
+
+        this.reloadingUntil = now + WEAPONS[this.weapon].reloadTime - GUNPLAY.RELOAD_LEEWAY;
+        return true;
+    }
+
+    // Fill the magazine once the reload in progress is done
+    updateReload(now) {
+        if (this.reloadingUntil && now >= this.reloadingUntil) {
+            this.ammo = WEAPONS[this.weapon].magazineSize;
+            this.reloadingUntil = 0;
+        }
+    }
+
+    /**
+     * Spend a round if the weapon can fire now
+     * @param {number} now - Current time (ms)
+     * @returns {string|null} Violation type (a key of ANTI_CHEAT.VIOLATIONS) if refused, null if fired
+     */
+    fireShot(now) {
+        this.updateReload(now);
+        if (this.reloadingUntil || this.ammo <= 0) return 'ammo';
+        if (now < this.nextShotTime - GUNPLAY.SHOT_JITTER) return 'fire_rate';
+
+        // Scheduled from the previous shot, so early arrivals don't add up to a faster rate
+        this.nextShotTime = Math.max(now, this.nextShotTime) + 1000 / WEAPONS[this.weapon].fireRate;
+        this.ammo--;
+        return null;
+    }
+
     generateColor() {
         const colors = [
             0xff4444, 0x44ff44, 0x4444ff, 0xffff44,
@@ -174,362 +716,3806 @@ class Player {
             health: this.health,
             kills: this.kills,
             deaths: this.deaths,
+            score: this.score,
+            netId: this.netId,
             weapon: this.weapon,
             isAlive: this.isAlive,
-            color: this.color
+            isDowned: this.isDowned,
+            color: this.color,
+            team: this.team,
+            isBot: this.isBot
         };
     }
 }
 
-// Room class
-class Room {
-    constructor(id) {
-        this.id = id;
-        this.players = new Map();
-        this.gameStarted = false;
-        this.gameStartTime = 0;
-        this.killFeed = [];
-        this.lastTick = Date.now();
-    }
-
-    addPlayer(player) {
-        this.players.set(player.id, player);
-
-        // Auto-start when 2+ players
-        if (this.players.size >= 2 && !this.gameStarted) {
-            this.startGame();
-        }
-    }
-
-    removePlayer(playerId) {
-        this.players.delete(playerId);
+// Stand-in connection for bots: never open, so everything sent to room members skips them
+const BOT_SOCKET = { readyState: WebSocket.CLOSED, send() {}, close() {} };
 
-        // End game if less than 2 players
-        if (this.players.size < 2 && this.gameStarted) {
-            this.endGame('Not enough players');
-        }
-    }
+const _botRay = new THREE.Ray();
 
-    startGame() {
-        this.gameStarted = true;
-        this.gameStartTime = Date.now();
-        this.killFeed = [];
+/**
+ * Horizontal distance between two positions
+ * @param {Object} a - {x, z}
+ * @param {Object} b - {x, z}
+ * @returns {number}
+ */
+function horizontalDistance(a, b) {
+    return Math.hypot(b.x - a.x, b.z - a.z);
+}
 
-        // Reset all players
-        this.players.forEach(player => {
-            player.kills = 0;
-            player.deaths = 0;
-            player.health = 100;
-            player.isAlive = true;
-        });
+/**
+ * Server-side bot. Joins rooms as a regular player and goes through the same movement
+ * simulation, ammo rules and hit detection as people do: update() stands in for the
+ * input and shoot messages a client would send.
+ */
+class Bot extends Player {
+    /**
+     * @param {string} id - Player id
+     * @param {string} name - Display name
+     * @param {string} skill - Key of BOTS.SKILLS
+     */
+    constructor(id, name, skill) {
+        super(id, BOT_SOCKET, name);
+        this.isBot = true;
+        this.skill = BOTS.SKILLS[skill];
+        this.weapon = BOTS.WEAPONS[Math.floor(Math.random() * BOTS.WEAPONS.length)];
+        this.resetWeapon();
+        this.state = { weapon: this.weapon };
 
-        this.broadcast({
-            type: 'game_start',
-            config: CONFIG,
-            players: this.getPlayersArray()
-        });
+        // Navigation
+        this.mapName = null; // Map the navigation state below belongs to
+        this.path = []; // Waypoints left to the goal
+        this.goal = null; // Where the path leads
+        this.roamGoal = null; // Layout waypoint wandered to with nothing else to do
+        this.nextRepathTime = 0;
+        this.strafeDirection = 1; // While fighting: 1 right, -1 left
+        this.nextStrafeChange = 0;
+        this.stuckCheck = { x: 0, z: 0, time: 0 };
+        this.wantsJump = false;
 
-        console.log(`Room ${this.id}: Game started with ${this.players.size} players`);
+        // Targeting
+        this.targetId = null;
+        this.targetSeenAt = 0; // The reaction time runs from here
+        this.aimAtHead = false;
+        this.lastSeen = null; // { position, time } of the last target, hunted after losing sight
+        this.nextThinkTime = 0;
+        this.lastUpdateTime = 0;
     }
 
-    endGame(reason = 'Game Over') {
-        this.gameStarted = false;
-
-        // Find winner
-        let winner = null;
-        let maxKills = -1;
-        this.players.forEach(player => {
-            if (player.kills > maxKills) {
-                maxKills = player.kills;
-                winner = player;
-            }
-        });
+    /**
+     * Play one server tick: pick a target, aim, move and maybe shoot
+     * @param {Room} room - Room the bot plays in
+     * @param {number} now - Current time (ms)
+     * @returns {Object|null} Shoot message to handle like one from a client
+     */
+    update(room, now) {
+        const dt = this.lastUpdateTime ? Math.min((now - this.lastUpdateTime) / 1000, MOVEMENT.MAX_STEP) : 0;
+        this.lastUpdateTime = now;
+        this.lastUpdate = now; // Bots never time out
 
-        this.broadcast({
-            type: 'game_end',
-            reason,
-            winner: winner ? winner.toJSON() : null,
-            players: this.getPlayersArray()
-        });
+        if (!this.isAlive || this.mapName !== room.mapName) {
+            this.resetNavigation(room);
+            return null;
+        }
+        this.updateReload(now);
 
-        console.log(`Room ${this.id}: Game ended - ${reason}`);
-    }
+        if (now >= this.nextThinkTime) {
+            this.nextThinkTime = now + BOTS.THINK_INTERVAL;
+            this.pickTarget(room, now);
+        }
+        const target = room.players.get(this.targetId) || null;
+        const aimPoint = target ? this.getAimPoint(target, now) : null;
 
-    handleKill(killerId, victimId, isHeadshot) {
-        const killer = this.players.get(killerId);
-        const victim = this.players.get(victimId);
+        // Face the target, or else the way we are going
+        const direction = this.getMoveDirection(room, target, now);
+        if (aimPoint) {
+            const dx = aimPoint.x - this.position.x;
+            const dz = aimPoint.z - this.position.z;
+            this.turnToward(Math.atan2(-dx, -dz), Math.atan2(aimPoint.y - this.position.y, Math.hypot(dx, dz)), dt);
+        } else if (direction) {
+            this.turnToward(Math.atan2(-direction.x, -direction.z), 0, dt);
+        }
 
-        if (!killer || !victim) return;
+        const moving = this.move(room, direction, !target, now, dt);
 
-        killer.kills++;
-        victim.deaths++;
-        victim.health = 0;
-        victim.isAlive = false;
-        victim.respawnTime = Date.now() + CONFIG.RESPAWN_DELAY;
+        // Top up between fights
+        if (!target && this.ammo < WEAPONS[this.weapon].magazineSize / 2) this.startReload(now);
 
-        // Add to kill feed
-        const killInfo = {
-            killer: killer.name,
-            victim: victim.name,
-            isHeadshot,
-            timestamp: Date.now()
+        this.state = {
+            isCrouching: this.movement.isCrouching,
+            peekState: 0,
+            isAiming: !!target,
+            isSprinting: moving && !target,
+            isReloading: this.reloadingUntil > 0,
+            weapon: this.weapon
         };
-        this.killFeed.push(killInfo);
-        if (this.killFeed.length > 10) this.killFeed.shift();
+        this.recordPosition();
+        this.netState = quantizePlayerState(this.position, this.rotation, this.state);
 
-        // Broadcast kill
-        this.broadcast({
-            type: 'player_killed',
-            killerId,
-            victimId,
-            killerName: killer.name,
-            victimName: victim.name,
-            isHeadshot,
-            scores: this.getScores()
-        });
+        return aimPoint ? this.getShot(room, aimPoint, now) : null;
+    }
 
-        // Check win condition
-        if (killer.kills >= CONFIG.KILL_LIMIT) {
-            this.endGame(`${killer.name} wins!`);
-        }
+    // Forget paths and targets after dying or a map change
+    resetNavigation(room) {
+        this.mapName = room.mapName;
+        this.path = [];
+        this.goal = null;
+        this.roamGoal = null;
+        this.targetId = null;
+        this.lastSeen = null;
     }
 
-    handleRespawn(playerId) {
-        const player = this.players.get(playerId);
-        if (!player) return;
+    // === TARGETING ===
 
-        player.isAlive = true;
-        player.health = 100;
-        player.spawnProtectionUntil = Date.now() + 2000; // 2 seconds of invulnerability
+    /**
+     * @param {Room} room - Room the bot plays in
+     * @param {Player} player - Anyone in the room
+     * @returns {boolean} True if the bot should fight them
+     */
+    isEnemy(room, player) {
+        if (player === this || !player.isAlive) return false;
+        return !room.isTeamMode() || player.team !== this.team;
+    }
 
-        // Random spawn position
-        const spawnPoints = [
-            { x: -8, y: 1.7, z: -8 },
-            { x: 8, y: 1.7, z: -8 },
-            { x: -8, y: 1.7, z: 8 },
-            { x: 8, y: 1.7, z: 8 },
-            { x: 0, y: 1.7, z: 0 },
-            { x: -5, y: 1.7, z: 0 },
-            { x: 5, y: 1.7, z: 0 },
-            { x: 0, y: 1.7, z: -5 }
-        ];
-        const spawn = spawnPoints[Math.floor(Math.random() * spawnPoints.length)];
-        player.position = { ...spawn };
+    /**
+     * Whether a player is in view and not behind map geometry
+     * @param {Room} room - Room the bot plays in
+     * @param {Player} player - Player to look for
+     * @returns {boolean}
+     */
+    canSee(room, player) {
+        const toPlayer = new THREE.Vector3(
+            player.position.x - this.position.x,
+            player.position.y - 0.3 - this.position.y, // Chest height
+            player.position.z - this.position.z
+        );
+        const distance = toPlayer.length();
+        if (distance > BOTS.SIGHT_RANGE || distance === 0) return false;
+        toPlayer.divideScalar(distance);
 
-        console.log(`Player ${player.name} respawning at:`, spawn);
+        if (distance > BOTS.HEARING_RANGE) {
+            const facingX = -Math.sin(this.rotation.y);
+            const facingZ = -Math.cos(this.rotation.y);
+            const flat = Math.hypot(toPlayer.x, toPlayer.z) || 1;
+            if ((toPlayer.x * facingX + toPlayer.z * facingZ) / flat < BOTS.VIEW_COS) return false;
+        }
 
-        this.broadcast({
-            type: 'player_respawn',
-            playerId,
-            position: player.position,
-            health: player.health,
-            spawnProtection: 2000 // Tell client about protection duration
-        });
+        _botRay.set(toVector3(this.position), toPlayer);
+        return room.getSolidDistance(_botRay, distance) >= distance;
     }
 
-    update() {
-        const now = Date.now();
+    // Keep the current target while it stays in sight, otherwise take the closest enemy in sight
+    pickTarget(room, now) {
+        const current = room.players.get(this.targetId);
+        let target = current && this.isEnemy(room, current) && this.canSee(room, current) ? current : null;
 
-        // Check respawns
-        this.players.forEach(player => {
-            if (!player.isAlive && player.respawnTime > 0 && now >= player.respawnTime) {
-                player.respawnTime = 0;
-                this.handleRespawn(player.id);
-            }
-        });
+        if (!target) {
+            let closest = Infinity;
+            room.players.forEach(player => {
+                if (!this.isEnemy(room, player)) return;
+                const distance = horizontalDistance(this.position, player.position);
+                if (distance < closest && this.canSee(room, player)) {
+                    closest = distance;
+                    target = player;
+                }
+            });
+        }
 
-        // Check time limit
-        if (this.gameStarted && (now - this.gameStartTime) >= CONFIG.TIME_LIMIT) {
-            this.endGame('Time limit reached');
+        if (target && target.id !== this.targetId) {
+            this.targetSeenAt = now;
+            this.aimAtHead = Math.random() < this.skill.headshotChance;
         }
+        this.targetId = target ? target.id : null;
+        if (target) this.lastSeen = { position: { ...target.position }, time: now };
     }
 
-    broadcast(message, excludeId = null) {
-        const data = JSON.stringify(message);
-        this.players.forEach((player, id) => {
-            if (id !== excludeId && player.ws.readyState === WebSocket.OPEN) {
-                player.ws.send(data);
-            }
-        });
+    /**
+     * Point to aim at: the target's head or chest where clients see it, an interpolation delay back
+     * @param {Player} target - Player being fought
+     * @param {number} now - Current time (ms)
+     * @returns {THREE.Vector3}
+     */
+    getAimPoint(target, now) {
+        const pose = target.getPoseAtTime(now - CONFIG.INTERP_DELAY);
+        const eyeHeight = pose.isCrouching ? CROUCH_EYE_HEIGHT : STAND_EYE_HEIGHT;
+        const drop = pose.isCrouching ? CROUCH_BODY_DROP : 0;
+        const part = HITBOXES.find(box => box.part === (this.aimAtHead ? 'head' : 'torso'));
+        return new THREE.Vector3(pose.position.x, pose.position.y - eyeHeight + part.center[1] - drop, pose.position.z);
     }
 
-    getPlayersArray() {
-        return Array.from(this.players.values()).map(p => p.toJSON());
+    /**
+     * Turn toward a view direction, no faster than the skill's turn speed
+     * @param {number} yaw - Target yaw (radians)
+     * @param {number} pitch - Target pitch (radians)
+     * @param {number} dt - Seconds since the last tick
+     */
+    turnToward(yaw, pitch, dt) {
+        const maxTurn = this.skill.turnSpeed * dt;
+        let deltaYaw = yaw - this.rotation.y;
+        deltaYaw = Math.atan2(Math.sin(deltaYaw), Math.cos(deltaYaw)); // Shortest way round
+        const clamp = value => Math.max(-maxTurn, Math.min(maxTurn, value));
+        this.rotation = {
+            x: Math.max(-1.5, Math.min(1.5, this.rotation.x + clamp(pitch - this.rotation.x))),
+            y: this.rotation.y + clamp(deltaYaw)
+        };
     }
 
-    getScores() {
-        return Array.from(this.players.values()).map(p => ({
-            id: p.id,
-            name: p.name,
-            kills: p.kills,
-            deaths: p.deaths,
-            color: p.color
-        })).sort((a, b) => b.kills - a.kills);
+    // Unit vector the bot is looking along
+    getFacing() {
+        const { x: pitch, y: yaw } = this.rotation;
+        return new THREE.Vector3(-Math.sin(yaw) * Math.cos(pitch), Math.sin(pitch), -Math.cos(yaw) * Math.cos(pitch));
+    }
+
+    /**
+     * A shot at the aim point, once the bot has reacted, is aimed close enough and the weapon can fire
+     * @param {Room} room - Room the bot plays in
+     * @param {THREE.Vector3} aimPoint - Where the bot wants to hit
+     * @param {number} now - Current time (ms)
+     * @returns {Object|null} Shoot message
+     */
+    getShot(room, aimPoint, now) {
+        if (now - this.targetSeenAt < this.skill.reactionTime) return null;
+        if (this.reloadingUntil || now < this.nextShotTime) return null;
+        if (this.ammo <= 0) {
+            this.startReload(now);
+            return null;
+        }
+
+        const origin = toVector3(this.position);
+        const facing = this.getFacing();
+        const toAim = aimPoint.clone().sub(origin);
+        const distance = toAim.length();
+        if (facing.angleTo(toAim) > Math.atan2(BOTS.AIM_TOLERANCE, distance)) return null;
+
+        // Aim error first, then each pellet's spread around it
+        const weapon = WEAPONS[this.weapon];
+        const jitter = (direction, amount) => direction.clone().add(new THREE.Vector3(
+            (Math.random() - 0.5) * 2 * amount,
+            (Math.random() - 0.5) * 2 * amount,
+            (Math.random() - 0.5) * 2 * amount
+        )).normalize();
+        const aim = jitter(facing, this.skill.aimSpread + weapon.adsSpread);
+        const directions = weapon.pellets
+            ? Array.from({ length: weapon.pellets }, () => jitter(aim, weapon.spread))
+            : [aim];
+
+        // Tracer ends at the first wall
+        _botRay.set(origin, aim);
+        const end = origin.clone().addScaledVector(aim, room.getSolidDistance(_botRay, WEAPON_RANGES[this.weapon] || 80));
+        const point = vec => ({ x: vec.x, y: vec.y, z: vec.z });
+        return {
+            type: 'shoot',
+            weapon: this.weapon,
+            origin: point(origin),
+            target: point(end),
+            rayOrigin: point(origin),
+            directions: directions.map(point),
+            latency: 0
+        };
+    }
+
+    // === MOVEMENT ===
+
+    /**
+     * Where to walk this tick: strafe around a target in range, chase one out of range,
+     * hunt where one was last seen, or head for the objective
+     * @param {Room} room - Room the bot plays in
+     * @param {Player|null} target - Player being fought
+     * @param {number} now - Current time (ms)
+     * @returns {Object|null} Unit {x, z}, or null to stand still
+     */
+    getMoveDirection(room, target, now) {
+        if (target) {
+            const distance = horizontalDistance(this.position, target.position);
+            if (distance <= (BOTS.ENGAGE_RANGES[this.weapon] || 15)) return this.getStrafeDirection(target, now);
+            return this.followPath(room, target.position, now);
+        }
+
+        if (this.lastSeen && now - this.lastSeen.time < BOTS.MEMORY &&
+            horizontalDistance(this.position, this.lastSeen.position) > BOTS.WAYPOINT_REACHED * 2) {
+            return this.followPath(room, this.lastSeen.position, now);
+        }
+        this.lastSeen = null;
+        return this.followPath(room, this.getRoamGoal(room), now);
+    }
+
+    /**
+     * Objective, or a random layout waypoint: the enemy flag (home base while carrying it)
+     * in Capture the Flag, the hill in King of the Hill
+     * @param {Room} room - Room the bot plays in
+     * @returns {Object} {x, z}
+     */
+    getRoamGoal(room) {
+        if (room.flags) {
+            const enemyFlag = room.flags[1 - this.team];
+            return enemyFlag.carrierId === this.id ? room.flags[this.team].base : enemyFlag.position;
+        }
+        if (room.hill) return room.hill.zone.pos;
+
+        if (!this.roamGoal || horizontalDistance(this.position, this.roamGoal) < BOTS.WAYPOINT_REACHED * 2) {
+            const waypoints = LAYOUTS[room.mapName].waypoints;
+            const [x, , z] = waypoints[Math.floor(Math.random() * waypoints.length)];
+            this.roamGoal = { x, z };
+        }
+        return this.roamGoal;
+    }
+
+    // Sideways to the target, switching direction now and then
+    getStrafeDirection(target, now) {
+        if (now >= this.nextStrafeChange) {
+            this.strafeDirection = Math.random() < 0.5 ? -1 : 1;
+            this.nextStrafeChange = now + BOTS.STRAFE_TIME * (0.5 + Math.random());
+        }
+        const dx = target.position.x - this.position.x;
+        const dz = target.position.z - this.position.z;
+        const length = Math.hypot(dx, dz) || 1;
+        return { x: (-dz / length) * this.strafeDirection, z: (dx / length) * this.strafeDirection };
+    }
+
+    /**
+     * Direction to the next waypoint on an A* path to the goal, re-planned when the goal moves
+     * @param {Room} room - Room the bot plays in
+     * @param {Object} goal - {x, z}
+     * @param {number} now - Current time (ms)
+     * @returns {Object|null} Unit {x, z}, or null once there
+     */
+    followPath(room, goal, now) {
+        const goalMoved = !this.goal || horizontalDistance(this.goal, goal) > BOTS.REPATH_DISTANCE;
+        if (goalMoved || now >= this.nextRepathTime) {
+            this.goal = { x: goal.x, z: goal.z };
+            this.path = room.getNavigation().findPath(this.position, this.goal) || [];
+            this.nextRepathTime = now + BOTS.REPATH_INTERVAL;
+        }
+
+        while (this.path.length > 0 && horizontalDistance(this.position, this.path[0]) < BOTS.WAYPOINT_REACHED) {
+            this.path.shift();
+        }
+        if (this.path.length === 0) return null;
+
+        const next = this.path[0];
+        const dx = next.x - this.position.x;
+        const dz = next.z - this.position.z;
+        const length = Math.hypot(dx, dz) || 1;
+        return { x: dx / length, z: dz / length };
+    }
+
+    /**
+     * Run the shared movement simulation with the keys that walk the bot in a direction
+     * @param {Room} room - Room the bot plays in
+     * @param {Object|null} direction - Unit {x, z}, or null to stand still
+     * @param {boolean} sprint - Sprint if walking straight ahead
+     * @param {number} now - Current time (ms)
+     * @param {number} dt - Seconds since the last tick
+     * @returns {boolean} True if the bot moved
+     */
+    move(room, direction, sprint, now, dt) {
+        let flags = 0;
+        if (direction) {
+            // Split the direction into view-relative keys (8 directions, like a keyboard)
+            const s = Math.sin(this.rotation.y);
+            const c = Math.cos(this.rotation.y);
+            const forward = -direction.x * s - direction.z * c;
+            const right = direction.x * c - direction.z * s;
+            if (forward > 0.38) flags |= INPUT_FLAGS.FORWARD;
+            else if (forward < -0.38) flags |= INPUT_FLAGS.BACK;
+            if (right > 0.38) flags |= INPUT_FLAGS.RIGHT;
+            else if (right < -0.38) flags |= INPUT_FLAGS.LEFT;
+            if (sprint && flags === INPUT_FLAGS.FORWARD) flags |= INPUT_FLAGS.SPRINT;
+            if (this.wantsJump) flags |= INPUT_FLAGS.JUMP;
+        }
+        this.wantsJump = false;
+
+        const result = simulateMovement(this.movement, this.position, createMovementInput(flags, this.rotation.y, dt), room.collisionWorld);
+
+        // Walking into something: jump, and find another way round
+        if (!direction) {
+            this.stuckCheck = { x: this.position.x, z: this.position.z, time: now };
+        } else if (now - this.stuckCheck.time >= BOTS.STUCK_TIME) {
+            if (horizontalDistance(this.position, this.stuckCheck) < BOTS.STUCK_DISTANCE) {
+                this.wantsJump = true;
+                this.strafeDirection = -this.strafeDirection;
+                this.roamGoal = null;
+                this.nextRepathTime = 0;
+            }
+            this.stuckCheck = { x: this.position.x, z: this.position.z, time: now };
+        }
+        return result.moving;
     }
 }
 
-// Server class
-class GameServer {
-    constructor() {
-        this.rooms = new Map();
-        this.playerToRoom = new Map();
-        this.defaultRoom = this.createRoom('default');
-        this.isShuttingDown = false;
+const _enemyRay = new THREE.Ray();
 
-        // Create HTTP server with health check endpoint
-        this.httpServer = createServer((req, res) => {
-            // Health check endpoint
-            if (req.url === '/health') {
-                const status = {
-                    status: 'ok',
-                    uptime: process.uptime(),
-                    rooms: this.rooms.size,
-                    players: Array.from(this.rooms.values())
-                        .reduce((sum, room) => sum + room.players.size, 0),
-                    connections: this.wss ? this.wss.clients.size : 0
+/**
+ * Co-op enemy, simulated on the server with the types and behaviour of the solo Enemy AI:
+ * chase the nearest standing player along A* paths, hit them in melee range, Berserkers
+ * leap in and Snipers aim before they fire. Clients only draw what wave snapshots say.
+ */
+class WaveEnemy {
+    /**
+     * @param {number} id - Id within the room's waves
+     * @param {string} type - Key of ENEMY_TYPES
+     * @param {Object} position - Feet position {x, y, z}
+     * @param {number} healthScale - Health multiplier for the number of players
+     */
+    constructor(id, type, position, healthScale) {
+        this.id = id;
+        this.type = type;
+        this.config = ENEMY_TYPES[type];
+        this.position = { ...position };
+        this.yaw = 0; // Model faces +Z at 0
+        const [minHealth, maxHealth] = this.config.health;
+        this.maxHealth = Math.round((minHealth + Math.random() * (maxHealth - minHealth)) * healthScale);
+        this.health = this.maxHealth;
+
+        // AI
+        this.state = 'chase'; // 'chase', 'attack', 'aim' (snipers) or 'leap' (berserkers)
+        this.targetId = null;
+        this.path = [];
+        this.goal = null;
+        this.nextRepathTime = 0;
+        this.nextAttackTime = 0;
+        this.stateUntil = 0; // When the aim or leap in progress ends
+        this.leapDirection = null;
+        this.leapHit = false;
+        this.nextLeapTime = 0;
+
+        // Position history for lag compensation (last 500ms)
+        this.positionHistory = [];
+    }
+
+    /**
+     * Play one server tick
+     * @param {Room} room - Room the enemy is in
+     * @param {number} now - Current time (ms)
+     * @param {number} dt - Seconds since the last tick
+     */
+    update(room, now, dt) {
+        const target = this.pickTarget(room);
+        this.targetId = target ? target.id : null;
+
+        if (!target) {
+            this.state = 'chase'; // Nobody standing: wait where we are
+        } else if (this.state === 'leap') {
+            this.updateLeap(room, target, now, dt);
+        } else if (this.config.isRanged) {
+            this.updateRanged(room, target, now, dt);
+        } else {
+            this.updateMelee(room, target, now, dt);
+        }
+        this.recordPosition(now);
+    }
+
+    // Nearest standing player; snipers keep the one they are aiming at
+    pickTarget(room) {
+        if (this.state === 'aim') {
+            const current = room.players.get(this.targetId);
+            if (current?.isAlive) return current;
+            this.state = 'chase';
+        }
+
+        let target = null;
+        let closest = Infinity;
+        room.players.forEach(player => {
+            if (!player.isAlive) return;
+            const distance = horizontalDistance(this.position, player.position);
+            if (distance < closest) {
+                closest = distance;
+                target = player;
+            }
+        });
+        return target;
+    }
+
+    // Within reach of a player's body: close enough and on about the same level
+    canReach(player, range) {
+        const feetY = player.position.y - CONFIG.SPAWN_HEIGHT;
+        return horizontalDistance(this.position, player.position) <= range && Math.abs(feetY - this.position.y) < 1.5;
+    }
+
+    updateMelee(room, target, now, dt) {
+        const distance = horizontalDistance(this.position, target.position);
+        if (this.config.canLeap && distance > 3 && distance < 8 && now >= this.nextLeapTime) {
+            this.startLeap(target, now);
+            return;
+        }
+
+        this.faceToward(target.position);
+        if (this.canReach(target, this.config.attackRange)) {
+            this.state = 'attack';
+            if (now >= this.nextAttackTime) {
+                this.nextAttackTime = now + this.config.attackCooldown * 1000;
+                room.damagePlayerFromEnemy(this, target, this.config.damage);
+            }
+            return;
+        }
+
+        this.state = 'chase';
+        this.followPath(room, target.position, now, dt);
+    }
+
+    startLeap(target, now) {
+        const dx = target.position.x - this.position.x;
+        const dz = target.position.z - this.position.z;
+        const length = Math.hypot(dx, dz) || 1;
+        this.state = 'leap';
+        this.stateUntil = now + COOP.LEAP_TIME;
+        this.leapDirection = { x: dx / length, z: dz / length };
+        this.leapHit = false;
+        this.nextLeapTime = now + this.config.leapCooldown * 1000;
+        this.faceToward(target.position);
+    }
+
+    // Fly straight at where the target was; the first player reached takes the leap damage
+    updateLeap(room, target, now, dt) {
+        this.move(room, this.leapDirection.x, this.leapDirection.z, COOP.LEAP_SPEED * dt);
+        if (!this.leapHit && this.canReach(target, this.config.attackRange)) {
+            this.leapHit = true;
+            room.damagePlayerFromEnemy(this, target, this.config.leapDamage);
+        }
+        if (now >= this.stateUntil) {
+            this.state = 'chase';
+            this.nextAttackTime = Math.max(this.nextAttackTime, now + this.config.attackCooldown * 1000);
+        }
+    }
+
+    // Snipers keep their distance, aim for aimTime and fire once the target stays in sight
+    updateRanged(room, target, now, dt) {
+        const distance = horizontalDistance(this.position, target.position);
+        const inSight = distance <= this.config.attackRange && this.canSee(room, target);
+        this.faceToward(target.position);
+
+        if (this.state === 'aim') {
+            if (!inSight) {
+                this.state = 'chase'; // Lost them, aim again once they show up
+            } else if (now >= this.stateUntil) {
+                this.fireAt(room, target);
+                this.state = 'attack';
+                this.nextAttackTime = now + this.config.attackCooldown * 1000;
+            }
+            return;
+        }
+
+        if (!inSight) {
+            this.state = 'chase';
+            this.followPath(room, target.position, now, dt);
+            return;
+        }
+
+        this.state = 'attack';
+        if (distance < this.config.preferredRange * 0.5) {
+            // Too close: back off
+            const dx = this.position.x - target.position.x;
+            const dz = this.position.z - target.position.z;
+            const length = Math.hypot(dx, dz) || 1;
+            this.move(room, dx / length, dz / length, this.config.speed * dt);
+        } else if (now >= this.nextAttackTime) {
+            this.state = 'aim';
+            this.stateUntil = now + this.config.aimTime * 1000;
+        }
+    }
+
+    // Eye-to-eye line of sight past the map's solid geometry
+    canSee(room, player) {
+        const origin = new THREE.Vector3(this.position.x, this.position.y + 1.4 * this.config.scale, this.position.z);
+        const toPlayer = toVector3(player.position).sub(origin);
+        const distance = toPlayer.length();
+        if (distance === 0) return true;
+        _enemyRay.set(origin, toPlayer.divideScalar(distance));
+        return room.getSolidDistance(_enemyRay, distance) >= distance;
+    }
+
+    // Hitscan shot at the target's chest; anyone standing in the way takes it instead
+    fireAt(room, target) {
+        const origin = new THREE.Vector3(this.position.x, this.position.y + 1.2 * this.config.scale, this.position.z);
+        const aim = toVector3(target.position).setY(target.position.y - 0.5).sub(origin).normalize();
+        aim.x += (Math.random() - 0.5) * 2 * COOP.SNIPER_SPREAD;
+        aim.y += (Math.random() - 0.5) * 2 * COOP.SNIPER_SPREAD;
+        aim.z += (Math.random() - 0.5) * 2 * COOP.SNIPER_SPREAD;
+        aim.normalize();
+
+        _enemyRay.set(origin, aim);
+        const range = this.config.attackRange * 1.5;
+        let distance = room.getSolidDistance(_enemyRay, range);
+        let victim = null;
+        const now = Date.now();
+        room.players.forEach(player => {
+            if (!player.isAlive) return;
+            const hit = raycastHitboxes(_enemyRay, player.getPoseAtTime(now));
+            if (hit && hit.distance < distance) {
+                distance = hit.distance;
+                victim = player;
+            }
+        });
+
+        const end = origin.clone().addScaledVector(aim, distance);
+        room.broadcast({
+            type: 'enemy_shot',
+            enemyId: this.id,
+            origin: { x: origin.x, y: origin.y, z: origin.z },
+            target: { x: end.x, y: end.y, z: end.z }
+        });
+        if (victim) room.damagePlayerFromEnemy(this, victim, this.config.damage);
+    }
+
+    faceToward(position) {
+        this.yaw = Math.atan2(position.x - this.position.x, position.z - this.position.z);
+    }
+
+    /**
+     * Walk toward a goal along an A* path over the room's navigation grid, re-planned
+     * when the goal moves; straight at it when there is no path
+     */
+    followPath(room, goal, now, dt) {
+        const goalMoved = !this.goal || horizontalDistance(this.goal, goal) > COOP.REPATH_DISTANCE;
+        if (goalMoved || now >= this.nextRepathTime) {
+            this.goal = { x: goal.x, z: goal.z };
+            this.path = room.getNavigation().findPath(this.position, this.goal) || [];
+            this.nextRepathTime = now + COOP.REPATH_INTERVAL;
+        }
+
+        while (this.path.length > 0 && horizontalDistance(this.position, this.path[0]) < COOP.WAYPOINT_REACHED) {
+            this.path.shift();
+        }
+        const next = this.path[0] || goal;
+        const dx = next.x - this.position.x;
+        const dz = next.z - this.position.z;
+        const length = Math.hypot(dx, dz);
+        if (length < 0.01) return;
+        this.move(room, dx / length, dz / length, this.config.speed * dt);
+    }
+
+    /**
+     * Move along the ground, sliding along colliders one axis at a time like the solo Enemy
+     * @param {Room} room - Room the enemy is in
+     * @param {number} dirX - Unit direction x
+     * @param {number} dirZ - Unit direction z
+     * @param {number} distance - How far to go (m)
+     */
+    move(room, dirX, dirZ, distance) {
+        const world = room.collisionWorld;
+        const radius = COOP.ENEMY_RADIUS;
+        const probe = { x: 0, y: this.position.y + 1 + COOP.STEP_HEIGHT, z: 0 }; // Body from the step height up
+        const isFree = (x, z) => {
+            probe.x = x;
+            probe.z = z;
+            return !world.checkCollision(probe, radius);
+        };
+
+        const steps = Math.max(1, Math.ceil(distance / (radius * 0.5)));
+        const stepX = (dirX * distance) / steps;
+        const stepZ = (dirZ * distance) / steps;
+        for (let i = 0; i < steps; i++) {
+            const { x, z } = this.position;
+            if (isFree(x + stepX, z + stepZ)) {
+                this.position.x += stepX;
+                this.position.z += stepZ;
+                continue;
+            }
+            const movedX = isFree(x + stepX, z);
+            if (movedX) this.position.x += stepX;
+            if (isFree(this.position.x, z + stepZ)) {
+                this.position.z += stepZ;
+            } else if (!movedX) {
+                break;
+            }
+        }
+        this.position.y = world.getFloorHeightWithRadius(this.position.x, this.position.z, radius);
+    }
+
+    recordPosition(now) {
+        this.positionHistory.push({ time: now, position: { ...this.position } });
+        while (this.positionHistory.length > 0 && now - this.positionHistory[0].time > 500) {
+            this.positionHistory.shift();
+        }
+    }
+
+    /**
+     * Feet position at a past time, interpolated between history samples
+     * @param {number} targetTime - Timestamp to look up
+     * @returns {Object} {x, y, z}
+     */
+    getPositionAtTime(targetTime) {
+        const history = this.positionHistory;
+        for (let i = history.length - 1; i > 0; i--) {
+            const before = history[i - 1];
+            const after = history[i];
+            if (after.time <= targetTime) return after.position;
+            if (before.time <= targetTime) {
+                const t = (targetTime - before.time) / (after.time - before.time);
+                return {
+                    x: before.position.x + (after.position.x - before.position.x) * t,
+                    y: before.position.y + (after.position.y - before.position.y) * t,
+                    z: before.position.z + (after.position.z - before.position.z) * t
                 };
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify(status));
-                return;
             }
+        }
+        return history.length > 0 ? history[0].position : this.position;
+    }
 
-            res.writeHead(200, { 'Content-Type': 'text/plain' });
-            res.end('FPS Multiplayer Server Running');
+    // Entry in wave_snapshot messages
+    toSnapshot() {
+        const round = value => Math.round(value * 100) / 100;
+        return {
+            id: this.id,
+            type: this.type,
+            x: round(this.position.x),
+            y: round(this.position.y),
+            z: round(this.position.z),
+            yaw: round(this.yaw),
+            health: Math.max(0, Math.ceil(this.health)),
+            maxHealth: this.maxHealth,
+            state: this.state,
+            targetId: this.targetId
+        };
+    }
+}
+
+// Streams one match's broadcasts and snapshots to a replay file (see src/ReplayFormat.js)
+class ReplayRecorder {
+    /**
+     * @param {Room} room - Room whose match is starting
+     */
+    constructor(room) {
+        this.startedAt = Date.now();
+        this.fileName = getReplayFileName(this.startedAt, room.mapName, room.mode, room.code);
+        this.path = join(REPLAYS.DIR, this.fileName);
+        this.partPath = `${this.path}.part`; // Renamed when complete, so listings skip it
+        this.needsFullSnapshot = true; // The first snapshot carries every field
+        this.failed = false;
+
+        this.gzip = createGzip();
+        this.file = createWriteStream(this.partPath);
+        const onError = (error) => {
+            if (!this.failed) console.error(`Replay ${this.fileName} failed: ${error.message}`);
+            this.failed = true;
+        };
+        this.gzip.on('error', onError);
+        this.file.on('error', onError);
+        this.gzip.pipe(this.file);
+
+        this.gzip.write(encodeReplayHeader({
+            room: room.name,
+            map: room.mapName,
+            mode: room.mode,
+            startedAt: this.startedAt,
+            tickRate: CONFIG.TICK_RATE,
+            interpDelay: CONFIG.INTERP_DELAY,
+            players: room.getPlayersArray()
+        }));
+    }
+
+    /**
+     * @param {Object} message - Message as broadcast to the room
+     * @param {number} now - Server time the message was sent
+     */
+    record(message, now = Date.now()) {
+        if (this.failed) return;
+        this.gzip.write(encodeReplayEvent(now - this.startedAt, message));
+    }
+
+    /**
+     * @param {number} now - Tick timestamp
+     * @param {Object[]} entities - [{ netId, quantized, mask }] from broadcastSnapshot
+     */
+    recordSnapshot(now, entities) {
+        this.needsFullSnapshot = false;
+        this.record({ type: 'snapshot', players: toSnapshotJSON(entities) }, now);
+    }
+
+    // Close the file, keeping it only if the match lasted long enough to be worth watching
+    finish() {
+        const keep = Date.now() - this.startedAt >= REPLAYS.MIN_DURATION;
+        this.file.on('close', () => {
+            try {
+                if (this.failed || !keep) {
+                    unlinkSync(this.partPath);
+                    return;
+                }
+                renameSync(this.partPath, this.path);
+                console.log(`Replay saved: ${this.fileName}`);
+                ReplayRecorder.prune();
+            } catch (error) {
+                console.error(`Replay ${this.fileName} could not be saved: ${error.message}`);
+            }
         });
+        this.gzip.end();
+    }
 
-        // Create WebSocket server
-        this.wss = new WebSocketServer({ server: this.httpServer });
+    /**
+     * Saved replays, newest first
+     * @returns {Object[]} [{ name, recordedAt, map, mode, room, size }]
+     */
+    static list() {
+        let names;
+        try {
+            names = readdirSync(REPLAYS.DIR);
+        } catch (error) {
+            return [];
+        }
 
-        this.setupWebSocket();
-        this.startGameLoop();
-        this.setupGracefulShutdown();
+        const replays = [];
+        names.forEach(name => {
+            const info = parseReplayFileName(name);
+            if (!info) return;
+            try {
+                replays.push({ ...info, size: statSync(join(REPLAYS.DIR, name)).size });
+            } catch (error) {
+                // Deleted while listing
+            }
+        });
+        return replays.sort((a, b) => b.recordedAt - a.recordedAt);
+    }
+
+    // Delete the oldest replays beyond REPLAYS.MAX_FILES
+    static prune() {
+        ReplayRecorder.list().slice(REPLAYS.MAX_FILES).forEach(replay => {
+            try {
+                unlinkSync(join(REPLAYS.DIR, replay.name));
+            } catch (error) {
+                // Already gone
+            }
+        });
+    }
+}
+
+/**
+ * Player profiles keyed by a generated token the client keeps, with career totals.
+ * Everything is held in memory and written to STATS.FILE as one JSON document.
+ */
+class StatsStore {
+    /**
+     * @param {string} path - JSON file the profiles are kept in
+     */
+    constructor(path) {
+        this.path = path;
+        this.profiles = new Map(); // Token -> profile
+        this.tokensByName = new Map(); // Lowercase name -> token of the profile that last played as it
+        this.saveTimer = null;
+    }
+
+    load() {
+        let data;
+        try {
+            data = JSON.parse(readFileSync(this.path, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error(`Stats file ${this.path} unreadable, starting empty: ${error.message}`);
+            return;
+        }
+
+        Object.entries(data.profiles || {}).forEach(([token, profile]) => {
+            this.profiles.set(token, profile);
+        });
+        // Oldest first, so the latest player to use a name owns it
+        Array.from(this.profiles.entries())
+            .sort(([, a], [, b]) => a.lastSeen - b.lastSeen)
+            .forEach(([token, profile]) => this.tokensByName.set(profile.name.toLowerCase(), token));
+        console.log(`Loaded ${this.profiles.size} player profiles`);
+    }
+
+    /**
+     * Find the profile a client's token belongs to, or create one
+     * @param {*} token - Token the client sent (anything else gets a new profile)
+     * @param {string} name - Name the player joined with
+     * @returns {string} Token of the profile in use
+     */
+    claim(token, name) {
+        let profile = typeof token === 'string' ? this.profiles.get(token) : null;
+        if (!profile) {
+            token = randomBytes(16).toString('hex');
+            profile = {
+                name,
+                createdAt: Date.now(),
+                lastSeen: 0,
+                matches: 0,
+                wins: 0,
+                losses: 0,
+                draws: 0,
+                kills: 0,
+                deaths: 0,
+                headshots: 0,
+                shots: 0,
+                hits: 0,
+                longestStreak: 0,
+                weaponKills: {},
+                recentMatches: [],
+                rating: MATCHMAKING.INITIAL_RATING
+            };
+            this.profiles.set(token, profile);
+        }
+
+        profile.name = name;
+        profile.lastSeen = Date.now();
+        this.tokensByName.set(name.toLowerCase(), token);
+        this.scheduleSave();
+        return token;
+    }
+
+    /**
+     * @param {string|null} token - Profile token
+     * @returns {number} Matchmaking rating (the starting rating for unknown profiles)
+     */
+    getRating(token) {
+        return this.profiles.get(token)?.rating ?? MATCHMAKING.INITIAL_RATING;
+    }
+
+    /**
+     * Add one finished match to a profile
+     * @param {string} token - Profile token
+     * @param {Object} match - { result, mode, map, kills, deaths, stats, ratingChange } with
+     *   stats from createMatchStats()
+     */
+    recordMatch(token, match) {
+        const profile = this.profiles.get(token);
+        if (!profile) return;
+
+        const { stats } = match;
+        profile.matches++;
+        if (match.result === 'win') profile.wins++;
+        else if (match.result === 'loss') profile.losses++;
+        else profile.draws++;
+        profile.kills += match.kills;
+        profile.deaths += match.deaths;
+        profile.headshots += stats.headshots;
+        profile.shots += stats.shots;
+        profile.hits += stats.hits;
+        profile.longestStreak = Math.max(profile.longestStreak, stats.longestStreak);
+        profile.rating = this.getRating(token) + (match.ratingChange || 0);
+        Object.entries(stats.weaponKills).forEach(([weapon, kills]) => {
+            profile.weaponKills[weapon] = (profile.weaponKills[weapon] || 0) + kills;
+        });
+
+        profile.recentMatches.unshift({
+            playedAt: Date.now(),
+            result: match.result,
+            mode: match.mode,
+            map: match.map,
+            kills: match.kills,
+            deaths: match.deaths,
+            ratingChange: match.ratingChange || 0
+        });
+        profile.recentMatches.length = Math.min(profile.recentMatches.length, STATS.RECENT_MATCHES);
+        profile.lastSeen = Date.now();
+        this.scheduleSave();
+    }
+
+    /**
+     * Public career stats for the profile that last played under a name
+     * @param {string} name - Player name (case-insensitive)
+     * @returns {Object|null} Profile totals plus kd, headshotRatio and accuracy, or null if unknown
+     */
+    getByName(name) {
+        const profile = this.profiles.get(this.tokensByName.get(name.toLowerCase()));
+        if (!profile) return null;
+
+        const ratio = (a, b) => (b > 0 ? Math.round((a / b) * 1000) / 1000 : 0);
+        return {
+            ...profile,
+            rating: profile.rating ?? MATCHMAKING.INITIAL_RATING, // Profiles from before ratings
+            kd: ratio(profile.kills, Math.max(1, profile.deaths)),
+            headshotRatio: ratio(profile.headshots, profile.kills),
+            accuracy: ratio(profile.hits, profile.shots)
+        };
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.save(), STATS.SAVE_DELAY);
+    }
+
+    // Write everything now (also used on shutdown)
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        // Write-then-rename, so a crash mid-write never leaves a truncated file
+        const tempPath = `${this.path}.tmp`;
+        try {
+            writeFileSync(tempPath, JSON.stringify({ profiles: Object.fromEntries(this.profiles) }));
+            renameSync(tempPath, this.path);
+        } catch (error) {
+            console.error(`Stats could not be saved to ${this.path}: ${error.message}`);
+        }
+    }
+}
+
+const statsStore = new StatsStore(STATS.FILE);
+
+/**
+ * Banned addresses and profiles, kept in ADMIN.BANS_FILE.
+ * Addresses are checked on connection, profile tokens when joining.
+ */
+class BanList {
+    /**
+     * @param {string} path - JSON file the bans are kept in
+     */
+    constructor(path) {
+        this.path = path;
+        this.bans = []; // { id, ip, profileToken, name, reason, createdAt, expiresAt (0 = permanent) }
+    }
+
+    load() {
+        try {
+            this.bans = JSON.parse(readFileSync(this.path, 'utf8')).bans || [];
+            console.log(`Loaded ${this.bans.length} bans`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error(`Ban file ${this.path} unreadable: ${error.message}`);
+        }
+    }
+
+    save() {
+        const tempPath = `${this.path}.tmp`;
+        try {
+            writeFileSync(tempPath, JSON.stringify({ bans: this.bans }, null, 2));
+            renameSync(tempPath, this.path);
+        } catch (error) {
+            console.error(`Bans could not be saved to ${this.path}: ${error.message}`);
+        }
+    }
+
+    /**
+     * @param {Object} ban - { ip, profileToken, name, reason, minutes } (minutes 0 or missing = permanent)
+     * @returns {Object} The stored ban
+     */
+    add({ ip = null, profileToken = null, name = null, reason, minutes = 0 }) {
+        const now = Date.now();
+        const ban = {
+            id: 'b_' + randomBytes(4).toString('hex'),
+            ip,
+            profileToken,
+            name,
+            reason: reason || 'Banned',
+            createdAt: now,
+            expiresAt: minutes > 0 ? now + minutes * 60000 : 0
+        };
+        this.bans.push(ban);
+        this.save();
+        return ban;
+    }
+
+    /**
+     * @param {string} id - Ban id
+     * @returns {boolean} True if there was such a ban
+     */
+    remove(id) {
+        const count = this.bans.length;
+        this.bans = this.bans.filter(ban => ban.id !== id);
+        if (this.bans.length === count) return false;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Active ban matching an address or profile
+     * @param {string|null} ip - Remote address
+     * @param {string|null} profileToken - Career stats profile token
+     * @returns {Object|null}
+     */
+    find(ip, profileToken = null) {
+        const now = Date.now();
+        return this.bans.find(ban =>
+            (ban.expiresAt === 0 || ban.expiresAt > now) &&
+            ((ip && ban.ip === ip) || (profileToken && ban.profileToken === profileToken))
+        ) || null;
+    }
+
+    // Active bans
+    list() {
+        const now = Date.now();
+        return this.bans.filter(ban => ban.expiresAt === 0 || ban.expiresAt > now);
+    }
+}
+
+const banList = new BanList(ADMIN.BANS_FILE);
+
+// Room class
+class Room {
+    /**
+     * @param {string} id - Unique room id
+     * @param {string} mapName - Starting layout name
+     * @param {Object} options - { name, code, isPrivate, mode, friendlyFire, bots }
+     */
+    constructor(id, mapName = CONFIG.MAP_ROTATION[0], options = {}) {
+        this.id = id;
+        this.name = options.name || `Room ${id.slice(-4).toUpperCase()}`;
+        this.code = options.code || null; // Short join code
+        this.isPrivate = !!options.isPrivate; // Hidden from the room browser
+        this.mode = isValidMode(options.mode) ? options.mode : 'FFA';
+        this.friendlyFire = typeof options.friendlyFire === 'boolean'
+            ? options.friendlyFire
+            : CONFIG.FRIENDLY_FIRE;
+        this.teamScores = TEAMS.map(() => 0);
+        this.flags = null; // CTF flag state, one per team
+        this.hill = null; // King of the Hill zone state
+        this.waves = null; // Co-op wave and enemy state
+        this.maxPlayers = CONFIG.MAX_PLAYERS_PER_ROOM;
+        this.limits = { ...DEFAULT_LIMITS }; // Win conditions, adjustable by admins
+        this.botFill = BOTS.ENABLED && options.bots !== false ? BOTS.FILL_TO : 0; // Players bots top the room up to
+        this.botSkill = BOTS.SKILLS[BOTS.SKILL] ? BOTS.SKILL : 'normal';
+        this.botsNeededSince = 0; // When the room last went short of players, 0 while it isn't
+        this.mapName = CONFIG.MAP_ROTATION[0];
+        this.mapIndex = 0;
+        this.solidBoxes = []; // Bullet-blocking geometry for the current map
+        this.collisionWorld = null; // Movement colliders for the current map
+        this.navigation = null; // Bot pathfinding grid for the current map, built on first use
+        if (!this.setMap(mapName)) this.setMap(this.mapName);
+        this.players = new Map();
+        this.suspendedPlayers = new Map(); // Disconnected players waiting to resume, keyed by id
+        this.spectators = new Map(); // Watching, not playing: no slot, team, score or entity
+        this.gameStarted = false;
+        this.gameStartTime = 0;
+        this.killFeed = [];
+        this.lastTick = Date.now();
+        this.recorder = null; // ReplayRecorder for the match in progress
+
+        // Snapshot state
+        this.snapshotTick = 0;
+        this.nextNetId = 1;
+        this.sentNetStates = new Map(); // Player id -> quantised state in the last snapshot
+
+        // Vote-to-restart state
+        this.restartVotes = new Set(); // Player ids that voted
+        this.restartVoteExpires = 0; // 0 = no vote in progress
+    }
+
+    /**
+     * Switch the room to a different layout
+     * @param {string} mapName - Layout name from LAYOUTS
+     * @returns {boolean} True if the map was valid and applied
+     */
+    setMap(mapName) {
+        if (!isValidMap(mapName)) return false;
+
+        this.mapName = mapName.toUpperCase();
+        this.solidBoxes = ArenaLayoutFactory.getSolidBoxes(this.mapName);
+        this.collisionWorld = new CollisionWorld(ArenaLayoutFactory.getColliders(this.mapName));
+        this.navigation = null;
+        // Continue the rotation from this map (or the start if it's not in the list)
+        const index = CONFIG.MAP_ROTATION.indexOf(this.mapName);
+        this.mapIndex = index >= 0 ? index : 0;
+        return true;
+    }
+
+    // Bots share the enemy AI's A* grid, built over the layout's movement colliders
+    getNavigation() {
+        if (!this.navigation) {
+            this.navigation = new Pathfinding({
+                size: LAYOUTS[this.mapName].size,
+                colliders: this.collisionWorld.colliders
+            });
+        }
+        return this.navigation;
+    }
+
+    /**
+     * Distance along a ray to the nearest bullet-blocking geometry
+     * @param {THREE.Ray} ray - Ray to cast
+     * @param {number} maxDistance - Furthest distance of interest
+     * @returns {number} Distance to the first hit, or maxDistance if nothing is closer
+     */
+    getSolidDistance(ray, maxDistance) {
+        let distance = maxDistance;
+        this.solidBoxes.forEach(box => {
+            if (ray.intersectBox(box, _solidHit)) {
+                distance = Math.min(distance, _solidHit.distanceTo(ray.origin));
+            }
+        });
+        return distance;
+    }
+
+    // Advance to the next map in the rotation
+    rotateMap() {
+        this.setMap(CONFIG.MAP_ROTATION[(this.mapIndex + 1) % CONFIG.MAP_ROTATION.length]);
+        return this.mapName;
+    }
+
+    /**
+     * Switch game mode between matches, putting everyone on a team (or taking them off)
+     * @param {string} mode - Key of GAME_MODES
+     */
+    setMode(mode) {
+        this.mode = mode;
+        this.teamScores = TEAMS.map(() => 0);
+
+        const members = [...this.players.values(), ...this.suspendedPlayers.values()];
+        members.forEach(player => { player.team = null; });
+        members.forEach(player => {
+            if (this.isTeamMode()) {
+                player.team = this.pickTeam();
+                player.color = TEAMS[player.team].color;
+            } else {
+                player.color = player.generateColor();
+            }
+        });
+    }
+
+    /**
+     * Change the room's rules (admin). A new map or mode ends the match in progress
+     * and applies from the next one; limits apply straight away.
+     * @param {Object} settings - Any of { map, mode, maxPlayers, limits, botFill, botSkill } with limits
+     *   any of DEFAULT_LIMITS' keys
+     * @throws {AdminError} If a setting is invalid (nothing is changed then)
+     */
+    applySettings(settings) {
+        const { map, mode, maxPlayers, limits = {}, botFill, botSkill } = settings;
+        if (map !== undefined && !isValidMap(map)) throw new AdminError(`Unknown map: ${map}`);
+        if (mode !== undefined && !isValidMode(mode)) throw new AdminError(`Unknown mode: ${mode}`);
+        if (maxPlayers !== undefined &&
+            !(Number.isInteger(maxPlayers) && maxPlayers >= 2 && maxPlayers <= ADMIN.MAX_ROOM_SIZE)) {
+            throw new AdminError(`maxPlayers must be a whole number from 2 to ${ADMIN.MAX_ROOM_SIZE}`);
+        }
+        if (botFill !== undefined &&
+            !(Number.isInteger(botFill) && botFill >= 0 && botFill <= ADMIN.MAX_ROOM_SIZE)) {
+            throw new AdminError(`botFill must be a whole number from 0 to ${ADMIN.MAX_ROOM_SIZE}`);
+        }
+        if (botSkill !== undefined && !BOTS.SKILLS[botSkill]) {
+            throw new AdminError(`Unknown bot skill: ${botSkill} (${Object.keys(BOTS.SKILLS).join(', ')})`);
+        }
+        if (typeof limits !== 'object' || limits === null) throw new AdminError('limits must be an object');
+        Object.entries(limits).forEach(([key, value]) => {
+            if (!(key in DEFAULT_LIMITS)) throw new AdminError(`Unknown limit: ${key}`);
+            if (!Number.isInteger(value) || value < 1) throw new AdminError(`Limit ${key} must be a positive whole number`);
+        });
+
+        if ((map !== undefined || mode !== undefined) && this.gameStarted) {
+            this.endGame('Room settings changed by an admin');
+        }
+        if (map !== undefined) this.setMap(map);
+        if (mode !== undefined && mode !== this.mode) this.setMode(mode);
+        if (maxPlayers !== undefined) this.maxPlayers = maxPlayers;
+        Object.assign(this.limits, limits);
+        if (botFill !== undefined) this.botFill = botFill; // Bots join or leave on the next tick
+        if (botSkill !== undefined) {
+            this.botSkill = botSkill;
+            this.getBots().forEach(bot => { bot.skill = BOTS.SKILLS[botSkill]; });
+        }
+
+        console.log(`Room ${this.id}: settings changed by admin: ${JSON.stringify(settings)}`);
+    }
+
+    /**
+     * Spawn points for the current map, at camera height
+     * @param {number|null} team - Restrict to a team's half of the map
+     * @returns {Object[]} Spawn positions
+     */
+    getSpawnPoints(team = null) {
+        let points = LAYOUTS[this.mapName].spawnPoints;
+        if (team !== null) {
+            const teamPoints = points.filter(([, , z]) => (team === 0 ? z < 0 : z > 0));
+            if (teamPoints.length > 0) points = teamPoints;
+        }
+        return points.map(([x, , z]) => ({
+            x, y: CONFIG.SPAWN_HEIGHT, z
+        }));
+    }
+
+    // === TEAMS ===
+
+    isTeamMode() {
+        return GAME_MODES[this.mode].teams;
+    }
+
+    // Smallest team first, lower score breaks ties
+    pickTeam() {
+        const counts = TEAMS.map(() => 0);
+        this.players.forEach(player => {
+            if (player.team !== null) counts[player.team]++;
+        });
+
+        let best = 0;
+        for (let team = 1; team < TEAMS.length; team++) {
+            if (counts[team] < counts[best] ||
+                (counts[team] === counts[best] && this.teamScores[team] < this.teamScores[best])) {
+                best = team;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Whether attacker is allowed to hurt victim under this room's rules
+     * @param {Player} attacker - Attacking player
+     * @param {Player} victim - Target player
+     * @returns {boolean}
+     */
+    canDamage(attacker, victim) {
+        if (this.isCoop()) return false; // Everyone is on the same side
+        if (!this.isTeamMode() || this.friendlyFire) return true;
+        return attacker.team !== victim.team;
+    }
+
+    // Suspended players keep their slot until their grace period ends; bots make way for people
+    isFull() {
+        return this.getHumanCount() >= this.maxPlayers;
+    }
+
+    // === BOTS ===
+
+    getBots() {
+        return Array.from(this.players.values()).filter(player => player.isBot);
+    }
+
+    // People in the match, including those waiting to resume
+    getHumanCount() {
+        return this.players.size - this.getBots().length + this.suspendedPlayers.size;
+    }
+
+    // Bots the room should have: none without people or in co-op, otherwise enough to reach botFill
+    getWantedBotCount() {
+        const humans = this.getHumanCount();
+        if (humans === 0 || this.isCoop()) return 0;
+        return Math.max(0, Math.min(this.botFill, this.maxPlayers) - humans);
+    }
+
+    isEmpty() {
+        return this.players.size === 0 && this.suspendedPlayers.size === 0 && this.spectators.size === 0;
+    }
+
+    /**
+     * A connected player or spectator
+     * @param {string} playerId - Player id
+     * @returns {Player|null}
+     */
+    getMember(playerId) {
+        return this.players.get(playerId) || this.spectators.get(playerId) || null;
+    }
+
+    // Everyone who receives room messages
+    getRecipients() {
+        return [...this.players.values(), ...this.spectators.values()];
+    }
+
+    /**
+     * Public room info for the lobby browser
+     * @param {boolean} includeCode - Include the join code (members only)
+     * @returns {Object} Room summary
+     */
+    toSummary(includeCode = false) {
+        return {
+            id: this.id,
+            name: this.name,
+            map: this.mapName,
+            players: this.players.size,
+            bots: this.getBots().length,
+            maxPlayers: this.maxPlayers,
+            spectators: this.spectators.size,
+            state: this.gameStarted ? 'playing' : 'waiting',
+            mode: this.mode,
+            friendlyFire: this.isTeamMode() ? this.friendlyFire : undefined,
+            isPrivate: this.isPrivate,
+            code: includeCode ? this.code : undefined
+        };
+    }
+
+    addPlayer(player) {
+        if (this.isTeamMode()) {
+            player.team = this.pickTeam();
+            player.color = TEAMS[player.team].color;
+        }
+        player.netId = this.nextNetId;
+        this.nextNetId = this.nextNetId >= 0xffff ? 1 : this.nextNetId + 1;
+        this.placeAtSpawn(player);
+        this.players.set(player.id, player);
+        if (this.gameStarted) player.matchStats = createMatchStats(); // Joined mid-match
+
+        // Auto-start once there are enough players
+        if (this.players.size >= this.getMinPlayers() && !this.gameStarted) {
+            this.startGame();
+        }
+    }
+
+    removePlayer(playerId) {
+        const player = this.players.get(playerId);
+        if (player && this.flags) this.dropCarriedFlag(player);
+        if (player?.matchStats) {
+            // Leaving a match counts as losing it to everyone still playing
+            const rank = other => (other === player ? 0 : 1);
+            const winningTeam = this.isTeamMode() ? 1 - player.team : null;
+            const ratingChanges = this.getRatingChanges(Array.from(this.players.values()), rank, winningTeam);
+            this.recordMatchStats(player, 'loss', ratingChanges.get(player.id));
+        }
+        this.players.delete(playerId);
+        this.sentNetStates.delete(playerId);
+
+        // End game if too few players are left
+        if (this.players.size < this.getMinPlayers() && this.gameStarted) {
+            this.endGame('Not enough players');
+            return;
+        }
+
+        // A smaller room may now have enough votes to restart (or none left)
+        if (this.restartVotes.size > 0) {
+            this.restartVotes.delete(playerId);
+            this.checkRestartVote();
+        }
+    }
+
+    // === SESSION RESUME ===
+
+    /**
+     * Take a disconnected player out of play but keep their stats, weapon and team
+     * so they can resume within CONFIG.RESUME_GRACE_PERIOD
+     * @param {string} playerId - Player to suspend
+     */
+    suspendPlayer(playerId) {
+        const player = this.players.get(playerId);
+        if (!player) return;
+
+        if (this.flags) this.dropCarriedFlag(player);
+        player.suspendedAt = Date.now();
+        this.players.delete(playerId);
+        this.sentNetStates.delete(playerId);
+        this.suspendedPlayers.set(playerId, player);
+
+        if (this.restartVotes.size > 0) {
+            this.restartVotes.delete(playerId);
+            this.checkRestartVote();
+        }
+    }
+
+    /**
+     * Put a suspended player back in play on a new connection
+     * @param {string} playerId - Suspended player
+     * @param {WebSocket} ws - New connection
+     * @returns {Player|null} The resumed player
+     */
+    resumePlayer(playerId, ws) {
+        const player = this.suspendedPlayers.get(playerId);
+        if (!player) return null;
+
+        this.suspendedPlayers.delete(playerId);
+        player.ws = ws;
+        player.suspendedAt = 0;
+        player.lastUpdate = Date.now();
+        player.needsFullSnapshot = true;
+        this.players.set(playerId, player);
+        if (this.gameStarted && !player.matchStats) player.matchStats = createMatchStats();
+
+        // The match may have ended while they were away
+        if (this.players.size >= this.getMinPlayers() && !this.gameStarted) {
+            this.startGame();
+        }
+        return player;
+    }
+
+    /**
+     * @param {number} now - Current time
+     * @returns {string[]} Ids of suspended players whose grace period is over
+     */
+    getExpiredSuspensions(now) {
+        const expired = [];
+        this.suspendedPlayers.forEach((player, playerId) => {
+            if (now - player.suspendedAt >= CONFIG.RESUME_GRACE_PERIOD) expired.push(playerId);
+        });
+        return expired;
+    }
+
+    // Free-for-all objective modes score players on objective points
+    usesPlayerScore() {
+        return !this.isTeamMode() && !!GAME_MODES[this.mode].objective;
+    }
+
+    // === KING OF THE HILL ===
+
+    createHill() {
+        const hill = {
+            zoneIndex: -1,
+            zone: null,
+            owner: null, // Team index or player id holding the hill
+            capturer: null, // Side building progress on a neutral hill
+            progress: 0, // 0-1 capture progress
+            status: 'neutral', // 'neutral', 'capturing', 'held' or 'contested'
+            pointAccumulator: 0,
+            movedAt: Date.now(),
+            lastUpdate: Date.now(),
+            lastBroadcast: 0
+        };
+        this.hill = hill;
+        this.moveHill();
+        return hill;
+    }
+
+    // Advance to the layout's next hill zone and reset ownership
+    moveHill() {
+        const zones = LAYOUTS[this.mapName].hillZones;
+        const hill = this.hill;
+        hill.zoneIndex = (hill.zoneIndex + 1) % zones.length;
+        const { pos, size } = zones[hill.zoneIndex];
+        hill.zone = {
+            index: hill.zoneIndex,
+            pos: { x: pos[0], y: pos[1], z: pos[2] },
+            size: { x: size[0], y: size[1], z: size[2] }
+        };
+        hill.owner = null;
+        hill.capturer = null;
+        hill.progress = 0;
+        hill.status = 'neutral';
+        hill.pointAccumulator = 0;
+        hill.movedAt = Date.now();
+    }
+
+    getHillState() {
+        if (!this.hill) return null;
+        const hill = this.hill;
+        return {
+            zone: hill.zone,
+            owner: hill.owner,
+            ownerName: this.getHillSideName(hill.owner),
+            capturer: hill.capturer,
+            progress: hill.progress,
+            status: hill.status,
+            movesIn: Math.max(0, CONFIG.HILL_MOVE_INTERVAL - (Date.now() - hill.movedAt))
+        };
+    }
+
+    // A "side" is a team index in team modes, a player id otherwise
+    getHillSide(player) {
+        return this.isTeamMode() ? player.team : player.id;
+    }
+
+    getHillSideName(side) {
+        if (side === null) return null;
+        if (this.isTeamMode()) return TEAMS[side]?.name || null;
+        return this.players.get(side)?.name || null;
+    }
+
+    isInsideHill(player) {
+        const { pos, size } = this.hill.zone;
+        const feetY = player.position.y - CONFIG.SPAWN_HEIGHT;
+        return Math.abs(player.position.x - pos.x) <= size.x / 2 &&
+            Math.abs(player.position.z - pos.z) <= size.z / 2 &&
+            feetY >= pos.y - 1 && feetY <= pos.y + size.y + 1;
+    }
+
+    // Capture progress, contest state and scoring for the hill
+    updateHill(now) {
+        const hill = this.hill;
+        const dt = (now - hill.lastUpdate) / 1000;
+        hill.lastUpdate = now;
+        let event = null;
+
+        if (now - hill.movedAt >= CONFIG.HILL_MOVE_INTERVAL) {
+            this.moveHill();
+            this.broadcastHillUpdate('moved');
+            return;
+        }
+
+        const sides = new Set();
+        this.players.forEach(player => {
+            if (player.isAlive && this.isInsideHill(player)) sides.add(this.getHillSide(player));
+        });
+
+        const step = dt * 1000 / CONFIG.HILL_CAPTURE_TIME;
+        const previousStatus = hill.status;
+        let scored = false;
+
+        if (sides.size > 1) {
+            hill.status = 'contested';
+        } else if (sides.size === 1) {
+            const [side] = sides;
+            if (side === hill.owner) {
+                // Holding alone: top up progress and score
+                hill.progress = Math.min(1, hill.progress + step);
+                hill.status = 'held';
+                hill.pointAccumulator += dt * CONFIG.HILL_POINTS_PER_SECOND;
+                const points = Math.floor(hill.pointAccumulator);
+                if (points > 0) {
+                    hill.pointAccumulator -= points;
+                    scored = this.awardHillPoints(side, points);
+                    if (!this.hill) return; // Match ended
+                }
+            } else if (hill.owner !== null || (hill.capturer !== null && hill.capturer !== side)) {
+                // Someone else's progress has to be drained first
+                hill.progress = Math.max(0, hill.progress - step);
+                hill.status = 'capturing';
+                if (hill.progress === 0) {
+                    if (hill.owner !== null) event = 'neutralized';
+                    hill.owner = null;
+                    hill.capturer = side;
+                }
+            } else {
+                hill.capturer = side;
+                hill.progress = Math.min(1, hill.progress + step);
+                hill.status = 'capturing';
+                if (hill.progress === 1) {
+                    hill.owner = side;
+                    hill.capturer = null;
+                    hill.status = 'held';
+                    event = 'captured';
+                }
+            }
+        } else {
+            // Empty hill keeps its progress
+            hill.status = hill.owner !== null ? 'held' : 'neutral';
+        }
+
+        const changed = event || scored || hill.status !== previousStatus;
+        if (changed || (hill.status === 'capturing' && now - hill.lastBroadcast >= CONFIG.HILL_BROADCAST_INTERVAL)) {
+            this.broadcastHillUpdate(event, scored);
+        }
+    }
+
+    /**
+     * @param {number|string} side - Team index or player id
+     * @param {number} points - Points to add
+     * @returns {boolean} True if points were awarded
+     */
+    awardHillPoints(side, points) {
+        if (this.isTeamMode()) {
+            this.teamScores[side] += points;
+            if (this.teamScores[side] >= this.limits.hillScore) {
+                this.endGame(`${TEAMS[side].name} team wins!`);
+            }
+            return true;
+        }
+
+        const player = this.players.get(side);
+        if (!player) return false;
+        player.score += points;
+        if (player.score >= this.limits.hillScore) {
+            this.endGame(`${player.name} wins!`);
+        }
+        return true;
+    }
+
+    /**
+     * @param {string|null} event - 'captured', 'neutralized', 'moved' or null for progress
+     * @param {boolean} scored - Include updated scores
+     */
+    broadcastHillUpdate(event = null, scored = false) {
+        this.hill.lastBroadcast = Date.now();
+        this.broadcast({
+            type: 'hill_update',
+            event,
+            hill: this.getHillState(),
+            teamScores: this.isTeamMode() ? this.teamScores : null,
+            scores: scored ? this.getScores() : undefined
+        });
+    }
+
+    // === CAPTURE THE FLAG ===
+
+    // Flags start at their team's base from the layout
+    createFlags() {
+        return TEAMS.map(team => {
+            const [x, y, z] = LAYOUTS[this.mapName].flagBases[team.id];
+            const base = { x, y, z };
+            return {
+                team: team.id,
+                base,
+                position: { ...base },
+                state: 'home', // 'home', 'carried' or 'dropped'
+                carrierId: null,
+                droppedAt: 0
+            };
+        });
+    }
+
+    getFlagsState() {
+        if (!this.flags) return null;
+        return this.flags.map(flag => ({
+            team: flag.team,
+            position: flag.position,
+            state: flag.state,
+            carrierId: flag.carrierId
+        }));
+    }
+
+    // Horizontal reach check from a player's eye position to a ground point
+    isWithinFlagReach(player, point) {
+        const dx = player.position.x - point.x;
+        const dz = player.position.z - point.z;
+        const feetY = player.position.y - CONFIG.SPAWN_HEIGHT;
+        return dx * dx + dz * dz <= CONFIG.FLAG_PICKUP_RADIUS * CONFIG.FLAG_PICKUP_RADIUS &&
+            Math.abs(feetY - point.y) < 2;
+    }
+
+    returnFlag(flag) {
+        flag.position = { ...flag.base };
+        flag.state = 'home';
+        flag.carrierId = null;
+        flag.droppedAt = 0;
+    }
+
+    // Pickups, returns, captures and dropped-flag timeouts
+    updateFlags(now) {
+        this.flags.forEach(flag => {
+            if (flag.state === 'dropped' && now - flag.droppedAt >= CONFIG.FLAG_RETURN_TIME) {
+                this.returnFlag(flag);
+                this.broadcastFlagEvent('returned', flag, null);
+            }
+        });
+
+        for (const player of this.players.values()) {
+            if (!player.isAlive || player.team === null) continue;
+
+            this.flags.forEach(flag => {
+                if (flag.state === 'carried') {
+                    // Carried flags follow their carrier
+                    if (flag.carrierId === player.id) {
+                        flag.position = {
+                            x: player.position.x,
+                            y: Math.max(0, player.position.y - CONFIG.SPAWN_HEIGHT),
+                            z: player.position.z
+                        };
+                    }
+                    return;
+                }
+                if (!this.isWithinFlagReach(player, flag.position)) return;
+
+                if (flag.team !== player.team) {
+                    flag.state = 'carried';
+                    flag.carrierId = player.id;
+                    this.broadcastFlagEvent('taken', flag, player);
+                } else if (flag.state === 'dropped') {
+                    this.returnFlag(flag);
+                    this.broadcastFlagEvent('returned', flag, player);
+                }
+            });
+
+            // Capture: bring the enemy flag home while your own flag is at base
+            const ownFlag = this.flags[player.team];
+            const carried = this.flags.find(flag => flag.carrierId === player.id);
+            if (carried && ownFlag.state === 'home' && this.isWithinFlagReach(player, ownFlag.base)) {
+                this.returnFlag(carried);
+                this.teamScores[player.team]++;
+                this.broadcastFlagEvent('captured', carried, player);
+
+                if (this.teamScores[player.team] >= this.limits.captures) {
+                    this.endGame(`${TEAMS[player.team].name} team wins!`);
+                    return;
+                }
+            }
+        }
+    }
+
+    /**
+     * Drop whatever flag the player is carrying at their feet
+     * @param {Player} player - Carrier (killed or leaving)
+     * @param {Player|null} killer - Who made them drop it
+     */
+    dropCarriedFlag(player, killer = null) {
+        const flag = this.flags.find(f => f.carrierId === player.id);
+        if (!flag) return;
+
+        flag.state = 'dropped';
+        flag.carrierId = null;
+        flag.droppedAt = Date.now();
+        flag.position = {
+            x: player.position.x,
+            y: Math.max(0, player.position.y - CONFIG.SPAWN_HEIGHT),
+            z: player.position.z
+        };
+        this.broadcastFlagEvent('dropped', flag, player, killer);
+    }
+
+    /**
+     * @param {string} event - 'taken', 'dropped', 'returned' or 'captured'
+     * @param {Object} flag - Flag the event is about
+     * @param {Player|null} player - Player who caused it (null for timed returns)
+     * @param {Player|null} killer - For drops, the player who killed the carrier
+     */
+    broadcastFlagEvent(event, flag, player, killer = null) {
+        this.broadcast({
+            type: 'flag_update',
+            event,
+            flagTeam: flag.team,
+            playerId: player ? player.id : null,
+            playerName: player ? player.name : null,
+            killerName: killer ? killer.name : null,
+            flags: this.getFlagsState(),
+            teamScores: this.teamScores
+        });
+    }
+
+    // === CO-OP WAVES ===
+
+    isCoop() {
+        return GAME_MODES[this.mode].objective === 'waves';
+    }
+
+    // Players needed for a match to start and keep going; co-op can be played alone
+    getMinPlayers() {
+        return this.isCoop() ? 1 : 2;
+    }
+
+    createWaves() {
+        const now = Date.now();
+        return {
+            number: 0, // Wave in progress (or just cleared), 0 before the first
+            queue: [], // Enemy types of the current wave still to spawn
+            spawnDelay: 0,
+            nextSpawnTime: 0,
+            breakUntil: now + COOP.FIRST_WAVE_DELAY, // Next wave starts then, 0 while one is running
+            enemies: new Map(), // Enemy id -> WaveEnemy
+            nextEnemyId: 1,
+            healthScale: 1,
+            survived: false,
+            lastUpdate: now,
+            lastSnapshot: 0
+        };
+    }
+
+    getWaveState() {
+        if (!this.waves) return null;
+        const waves = this.waves;
+        return {
+            number: waves.number,
+            total: this.limits.waves,
+            remaining: waves.queue.length + waves.enemies.size,
+            nextWaveIn: waves.breakUntil > 0 ? Math.max(0, waves.breakUntil - Date.now()) : 0
+        };
+    }
+
+    /**
+     * Queue the next wave's enemies, scaled for the number of players. Past WAVES the
+     * last wave repeats with more enemies each time. Players who bled out come back.
+     * @param {number} now - Current time
+     */
+    startWave(now) {
+        const waves = this.waves;
+        waves.number++;
+        waves.breakUntil = 0;
+
+        const config = WAVES[Math.min(waves.number, WAVES.length) - 1];
+        const extraPlayers = Math.max(0, this.players.size - 1);
+        const endless = Math.max(0, waves.number - WAVES.length);
+        const count = Math.round(config.enemies.length *
+            (1 + COOP.COUNT_PER_PLAYER * extraPlayers + COOP.ENDLESS_GROWTH * endless));
+        waves.queue = Array.from({ length: count }, (_, i) => config.enemies[i % config.enemies.length]);
+        waves.spawnDelay = config.spawnDelay;
+        waves.nextSpawnTime = now;
+        waves.healthScale = 1 + COOP.HEALTH_PER_PLAYER * extraPlayers;
+
+        this.players.forEach(player => {
+            if (!player.isAlive && !player.isDowned) this.handleRespawn(player.id);
+        });
+
+        this.broadcast({ type: 'wave_update', event: 'started', wave: this.getWaveState() });
+        console.log(`Room ${this.id}: Wave ${waves.number} started with ${count} enemies`);
+    }
+
+    /**
+     * Spawn an enemy at a layout spawn point away from the players
+     * @param {string} type - Key of ENEMY_TYPES
+     */
+    spawnEnemy(type) {
+        const waves = this.waves;
+        const standing = Array.from(this.players.values()).filter(player => player.isAlive);
+        const distanceToPlayers = point => standing.reduce(
+            (closest, player) => Math.min(closest, horizontalDistance(point, player.position)), Infinity);
+
+        const points = this.getSpawnPoints();
+        const far = points.filter(point => distanceToPlayers(point) >= COOP.SPAWN_MIN_DISTANCE);
+        const spawn = far.length > 0
+            ? far[Math.floor(Math.random() * far.length)]
+            : points.reduce((best, point) => (distanceToPlayers(point) > distanceToPlayers(best) ? point : best));
+
+        const y = this.collisionWorld.getFloorHeightWithRadius(spawn.x, spawn.z, COOP.ENEMY_RADIUS);
+        const enemy = new WaveEnemy(waves.nextEnemyId++, type, { x: spawn.x, y, z: spawn.z }, waves.healthScale);
+        waves.enemies.set(enemy.id, enemy);
+    }
+
+    // Wave breaks and spawns, enemy AI, revives and the wipe check
+    updateWaves(now) {
+        const waves = this.waves;
+        const dt = Math.min(0.1, (now - waves.lastUpdate) / 1000);
+        waves.lastUpdate = now;
+
+        if (waves.breakUntil > 0) {
+            if (now >= waves.breakUntil) this.startWave(now);
+        } else {
+            while (waves.queue.length > 0 && now >= waves.nextSpawnTime && waves.enemies.size < COOP.MAX_ALIVE) {
+                this.spawnEnemy(waves.queue.shift());
+                waves.nextSpawnTime = now + waves.spawnDelay;
+            }
+
+            if (waves.queue.length === 0 && waves.enemies.size === 0) {
+                if (waves.number >= this.limits.waves) {
+                    waves.survived = true;
+                    this.endGame(`Survived all ${waves.number} waves!`);
+                    return;
+                }
+                waves.breakUntil = now + COOP.WAVE_BREAK;
+                this.broadcast({ type: 'wave_update', event: 'cleared', wave: this.getWaveState() });
+            }
+        }
+
+        waves.enemies.forEach(enemy => enemy.update(this, now, dt));
+        if (!this.waves) return; // Match ended
+        this.separateEnemies();
+        this.updateDowned(now, dt * 1000);
+
+        // Everyone down (players waiting to resume don't count either way)
+        const standing = Array.from(this.players.values()).some(player => player.isAlive);
+        if (this.players.size > 0 && !standing) {
+            this.endGame(`Overrun on wave ${waves.number}`);
+            return;
+        }
+
+        if (now - waves.lastSnapshot >= COOP.SNAPSHOT_INTERVAL) {
+            waves.lastSnapshot = now;
+            this.broadcast({
+                type: 'wave_snapshot',
+                serverTime: now,
+                enemies: Array.from(waves.enemies.values()).map(enemy => enemy.toSnapshot()),
+                downed: Array.from(this.players.values())
+                    .filter(player => player.isDowned)
+                    .map(player => ({
+                        playerId: player.id,
+                        progress: Math.min(1, player.reviveProgress / COOP.REVIVE_TIME),
+                        bleedOutIn: Math.max(0, player.downedAt + COOP.BLEED_OUT_TIME - now)
+                    }))
+            });
+        }
+    }
+
+    // Push overlapping enemies apart so a horde spreads out instead of stacking up
+    separateEnemies() {
+        const enemies = Array.from(this.waves.enemies.values());
+        for (let i = 0; i < enemies.length; i++) {
+            for (let j = i + 1; j < enemies.length; j++) {
+                const a = enemies[i].position;
+                const b = enemies[j].position;
+                const dx = b.x - a.x;
+                const dz = b.z - a.z;
+                const distance = Math.hypot(dx, dz);
+                if (distance >= COOP.SEPARATION || distance === 0) continue;
+
+                const push = (COOP.SEPARATION - distance) / 2 / distance;
+                enemies[i].move(this, -dx / distance, -dz / distance, push * distance);
+                enemies[j].move(this, dx / distance, dz / distance, push * distance);
+            }
+        }
+    }
+
+    /**
+     * A player's shot landing on an enemy
+     * @param {Player} attacker - Shooter
+     * @param {WaveEnemy} enemy - Enemy hit
+     * @param {number} damage - Damage dealt
+     * @param {boolean} isHeadshot - Whether it was a headshot
+     */
+    damageEnemy(attacker, enemy, damage, isHeadshot) {
+        if (!this.waves || !this.waves.enemies.has(enemy.id) || damage <= 0) return;
+
+        enemy.health -= damage;
+        this.broadcast({
+            type: 'enemy_damage',
+            enemyId: enemy.id,
+            attackerId: attacker.id,
+            damage,
+            health: Math.max(0, enemy.health),
+            isHeadshot
+        });
+        if (enemy.health > 0) return;
+
+        this.waves.enemies.delete(enemy.id);
+        attacker.kills++;
+        attacker.score += COOP.KILL_POINTS[enemy.type] || 10;
+        const stats = attacker.matchStats;
+        if (stats) {
+            stats.streak++;
+            stats.longestStreak = Math.max(stats.longestStreak, stats.streak);
+            stats.weaponKills[attacker.weapon] = (stats.weaponKills[attacker.weapon] || 0) + 1;
+            if (isHeadshot) stats.headshots++;
+        }
+
+        this.broadcast({
+            type: 'enemy_killed',
+            enemyId: enemy.id,
+            enemyType: enemy.type,
+            killerId: attacker.id,
+            killerName: attacker.name,
+            isHeadshot,
+            scores: this.getScores(),
+            wave: this.getWaveState()
+        });
+    }
+
+    /**
+     * An enemy's attack landing on a player
+     * @param {WaveEnemy} enemy - Attacker
+     * @param {Player} player - Player hit
+     * @param {number} damage - Damage dealt
+     */
+    damagePlayerFromEnemy(enemy, player, damage) {
+        if (!player.isAlive) return;
+        if (player.spawnProtectionUntil && Date.now() < player.spawnProtectionUntil) return;
+
+        player.health -= damage;
+        this.broadcast({
+            type: 'player_damage',
+            targetId: player.id,
+            attackerId: null,
+            enemyId: enemy.id,
+            sourcePosition: { x: enemy.position.x, y: enemy.position.y + 1, z: enemy.position.z },
+            damage,
+            health: Math.max(0, player.health),
+            isHeadshot: false
+        });
+        if (player.health <= 0) this.downPlayer(player, enemy);
+    }
+
+    // Instead of dying, co-op players go down until a teammate revives them or they bleed out
+    downPlayer(player, enemy) {
+        const now = Date.now();
+        player.health = 0;
+        player.isAlive = false;
+        player.isDowned = true;
+        player.downedAt = now;
+        player.reviveProgress = 0;
+        player.respawnTime = 0; // Back up by revive or at the next wave
+        player.deaths++;
+        if (player.matchStats) player.matchStats.streak = 0;
+
+        this.broadcast({
+            type: 'player_downed',
+            playerId: player.id,
+            playerName: player.name,
+            enemyType: enemy.type,
+            bleedOut: COOP.BLEED_OUT_TIME
+        });
+    }
+
+    /**
+     * Revive progress from standing teammates nearby, and bleeding out
+     * @param {number} now - Current time
+     * @param {number} dt - ms since the last update
+     */
+    updateDowned(now, dt) {
+        this.players.forEach(player => {
+            if (!player.isDowned) return;
+
+            const reviver = Array.from(this.players.values()).find(other =>
+                other.isAlive && horizontalDistance(other.position, player.position) <= COOP.REVIVE_RADIUS);
+            if (reviver) {
+                player.reviveProgress += dt;
+                if (player.reviveProgress >= COOP.REVIVE_TIME) this.revivePlayer(player, reviver);
+                return;
+            }
+
+            player.reviveProgress = 0; // Reviving has to be done in one go
+            if (now - player.downedAt >= COOP.BLEED_OUT_TIME) {
+                player.isDowned = false;
+                this.broadcast({ type: 'player_bled_out', playerId: player.id, playerName: player.name });
+            }
+        });
+    }
+
+    revivePlayer(player, reviver) {
+        player.isDowned = false;
+        player.isAlive = true;
+        player.health = COOP.REVIVE_HEALTH;
+        player.reviveProgress = 0;
+        player.spectateTargetId = null;
+        player.sentSpectateState = null;
+        player.spawnProtectionUntil = Date.now() + 2000;
+
+        this.broadcast({
+            type: 'player_revived',
+            playerId: player.id,
+            playerName: player.name,
+            reviverId: reviver.id,
+            reviverName: reviver.name,
+            health: player.health,
+            position: player.position
+        });
+    }
+
+    // === VOTE RESTART ===
+
+    // Strict majority of the players currently in the room
+    getRequiredVotes() {
+        return Math.floor(this.players.size / 2) + 1;
+    }
+
+    /**
+     * Register a player's restart vote, opening a new vote if none is running
+     * @param {string} playerId - Voting player
+     */
+    addRestartVote(playerId) {
+        if (!this.gameStarted || !this.players.has(playerId)) return;
+        if (this.restartVotes.has(playerId)) return;
+
+        if (this.restartVotes.size === 0) {
+            this.restartVoteExpires = Date.now() + CONFIG.VOTE_RESTART_TIMEOUT;
+            console.log(`Room ${this.id}: Restart vote started by ${this.players.get(playerId).name}`);
+        }
+        this.restartVotes.add(playerId);
+
+        this.checkRestartVote();
+    }
+
+    // Restart if the vote has passed, otherwise broadcast progress
+    checkRestartVote() {
+        if (this.restartVotes.size >= this.getRequiredVotes()) {
+            this.broadcastRestartVote('passed');
+            this.clearRestartVote();
+            this.restartMatch();
+        } else if (this.restartVotes.size > 0) {
+            this.broadcastRestartVote('open');
+        } else {
+            this.broadcastRestartVote('cancelled');
+            this.clearRestartVote();
+        }
+    }
+
+    clearRestartVote() {
+        this.restartVotes.clear();
+        this.restartVoteExpires = 0;
+    }
+
+    /**
+     * @param {string} status - 'open', 'passed', 'expired' or 'cancelled'
+     */
+    broadcastRestartVote(status) {
+        this.broadcast({
+            type: 'restart_vote',
+            status,
+            votes: this.restartVotes.size,
+            required: this.getRequiredVotes(),
+            voters: Array.from(this.restartVotes),
+            expiresIn: Math.max(0, this.restartVoteExpires - Date.now())
+        });
+    }
+
+    // Full match reset on the current map - scores, kill feed and spawns
+    restartMatch() {
+        console.log(`Room ${this.id}: Restart vote passed, restarting match`);
+
+        this.players.forEach(player => {
+            player.respawnTime = 0;
+        });
+        this.startGame();
+
+        // Put everyone back on a spawn point
+        this.players.forEach(player => {
+            this.handleRespawn(player.id);
+        });
+    }
+
+    startGame() {
+        this.gameStarted = true;
+        this.gameStartTime = Date.now();
+        this.killFeed = [];
+        this.teamScores = TEAMS.map(() => 0);
+        this.flags = GAME_MODES[this.mode].objective === 'flag' ? this.createFlags() : null;
+        this.hill = GAME_MODES[this.mode].objective === 'hill' ? this.createHill() : null;
+        this.waves = this.isCoop() ? this.createWaves() : null;
+
+        // Reset all players
+        this.players.forEach(player => {
+            player.kills = 0;
+            player.deaths = 0;
+            player.score = 0;
+            player.health = 100;
+            player.isAlive = true;
+            player.isDowned = false;
+            player.resetWeapon();
+            player.matchStats = createMatchStats();
+            this.placeAtSpawn(player);
+        });
+
+        this.startRecording();
+        this.broadcast({
+            type: 'game_start',
+            config: CONFIG,
+            map: this.mapName,
+            mode: this.mode,
+            players: this.getPlayersArray(),
+            teamScores: this.isTeamMode() ? this.teamScores : null,
+            flags: this.getFlagsState(),
+            hill: this.getHillState(),
+            wave: this.getWaveState()
+        });
+
+        console.log(`Room ${this.id}: ${this.mode} game started on ${this.mapName} with ${this.players.size} players`);
+    }
+
+    endGame(reason = 'Game Over') {
+        this.gameStarted = false;
+        this.clearRestartVote();
+        this.flags = null;
+        this.hill = null;
+        const wave = this.getWaveState();
+        const survived = !!this.waves?.survived;
+        this.waves = null;
+
+        // Find winner (objective points first in free-for-all objective modes)
+        const rank = this.usesPlayerScore() ? (p => p.score) : (p => p.kills);
+        let winner = null;
+        let best = -1;
+        this.players.forEach(player => {
+            if (rank(player) > best) {
+                best = rank(player);
+                winner = player;
+            }
+        });
+
+        // Team modes are won by the team with the higher score (null on a draw)
+        let winningTeam = null;
+        if (this.isTeamMode()) {
+            const [red, blue] = this.teamScores;
+            winningTeam = red === blue ? null : (red > blue ? 0 : 1);
+        }
+
+        // Results go on the profiles of everyone in the match, including players waiting to resume
+        const participants = [...this.players.values(), ...this.suspendedPlayers.values()];
+        const ratingChanges = this.getRatingChanges(participants, rank, winningTeam);
+        participants.forEach(player => {
+            let result = player === winner ? 'win' : 'loss';
+            if (wave) {
+                result = survived ? 'win' : 'loss'; // Co-op is won or lost together
+            } else if (this.isTeamMode()) {
+                result = winningTeam === null ? 'draw' : (player.team === winningTeam ? 'win' : 'loss');
+            }
+            this.recordMatchStats(player, result, ratingChanges.get(player.id));
+        });
+
+        const nextMap = this.rotateMap();
+
+        this.broadcast({
+            type: 'game_end',
+            reason,
+            mode: this.mode,
+            winner: winner ? winner.toJSON() : null,
+            winningTeam,
+            teamScores: this.isTeamMode() ? this.teamScores : null,
+            rankByScore: this.usesPlayerScore(),
+            wave,
+            players: this.getPlayersArray(),
+            nextMap
+        });
+        this.stopRecording();
+
+        console.log(`Room ${this.id}: Game ended - ${reason} (next map: ${nextMap})`);
+    }
+
+    handleKill(killerId, victimId, isHeadshot) {
+        const killer = this.players.get(killerId);
+        const victim = this.players.get(victimId);
+
+        if (!killer || !victim) return;
+
+        // Team kills (friendly fire) don't score
+        const isTeamKill = this.isTeamMode() && killer.team === victim.team;
+        if (!isTeamKill) {
+            killer.kills++;
+            if (GAME_MODES[this.mode].teamScore === 'kills') this.teamScores[killer.team]++;
+
+            const stats = killer.matchStats;
+            if (stats) {
+                stats.streak++;
+                stats.longestStreak = Math.max(stats.longestStreak, stats.streak);
+                stats.weaponKills[killer.weapon] = (stats.weaponKills[killer.weapon] || 0) + 1;
+                if (isHeadshot) stats.headshots++;
+            }
+        }
+        victim.deaths++;
+        if (victim.matchStats) victim.matchStats.streak = 0;
+        victim.health = 0;
+        victim.isAlive = false;
+        victim.respawnTime = Date.now() + CONFIG.RESPAWN_DELAY;
+        victim.spectateTargetId = killerId; // Replaced next tick if they may not watch the killer
+
+        // Carried flag falls where the carrier died
+        if (this.flags) this.dropCarriedFlag(victim, killer);
+
+        // Add to kill feed
+        const killInfo = {
+            killer: killer.name,
+            victim: victim.name,
+            isHeadshot,
+            timestamp: Date.now()
+        };
+        this.killFeed.push(killInfo);
+        if (this.killFeed.length > 10) this.killFeed.shift();
+
+        // Broadcast kill
+        this.broadcast({
+            type: 'player_killed',
+            killerId,
+            victimId,
+            killerName: killer.name,
+            victimName: victim.name,
+            isHeadshot,
+            isTeamKill,
+            scores: this.getScores(),
+            teamScores: this.isTeamMode() ? this.teamScores : null
+        });
+
+        // Check win condition
+        if (GAME_MODES[this.mode].teamScore === 'kills') {
+            if (!isTeamKill && this.teamScores[killer.team] >= this.limits.teamKills) {
+                this.endGame(`${TEAMS[killer.team].name} team wins!`);
+            }
+        } else if (!this.isTeamMode() && killer.kills >= this.limits.kills) {
+            this.endGame(`${killer.name} wins!`);
+        }
+    }
+
+    // === CAREER STATS ===
+
+    /**
+     * Add a player's finished (or abandoned) match to their profile
+     * @param {Player} player - Player whose match is over
+     * @param {string} result - 'win', 'loss' or 'draw'
+     * @param {number} ratingChange - Matchmaking rating won or lost
+     */
+    recordMatchStats(player, result, ratingChange = 0) {
+        if (!player.matchStats) return;
+
+        if (player.profileToken) {
+            statsStore.recordMatch(player.profileToken, {
+                result,
+                mode: this.mode,
+                map: this.mapName,
+                kills: player.kills,
+                deaths: player.deaths,
+                stats: player.matchStats,
+                ratingChange
+            });
+        }
+        player.matchStats = null;
+    }
+
+    /**
+     * Elo rating changes for a finished match. Free-for-all counts as a game against
+     * every other player, won by whoever ranked higher; teams play each other with
+     * their average rating.
+     * @param {Player[]} participants - Players in the match
+     * @param {Function} rank - Player -> ranking points in this mode
+     * @param {number|null} winningTeam - Team modes: winning team, null on a draw
+     * @returns {Map<string, number>} Player id -> rating change
+     */
+    getRatingChanges(participants, rank, winningTeam) {
+        const changes = new Map();
+        if (this.isCoop()) return changes; // Nobody to play against
+        const rated = participants.filter(player => player.matchStats && player.profileToken);
+        const ratings = new Map(rated.map(player => [player.id, statsStore.getRating(player.profileToken)]));
+        const expected = (rating, opponent) => 1 / (1 + Math.pow(10, (opponent - rating) / 400));
+
+        if (this.isTeamMode()) {
+            const teamRatings = TEAMS.map((team, index) => {
+                const members = rated.filter(player => player.team === index);
+                if (members.length === 0) return null;
+                return members.reduce((sum, player) => sum + ratings.get(player.id), 0) / members.length;
+            });
+            if (teamRatings.includes(null)) return changes; // Nobody rated to play against
+
+            rated.forEach(player => {
+                const score = winningTeam === null ? 0.5 : (player.team === winningTeam ? 1 : 0);
+                const opponent = teamRatings[1 - player.team];
+                const change = MATCHMAKING.K_FACTOR * (score - expected(teamRatings[player.team], opponent));
+                changes.set(player.id, Math.round(change));
+            });
+            return changes;
+        }
+
+        // Each pairing is worth a share of K, so bigger lobbies don't swing ratings harder
+        const k = MATCHMAKING.K_FACTOR / Math.max(1, rated.length - 1);
+        rated.forEach(player => {
+            let change = 0;
+            rated.forEach(opponent => {
+                if (opponent === player) return;
+                const score = rank(player) > rank(opponent) ? 1 : (rank(player) === rank(opponent) ? 0.5 : 0);
+                change += k * (score - expected(ratings.get(player.id), ratings.get(opponent.id)));
+            });
+            changes.set(player.id, Math.round(change));
+        });
+        return changes;
+    }
+
+    handleRespawn(playerId) {
+        const player = this.players.get(playerId);
+        if (!player) return;
+
+        player.isAlive = true;
+        player.isDowned = false;
+        player.health = 100;
+        player.resetWeapon();
+        player.spectateTargetId = null;
+        player.sentSpectateState = null;
+        player.spawnProtectionUntil = Date.now() + 2000; // 2 seconds of invulnerability
+
+        const spawn = this.placeAtSpawn(player);
+        console.log(`Player ${player.name} respawning at:`, spawn);
+
+        this.broadcast({
+            type: 'player_respawn',
+            playerId,
+            position: player.position,
+            health: player.health,
+            spawnProtection: 2000 // Tell client about protection duration
+        });
+    }
+
+    /**
+     * Move a player to a random spawn point from the room's layout (own half in team modes)
+     * and reset their movement
+     * @param {Player} player - Player to place
+     * @returns {Object} Spawn position
+     */
+    placeAtSpawn(player) {
+        const spawnPoints = this.getSpawnPoints(player.team);
+        const spawn = spawnPoints[Math.floor(Math.random() * spawnPoints.length)];
+        player.position = { ...spawn };
+        player.movement = createMovementBody();
+        player.netState = quantizePlayerState(player.position, player.rotation, player.state);
+        return spawn;
+    }
+
+    // === SPECTATING ===
+
+    addSpectator(spectator) {
+        spectator.isSpectator = true;
+        spectator.needsFullSnapshot = true;
+        this.spectators.set(spectator.id, spectator);
+        this.cycleSpectateTarget(spectator, 1);
+    }
+
+    removeSpectator(spectatorId) {
+        this.spectators.delete(spectatorId);
+    }
+
+    /**
+     * Whether a viewer may watch a player. Dead players in team modes only watch
+     * their own team, so spectating can't be used to scout the enemy.
+     * @param {Player} viewer - Spectator or dead player
+     * @param {Player} target - Player to watch
+     * @returns {boolean}
+     */
+    canSpectate(viewer, target) {
+        if (!target || target === viewer || !target.isAlive) return false;
+        if (viewer.isSpectator || !this.isTeamMode()) return true;
+        return target.team === viewer.team;
+    }
+
+    /**
+     * Move a viewer to the next (or previous) player they may watch
+     * @param {Player} viewer - Spectator or dead player
+     * @param {number} direction - 1 next, -1 previous
+     */
+    cycleSpectateTarget(viewer, direction) {
+        const candidates = Array.from(this.players.values()).filter(target => this.canSpectate(viewer, target));
+        if (candidates.length === 0) {
+            viewer.spectateTargetId = null;
+            return;
+        }
+
+        const index = candidates.findIndex(target => target.id === viewer.spectateTargetId);
+        const next = index === -1
+            ? (direction > 0 ? 0 : candidates.length - 1)
+            : (index + direction + candidates.length) % candidates.length;
+        viewer.spectateTargetId = candidates[next].id;
+    }
+
+    /**
+     * Send a viewer who they are watching and that player's health, weapon and ammo, if changed
+     * @param {Player} viewer - Spectator or dead player
+     */
+    sendSpectateState(viewer) {
+        const target = this.players.get(viewer.spectateTargetId);
+        if (target) target.updateReload(Date.now());
+        const message = target
+            ? { type: 'spectating', targetId: target.id, health: target.health, weapon: target.weapon, ammo: target.ammo }
+            : { type: 'spectating', targetId: null };
+        const data = JSON.stringify(message);
+        if (data === viewer.sentSpectateState || viewer.ws.readyState !== WebSocket.OPEN) return;
+
+        viewer.sentSpectateState = data;
+        viewer.ws.send(data);
+    }
+
+    // Runs every tick: keep everyone who is watching on a valid target and up to date
+    updateSpectators() {
+        const viewers = [...this.spectators.values()];
+        if (this.gameStarted) {
+            this.players.forEach(player => {
+                if (!player.isAlive) viewers.push(player);
+            });
+        }
+
+        viewers.forEach(viewer => {
+            if (!this.canSpectate(viewer, this.players.get(viewer.spectateTargetId))) {
+                this.cycleSpectateTarget(viewer, 1);
+            }
+            this.sendSpectateState(viewer);
+        });
+    }
+
+    // === REPLAYS ===
+
+    // Record the match that is starting, finishing any recording still open (restarts)
+    startRecording() {
+        this.stopRecording();
+        if (REPLAYS.ENABLED) this.recorder = new ReplayRecorder(this);
+    }
+
+    stopRecording() {
+        if (!this.recorder) return;
+        this.recorder.finish();
+        this.recorder = null;
+    }
+
+    // Runs every tick, whether or not a match is in progress
+    update() {
+        const now = Date.now();
+        if (this.gameStarted) this.updateMatch(now);
+        if (this.players.size > 0) this.broadcastSnapshot(now);
+        this.updateSpectators();
+    }
+
+    updateMatch(now) {
+        // Check respawns
+        this.players.forEach(player => {
+            if (!player.isAlive && player.respawnTime > 0 && now >= player.respawnTime) {
+                player.respawnTime = 0;
+                this.handleRespawn(player.id);
+            }
+        });
+
+        if (this.flags) this.updateFlags(now);
+        if (this.hill) this.updateHill(now);
+        if (this.waves) this.updateWaves(now);
+
+        // Expire stale restart votes
+        if (this.restartVoteExpires > 0 && now >= this.restartVoteExpires) {
+            this.broadcastRestartVote('expired');
+            this.clearRestartVote();
+        }
+
+        // Check time limit
+        if (this.gameStarted && !this.isCoop() && (now - this.gameStartTime) >= this.limits.time) {
+            this.endGame('Time limit reached');
+        }
+    }
+
+    /**
+     * Send one snapshot of player state changed since the last tick.
+     * Binary clients get a NetProtocol frame, JSON clients the same data as a 'snapshot' message.
+     * Players who just joined get every field of every player. Snapshots go out every tick,
+     * even with nothing changed, so clients can tell a quiet tick from a lost one.
+     * @param {number} now - Server timestamp for this tick
+     */
+    broadcastSnapshot(now) {
+        const changed = [];
+        const full = [];
+        this.players.forEach(player => {
+            if (!player.netState) return;
+            const mask = diffPlayerState(this.sentNetStates.get(player.id) || null, player.netState);
+            const entity = { netId: player.netId, quantized: player.netState };
+            full.push({ ...entity, mask: FIELDS.ALL });
+            if (mask) changed.push({ ...entity, mask });
+            this.sentNetStates.set(player.id, player.netState);
+        });
+        if (this.recorder) this.recorder.recordSnapshot(now, this.recorder.needsFullSnapshot ? full : changed);
+
+        this.snapshotTick++;
+        const frames = {}; // Encoded once per protocol and delta kind
+        const encode = (entities, protocol) => {
+            const key = `${protocol}:${entities === full ? 'full' : 'delta'}`;
+            if (!frames[key]) {
+                frames[key] = protocol === 'binary'
+                    ? encodeSnapshot(this.snapshotTick, now, entities)
+                    : JSON.stringify({
+                        type: 'snapshot',
+                        tick: this.snapshotTick,
+                        serverTime: now,
+                        players: toSnapshotJSON(entities)
+                    });
+            }
+            return frames[key];
+        };
+
+        this.getRecipients().forEach(player => {
+            const entities = player.needsFullSnapshot ? full : changed;
+            if (player.ws.readyState !== WebSocket.OPEN) return;
+            player.needsFullSnapshot = false;
+            player.ws.send(encode(entities, player.protocol));
+        });
+    }
+
+    broadcast(message, excludeId = null) {
+        if (this.recorder) this.recorder.record(message);
+        const data = JSON.stringify(message);
+        this.getRecipients().forEach(player => {
+            if (player.id !== excludeId && player.ws.readyState === WebSocket.OPEN) {
+                player.ws.send(data);
+            }
+        });
+    }
+
+    getPlayersArray() {
+        return Array.from(this.players.values()).map(p => p.toJSON());
+    }
+
+    getScores() {
+        return Array.from(this.players.values()).map(p => ({
+            id: p.id,
+            name: p.name,
+            kills: p.kills,
+            deaths: p.deaths,
+            color: p.color,
+            team: p.team,
+            score: this.usesPlayerScore() ? p.score : undefined
+        })).sort((a, b) => this.usesPlayerScore() ? b.score - a.score : b.kills - a.kills);
+    }
+}
+
+// Server class
+class GameServer {
+    constructor() {
+        this.rooms = new Map();
+        this.roomsByCode = new Map();
+        this.playerToRoom = new Map();
+        this.resumeTokens = new Map(); // Resume token -> player id (connected or suspended)
+        this.matchQueue = new Map(); // Player id -> { ws, name, message, mode, rating, queuedAt } waiting for matchmaking
+        this.isShuttingDown = false;
+
+        // Create HTTP server with health check endpoint
+        this.httpServer = createServer((req, res) => {
+            // Health check endpoint
+            if (req.url === '/health') {
+                const status = {
+                    status: 'ok',
+                    uptime: process.uptime(),
+                    rooms: this.rooms.size,
+                    players: Array.from(this.rooms.values())
+                        .reduce((sum, room) => sum + room.players.size, 0),
+                    connections: this.wss ? this.wss.clients.size : 0
+                };
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(status));
+                return;
+            }
+
+            // Replay list and downloads for the in-game replay browser
+            if (req.url === '/replays' || req.url.startsWith('/replays/')) {
+                this.handleReplayRequest(req, res);
+                return;
+            }
+
+            // Career stats for the menu's stats screen
+            if (req.url.startsWith('/stats/')) {
+                this.handleStatsRequest(req, res);
+                return;
+            }
+
+            // Moderation and room management
+            if (req.url === '/admin' || req.url.startsWith('/admin/')) {
+                this.handleAdminRequest(req, res);
+                return;
+            }
+
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            res.end('FPS Multiplayer Server Running');
+        });
+
+        // Create WebSocket server
+        this.wss = new WebSocketServer({ server: this.httpServer });
+
+        this.setupWebSocket();
+        this.startGameLoop();
+        this.setupGracefulShutdown();
+    }
+
+    /**
+     * GET /replays lists saved replays, GET /replays/<name> downloads one (still gzipped)
+     */
+    handleReplayRequest(req, res) {
+        // The game client is served from another origin
+        const headers = { 'Access-Control-Allow-Origin': '*' };
+
+        if (req.url === '/replays') {
+            res.writeHead(200, { ...headers, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(ReplayRecorder.list()));
+            return;
+        }
+
+        // Only well-formed replay names, which also rules out paths outside the replay directory
+        const name = req.url.slice('/replays/'.length);
+        if (!parseReplayFileName(name)) {
+            res.writeHead(404, headers);
+            res.end();
+            return;
+        }
+
+        const stream = createReadStream(join(REPLAYS.DIR, name));
+        stream.on('open', () => {
+            res.writeHead(200, { ...headers, 'Content-Type': 'application/octet-stream' });
+            stream.pipe(res);
+        });
+        stream.on('error', () => {
+            if (!res.headersSent) res.writeHead(404, headers);
+            res.end();
+        });
+    }
+
+    /**
+     * GET /stats/<name> returns the career stats of the player who last played under that name
+     */
+    handleStatsRequest(req, res) {
+        const headers = { 'Access-Control-Allow-Origin': '*', 'Content-Type': 'application/json' };
+
+        let name;
+        try {
+            name = decodeURIComponent(req.url.slice('/stats/'.length));
+        } catch (error) {
+            name = '';
+        }
+
+        const stats = STATS.ENABLED && name ? statsStore.getByName(name) : null;
+        if (!stats) {
+            res.writeHead(404, headers);
+            res.end(JSON.stringify({ error: 'No stats for that player' }));
+            return;
+        }
+
+        res.writeHead(200, headers);
+        res.end(JSON.stringify(stats));
+    }
+
+    // === ADMIN ===
+
+    /**
+     * Admin API. Every request needs "Authorization: Bearer <ADMIN_TOKEN>"; bodies are JSON.
+     *   GET    /admin/rooms                 Rooms with their players and spectators
+     *   GET    /admin/players               Everyone connected, queued players included
+     *   POST   /admin/kick                  { playerId, reason }
+     *   GET    /admin/bans                  Active bans
+     *   POST   /admin/bans                  { playerId or ip, reason, minutes } (no minutes = permanent)
+     *   DELETE /admin/bans/<id>
+     *   POST   /admin/rooms/<id>            { map, mode, maxPlayers, limits }
+     *   POST   /admin/rooms/<id>/end        { reason } ends the match in progress
+     *   POST   /admin/broadcast             { text, roomId } (no roomId = every room)
+     */
+    async handleAdminRequest(req, res) {
+        const send = (status, body) => {
+            const headers = { 'Content-Type': 'application/json' };
+            if (status === 413) headers.Connection = 'close'; // Don't read the rest of a refused body
+            res.writeHead(status, headers);
+            res.end(JSON.stringify(body));
+        };
+
+        // Without a token configured the API doesn't exist
+        if (!ADMIN.TOKEN) {
+            send(404, { error: 'Not found' });
+            return;
+        }
+        if (!this.isAdminAuthorized(req.headers.authorization)) {
+            send(401, { error: 'Unauthorized' });
+            return;
+        }
+
+        try {
+            const body = req.method === 'POST' ? await readJsonBody(req, ADMIN.MAX_BODY) : {};
+            send(200, this.runAdminRoute(req.method, req.url.split('?')[0], body));
+        } catch (error) {
+            if (!(error instanceof AdminError)) console.error('Admin request failed:', error);
+            send(error.status || 500, { error: error instanceof AdminError ? error.message : 'Internal error' });
+        }
+    }
+
+    /**
+     * @param {string|undefined} header - Authorization header
+     * @returns {boolean} True if it carries the admin token
+     */
+    isAdminAuthorized(header) {
+        const expected = Buffer.from(`Bearer ${ADMIN.TOKEN}`);
+        const given = Buffer.from(header || '');
+        return given.length === expected.length && timingSafeEqual(given, expected);
+    }
+
+    /**
+     * @param {string} method - HTTP method
+     * @param {string} path - URL path
+     * @param {Object} body - Parsed JSON body
+     * @returns {Object} Response body
+     * @throws {AdminError} Unknown route or invalid request
+     */
+    runAdminRoute(method, path, body) {
+        let parts;
+        try {
+            parts = path.split('/').filter(Boolean).slice(1).map(decodeURIComponent); // Drop 'admin'
+        } catch (error) {
+            throw new AdminError('Malformed path');
+        }
+        const route = `${method} ${parts[0] || ''}`;
+
+        if (route === 'GET rooms' && parts.length === 1) return this.getAdminRooms();
+        if (route === 'GET players') return this.getAdminPlayers();
+        if (route === 'POST kick') return this.adminKick(body.playerId, body.reason);
+        if (route === 'GET bans') return banList.list();
+        if (route === 'POST bans') return this.adminBan(body);
+        if (route === 'DELETE bans' && parts[1]) return this.adminUnban(parts[1]);
+        if (route === 'POST rooms' && parts[1] && !parts[2]) return this.adminUpdateRoom(parts[1], body);
+        if (route === 'POST rooms' && parts[2] === 'end') return this.adminEndMatch(parts[1], body.reason);
+        if (route === 'POST broadcast') return this.adminBroadcast(body.text, body.roomId);
+        throw new AdminError('Not found', 404);
+    }
+
+    /**
+     * @param {Player} player - Player or spectator
+     * @returns {Object} What admins see of a player
+     */
+    getAdminPlayerInfo(player) {
+        return {
+            id: player.id,
+            name: player.name,
+            ip: player.ws.ip,
+            isBot: player.isBot,
+            isSpectator: player.isSpectator,
+            team: player.team,
+            kills: player.kills,
+            deaths: player.deaths,
+            isAlive: player.isAlive,
+            suspicion: Math.round(player.suspicion * 10) / 10,
+            suspended: player.suspendedAt > 0
+        };
+    }
+
+    getAdminRooms() {
+        return Array.from(this.rooms.values()).map(room => ({
+            ...room.toSummary(true),
+            limits: room.limits,
+            botFill: room.botFill,
+            botSkill: room.botSkill,
+            players: [...room.players.values(), ...room.suspendedPlayers.values()]
+                .map(player => this.getAdminPlayerInfo(player)),
+            spectators: Array.from(room.spectators.values()).map(player => this.getAdminPlayerInfo(player))
+        }));
+    }
+
+    getAdminPlayers() {
+        const players = [];
+        this.rooms.forEach(room => {
+            [...room.players.values(), ...room.suspendedPlayers.values(), ...room.spectators.values()]
+                .forEach(player => players.push({ ...this.getAdminPlayerInfo(player), roomId: room.id }));
+        });
+        this.matchQueue.forEach((entry, playerId) => {
+            players.push({ id: playerId, name: entry.name, ip: entry.ws.ip, queued: entry.mode });
+        });
+        return players;
+    }
+
+    /**
+     * Connected (or queued) player, for kicks and bans
+     * @param {string} playerId - Player id
+     * @returns {Object} { name, ws, profileToken }
+     * @throws {AdminError} If there is no such player
+     */
+    findAdminTarget(playerId) {
+        const queued = this.matchQueue.get(playerId);
+        if (queued) return { name: queued.name, ws: queued.ws, profileToken: queued.message.profileToken };
+
+        const room = this.playerToRoom.get(playerId);
+        const player = room && (room.getMember(playerId) || room.suspendedPlayers.get(playerId));
+        if (!player) throw new AdminError(`No player ${playerId}`, 404);
+        return player;
+    }
+
+    adminKick(playerId, reason) {
+        const target = this.findAdminTarget(playerId);
+        this.kickPlayer(playerId, reason || 'Kicked by an admin');
+        return { kicked: playerId, name: target.name };
+    }
+
+    /**
+     * Ban a player (their address and profile) or an address, removing whoever uses it now
+     * @param {Object} request - { playerId or ip, reason, minutes }
+     * @returns {Object} The ban
+     */
+    adminBan({ playerId, ip, reason, minutes }) {
+        if (minutes !== undefined && !(typeof minutes === 'number' && minutes >= 0)) {
+            throw new AdminError('minutes must be a number (0 = permanent)');
+        }
+
+        let ban;
+        if (playerId) {
+            const target = this.findAdminTarget(playerId);
+            if (target.isBot) throw new AdminError('Bots can\'t be banned (lower the room\'s botFill instead)');
+            ban = banList.add({ ip: target.ws.ip, profileToken: target.profileToken, name: target.name, reason, minutes });
+        } else if (typeof ip === 'string' && ip) {
+            ban = banList.add({ ip, reason, minutes });
+        } else {
+            throw new AdminError('Give a playerId or an ip');
+        }
+
+        // Everyone on a banned address or profile goes, not just the named player
+        this.getAdminPlayers()
+            .filter(player => (ban.ip && player.ip === ban.ip) || player.id === playerId)
+            .forEach(player => this.kickPlayer(player.id, `Banned: ${ban.reason}`));
+
+        console.log(`Ban ${ban.id} added: ${ban.name || ban.ip} (${ban.reason})`);
+        return ban;
+    }
+
+    adminUnban(banId) {
+        if (!banList.remove(banId)) throw new AdminError(`No ban ${banId}`, 404);
+        console.log(`Ban ${banId} removed`);
+        return { removed: banId };
+    }
+
+    /**
+     * @param {string} roomId - Room id
+     * @returns {Room}
+     * @throws {AdminError} If there is no such room
+     */
+    findAdminRoom(roomId) {
+        const room = this.rooms.get(roomId);
+        if (!room) throw new AdminError(`No room ${roomId}`, 404);
+        return room;
+    }
+
+    adminUpdateRoom(roomId, settings) {
+        const room = this.findAdminRoom(roomId);
+        room.applySettings(settings);
+        return { ...room.toSummary(true), limits: room.limits, botFill: room.botFill, botSkill: room.botSkill };
+    }
+
+    adminEndMatch(roomId, reason) {
+        const room = this.findAdminRoom(roomId);
+        if (!room.gameStarted) throw new AdminError('No match in progress');
+        room.endGame(reason || 'Match ended by an admin');
+        return { ended: roomId };
+    }
+
+    /**
+     * Show a server message in players' chat
+     * @param {string} text - Message
+     * @param {string} roomId - Only this room (all rooms if missing)
+     */
+    adminBroadcast(text, roomId) {
+        const clean = typeof text === 'string' ? sanitizeName(text, BOUNDS.MAX_CHAT_LENGTH * 2) : null;
+        if (!clean) throw new AdminError('Give the message text');
+
+        const rooms = roomId ? [this.findAdminRoom(roomId)] : Array.from(this.rooms.values());
+        rooms.forEach(room => room.broadcast({ type: 'server_message', text: clean }));
+        console.log(`Server message to ${rooms.length} room(s): ${clean}`);
+        return { rooms: rooms.length };
+    }
+
+    /**
+     * Admin commands typed into the server's terminal, when it has one:
+     *   rooms | players | bans | kick <playerId> [reason] | ban <playerId|ip> [minutes] [reason]
+     *   unban <banId> | end <roomId> [reason] | say [#roomId] <text>
+     *   room <roomId> [map=X] [mode=X] [maxPlayers=N] [botFill=N] [botSkill=easy|normal|hard]
+     *        [kills=N teamKills=N captures=N hillScore=N time=ms]
+     */
+    setupAdminConsole() {
+        if (!process.stdin.isTTY) return;
+
+        // Not in terminal mode, so Ctrl+C still reaches the graceful shutdown
+        const input = createInterface({ input: process.stdin, terminal: false });
+        input.on('line', line => {
+            const [command, ...args] = line.trim().split(/\s+/);
+            if (!command) return;
+            try {
+                console.log(JSON.stringify(this.runAdminCommand(command, args), null, 2));
+            } catch (error) {
+                console.log(error instanceof AdminError ? `Error: ${error.message}` : error);
+            }
+        });
+    }
+
+    /**
+     * @param {string} command - Console command
+     * @param {string[]} args - Its arguments
+     * @returns {Object} Result to print
+     * @throws {AdminError} Unknown command or invalid request
+     */
+    runAdminCommand(command, args) {
+        const rest = (from) => args.slice(from).join(' ') || undefined;
+
+        switch (command) {
+            case 'rooms':
+                return this.getAdminRooms();
+            case 'players':
+                return this.getAdminPlayers();
+            case 'bans':
+                return banList.list();
+            case 'kick':
+                return this.adminKick(args[0], rest(1));
+            case 'ban': {
+                const target = args[0] || '';
+                const minutes = Number(args[1]);
+                const hasMinutes = args[1] !== undefined && !Number.isNaN(minutes);
+                return this.adminBan({
+                    [target.startsWith('p_') ? 'playerId' : 'ip']: target,
+                    minutes: hasMinutes ? minutes : undefined,
+                    reason: rest(hasMinutes ? 2 : 1)
+                });
+            }
+            case 'unban':
+                return this.adminUnban(args[0]);
+            case 'end':
+                return this.adminEndMatch(args[0], rest(1));
+            case 'say':
+                return args[0]?.startsWith('#')
+                    ? this.adminBroadcast(rest(1), args[0].slice(1))
+                    : this.adminBroadcast(rest(0));
+            case 'room': {
+                const settings = { limits: {} };
+                args.slice(1).forEach(arg => {
+                    const [key, value] = arg.split('=');
+                    if (key === 'map' || key === 'mode') settings[key] = value?.toUpperCase();
+                    else if (key === 'maxPlayers' || key === 'botFill') settings[key] = Number(value);
+                    else if (key === 'botSkill') settings.botSkill = value?.toLowerCase();
+                    else settings.limits[key] = Number(value);
+                });
+                return this.adminUpdateRoom(args[0], settings);
+            }
+            default:
+                throw new AdminError(`Unknown command ${command} (rooms, players, bans, kick, ban, unban, end, say, room)`);
+        }
+    }
+
+    /**
+     * Close a connection from a banned address or profile, telling the client why
+     * @param {WebSocket} ws - Connection
+     * @param {string|null} profileToken - Profile the client joins with
+     * @returns {boolean} True if the connection was banned
+     */
+    rejectIfBanned(ws, profileToken = null) {
+        const ban = banList.find(ws.ip, typeof profileToken === 'string' ? profileToken : null);
+        if (!ban) return false;
+
+        console.log(`Rejected banned connection from ${ws.ip} (ban ${ban.id})`);
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ type: 'kicked', reason: `Banned: ${ban.reason}` }));
+        }
+        ws.playerId = null; // Never joined; nothing to clean up on close
+        ws.close(1008, 'Banned');
+        return true;
+    }
+
+    /**
+     * Create a new room with a unique id and join code
+     * @param {Object} options - { name, map, isPrivate }
+     * @returns {Room|null} The room, or null if the room limit is reached
+     */
+    createRoom(options = {}) {
+        if (this.rooms.size >= CONFIG.MAX_ROOMS) return null;
+
+        const id = 'r_' + Math.random().toString(36).substr(2, 9);
+        const code = this.generateRoomCode();
+        const room = new Room(id, isValidMap(options.map) ? options.map : undefined, {
+            name: sanitizeName(options.name, BOUNDS.MAX_ROOM_NAME_LENGTH),
+            code,
+            isPrivate: options.isPrivate,
+            mode: options.mode,
+            friendlyFire: options.friendlyFire,
+            bots: options.bots
+        });
+
+        this.rooms.set(id, room);
+        this.roomsByCode.set(code, room);
+        console.log(`Room ${room.name} (${id}) created: ${room.mode} on ${room.mapName}${room.isPrivate ? ' [private]' : ''}`);
+        return room;
+    }
+
+    removeRoom(room) {
+        room.stopRecording();
+        this.rooms.delete(room.id);
+        this.roomsByCode.delete(room.code);
+        console.log(`Room ${room.name} (${room.id}) closed`);
+    }
+
+    generateRoomCode() {
+        let code;
+        do {
+            code = '';
+            for (let i = 0; i < CONFIG.ROOM_CODE_LENGTH; i++) {
+                code += ROOM_CODE_CHARS[Math.floor(Math.random() * ROOM_CODE_CHARS.length)];
+            }
+        } while (this.roomsByCode.has(code));
+        return code;
+    }
+
+    // Quick play: first public room with space, preferring matches in progress
+    findOpenRoom(mode = null) {
+        let best = null;
+        for (const room of this.rooms.values()) {
+            if (room.isPrivate || room.isFull()) continue;
+            if (mode && room.mode !== mode) continue;
+            if (!best || (room.gameStarted && !best.gameStarted)) {
+                best = room;
+            }
+        }
+        return best;
+    }
+
+    getRoomList() {
+        return Array.from(this.rooms.values())
+            .filter(room => !room.isPrivate)
+            .map(room => room.toSummary());
+    }
+
+    generatePlayerId() {
+        return 'p_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    setupWebSocket() {
+        this.wss.on('connection', (ws, req) => {
+            ws.ip = req.socket.remoteAddress || null;
+
+            // Banned addresses are turned away before they can join
+            if (this.rejectIfBanned(ws)) return;
+
+            // Connection limit check
+            if (this.wss.clients.size > MAX_CONNECTIONS) {
+                ws.close(1013, 'Server at capacity');
+                console.log('Connection rejected: server at capacity');
+                return;
+            }
+
+            // Reject new connections during shutdown
+            if (this.isShuttingDown) {
+                ws.close(1001, 'Server shutting down');
+                return;
+            }
+
+            const playerId = this.generatePlayerId();
+            console.log(`Player ${playerId} connected`);
+
+            // Resuming a session swaps in the old player id
+            ws.playerId = playerId;
+
+            ws.on('message', (data, isBinary) => {
+                try {
+                    // Binary frames are NetProtocol input batches, everything else is JSON
+                    const message = isBinary ? decodeMessage(data) : JSON.parse(data.toString());
+                    if (!message || !ws.playerId) return; // Kicked connections are ignored
+                    this.handleMessage(ws.playerId, ws, message);
+                } catch (e) {
+                    console.error('Invalid message:', e);
+                }
+            });
+
+            ws.on('close', (code) => {
+                // 1000 is a deliberate leave; anything else may come back with a resume token
+                if (ws.playerId) this.handleDisconnect(ws.playerId, code !== 1000);
+            });
+
+            ws.on('error', (error) => {
+                console.error(`Player ${ws.playerId} error:`, error);
+            });
+        });
+    }
+
+    handleMessage(playerId, ws, message) {
+        // Banned profiles are turned away when joining (banned addresses already were on connect)
+        const isJoining = RESUMABLE_JOINS.has(message.type) && !this.playerToRoom.has(playerId) && !this.matchQueue.has(playerId);
+        if (isJoining && this.rejectIfBanned(ws, message.profileToken)) return;
+
+        // Reconnecting clients get their old player back instead of a new one
+        if (message.resumeToken && RESUMABLE_JOINS.has(message.type) && this.handleResume(ws, message)) {
+            return;
+        }
+
+        switch (message.type) {
+            case 'join':
+                this.handleJoin(playerId, ws, message);
+                break;
+            case 'list_rooms':
+                ws.send(JSON.stringify({ type: 'room_list', rooms: this.getRoomList() }));
+                break;
+            case 'create_room':
+                this.handleCreateRoom(playerId, ws, message);
+                break;
+            case 'join_room':
+                this.handleJoinRoom(playerId, ws, message);
+                break;
+            case 'queue':
+                this.handleQueue(playerId, ws, message);
+                break;
+            case 'input':
+                this.handleInput(playerId, message);
+                break;
+            case 'shoot':
+                this.handleShoot(playerId, message);
+                break;
+            case 'weapon_change':
+                this.handleWeaponChange(playerId, message);
+                break;
+            case 'reload':
+                this.handleReload(playerId);
+                break;
+            case 'voteRestart':
+                this.handleVoteRestart(playerId);
+                break;
+            case 'chat':
+                this.handleChat(playerId, message);
+                break;
+            case 'chat_mute':
+                this.handleChatMute(playerId, message);
+                break;
+            case 'spectate':
+                this.handleSpectate(playerId, message);
+                break;
+            case 'ping':
+                // Pings keep idle players (no movement inputs) from timing out
+                this.touchPlayer(playerId);
+                ws.send(JSON.stringify({ type: 'pong', timestamp: message.timestamp }));
+                break;
+        }
+    }
+
+    /**
+     * Refresh a player's lastUpdate, so the idle timeout spares players who are connected but not moving
+     * @param {string} playerId - Player (or spectator) id
+     */
+    touchPlayer(playerId) {
+        const player = this.playerToRoom.get(playerId)?.getMember(playerId);
+        if (player) player.lastUpdate = Date.now();
+    }
+
+    // Quick play - join any open public room, creating one if needed
+    handleJoin(playerId, ws, message) {
+        if (this.playerToRoom.has(playerId)) return;
+
+        const mode = isValidMode(message.mode) ? message.mode : null;
+        const room = this.findOpenRoom(mode) || this.createRoom({ map: message.map, mode });
+        if (!room) {
+            this.sendJoinError(ws, 'No rooms available');
+            return;
+        }
+
+        this.addPlayerToRoom(playerId, ws, room, message);
+    }
+
+    handleCreateRoom(playerId, ws, message) {
+        if (this.playerToRoom.has(playerId)) return;
+
+        const room = this.createRoom({
+            name: message.roomName,
+            map: message.map,
+            isPrivate: !!message.isPrivate,
+            mode: message.mode,
+            friendlyFire: typeof message.friendlyFire === 'boolean' ? message.friendlyFire : undefined
+        });
+        if (!room) {
+            this.sendJoinError(ws, 'Server room limit reached');
+            return;
+        }
+
+        this.addPlayerToRoom(playerId, ws, room, message);
+    }
+
+    // Join a specific room, by id from the browser or by join code
+    handleJoinRoom(playerId, ws, message) {
+        if (this.playerToRoom.has(playerId)) return;
+
+        let room = null;
+        if (typeof message.code === 'string') {
+            room = this.roomsByCode.get(message.code.trim().toUpperCase());
+        } else if (typeof message.roomId === 'string') {
+            room = this.rooms.get(message.roomId);
+            // Private rooms can only be entered with their code
+            if (room && room.isPrivate) room = null;
+        }
+
+        if (!room) {
+            this.sendJoinError(ws, 'Room not found');
+            return;
+        }
+        if (message.spectate) {
+            if (room.spectators.size >= CONFIG.MAX_SPECTATORS_PER_ROOM) {
+                this.sendJoinError(ws, 'No spectator slots left');
+                return;
+            }
+            this.addSpectatorToRoom(playerId, ws, room, message);
+            return;
+        }
+        if (room.isFull()) {
+            this.sendJoinError(ws, 'Room is full');
+            return;
+        }
+
+        this.addPlayerToRoom(playerId, ws, room, message);
+    }
+
+    sendJoinError(ws, reason) {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ type: 'join_error', reason }));
+        }
+    }
+
+    // === MATCHMAKING ===
+
+    /**
+     * Wait for a room with players of similar rating. The player is placed
+     * (and gets 'joined') once processMatchQueue() finds them a group.
+     */
+    handleQueue(playerId, ws, message) {
+        if (this.playerToRoom.has(playerId) || this.matchQueue.has(playerId)) return;
+
+        // Claim the profile now, so first-time players queue with a rating too
+        const name = sanitizeName(message.name) || 'Player';
+        const profileToken = STATS.ENABLED ? statsStore.claim(message.profileToken, name) : null;
+        const entry = {
+            ws,
+            name,
+            message: { ...message, profileToken },
+            mode: isValidMode(message.mode) ? message.mode : 'FFA',
+            rating: statsStore.getRating(profileToken),
+            queuedAt: Date.now()
+        };
+        this.matchQueue.set(playerId, entry);
+        this.sendQueueStatus(entry, Date.now());
+
+        console.log(`Player ${playerId} queued for ${entry.mode} (rating ${entry.rating})`);
+    }
+
+    /**
+     * Rating difference a queued player accepts, widening the longer they wait
+     * @param {Object} entry - Queue entry
+     * @param {number} now - Current time
+     * @returns {number}
+     */
+    getQueueWindow(entry, now) {
+        const waited = (now - entry.queuedAt) / 1000;
+        return Math.min(MATCHMAKING.BASE_WINDOW + waited * MATCHMAKING.WINDOW_GROWTH, MATCHMAKING.MAX_WINDOW);
+    }
+
+    /**
+     * Group queued players into new rooms. The longest waiter in each mode picks the
+     * players closest to their rating, within their window; a group starts when it is
+     * full, or big enough once they have waited MATCHMAKING.FILL_WAIT.
+     * @param {number} now - Current time
+     */
+    processMatchQueue(now) {
+        const waiting = Array.from(this.matchQueue.entries())
+            .map(([playerId, entry]) => ({ playerId, ...entry }))
+            .sort((a, b) => a.queuedAt - b.queuedAt);
+        const matched = new Set();
+
+        waiting.forEach(anchor => {
+            if (matched.has(anchor.playerId)) return;
+
+            const window = this.getQueueWindow(anchor, now);
+            const group = waiting
+                .filter(entry => !matched.has(entry.playerId) && entry.mode === anchor.mode &&
+                    Math.abs(entry.rating - anchor.rating) <= window)
+                .sort((a, b) => Math.abs(a.rating - anchor.rating) - Math.abs(b.rating - anchor.rating))
+                .slice(0, MATCHMAKING.MATCH_SIZE);
+
+            const isReady = group.length >= MATCHMAKING.MATCH_SIZE ||
+                (group.length >= MATCHMAKING.MIN_MATCH_SIZE && now - anchor.queuedAt >= MATCHMAKING.FILL_WAIT);
+            if (isReady && this.startMatchmadeRoom(anchor, group)) {
+                group.forEach(entry => matched.add(entry.playerId));
+            }
+        });
+
+        this.matchQueue.forEach(entry => this.sendQueueStatus(entry, now));
+    }
+
+    /**
+     * Put a matched group into a new private room
+     * @param {Object} anchor - Longest waiter, whose map preference is used
+     * @param {Object[]} group - Queue entries with playerId, anchor included
+     * @returns {boolean} False if no room could be created (they stay queued)
+     */
+    startMatchmadeRoom(anchor, group) {
+        // Private and without bots, so quick play and the room browser don't fill it with unrated players
+        const room = this.createRoom({
+            name: `Ranked ${anchor.mode}`,
+            map: anchor.message.map,
+            mode: anchor.mode,
+            isPrivate: true,
+            bots: false
+        });
+        if (!room) return false;
+
+        const ratings = group.map(entry => entry.rating).join(', ');
+        console.log(`Matchmaking: ${group.length} players (${ratings}) into room ${room.name} (${room.id})`);
+
+        group.forEach(entry => {
+            this.matchQueue.delete(entry.playerId);
+            this.addPlayerToRoom(entry.playerId, entry.ws, room, entry.message);
+        });
+        return true;
+    }
+
+    /**
+     * @param {Object} entry - Queue entry
+     * @param {number} now - Current time
+     */
+    sendQueueStatus(entry, now) {
+        if (entry.ws.readyState !== WebSocket.OPEN) return;
+
+        let waiting = 0;
+        this.matchQueue.forEach(other => {
+            if (other.mode === entry.mode) waiting++;
+        });
+        entry.ws.send(JSON.stringify({
+            type: 'queue_status',
+            mode: entry.mode,
+            rating: entry.rating,
+            window: Math.round(this.getQueueWindow(entry, now)),
+            waiting,
+            waitTime: now - entry.queuedAt
+        }));
+    }
+
+    addPlayerToRoom(playerId, ws, room, message) {
+        const player = new Player(playerId, ws, message.name);
+        player.protocol = message.protocol === 'binary' ? 'binary' : 'json';
+        if (STATS.ENABLED) player.profileToken = statsStore.claim(message.profileToken, player.name);
+
+        // First player into an idle room picks the map
+        if (room.players.size === 0 && !room.gameStarted && isValidMap(message.map)) {
+            room.setMap(message.map);
+        }
+
+        room.addPlayer(player);
+        this.playerToRoom.set(playerId, room);
+        this.resumeTokens.set(player.resumeToken, playerId);
+
+        // Send join confirmation
+        this.sendJoined(ws, room, player);
+
+        // Notify others
+        room.broadcast({
+            type: 'player_joined',
+            player: player.toJSON()
+        }, playerId);
+
+        console.log(`Player ${player.name} (${playerId}) joined room ${room.name} (${room.id})`);
+
+        // A bot makes way (only after the join, so a running match keeps enough players)
+        this.balanceBots(room, Date.now());
+    }
+
+    // Spectators get every broadcast and snapshot but never appear to players.
+    // They can't resume a session; reconnecting simply spectates again.
+    addSpectatorToRoom(playerId, ws, room, message) {
+        const spectator = new Player(playerId, ws, message.name);
+        spectator.protocol = message.protocol === 'binary' ? 'binary' : 'json';
+
+        room.addSpectator(spectator);
+        this.playerToRoom.set(playerId, room);
+        this.sendJoined(ws, room, spectator);
+        room.sendSpectateState(spectator);
+
+        console.log(`Spectator ${spectator.name} (${playerId}) joined room ${room.name} (${room.id})`);
+    }
+
+    /**
+     * @param {WebSocket} ws - Player's connection
+     * @param {Room} room - Room they are in
+     * @param {Player} player - Joined player
+     * @param {boolean} resumed - True if an existing session was resumed
+     */
+    sendJoined(ws, room, player, resumed = false) {
+        ws.send(JSON.stringify({
+            type: 'joined',
+            playerId: player.id,
+            resumeToken: player.resumeToken,
+            profileToken: player.profileToken,
+            resumed,
+            spectator: player.isSpectator,
+            players: room.getPlayersArray(),
+            gameStarted: room.gameStarted,
+            map: room.mapName,
+            room: room.toSummary(true),
+            teamScores: room.isTeamMode() ? room.teamScores : null,
+            flags: room.getFlagsState(),
+            hill: room.getHillState(),
+            wave: room.getWaveState(),
+            protocol: player.protocol,
+            config: CONFIG
+        }));
+    }
+
+    /**
+     * Reattach a reconnecting client to the player its resume token belongs to
+     * @param {WebSocket} ws - New connection
+     * @param {Object} message - join, join_room or create_room message with resumeToken
+     * @returns {boolean} True if resumed; false falls back to a normal join
+     */
+    handleResume(ws, message) {
+        if (typeof message.resumeToken !== 'string' || this.playerToRoom.has(ws.playerId)) return false;
+
+        const playerId = this.resumeTokens.get(message.resumeToken);
+        const room = playerId && this.playerToRoom.get(playerId);
+        if (!room) return false;
+
+        let player = room.resumePlayer(playerId, ws);
+        const wasSuspended = !!player;
+        if (!player) {
+            // Old connection still looks open to us: take it over
+            player = room.players.get(playerId);
+            if (!player) return false;
+            const oldWs = player.ws;
+            oldWs.playerId = null;
+            oldWs.close(1000, 'Session resumed elsewhere');
+            player.ws = ws;
+            player.lastUpdate = Date.now();
+            player.needsFullSnapshot = true;
+        }
+
+        ws.playerId = playerId;
+        player.protocol = message.protocol === 'binary' ? 'binary' : 'json';
+        this.sendJoined(ws, room, player, true);
+
+        // Others saw them leave when the connection dropped
+        if (wasSuspended) {
+            room.broadcast({ type: 'player_joined', player: player.toJSON() }, playerId);
+        }
+
+        console.log(`Player ${player.name} (${playerId}) resumed in room ${room.name} (${room.id})`);
+        return true;
     }
 
-    createRoom(id) {
-        const room = new Room(id);
-        this.rooms.set(id, room);
-        return room;
+    // Final cleanup once a player is gone for good
+    forgetPlayer(playerId, room, player) {
+        this.playerToRoom.delete(playerId);
+        if (player) this.resumeTokens.delete(player.resumeToken);
+        this.balanceBots(room, Date.now()); // Bots only stay while people do
+
+        // Close rooms once the last player leaves
+        if (room.isEmpty()) {
+            this.removeRoom(room);
+        }
     }
 
-    generatePlayerId() {
-        return 'p_' + Math.random().toString(36).substr(2, 9);
+    expireSuspendedPlayers(now) {
+        this.rooms.forEach(room => {
+            room.getExpiredSuspensions(now).forEach(playerId => {
+                const player = room.suspendedPlayers.get(playerId);
+                room.suspendedPlayers.delete(playerId);
+                room.recordMatchStats(player, 'loss');
+                room.removePlayer(playerId);
+                console.log(`Player ${player.name} (${playerId}) did not resume in time`);
+                this.forgetPlayer(playerId, room, player);
+            });
+        });
     }
 
-    setupWebSocket() {
-        this.wss.on('connection', (ws) => {
-            // Connection limit check
-            if (this.wss.clients.size > MAX_CONNECTIONS) {
-                ws.close(1013, 'Server at capacity');
-                console.log('Connection rejected: server at capacity');
+    /**
+     * Simulate a batch of movement inputs with the shared movement rules and
+     * acknowledge the last one with the resulting state, so the client can
+     * correct its prediction. Movement time is limited to real time (plus
+     * CONFIG.MAX_INPUT_LEAD), so clients can't speed up by inflating dt.
+     * @param {string} playerId - Sender
+     * @param {Object} message - { inputs: [{ seq, dt, flags, yaw }], pitch, state }
+     */
+    handleInput(playerId, message) {
+        const room = this.playerToRoom.get(playerId);
+        if (!room) return;
+
+        const player = room.players.get(playerId);
+        if (!player) return;
+
+        // Rate limiting
+        if (!player.checkRateLimit('input')) return;
+
+        if (!Array.isArray(message.inputs) || message.inputs.length > MAX_INPUTS_PER_MESSAGE) return;
+        if (!isValidNumber(message.pitch)) return;
+
+        const now = Date.now();
+        player.lastUpdate = now;
+        if (player.lastInputTime > 0) {
+            const maxLead = CONFIG.MAX_INPUT_LEAD / 1000;
+            player.inputBudget = Math.min(maxLead, player.inputBudget + (now - player.lastInputTime) / 1000);
+        }
+        player.lastInputTime = now;
+
+        let sprinting = false;
+        let yaw = player.rotation.y;
+        const violations = new Map(); // Type -> detail, first of each type in this batch
+        message.inputs.forEach(input => {
+            if (!input || !Number.isInteger(input.seq) || input.seq <= player.lastInputSeq) return;
+            if (!isValidNumber(input.dt) || input.dt < 0 || !isValidNumber(input.yaw)) return;
+            if (!Number.isInteger(input.flags) || input.flags < 0) return;
+
+            // Inputs sent while dead are acknowledged but not simulated
+            player.lastInputSeq = input.seq;
+            if (!player.isAlive) return;
+
+            // Honest clients never send longer frames than the simulation step
+            if (input.dt > MOVEMENT.MAX_STEP) {
+                if (!violations.has('timing')) violations.set('timing', `frame time ${input.dt.toFixed(3)}s`);
                 return;
             }
 
-            // Reject new connections during shutdown
-            if (this.isShuttingDown) {
-                ws.close(1001, 'Server shutting down');
+            // Out of movement time: drop the input, the ack corrects the client
+            if (input.dt > player.inputBudget) {
+                if (!violations.has('timing')) violations.set('timing', 'inputs ahead of real time');
                 return;
             }
+            player.inputBudget -= input.dt;
 
-            const playerId = this.generatePlayerId();
-            console.log(`Player ${playerId} connected`);
+            const from = { ...player.position };
+            const result = simulateMovement(player.movement, player.position, input, room.collisionWorld);
+            const violation = this.checkMovementStep(room, from, player.position, input.dt);
+            if (violation) {
+                // Rubber-band: undo the step and stop the player
+                player.position = from;
+                player.movement.velocityX = 0;
+                player.movement.velocityY = 0;
+                player.movement.velocityZ = 0;
+                if (!violations.has(violation.type)) violations.set(violation.type, violation.detail);
+                return;
+            }
+            sprinting = result.moving && !!(input.flags & INPUT_FLAGS.SPRINT);
+            yaw = input.yaw;
+        });
 
-            ws.on('message', (data) => {
-                try {
-                    const message = JSON.parse(data.toString());
-                    this.handleMessage(playerId, ws, message);
-                } catch (e) {
-                    console.error('Invalid message:', e);
-                }
-            });
+        if (player.isAlive) {
+            player.rotation = { x: Math.max(-1.5, Math.min(1.5, message.pitch)), y: yaw };
+            const state = message.state || {};
+            player.state = {
+                isCrouching: player.movement.isCrouching,
+                peekState: Math.sign(state.peekState) || 0,
+                isAiming: !!state.isAiming,
+                isSprinting: sprinting,
+                isReloading: !!state.isReloading,
+                weapon: state.weapon
+            };
 
-            ws.on('close', () => {
-                this.handleDisconnect(playerId);
-            });
+            // Record position for lag compensation
+            player.recordPosition();
 
-            ws.on('error', (error) => {
-                console.error(`Player ${playerId} error:`, error);
-            });
-        });
-    }
+            // Sent to others in the next tick's snapshot
+            player.netState = quantizePlayerState(player.position, player.rotation, player.state);
+        }
 
-    handleMessage(playerId, ws, message) {
-        switch (message.type) {
-            case 'join':
-                this.handleJoin(playerId, ws, message);
-                break;
-            case 'position':
-                this.handlePosition(playerId, message);
-                break;
-            case 'shoot':
-                this.handleShoot(playerId, message);
-                break;
-            case 'hit':
-                this.handleHit(playerId, message);
-                break;
-            case 'weapon_change':
-                this.handleWeaponChange(playerId, message);
-                break;
-            case 'ping':
-                ws.send(JSON.stringify({ type: 'pong', timestamp: message.timestamp }));
-                break;
+        if (violations.size > 0) {
+            // Sent before the ack that carries the corrected position
+            const reasons = Array.from(violations.keys());
+            if (player.ws.readyState === WebSocket.OPEN) {
+                player.ws.send(JSON.stringify({ type: 'movement_correction', reasons }));
+            }
+            violations.forEach((detail, type) => this.addViolation(player, type, detail));
         }
+
+        // Kicked players have nothing left to acknowledge
+        if (this.playerToRoom.get(playerId) === room) this.sendInputAck(player);
     }
 
-    handleJoin(playerId, ws, message) {
-        const player = new Player(playerId, ws, message.name);
-        const room = this.defaultRoom;
+    // === MOVEMENT ANTI-CHEAT ===
 
-        room.addPlayer(player);
-        this.playerToRoom.set(playerId, room);
+    /**
+     * Check one simulated movement step against the movement rules
+     * @param {Room} room - Room the player is in
+     * @param {Object} from - Position before the step
+     * @param {Object} to - Position after the step
+     * @param {number} dt - Step duration (s)
+     * @returns {Object|null} { type, detail } if the step is impossible
+     */
+    checkMovementStep(room, from, to, dt) {
+        const horizontal = Math.hypot(to.x - from.x, to.z - from.z);
+        const maxHorizontal = PLAYER.SPRINT_SPEED * ANTI_CHEAT.SPEED_TOLERANCE * dt + ANTI_CHEAT.STEP_SLACK;
+        if (horizontal > maxHorizontal) {
+            return { type: 'speed', detail: `${(horizontal / dt).toFixed(1)} m/s horizontal` };
+        }
 
-        // Send join confirmation
-        ws.send(JSON.stringify({
-            type: 'joined',
-            playerId,
-            players: room.getPlayersArray(),
-            gameStarted: room.gameStarted,
-            config: CONFIG
-        }));
+        // Jumping, standing up from a crouch and stepping onto low ledges are the only ways up
+        const rise = to.y - from.y;
+        const maxRise = (PLAYER.JUMP_FORCE + MOVEMENT.CROUCH_RATE) * dt + ANTI_CHEAT.MAX_STEP_UP + ANTI_CHEAT.STEP_SLACK;
+        if (rise > maxRise) {
+            return { type: 'speed', detail: `rose ${rise.toFixed(2)} m in one step` };
+        }
 
-        // Notify others
-        room.broadcast({
-            type: 'player_joined',
-            player: player.toJSON()
-        }, playerId);
+        if (room.collisionWorld.findColliderOnPath(from, to, ANTI_CHEAT.WALL_INSET)) {
+            return { type: 'noclip', detail: `through a collider at (${to.x.toFixed(1)}, ${to.y.toFixed(1)}, ${to.z.toFixed(1)})` };
+        }
+        return null;
+    }
+
+    /**
+     * Record a movement or weapon violation and kick the player once suspicion is too high
+     * @param {Player} player - Offending player
+     * @param {string} type - Key of ANTI_CHEAT.VIOLATIONS
+     * @param {string} detail - Human-readable detail for the log
+     */
+    addViolation(player, type, detail) {
+        const now = Date.now();
+        const decay = ((now - player.suspicionUpdated) / 1000) * ANTI_CHEAT.SUSPICION_DECAY;
+        player.suspicion = Math.max(0, player.suspicion - decay) + ANTI_CHEAT.VIOLATIONS[type];
+        player.suspicionUpdated = now;
+        player.violationCounts[type] = (player.violationCounts[type] || 0) + 1;
+        console.log(`Anti-cheat: ${player.name} (${player.id}) ${type}: ${detail} (suspicion ${player.suspicion.toFixed(1)})`);
 
-        console.log(`Player ${player.name} (${playerId}) joined room ${room.id}`);
+        if (player.suspicion >= ANTI_CHEAT.KICK_SUSPICION) {
+            const counts = Object.entries(player.violationCounts)
+                .map(([violation, count]) => `${violation} x${count}`)
+                .join(', ');
+            this.kickPlayer(player.id, `Cheating detected (${counts})`);
+        }
     }
 
-    handlePosition(playerId, message) {
+    /**
+     * Remove a player from the server without a resume grace period
+     * @param {string} playerId - Player to kick
+     * @param {string} reason - Shown to the player and logged
+     */
+    kickPlayer(playerId, reason) {
         const room = this.playerToRoom.get(playerId);
-        if (!room) return;
+        const player = room?.getMember(playerId) || this.matchQueue.get(playerId);
+        if (!player) return;
 
-        const player = room.players.get(playerId);
-        if (!player || !player.isAlive) return;
+        console.log(`Kicked ${player.name} (${playerId}): ${reason}`);
+        const ws = player.ws;
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ type: 'kicked', reason }));
+        }
+        this.handleDisconnect(playerId, false);
+        ws.playerId = null; // Already handled, ignore the close event
+        ws.close(1008, 'Kicked');
+    }
 
-        // Rate limiting
-        if (!player.checkRateLimit('position')) return;
+    // === BOTS ===
 
-        // Validate position
-        if (!isValidPosition(message.position)) return;
-        if (!isValidRotation(message.rotation)) return;
+    /**
+     * Top a room up with bots while people are in it, or send bots away to make room.
+     * Bots join only after the room has been short for BOTS.JOIN_DELAY, so friends
+     * joining one after another aren't beaten to the slots.
+     * @param {Room} room - Room to balance
+     * @param {number} now - Current time
+     */
+    balanceBots(room, now) {
+        const wanted = room.getWantedBotCount();
+        const bots = room.getBots();
+        if (bots.length >= wanted) {
+            bots.slice(wanted).reverse().forEach(bot => this.removeBot(room, bot)); // Newest leave first
+            room.botsNeededSince = 0;
+            return;
+        }
 
-        player.position = message.position;
-        player.rotation = message.rotation;
-        player.state = message.state || {}; // Store player state
-        player.lastUpdate = Date.now();
+        if (!room.botsNeededSince) room.botsNeededSince = now;
+        if (now - room.botsNeededSince < BOTS.JOIN_DELAY) return;
+        for (let i = bots.length; i < wanted; i++) this.addBot(room);
+        room.botsNeededSince = 0;
+    }
 
-        // Record position for lag compensation
-        player.recordPosition();
+    addBot(room) {
+        const taken = new Set(Array.from(room.players.values(), player => player.name));
+        const names = BOTS.NAMES.map(name => `BOT ${name}`).filter(name => !taken.has(name));
+        const name = names.length > 0 ? names[Math.floor(Math.random() * names.length)] : `BOT ${room.nextNetId}`;
+        const bot = new Bot(this.generatePlayerId(), name, room.botSkill);
 
-        // Broadcast to others including state
-        room.broadcast({
-            type: 'player_position',
-            playerId,
+        room.addPlayer(bot);
+        this.playerToRoom.set(bot.id, room);
+        room.broadcast({ type: 'player_joined', player: bot.toJSON() }, bot.id);
+        console.log(`Bot ${bot.name} (${bot.id}) joined room ${room.name} (${room.id})`);
+    }
+
+    removeBot(room, bot) {
+        room.broadcast({ type: 'player_left', playerId: bot.id, playerName: bot.name });
+        room.removePlayer(bot.id);
+        this.playerToRoom.delete(bot.id);
+        console.log(`Bot ${bot.name} (${bot.id}) left room ${room.name} (${room.id})`);
+    }
+
+    // Runs every tick before the room update: bots move and shoot like clients would
+    updateBots(room, now) {
+        this.balanceBots(room, now);
+        room.getBots().forEach(bot => {
+            const shot = bot.update(room, now);
+            if (shot) this.handleShoot(bot.id, shot);
+        });
+    }
+
+    // Tell a player which input we simulated last and where it left them
+    sendInputAck(player) {
+        if (player.ws.readyState !== WebSocket.OPEN) return;
+        if (player.protocol === 'binary') {
+            player.ws.send(encodeInputAck(player.lastInputSeq, player.position, player.movement));
+            return;
+        }
+        const body = player.movement;
+        player.ws.send(JSON.stringify({
+            type: 'input_ack',
+            seq: player.lastInputSeq,
             position: player.position,
-            rotation: player.rotation,
-            state: player.state
-        }, playerId);
+            velocity: { x: body.velocityX, y: body.velocityY, z: body.velocityZ },
+            isOnGround: body.isOnGround,
+            playerHeight: body.playerHeight
+        }));
     }
 
     handleShoot(playerId, message) {
@@ -539,135 +4525,197 @@ class GameServer {
         const player = room.players.get(playerId);
         if (!player || !player.isAlive) return;
 
-        // Rate limiting
+        // Flood protection; the fire rate itself is checked by fireShot below
         if (!player.checkRateLimit('shoot')) return;
 
+        // Shots carry the weapon in hand; a switch we missed counts as one
+        const now = Date.now();
+        if (isValidWeapon(message.weapon)) {
+            player.switchWeapon(message.weapon, now);
+        }
+
+        // Magazine, reload and fire rate are enforced here, whatever the client thinks
+        const violation = player.fireShot(now);
+        if (violation) {
+            this.sendAmmoCorrection(player, violation);
+            this.addViolation(player, violation, `${player.weapon} shot refused`);
+            return;
+        }
+        if (Number.isInteger(message.ammo) && message.ammo !== player.ammo) {
+            this.sendAmmoCorrection(player, 'desync');
+        }
+
         // Broadcast shoot to others with bullet trajectory data
         room.broadcast({
             type: 'player_shoot',
             playerId,
-            weapon: message.weapon,
+            weapon: player.weapon,
             position: player.position,
             origin: message.origin,  // Bullet start position (muzzle)
             target: message.target   // Bullet end position (hit point or max range)
         }, playerId);
+
+        if (room.gameStarted) {
+            this.resolveShot(room, player, message);
+        }
     }
 
-    handleHit(playerId, message) {
+    handleReload(playerId) {
         const room = this.playerToRoom.get(playerId);
-        if (!room || !room.gameStarted) return;
-
-        const attacker = room.players.get(playerId);
-        const victim = room.players.get(message.targetId);
+        if (!room) return;
 
-        if (!attacker || !victim || !victim.isAlive) return;
+        const player = room.players.get(playerId);
+        if (!player || !player.isAlive) return;
 
-        // Rate limiting
-        if (!attacker.checkRateLimit('hit')) return;
+        if (!player.checkRateLimit('reload')) return;
+        player.startReload(Date.now());
+    }
 
-        // Validate damage
-        const damage = Number(message.damage);
-        if (!isValidNumber(damage) || damage < 0 || damage > BOUNDS.MAX_DAMAGE) return;
+    /**
+     * Tell a client the magazine count the server keeps, after it refused a shot or the counts drifted apart
+     * @param {Player} player - Shooter
+     * @param {string} reason - Violation type or 'desync'
+     */
+    sendAmmoCorrection(player, reason) {
+        if (player.ws.readyState !== WebSocket.OPEN) return;
+        player.ws.send(JSON.stringify({
+            type: 'ammo_correction',
+            weapon: player.weapon,
+            ammo: player.ammo,
+            isReloading: player.reloadingUntil > 0,
+            reason
+        }));
+    }
 
-        // Check spawn protection
-        if (victim.spawnProtectionUntil && Date.now() < victim.spawnProtectionUntil) {
-            return; // Silently ignore (no console spam)
-        }
+    /**
+     * Server-authoritative hit detection for one shot.
+     * Victims are rewound to where the shooter saw them, then each pellet ray
+     * is tested against their hitboxes and the map's solid geometry.
+     * @param {Room} room - Room the shot happened in
+     * @param {Player} attacker - Shooting player
+     * @param {Object} message - Shoot message with rayOrigin, directions and latency
+     */
+    resolveShot(room, attacker, message) {
+        const weapon = WEAPONS[attacker.weapon];
+        if (!weapon) return;
 
-        // === Enhanced Hit Validation ===
-        const validationResult = this.validateHit(attacker, victim, message);
-        if (!validationResult.valid) {
-            console.log(`Hit rejected: ${validationResult.reason}`);
+        // Validate ray origin against what we know about the shooter
+        if (!isValidPosition(message.rayOrigin)) return;
+        const origin = toVector3(message.rayOrigin);
+        if (origin.distanceTo(toVector3(attacker.position)) > CONFIG.MAX_SHOT_ORIGIN_OFFSET) {
+            console.log(`Shot rejected: origin too far from ${attacker.name}`);
             return;
         }
 
-        // Apply validated damage (may be reduced)
-        const finalDamage = Math.min(damage, damage * validationResult.damageMultiplier);
-        victim.health -= finalDamage;
+        if (!Array.isArray(message.directions)) return;
+        const directions = message.directions
+            .slice(0, weapon.pellets || 1)
+            .filter(dir => dir && isValidNumber(dir.x) && isValidNumber(dir.y) && isValidNumber(dir.z))
+            .map(dir => toVector3(dir).normalize())
+            .filter(dir => dir.lengthSq() > 0);
+        if (directions.length === 0) return;
+        if (attacker.matchStats) attacker.matchStats.shots++;
 
-        // Broadcast damage
-        room.broadcast({
-            type: 'player_damage',
-            targetId: message.targetId,
-            attackerId: playerId,
-            damage: finalDamage,
-            health: victim.health,
-            isHeadshot: !!message.isHeadshot
-        });
+        // Rewind victims by the shooter's one-way latency plus interpolation delay
+        const latency = isValidNumber(message.latency) ? message.latency : 0;
+        const rewind = Math.min(CONFIG.MAX_REWIND, Math.max(0, latency / 2 + CONFIG.INTERP_DELAY));
+        const now = Date.now();
+        const shotTime = now - rewind;
 
-        // Check for kill
-        if (victim.health <= 0) {
-            room.handleKill(playerId, message.targetId, !!message.isHeadshot);
+        const victims = [];
+        room.players.forEach(player => {
+            if (player.id === attacker.id || !player.isAlive) return;
+            if (player.spawnProtectionUntil && now < player.spawnProtectionUntil) return;
+            const pose = player.getPoseAtTime(shotTime);
+            victims.push({ target: player, raycast: ray => raycastHitboxes(ray, pose) });
+        });
+        if (room.waves) {
+            room.waves.enemies.forEach(enemy => {
+                const feet = enemy.getPositionAtTime(shotTime);
+                victims.push({ target: enemy, raycast: ray => raycastEnemyHitboxes(ray, feet, enemy.config.scale) });
+            });
         }
-    }
+        if (victims.length === 0) return;
 
-    /**
-     * Validate a hit for anti-cheat and lag compensation
-     * @param {Player} attacker - Attacking player
-     * @param {Player} victim - Target player
-     * @param {Object} message - Hit message data
-     * @returns {Object} {valid: boolean, reason: string, damageMultiplier: number}
-     */
-    validateHit(attacker, victim, message) {
-        // Weapon range limits (generous for lag tolerance)
-        const WEAPON_RANGES = {
-            'RIFLE': 80,
-            'SMG': 40,
-            'SHOTGUN': 15,
-            'PISTOL': 50,
-            'SNIPER': 150
-        };
+        const maxRange = (WEAPON_RANGES[attacker.weapon] || 80) * 1.15;
+        const ray = new THREE.Ray();
+        const results = new Map(); // Player or co-op enemy -> { damage, isHeadshot }
 
-        // Get attacker's current position
-        const attackerPos = attacker.position;
+        directions.forEach(direction => {
+            ray.set(origin, direction);
 
-        // Use lag compensation: get victim's position from ~100ms ago
-        const lagCompensatedTime = Date.now() - 100;
-        const victimPos = victim.getPositionAtTime(lagCompensatedTime);
+            // Nearest piece of map geometry along the ray
+            const maxDistance = room.getSolidDistance(ray, maxRange);
 
-        // Calculate distance between players
-        const dx = attackerPos.x - victimPos.x;
-        const dy = attackerPos.y - victimPos.y;
-        const dz = attackerPos.z - victimPos.z;
-        const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+            // Nearest victim in front of it
+            let closest = null;
+            victims.forEach(({ target, raycast }) => {
+                const hit = raycast(ray);
+                if (hit && hit.distance < maxDistance && (!closest || hit.distance < closest.hit.distance)) {
+                    closest = { target, hit };
+                }
+            });
+            if (!closest) return;
 
-        // Get max range for weapon (with 15% tolerance for lag)
-        const weapon = attacker.weapon || 'RIFLE';
-        const maxRange = (WEAPON_RANGES[weapon] || 80) * 1.15;
+            const multiplier = BODY_PART_MULTIPLIERS[closest.hit.part] || 1.0;
+            const damage = Math.round(weapon.damage * multiplier * this.getDamageFalloff(attacker.weapon, closest.hit.distance));
 
-        // Check distance
-        if (distance > maxRange) {
-            return {
-                valid: false,
-                reason: `Distance ${distance.toFixed(1)} exceeds max range ${maxRange.toFixed(1)} for ${weapon}`,
-                damageMultiplier: 0
-            };
-        }
+            const result = results.get(closest.target) || { damage: 0, isHeadshot: false };
+            result.damage += damage;
+            result.isHeadshot = result.isHeadshot || closest.hit.part === 'head';
+            results.set(closest.target, result);
+        });
 
-        // Basic line-of-sight check (just check height difference isn't absurd)
-        if (Math.abs(dy) > 5) {
-            return {
-                valid: false,
-                reason: `Height difference ${Math.abs(dy).toFixed(1)} too large`,
-                damageMultiplier: 0
-            };
-        }
+        // Accuracy only counts shots that could hurt something (not teammates without friendly fire)
+        const damaging = Array.from(results.keys())
+            .some(target => target instanceof WaveEnemy || room.canDamage(attacker, target));
+        if (damaging && attacker.matchStats) attacker.matchStats.hits++;
+        results.forEach((result, target) => {
+            if (target instanceof WaveEnemy) {
+                room.damageEnemy(attacker, target, result.damage, result.isHeadshot);
+            } else {
+                this.applyDamage(room, attacker, target, result.damage, result.isHeadshot);
+            }
+        });
+    }
 
-        // Apply distance-based damage falloff for some weapons
-        let damageMultiplier = 1.0;
-        if (weapon === 'SHOTGUN' && distance > 8) {
+    /**
+     * Distance-based damage falloff for some weapons
+     * @param {string} weaponKey - Weapon key from WEAPONS
+     * @param {number} distance - Distance to the target
+     * @returns {number} Damage multiplier
+     */
+    getDamageFalloff(weaponKey, distance) {
+        if (weaponKey === 'SHOTGUN' && distance > 8) {
             // Shotgun damage falls off beyond 8 units
-            damageMultiplier = Math.max(0.3, 1 - (distance - 8) / 12);
-        } else if (weapon === 'SMG' && distance > 25) {
+            return Math.max(0.3, 1 - (distance - 8) / 12);
+        } else if (weaponKey === 'SMG' && distance > 25) {
             // SMG damage falls off beyond 25 units
-            damageMultiplier = Math.max(0.5, 1 - (distance - 25) / 30);
+            return Math.max(0.5, 1 - (distance - 25) / 30);
         }
+        return 1.0;
+    }
 
-        return {
-            valid: true,
-            reason: 'ok',
-            damageMultiplier
-        };
+    applyDamage(room, attacker, victim, damage, isHeadshot) {
+        if (!victim || !victim.isAlive || damage <= 0) return;
+        if (!room.canDamage(attacker, victim)) return;
+
+        victim.health -= damage;
+
+        // Broadcast damage
+        room.broadcast({
+            type: 'player_damage',
+            targetId: victim.id,
+            attackerId: attacker.id,
+            damage,
+            health: victim.health,
+            isHeadshot
+        });
+
+        // Check for kill
+        if (victim.health <= 0) {
+            room.handleKill(attacker.id, victim.id, isHeadshot);
+        }
     }
 
     handleWeaponChange(playerId, message) {
@@ -681,10 +4729,8 @@ class GameServer {
         if (!player.checkRateLimit('weapon_change')) return;
 
         // Validate weapon type
-        const validWeapons = ['RIFLE', 'PISTOL', 'SMG', 'SHOTGUN', 'SNIPER'];
-        if (!validWeapons.includes(message.weapon)) return;
-
-        player.weapon = message.weapon;
+        if (!isValidWeapon(message.weapon)) return;
+        if (!player.switchWeapon(message.weapon, Date.now())) return;
 
         room.broadcast({
             type: 'player_weapon',
@@ -693,10 +4739,129 @@ class GameServer {
         }, playerId);
     }
 
-    handleDisconnect(playerId) {
+    // === CHAT ===
+
+    handleChat(playerId, message) {
+        const room = this.playerToRoom.get(playerId);
+        if (!room) return;
+
+        const player = room.getMember(playerId);
+        if (!player) return;
+
+        const now = Date.now();
+        if (now < player.chatMutedUntil) {
+            const seconds = Math.ceil((player.chatMutedUntil - now) / 1000);
+            this.sendChatNotice(player, `You are muted for spamming (${seconds}s)`);
+            return;
+        }
+
+        if (!player.checkRateLimit('chat')) {
+            // Repeatedly hitting the limit earns a temporary mute
+            player.chatStrikes = player.chatStrikes.filter(t => now - t < CHAT.SPAM_WINDOW);
+            player.chatStrikes.push(now);
+            if (player.chatStrikes.length >= CHAT.SPAM_STRIKES) {
+                player.chatStrikes = [];
+                player.chatMutedUntil = now + CHAT.SPAM_MUTE_DURATION;
+                this.sendChatNotice(player, `You are muted for spamming (${CHAT.SPAM_MUTE_DURATION / 1000}s)`);
+                console.log(`Player ${player.name} (${playerId}) auto-muted for chat spam`);
+            } else {
+                this.sendChatNotice(player, 'You are sending messages too fast');
+            }
+            return;
+        }
+
+        const text = sanitizeChat(message.text);
+        if (!text) return;
+
+        // Team chat only exists in team modes, and spectators have no team
+        const channel = message.channel === 'team' && room.isTeamMode() && !player.isSpectator ? 'team' : 'all';
+        const data = JSON.stringify({
+            type: 'chat',
+            channel,
+            playerId,
+            playerName: player.name,
+            team: player.team,
+            text
+        });
+
+        room.getRecipients().forEach(recipient => {
+            if (channel === 'team' && recipient.team !== player.team) return;
+            if (recipient.mutedPlayerIds.has(playerId)) return;
+            if (recipient.ws.readyState === WebSocket.OPEN) {
+                recipient.ws.send(data);
+            }
+        });
+    }
+
+    // Mute or unmute another player's chat for this player only
+    handleChatMute(playerId, message) {
+        const room = this.playerToRoom.get(playerId);
+        if (!room) return;
+
+        const player = room.getMember(playerId);
+        if (!player || !player.checkRateLimit('chat_mute')) return;
+
+        const target = room.getMember(message.playerId);
+        if (!target || target.id === playerId) return;
+
+        if (message.muted) {
+            player.mutedPlayerIds.add(target.id);
+        } else {
+            player.mutedPlayerIds.delete(target.id);
+        }
+        this.sendChatNotice(player, `${target.name} ${message.muted ? 'muted' : 'unmuted'}`);
+    }
+
+    sendChatNotice(player, text) {
+        if (player.ws.readyState === WebSocket.OPEN) {
+            player.ws.send(JSON.stringify({ type: 'chat_notice', text }));
+        }
+    }
+
+    // Watch the next or previous player (spectators and dead players only)
+    handleSpectate(playerId, message) {
         const room = this.playerToRoom.get(playerId);
         if (!room) return;
 
+        const viewer = room.getMember(playerId);
+        if (!viewer || !viewer.checkRateLimit('spectate')) return;
+        if (!viewer.isSpectator && viewer.isAlive) return;
+
+        room.cycleSpectateTarget(viewer, message.direction < 0 ? -1 : 1);
+        room.sendSpectateState(viewer);
+    }
+
+    handleVoteRestart(playerId) {
+        const room = this.playerToRoom.get(playerId);
+        if (!room) return;
+
+        const player = room.players.get(playerId);
+        if (!player || !player.checkRateLimit('voteRestart')) return;
+
+        room.addRestartVote(playerId);
+    }
+
+    /**
+     * @param {string} playerId - Disconnected player
+     * @param {boolean} allowResume - Keep the player suspended for CONFIG.RESUME_GRACE_PERIOD
+     */
+    handleDisconnect(playerId, allowResume = false) {
+        if (this.matchQueue.delete(playerId)) {
+            console.log(`Player ${playerId} left the matchmaking queue`);
+            return;
+        }
+
+        const room = this.playerToRoom.get(playerId);
+        if (!room) return;
+
+        const spectator = room.spectators.get(playerId);
+        if (spectator) {
+            console.log(`Spectator ${spectator.name} (${playerId}) disconnected`);
+            room.removeSpectator(playerId);
+            this.forgetPlayer(playerId, room, spectator);
+            return;
+        }
+
         const player = room.players.get(playerId);
         if (player) {
             console.log(`Player ${player.name} (${playerId}) disconnected`);
@@ -707,22 +4872,33 @@ class GameServer {
                 playerName: player.name
             });
 
+            if (allowResume && CONFIG.RESUME_GRACE_PERIOD > 0) {
+                room.suspendPlayer(playerId);
+                return;
+            }
+
             room.removePlayer(playerId);
         }
 
-        this.playerToRoom.delete(playerId);
+        this.forgetPlayer(playerId, room, player);
     }
 
     startGameLoop() {
         // Game state update loop
         setInterval(() => {
+            const now = Date.now();
             this.rooms.forEach(room => {
-                if (room.gameStarted) {
-                    room.update();
-                }
+                this.updateBots(room, now);
+                room.update();
             });
+            this.expireSuspendedPlayers(now);
         }, 1000 / CONFIG.TICK_RATE);
 
+        // Matchmaking loop
+        setInterval(() => {
+            if (this.matchQueue.size > 0) this.processMatchQueue(Date.now());
+        }, MATCHMAKING.UPDATE_INTERVAL);
+
         // Player timeout check loop
         setInterval(() => {
             const now = Date.now();
@@ -750,7 +4926,9 @@ class GameServer {
             // Notify all players
             this.rooms.forEach(room => {
                 room.broadcast({ type: 'server_shutdown', message: 'Server is shutting down' });
+                room.stopRecording();
             });
+            if (STATS.ENABLED) statsStore.save();
 
             // Close WebSocket server (stop accepting new connections)
             this.wss.close(() => {
@@ -777,12 +4955,28 @@ class GameServer {
     }
 
     start() {
+        if (REPLAYS.ENABLED) {
+            try {
+                mkdirSync(REPLAYS.DIR, { recursive: true });
+            } catch (error) {
+                console.error(`Replay directory ${REPLAYS.DIR} unavailable, not recording: ${error.message}`);
+                REPLAYS.ENABLED = false;
+            }
+        }
+        if (STATS.ENABLED) statsStore.load();
+        banList.load();
+        this.setupAdminConsole();
+
         this.httpServer.listen(PORT, () => {
             console.log(`🎮 FPS Multiplayer Server running on port ${PORT}`);
             console.log(`   Kill limit: ${CONFIG.KILL_LIMIT}`);
             console.log(`   Time limit: ${CONFIG.TIME_LIMIT / 60000} minutes`);
             console.log(`   Respawn delay: ${CONFIG.RESPAWN_DELAY / 1000} seconds`);
             console.log(`   Max connections: ${MAX_CONNECTIONS}`);
+            console.log(`   Map rotation: ${CONFIG.MAP_ROTATION.join(' -> ')}`);
+            console.log(`   Replays: ${REPLAYS.ENABLED ? REPLAYS.DIR : 'off'}`);
+            console.log(`   Stats: ${STATS.ENABLED ? STATS.FILE : 'off'}`);
+            console.log(`   Admin API: ${ADMIN.TOKEN ? 'on' : 'off (set ADMIN_TOKEN)'}`);
         });
     }
 }
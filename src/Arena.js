@@ -3,14 +3,25 @@
 // Includes LOD system and spatial partitioning for performance
 import * as THREE from 'three';
 import { LOD, SPATIAL_HASH } from './config/GameConfig.js';
+import { ArenaLayoutFactory, LAYOUTS } from './ArenaLayout.js';
 
 export class Arena {
-    constructor(scene) {
+    /**
+     * @param {THREE.Scene} scene - Scene to build the arena into
+     * @param {string} layoutName - Layout key from LAYOUTS (default WAREHOUSE)
+     */
+    constructor(scene, layoutName = 'WAREHOUSE') {
         this.scene = scene;
         this.colliders = []; // AABB collision boxes
         this.spawnPoints = [];
         this.waypoints = [];
 
+        // Active layout - all geometry lives in one group so it can be swapped
+        this.layoutName = null;
+        this.layout = null;
+        this.size = 10; // Arena half-size, replaced by layout
+        this.group = null;
+
         // Performance: Pool arrays for dynamic elements
         this.flickeringLights = [];
         this.explosiveBarrels = [];
@@ -22,6 +33,7 @@ export class Arena {
 
         // Settings flags
         this.flickerEnabled = true;
+        this.particlesEnabled = true;
 
         // === LOD SYSTEM ===
         this.lodEnabled = LOD.ENABLED;
@@ -33,7 +45,29 @@ export class Arena {
         this.collisionGrid = new Map();
         this.gridCellSize = SPATIAL_HASH.COLLIDER_CELL_SIZE;
 
-        // === SHARED MATERIALS (Performance: Create once, reuse) ===
+        this.loadLayout(layoutName);
+    }
+
+    /**
+     * Build (or rebuild) the arena from a layout definition.
+     * Tears down any previously loaded layout, then recreates geometry,
+     * lighting, spawn points, waypoints and the collision grid.
+     * @param {string} layoutName - Layout key from LAYOUTS
+     */
+    loadLayout(layoutName) {
+        this.unloadLayout();
+
+        // getLayout() warns and falls back to WAREHOUSE for unknown names
+        const key = String(layoutName || 'WAREHOUSE').toUpperCase();
+        this.layout = ArenaLayoutFactory.getLayout(key);
+        this.layoutName = LAYOUTS[key] ? key : 'WAREHOUSE';
+        this.size = this.layout.size;
+
+        this.group = new THREE.Group();
+        this.group.name = `arena_${this.layoutName}`;
+        this.scene.add(this.group);
+
+        // === SHARED MATERIALS (Performance: Create once per layout, reuse) ===
         this._initSharedMaterials();
 
         this.createSkybox();
@@ -47,6 +81,7 @@ export class Arena {
         this.createPillars();
         this.createHazardZones();
         this.createBoundaryWalls();
+        this.createCeiling();
         this.createAtmosphericParticles();
         this.setupWaypoints();
         this.setupSpawnPoints();
@@ -54,6 +89,37 @@ export class Arena {
 
         // Build collision grid after all colliders are added
         this._buildCollisionGrid();
+
+        // Re-apply settings that were toggled on the previous layout
+        this.setParticlesEnabled(this.particlesEnabled);
+        this.setFlickerEnabled(this.flickerEnabled);
+    }
+
+    // Remove the current layout from the scene and free its GPU resources
+    unloadLayout() {
+        if (!this.group) return;
+
+        const disposedMaterials = new Set();
+        this.group.traverse(obj => {
+            if (obj.geometry) obj.geometry.dispose();
+            if (obj.material && !disposedMaterials.has(obj.material)) {
+                disposedMaterials.add(obj.material);
+                if (obj.material.map) obj.material.map.dispose();
+                obj.material.dispose();
+            }
+        });
+        this.scene.remove(this.group);
+        this.group = null;
+
+        this.colliders = [];
+        this.spawnPoints = [];
+        this.waypoints = [];
+        this.flickeringLights = [];
+        this.explosiveBarrels = [];
+        this.hazardZones = [];
+        this.particles = null;
+        this.lodObjects = [];
+        this.collisionGrid.clear();
     }
 
     // === SPATIAL PARTITIONING: Build grid from colliders ===
@@ -175,13 +241,12 @@ export class Arena {
     }
 
     _initSharedMaterials() {
-        // Shared materials for performance - created once
+        // Layout-tinted materials (floor, wall, pillar)
+        const layoutMaterials = ArenaLayoutFactory.createMaterials(this.layoutName);
+
+        // Shared materials for performance - created once per layout
         this.materials = {
-            wall: new THREE.MeshStandardMaterial({
-                color: 0x4a4a5a,
-                roughness: 0.6,
-                metalness: 0.3
-            }),
+            wall: layoutMaterials.wall,
             barrel: new THREE.MeshStandardMaterial({
                 color: 0x2a4a3a,
                 roughness: 0.6,
@@ -192,11 +257,7 @@ export class Arena {
                 metalness: 0.8,
                 roughness: 0.3
             }),
-            pillar: new THREE.MeshStandardMaterial({
-                color: 0x3a3a4a,
-                roughness: 0.4,
-                metalness: 0.6
-            }),
+            pillar: layoutMaterials.pillar,
             pillarGlow: new THREE.MeshBasicMaterial({ color: 0x00ff88 }),
             platform: new THREE.MeshStandardMaterial({
                 color: 0x3a5a4a,
@@ -210,7 +271,7 @@ export class Arena {
                 metalness: 0.2
             }),
             boundary: new THREE.MeshStandardMaterial({
-                color: 0x1a1a2e,
+                color: this.layout.skyColor,
                 roughness: 1,
                 metalness: 0
             }),
@@ -221,15 +282,13 @@ export class Arena {
                 emissive: 0xff2200,
                 emissiveIntensity: 0.15
             }),
-            hazardStripe: new THREE.MeshBasicMaterial({ color: 0xffff00 }),
-            hazardZone: new THREE.MeshBasicMaterial({
-                color: 0x00ff00,
-                transparent: true,
-                opacity: 0.3,
-                side: THREE.DoubleSide
-            })
+            hazardStripe: new THREE.MeshBasicMaterial({ color: 0xffff00 })
         };
 
+        // The floor material from the factory is only used for its colour;
+        // createFloor() builds a textured material instead
+        layoutMaterials.floor.dispose();
+
         // Shared geometries for instanced objects
         this.sharedGeometries = {
             barrelRing: new THREE.TorusGeometry(0.42, 0.03, 6, 12), // Reduced segments
@@ -238,43 +297,70 @@ export class Arena {
     }
 
     createSkybox() {
-        // Brighter sky for better visibility
         const skyGeometry = new THREE.SphereGeometry(100, 16, 12);
         const skyMaterial = new THREE.MeshBasicMaterial({
-            color: 0x2a3040,
+            color: this.layout.skyColor,
             side: THREE.BackSide
         });
         const sky = new THREE.Mesh(skyGeometry, skyMaterial);
-        this.scene.add(sky);
+        this.group.add(sky);
     }
 
     addAtmosphere() {
-        // Fog for atmosphere - pushed back for better visibility
-        this.scene.fog = new THREE.Fog(0x1a1a2e, 25, 70);
+        const layout = this.layout;
+
+        // Fog for atmosphere - distances tuned per layout
+        this.scene.fog = new THREE.Fog(layout.skyColor, layout.fogNear, layout.fogFar);
+
+        if (layout.outdoorLighting) {
+            this._addOutdoorLighting();
+        } else if (layout.lowCeiling) {
+            this._addBunkerLighting();
+        } else {
+            this._addIndustrialLighting();
+        }
+
+        // Red warning lights over every damaging hazard
+        const hazards = ArenaLayoutFactory.getHazards(this.layoutName);
+        hazards.filter(h => h.config.damage > 0).forEach((hazard, i) => {
+            const light = new THREE.PointLight(0xff0000, 0.8, 10);
+            light.position.set(hazard.pos[0], 2, hazard.pos[2]);
+            this.group.add(light);
+
+            this.flickeringLights.push({
+                light: light,
+                baseIntensity: 0.8,
+                flickerSpeed: 8 + i * 0.5, // Deterministic
+                phase: i * 2.09 // Deterministic (2PI/3 steps)
+            });
+        });
+    }
 
-        // Strong ambient light for base visibility
+    // Indoor warehouse: strong ambient plus coloured flickering corner lights
+    _addIndustrialLighting() {
         const ambientLight = new THREE.AmbientLight(0x6080a0, 1.2);
-        this.scene.add(ambientLight);
+        this.group.add(ambientLight);
 
         // Main directional light (like a sun/overhead light)
         const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
         directionalLight.position.set(10, 20, 10);
         directionalLight.castShadow = true;
-        this.scene.add(directionalLight);
+        this.group.add(directionalLight);
 
         // Secondary fill light from opposite direction
         const fillLight = new THREE.DirectionalLight(0x8090ff, 0.4);
         fillLight.position.set(-10, 15, -10);
-        this.scene.add(fillLight);
+        this.group.add(fillLight);
 
-        // Colored flickering point lights for industrial atmosphere - increased intensity
+        // Colored flickering point lights in the corners
         const lightColors = [0xff4444, 0x44ff44, 0x4444ff, 0xffaa00];
-        const lightPositions = [[-8, 3, -8], [8, 3, -8], [-8, 3, 8], [8, 3, 8]];
+        const c = this.size * 0.8;
+        const lightPositions = [[-c, 3, -c], [c, 3, -c], [-c, 3, c], [c, 3, c]];
 
         lightPositions.forEach((pos, i) => {
             const light = new THREE.PointLight(lightColors[i], 0.8, 20);
             light.position.set(...pos);
-            this.scene.add(light);
+            this.group.add(light);
 
             // Add to flickering lights for animation
             this.flickeringLights.push({
@@ -284,36 +370,62 @@ export class Arena {
                 phase: i * 1.57 // Deterministic phase offset (PI/2 steps)
             });
         });
+    }
 
-        // Add extra warning lights near hazards - increased intensity
-        const warningPositions = [[-8, 2, 0], [8, 2, 0], [0, 2, -9]];
-        warningPositions.forEach((pos, i) => {
-            const light = new THREE.PointLight(0xff0000, 0.8, 10);
+    // Outdoor courtyard: bright sun and sky/ground hemisphere, no flicker
+    _addOutdoorLighting() {
+        const ambientLight = new THREE.AmbientLight(0x8090a0, 0.9);
+        this.group.add(ambientLight);
+
+        const sun = new THREE.DirectionalLight(0xfff2dd, 1.3);
+        sun.position.set(15, 30, 5);
+        sun.castShadow = true;
+        this.group.add(sun);
+
+        const skyLight = new THREE.HemisphereLight(0x88aaff, 0x334422, 0.6);
+        this.group.add(skyLight);
+    }
+
+    // Underground bunker: dim ambient with flickering ceiling strip lights
+    _addBunkerLighting() {
+        const ambientLight = new THREE.AmbientLight(0x505060, 0.8);
+        this.group.add(ambientLight);
+
+        const lightY = (this.layout.ceilingHeight || 3) - 0.2;
+        const c = this.size * 0.6;
+        const lightPositions = [[0, lightY, 0], [-c, lightY, -c], [c, lightY, -c], [-c, lightY, c], [c, lightY, c]];
+
+        lightPositions.forEach((pos, i) => {
+            const light = new THREE.PointLight(0xffeecc, 0.9, 12);
             light.position.set(...pos);
-            this.scene.add(light);
+            this.group.add(light);
 
             this.flickeringLights.push({
                 light: light,
-                baseIntensity: 0.8,
-                flickerSpeed: 8 + i * 0.5, // Deterministic
-                phase: i * 2.09 // Deterministic (2PI/3 steps)
+                baseIntensity: 0.9,
+                flickerSpeed: 5 + i * 1.3, // Deterministic
+                phase: i * 1.26 // Deterministic (2PI/5 steps)
             });
         });
     }
 
     createFloor() {
-        // Create grid texture procedurally
+        // Create grid texture procedurally, tinted by the layout floor colour
         const canvas = document.createElement('canvas');
         canvas.width = 512;
         canvas.height = 512;
         const ctx = canvas.getContext('2d');
 
+        const baseColor = new THREE.Color(this.layout.floorColor);
+        const lineColor = baseColor.clone().offsetHSL(0, 0, 0.08);
+        const detailColor = baseColor.clone().offsetHSL(0, 0, 0.04);
+
         // Dark base
-        ctx.fillStyle = '#1a1a2e';
+        ctx.fillStyle = `#${baseColor.getHexString()}`;
         ctx.fillRect(0, 0, 512, 512);
 
         // Grid lines
-        ctx.strokeStyle = '#2a3a4a';
+        ctx.strokeStyle = `#${lineColor.getHexString()}`;
         ctx.lineWidth = 2;
         const gridSize = 32;
         for (let i = 0; i <= 512; i += gridSize) {
@@ -328,7 +440,7 @@ export class Arena {
         }
 
         // Add some detail squares
-        ctx.fillStyle = '#252540';
+        ctx.fillStyle = `#${detailColor.getHexString()}`;
         for (let x = 0; x < 512; x += 64) {
             for (let y = 0; y < 512; y += 64) {
                 if ((x + y) % 128 === 0) {
@@ -337,12 +449,14 @@ export class Arena {
             }
         }
 
+        // Floor extends well past the boundary so the edges never show
+        const floorSize = this.size * 4;
         const floorTexture = new THREE.CanvasTexture(canvas);
         floorTexture.wrapS = THREE.RepeatWrapping;
         floorTexture.wrapT = THREE.RepeatWrapping;
-        floorTexture.repeat.set(4, 4);
+        floorTexture.repeat.set(floorSize / 10, floorSize / 10);
 
-        const floorGeometry = new THREE.PlaneGeometry(40, 40);
+        const floorGeometry = new THREE.PlaneGeometry(floorSize, floorSize);
         const floorMaterial = new THREE.MeshStandardMaterial({
             map: floorTexture,
             roughness: 0.7,
@@ -351,25 +465,17 @@ export class Arena {
         const floor = new THREE.Mesh(floorGeometry, floorMaterial);
         floor.rotation.x = -Math.PI / 2;
         floor.receiveShadow = true;
-        this.scene.add(floor);
+        this.group.add(floor);
     }
 
     createWalls() {
-        // 4 low walls for cover - strategic positions
-        const wallConfigs = [
-            { pos: [-5, 1, -3], size: [3, 2, 0.5] },
-            { pos: [5, 1, 3], size: [3, 2, 0.5] },
-            { pos: [-3, 1, 5], size: [0.5, 2, 3] },
-            { pos: [3, 1, -5], size: [0.5, 2, 3] }
-        ];
-
-        wallConfigs.forEach(config => {
+        this.layout.walls.forEach(config => {
             const geometry = new THREE.BoxGeometry(...config.size);
             const wall = new THREE.Mesh(geometry, this.materials.wall);
             wall.position.set(...config.pos);
             wall.castShadow = true;
             wall.receiveShadow = true;
-            this.scene.add(wall);
+            this.group.add(wall);
 
             // Add collider
             this.colliders.push({
@@ -408,61 +514,27 @@ export class Arena {
             metalness: 0.1
         });
 
-        // === STRATEGIC CRATE PLACEMENT (No randomness) ===
-        // Small crates (0.8): Quick cover, scattered
-        // Medium crates (1.0): Standard cover
-        // Large crates (1.2): Major cover points
-        const crateConfigs = [
-            // Cover cluster - Left side depot
-            { pos: [-6, 0.5, 0], size: 1.0, rotation: 0 },
-            { pos: [-6.8, 0.4, 0.6], size: 0.8, rotation: Math.PI / 4 },
-            { pos: [-5.2, 0.6, -0.5], size: 1.2, rotation: 0 },
-
-            // Cover cluster - Right side depot
-            { pos: [6, 0.5, 0], size: 1.0, rotation: 0 },
-            { pos: [6.6, 0.4, -0.6], size: 0.8, rotation: -Math.PI / 4 },
-            { pos: [5.4, 0.6, 0.5], size: 1.2, rotation: Math.PI / 6 },
-
-            // Front defensive line
-            { pos: [0, 0.5, 6], size: 1.0, rotation: 0 },
-            { pos: [-1.5, 0.4, 6.5], size: 0.8, rotation: Math.PI / 8 },
-            { pos: [1.5, 0.4, 6.3], size: 0.8, rotation: -Math.PI / 8 },
-
-            // Back defensive line  
-            { pos: [0, 0.5, -6], size: 1.0, rotation: 0 },
-            { pos: [-1.3, 0.4, -6.2], size: 0.8, rotation: 0 },
-            { pos: [1.3, 0.6, -5.8], size: 1.2, rotation: Math.PI / 3 },
-
-            // Corner cover positions
-            { pos: [-4, 0.4, -6], size: 0.8, rotation: Math.PI / 4 },
-            { pos: [4, 0.4, 6], size: 0.8, rotation: -Math.PI / 4 },
-            { pos: [-8, 0.5, 3], size: 1.0, rotation: Math.PI / 6 },
-            { pos: [8, 0.5, -3], size: 1.0, rotation: -Math.PI / 6 }
-        ];
-
-        crateConfigs.forEach(config => {
+        this.layout.crates.forEach(config => {
             const geometry = new THREE.BoxGeometry(config.size, config.size, config.size);
             const crate = new THREE.Mesh(geometry, crateMaterial);
-            crate.position.set(config.pos[0], config.pos[1] * config.size, config.pos[2]);
-            crate.rotation.y = config.rotation;
+            crate.position.set(...config.pos);
+            crate.rotation.y = config.rotation || 0;
             crate.castShadow = true;
             crate.receiveShadow = true;
-            this.scene.add(crate);
+            this.group.add(crate);
 
-            // Add collider
+            // Add collider (axis-aligned, rotation ignored)
             const half = config.size / 2;
             this.colliders.push({
-                min: new THREE.Vector3(config.pos[0] - half, 0, config.pos[2] - half),
-                max: new THREE.Vector3(config.pos[0] + half, config.size, config.pos[2] + half)
+                min: new THREE.Vector3(config.pos[0] - half, config.pos[1] - half, config.pos[2] - half),
+                max: new THREE.Vector3(config.pos[0] + half, config.pos[1] + half, config.pos[2] + half)
             });
         });
     }
 
     createBarrels() {
-        // Strategic barrel placement for cover and visual interest
-        const barrelPositions = [
-            [-2, 0.6, -8], [2, 0.6, 8], [-8, 0.6, -2], [8, 0.6, 2]
-        ];
+        const barrelPositions = this.layout.barrels || [];
+        if (barrelPositions.length === 0) return;
 
         const barrelGeometry = new THREE.CylinderGeometry(0.4, 0.4, 1.2, 8); // Reduced from 12 segments
 
@@ -470,14 +542,14 @@ export class Arena {
             const barrel = new THREE.Mesh(barrelGeometry, this.materials.barrel);
             barrel.position.set(...pos);
             barrel.castShadow = true;
-            this.scene.add(barrel);
+            this.group.add(barrel);
 
             // Metal rings - using shared geometry and material
             [-0.4, 0, 0.4].forEach(y => {
                 const ring = new THREE.Mesh(this.sharedGeometries.barrelRing, this.materials.barrelRing);
                 ring.rotation.x = Math.PI / 2;
                 ring.position.set(pos[0], pos[1] + y, pos[2]);
-                this.scene.add(ring);
+                this.group.add(ring);
             });
 
             this.colliders.push({
@@ -488,68 +560,62 @@ export class Arena {
     }
 
     createPillars() {
-        // Reduced segment count for cylinders
-        const pillarGeometry = new THREE.CylinderGeometry(0.5, 0.6, 5, 6); // Reduced from 8
-
-        const pillarPositions = [
-            [-12, 2.5, -12], [12, 2.5, -12], [-12, 2.5, 12], [12, 2.5, 12],
-            [-12, 2.5, 0], [12, 2.5, 0], [0, 2.5, -12], [0, 2.5, 12]
-        ];
-
-        pillarPositions.forEach(pos => {
+        // Pillar positions store the centre, so height is twice the Y value
+        this.layout.pillars.forEach(pos => {
+            const height = pos[1] * 2;
+            const pillarGeometry = new THREE.CylinderGeometry(0.5, 0.6, height, 6); // Reduced from 8
             const pillar = new THREE.Mesh(pillarGeometry, this.materials.pillar);
             pillar.position.set(...pos);
             pillar.castShadow = true;
             pillar.receiveShadow = true;
-            this.scene.add(pillar);
+            this.group.add(pillar);
 
             // Glowing top - using shared geometry and material
             const glow = new THREE.Mesh(this.sharedGeometries.pillarGlow, this.materials.pillarGlow);
-            glow.position.set(pos[0], 5.2, pos[2]);
-            this.scene.add(glow);
+            glow.position.set(pos[0], height + 0.2, pos[2]);
+            this.group.add(glow);
 
             // Point light at top
             const light = new THREE.PointLight(0x00ff88, 0.5, 8);
-            light.position.set(pos[0], 5, pos[2]);
-            this.scene.add(light);
+            light.position.set(pos[0], height, pos[2]);
+            this.group.add(light);
 
             this.colliders.push({
                 min: new THREE.Vector3(pos[0] - 0.6, 0, pos[2] - 0.6),
-                max: new THREE.Vector3(pos[0] + 0.6, 5, pos[2] + 0.6)
+                max: new THREE.Vector3(pos[0] + 0.6, height, pos[2] + 0.6)
             });
         });
     }
 
     createPlatforms() {
-        const platformConfigs = [
-            { pos: [-7, 1.5, -7], size: [3, 0.3, 3] },
-            { pos: [7, 1.5, 7], size: [3, 0.3, 3] }
-        ];
-
-        const legGeometry = new THREE.BoxGeometry(0.3, 1.5, 0.3);
-
-        platformConfigs.forEach(config => {
+        this.layout.platforms.forEach(config => {
             const geometry = new THREE.BoxGeometry(...config.size);
             const platform = new THREE.Mesh(geometry, this.materials.platform);
             platform.position.set(...config.pos);
             platform.castShadow = true;
             platform.receiveShadow = true;
-            this.scene.add(platform);
-
-            // Platform legs
-            const legPositions = [
-                [config.pos[0] - 1.2, 0.75, config.pos[2] - 1.2],
-                [config.pos[0] + 1.2, 0.75, config.pos[2] - 1.2],
-                [config.pos[0] - 1.2, 0.75, config.pos[2] + 1.2],
-                [config.pos[0] + 1.2, 0.75, config.pos[2] + 1.2]
-            ];
-
-            legPositions.forEach(pos => {
-                const leg = new THREE.Mesh(legGeometry, this.materials.platformLeg);
-                leg.position.set(...pos);
-                leg.castShadow = true;
-                this.scene.add(leg);
-            });
+            this.group.add(platform);
+
+            // Platform legs reach from the floor to the underside of the top
+            const legHeight = config.pos[1] - config.size[1] / 2;
+            if (legHeight > 0) {
+                const legGeometry = new THREE.BoxGeometry(0.3, legHeight, 0.3);
+                const insetX = config.size[0] / 2 - 0.3;
+                const insetZ = config.size[2] / 2 - 0.3;
+                const legPositions = [
+                    [config.pos[0] - insetX, legHeight / 2, config.pos[2] - insetZ],
+                    [config.pos[0] + insetX, legHeight / 2, config.pos[2] - insetZ],
+                    [config.pos[0] - insetX, legHeight / 2, config.pos[2] + insetZ],
+                    [config.pos[0] + insetX, legHeight / 2, config.pos[2] + insetZ]
+                ];
+
+                legPositions.forEach(pos => {
+                    const leg = new THREE.Mesh(legGeometry, this.materials.platformLeg);
+                    leg.position.set(...pos);
+                    leg.castShadow = true;
+                    this.group.add(leg);
+                });
+            }
 
             // Add collider for platform top
             this.colliders.push({
@@ -569,19 +635,22 @@ export class Arena {
     }
 
     createRamp() {
-        // Create a ramp using a box with rotation
-        const rampGeometry = new THREE.BoxGeometry(2, 0.3, 4);
-        const ramp = new THREE.Mesh(rampGeometry, this.materials.ramp);
-        ramp.position.set(0, 0.5, -7);
-        ramp.rotation.x = Math.PI / 8;
-        ramp.castShadow = true;
-        ramp.receiveShadow = true;
-        this.scene.add(ramp);
+        // Decorative ramps (tilted boxes, no collider)
+        (this.layout.ramps || []).forEach(config => {
+            const rampGeometry = new THREE.BoxGeometry(...config.size);
+            const ramp = new THREE.Mesh(rampGeometry, this.materials.ramp);
+            ramp.position.set(...config.pos);
+            ramp.rotation.x = config.rotation || 0;
+            ramp.castShadow = true;
+            ramp.receiveShadow = true;
+            this.group.add(ramp);
+        });
     }
 
     createBoundaryWalls() {
         // Invisible boundary walls to keep player in arena
-        const boundarySize = 10.5;
+        const size = this.size;
+        const boundarySize = size + 0.5;
         const boundaries = [
             { min: new THREE.Vector3(-boundarySize, 0, -100), max: new THREE.Vector3(-boundarySize + 0.5, 10, 100) },
             { min: new THREE.Vector3(boundarySize - 0.5, 0, -100), max: new THREE.Vector3(boundarySize, 10, 100) },
@@ -591,52 +660,50 @@ export class Arena {
 
         boundaries.forEach(b => this.colliders.push(b));
 
-        // Visual boundary indicators
+        // Visual boundary indicators (full height when the layout is enclosed)
+        const visualHeight = this.layout.ceilingHeight || 2;
         const boundaryConfigs = [
-            { pos: [-10, 1, 0], size: [0.2, 2, 20] },
-            { pos: [10, 1, 0], size: [0.2, 2, 20] },
-            { pos: [0, 1, -10], size: [20, 2, 0.2] },
-            { pos: [0, 1, 10], size: [20, 2, 0.2] }
+            { pos: [-size, visualHeight / 2, 0], size: [0.2, visualHeight, size * 2] },
+            { pos: [size, visualHeight / 2, 0], size: [0.2, visualHeight, size * 2] },
+            { pos: [0, visualHeight / 2, -size], size: [size * 2, visualHeight, 0.2] },
+            { pos: [0, visualHeight / 2, size], size: [size * 2, visualHeight, 0.2] }
         ];
 
         boundaryConfigs.forEach(config => {
             const geometry = new THREE.BoxGeometry(...config.size);
             const wall = new THREE.Mesh(geometry, this.materials.boundary);
             wall.position.set(...config.pos);
-            this.scene.add(wall);
+            this.group.add(wall);
+        });
+    }
+
+    createCeiling() {
+        if (!this.layout.lowCeiling) return;
+
+        const height = this.layout.ceilingHeight || 3;
+        const span = this.size * 2;
+        const geometry = new THREE.BoxGeometry(span, 0.3, span);
+        const ceiling = new THREE.Mesh(geometry, this.materials.wall);
+        ceiling.position.set(0, height + 0.15, 0);
+        ceiling.receiveShadow = true;
+        this.group.add(ceiling);
+
+        // Solid ceiling stops jumps; flagged so pathfinding ignores it
+        this.colliders.push({
+            min: new THREE.Vector3(-this.size, height, -this.size),
+            max: new THREE.Vector3(this.size, height + 0.3, this.size),
+            isCeiling: true
         });
     }
 
     setupWaypoints() {
-        // Patrol waypoints for enemy AI - strategic patrol routes
-        this.waypoints = [
-            new THREE.Vector3(-6, 0, -6),
-            new THREE.Vector3(6, 0, -6),
-            new THREE.Vector3(6, 0, 6),
-            new THREE.Vector3(-6, 0, 6),
-            new THREE.Vector3(0, 0, 0),
-            new THREE.Vector3(-3, 0, 0),
-            new THREE.Vector3(3, 0, 0),
-            new THREE.Vector3(0, 0, -3),
-            new THREE.Vector3(0, 0, 3)
-        ];
+        // Patrol waypoints for enemy AI - defined per layout
+        this.waypoints = ArenaLayoutFactory.getWaypoints(this.layoutName);
     }
 
     setupSpawnPoints() {
-        // === STRATEGIC SPAWN POINTS (8 locations around perimeter) ===
-        // Corners + edges for varied enemy entry
-        this.spawnPoints = [
-            // Corners
-            new THREE.Vector3(-9, 0, -9),
-            new THREE.Vector3(9, 0, -9),
-            new THREE.Vector3(-9, 0, 9),
-            new THREE.Vector3(9, 0, 9),
-            // Edge midpoints
-            new THREE.Vector3(0, 0, -9),
-            new THREE.Vector3(0, 0, 9),
-            new THREE.Vector3(-9, 0, 0),
-            new THREE.Vector3(9, 0, 0)
-        ];
+        // Spawn points around the perimeter - defined per layout
+        this.spawnPoints = ArenaLayoutFactory.getSpawnPoints(this.layoutName);
     }
 
     getRandomSpawnPoint() {
@@ -930,32 +997,30 @@ export class Arena {
     // === ENVIRONMENT FEATURES (Performance Optimized) ===
 
     createExplosiveBarrels() {
+        const positions = this.layout.explosiveBarrels || [];
+        if (positions.length === 0) return;
+
         // Shared geometry (instancing-friendly)
         const barrelGeo = new THREE.CylinderGeometry(0.35, 0.4, 1.0, 6); // Reduced segments
         const hazardGeo = new THREE.BoxGeometry(0.25, 0.08, 0.02);
 
-        // Strategic explosive barrel placement
-        const positions = [
-            [-4, 0.5, 4], [4, 0.5, -4], [0, 0.5, 8], [-7, 0.5, -2]
-        ];
-
         positions.forEach(pos => {
             const barrel = new THREE.Mesh(barrelGeo, this.materials.explosiveBarrel.clone());
             barrel.position.set(pos[0], pos[1], pos[2]);
             barrel.castShadow = true;
             barrel.userData.isExplosive = true;
             barrel.userData.health = 30;
-            this.scene.add(barrel);
+            this.group.add(barrel);
 
             // Hazard stripe (single mesh)
             const stripe = new THREE.Mesh(hazardGeo, this.materials.hazardStripe);
             stripe.position.set(pos[0], pos[1] + 0.2, pos[2] + 0.36);
-            this.scene.add(stripe);
+            this.group.add(stripe);
 
             // Glow light (low intensity, no shadows)
             const glow = new THREE.PointLight(0xff4400, 0.3, 4);
             glow.position.set(pos[0], pos[1] + 0.8, pos[2]);
-            this.scene.add(glow);
+            this.group.add(glow);
 
             this.explosiveBarrels.push({
                 mesh: barrel,
@@ -976,19 +1041,28 @@ export class Arena {
     }
 
     createHazardZones() {
-        // Toxic floor zones - use shared material
-        const zones = [
-            { pos: [-8, 0.02, 0], size: [2, 3], damage: 5 },
-            { pos: [8, 0.02, 0], size: [2, 3], damage: 5 },
-            { pos: [0, 0.02, -9], size: [3, 2], damage: 8 }
-        ];
+        // Floor zones from the layout; damage and tick rate come from HAZARDS
+        const hazards = ArenaLayoutFactory.getHazards(this.layoutName);
+        const zoneMaterials = new Map(); // One material per hazard type
+
+        hazards.forEach(zone => {
+            const color = zone.config.color || (zone.type === 'WATER' ? 0x3388ff : 0x00ff00);
+            if (!zoneMaterials.has(zone.type)) {
+                zoneMaterials.set(zone.type, new THREE.MeshBasicMaterial({
+                    color,
+                    transparent: true,
+                    opacity: 0.3,
+                    side: THREE.DoubleSide
+                }));
+            }
 
-        zones.forEach(zone => {
-            const geo = new THREE.PlaneGeometry(zone.size[0], zone.size[1]);
-            const mesh = new THREE.Mesh(geo, this.materials.hazardZone);
+            const sizeX = zone.size[0];
+            const sizeZ = zone.size[2];
+            const geo = new THREE.PlaneGeometry(sizeX, sizeZ);
+            const mesh = new THREE.Mesh(geo, zoneMaterials.get(zone.type));
             mesh.rotation.x = -Math.PI / 2;
-            mesh.position.set(zone.pos[0], zone.pos[1], zone.pos[2]);
-            this.scene.add(mesh);
+            mesh.position.set(zone.pos[0], zone.pos[1] + 0.02, zone.pos[2]);
+            this.group.add(mesh);
 
             // Bubbling particles effect - reduced count for performance
             const bubbleGeo = new THREE.BufferGeometry();
@@ -997,32 +1071,34 @@ export class Arena {
             for (let i = 0; i < bubbleCount; i++) {
                 // Deterministic positions based on index
                 const angle = (i / bubbleCount) * Math.PI * 2;
-                const radius = zone.size[0] * 0.4;
+                const radius = sizeX * 0.4;
                 positions[i * 3] = zone.pos[0] + Math.cos(angle) * radius;
                 positions[i * 3 + 1] = 0.1 + (i % 3) * 0.15;
-                positions[i * 3 + 2] = zone.pos[2] + Math.sin(angle) * radius * (zone.size[1] / zone.size[0]);
+                positions[i * 3 + 2] = zone.pos[2] + Math.sin(angle) * radius * (sizeZ / sizeX);
             }
             bubbleGeo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
 
             const bubbleMat = new THREE.PointsMaterial({
-                color: 0x44ff44,
+                color,
                 size: 0.15,
                 transparent: true,
                 opacity: 0.6
             });
             const bubbles = new THREE.Points(bubbleGeo, bubbleMat);
-            this.scene.add(bubbles);
+            this.group.add(bubbles);
 
             this.hazardZones.push({
+                type: zone.type,
                 mesh,
                 bubbles,
                 bounds: {
-                    minX: zone.pos[0] - zone.size[0] / 2,
-                    maxX: zone.pos[0] + zone.size[0] / 2,
-                    minZ: zone.pos[2] - zone.size[1] / 2,
-                    maxZ: zone.pos[2] + zone.size[1] / 2
+                    minX: zone.pos[0] - sizeX / 2,
+                    maxX: zone.pos[0] + sizeX / 2,
+                    minZ: zone.pos[2] - sizeZ / 2,
+                    maxZ: zone.pos[2] + sizeZ / 2
                 },
-                damage: zone.damage,
+                damage: zone.config.damage,
+                interval: zone.config.interval / 1000, // seconds
                 lastDamageTime: 0
             });
         });
@@ -1040,7 +1116,7 @@ export class Arena {
         for (let i = 0; i < particleCount; i++) {
             // Deterministic distribution using golden ratio for better spread
             const phi = i * 2.39996; // Golden angle
-            const r = Math.sqrt(i / particleCount) * 10;
+            const r = Math.sqrt(i / particleCount) * this.size;
 
             positions[i * 3] = Math.cos(phi) * r;
             positions[i * 3 + 1] = (i / particleCount) * 5;
@@ -1071,7 +1147,7 @@ export class Arena {
 
         this.particles = new THREE.Points(geometry, material);
         this.particles.userData.velocities = velocities;
-        this.scene.add(this.particles);
+        this.group.add(this.particles);
     }
 
     // Call this in game loop - highly optimized (no allocations)
@@ -1089,6 +1165,7 @@ export class Arena {
 
         // Update atmospheric particles (single buffer update)
         if (this.particles && this.particles.visible) {
+            const size = this.size;
             const positions = this.particles.geometry.attributes.position.array;
             const velocities = this.particles.userData.velocities;
             const count = positions.length / 3;
@@ -1100,12 +1177,12 @@ export class Arena {
                 positions[i3 + 2] += velocities[i3 + 2] * deltaTime;
 
                 // Wrap particles to stay in arena (no conditionals where possible)
-                if (positions[i3] > 10) positions[i3] = -10;
-                if (positions[i3] < -10) positions[i3] = 10;
+                if (positions[i3] > size) positions[i3] = -size;
+                if (positions[i3] < -size) positions[i3] = size;
                 if (positions[i3 + 1] > 5) positions[i3 + 1] = 0;
                 if (positions[i3 + 1] < 0) positions[i3 + 1] = 5;
-                if (positions[i3 + 2] > 10) positions[i3 + 2] = -10;
-                if (positions[i3 + 2] < -10) positions[i3 + 2] = 10;
+                if (positions[i3 + 2] > size) positions[i3 + 2] = -size;
+                if (positions[i3 + 2] < -size) positions[i3 + 2] = size;
             }
             this.particles.geometry.attributes.position.needsUpdate = true;
         }
@@ -1128,7 +1205,7 @@ export class Arena {
                 const hz = this.hazardZones[i];
                 if (playerPos.x >= hz.bounds.minX && playerPos.x <= hz.bounds.maxX &&
                     playerPos.z >= hz.bounds.minZ && playerPos.z <= hz.bounds.maxZ) {
-                    if (time - hz.lastDamageTime > 0.5) { // Damage every 0.5s
+                    if (hz.damage > 0 && time - hz.lastDamageTime > hz.interval) {
                         hazardDamage += hz.damage;
                         hz.lastDamageTime = time;
                     }
@@ -1176,8 +1253,8 @@ export class Arena {
         animate();
 
         // Remove barrel mesh
-        this.scene.remove(barrel.mesh);
-        this.scene.remove(barrel.light);
+        barrel.mesh.removeFromParent();
+        barrel.light.removeFromParent();
 
         // Return explosion data for damage calculation
         return {
@@ -1213,6 +1290,7 @@ export class Arena {
     // === SETTINGS TOGGLE METHODS ===
 
     setParticlesEnabled(enabled) {
+        this.particlesEnabled = enabled;
         if (this.particles) {
             this.particles.visible = enabled;
         }
@@ -10,10 +10,15 @@ import { ARENA_LAYOUTS, HAZARDS } from './config/GameConfig.js';
  * @property {number} size - Arena half-size
  * @property {Array<Object>} walls - Wall configurations [{pos, size}]
  * @property {Array<Object>} crates - Crate configurations [{pos, size, rotation}]
- * @property {Array<Object>} pillars - Pillar positions [[x, y, z]]
+ * @property {Array<Object>} pillars - Pillar centre positions [[x, y, z]] (height is 2 * y)
  * @property {Array<Object>} platforms - Platform configurations [{pos, size}]
+ * @property {Array<Object>} [barrels] - Barrel positions [[x, y, z]]
+ * @property {Array<Object>} [explosiveBarrels] - Explosive barrel positions [[x, y, z]]
+ * @property {Array<Object>} [ramps] - Decorative ramp configurations [{pos, size, rotation}]
  * @property {Array<Object>} hazards - Hazard zone configurations [{type, pos, size}]
  * @property {Array<THREE.Vector3>} spawnPoints - Player spawn points
+ * @property {Array<Array<number>>} flagBases - CTF flag bases [[x, y, z] red (-Z side), [x, y, z] blue (+Z side)]
+ * @property {Array<Object>} hillZones - King of the Hill zones in rotation order [{pos, size}]
  * @property {Array<THREE.Vector3>} waypoints - AI waypoints
  */
 
@@ -39,12 +44,36 @@ export const LAYOUTS = {
             { pos: [3, 1, -5], size: [0.5, 2, 3] }
         ],
         crates: [
-            { pos: [-6, 0.5, 0], size: 1.0 },
-            { pos: [6, 0.5, 0], size: 1.0 },
-            { pos: [0, 0.5, 6], size: 1.0 },
-            { pos: [0, 0.5, -6], size: 1.0 },
-            { pos: [-4, 0.4, -6], size: 0.8 },
-            { pos: [4, 0.4, 6], size: 0.8 }
+            // Cover cluster - Left side depot
+            { pos: [-6, 0.5, 0], size: 1.0, rotation: 0 },
+            { pos: [-6.8, 0.4, 0.6], size: 0.8, rotation: Math.PI / 4 },
+            { pos: [-5.2, 0.6, -0.5], size: 1.2, rotation: 0 },
+            // Cover cluster - Right side depot
+            { pos: [6, 0.5, 0], size: 1.0, rotation: 0 },
+            { pos: [6.6, 0.4, -0.6], size: 0.8, rotation: -Math.PI / 4 },
+            { pos: [5.4, 0.6, 0.5], size: 1.2, rotation: Math.PI / 6 },
+            // Front defensive line
+            { pos: [0, 0.5, 6], size: 1.0, rotation: 0 },
+            { pos: [-1.5, 0.4, 6.5], size: 0.8, rotation: Math.PI / 8 },
+            { pos: [1.5, 0.4, 6.3], size: 0.8, rotation: -Math.PI / 8 },
+            // Back defensive line
+            { pos: [0, 0.5, -6], size: 1.0, rotation: 0 },
+            { pos: [-1.3, 0.4, -6.2], size: 0.8, rotation: 0 },
+            { pos: [1.3, 0.6, -5.8], size: 1.2, rotation: Math.PI / 3 },
+            // Corner cover positions
+            { pos: [-4, 0.4, -6], size: 0.8, rotation: Math.PI / 4 },
+            { pos: [4, 0.4, 6], size: 0.8, rotation: -Math.PI / 4 },
+            { pos: [-8, 0.5, 3], size: 1.0, rotation: Math.PI / 6 },
+            { pos: [8, 0.5, -3], size: 1.0, rotation: -Math.PI / 6 }
+        ],
+        barrels: [
+            [-2, 0.6, -8], [2, 0.6, 8], [-8, 0.6, -2], [8, 0.6, 2]
+        ],
+        explosiveBarrels: [
+            [-4, 0.5, 4], [4, 0.5, -4], [0, 0.5, 8], [-7, 0.5, -2]
+        ],
+        ramps: [
+            { pos: [0, 0.5, -7], size: [2, 0.3, 4], rotation: Math.PI / 8 }
         ],
         pillars: [
             [-12, 2.5, -12], [12, 2.5, -12], [-12, 2.5, 12], [12, 2.5, 12],
@@ -62,6 +91,14 @@ export const LAYOUTS = {
             [-9, 0, -9], [9, 0, -9], [-9, 0, 9], [9, 0, 9],
             [0, 0, -9], [0, 0, 9], [-9, 0, 0], [9, 0, 0]
         ],
+        flagBases: [
+            [5, 0, -8], [-5, 0, 8]
+        ],
+        hillZones: [
+            { pos: [0, 0, 0], size: [4, 2, 4] },
+            { pos: [-7, 1.65, -7], size: [3, 2, 3] },
+            { pos: [7, 1.65, 7], size: [3, 2, 3] }
+        ],
         waypoints: [
             [-6, 0, -6], [6, 0, -6], [6, 0, 6], [-6, 0, 6],
             [0, 0, 0], [-3, 0, 0], [3, 0, 0], [0, 0, -3], [0, 0, 3]
@@ -112,6 +149,15 @@ export const LAYOUTS = {
             [-9, 0, -9], [9, 0, -9], [-9, 0, 9], [9, 0, 9],
             [-6, 0, 0], [6, 0, 0], [0, 0, -6], [0, 0, 6]
         ],
+        flagBases: [
+            [0, 0, -8], [0, 0, 8]
+        ],
+        hillZones: [
+            { pos: [-6, 0, 0], size: [4, 2, 4] },
+            { pos: [6, 0, 0], size: [4, 2, 4] },
+            { pos: [0, 0, -5], size: [4, 2, 3] },
+            { pos: [0, 0, 5], size: [4, 2, 3] }
+        ],
         waypoints: [
             [-5, 0, -5], [5, 0, -5], [5, 0, 5], [-5, 0, 5],
             [0, 0, 0], [-8, 0, 0], [8, 0, 0], [0, 0, -8], [0, 0, 8]
@@ -164,7 +210,15 @@ export const LAYOUTS = {
         ],
         spawnPoints: [
             [-7, 0, -7], [7, 0, -7], [-7, 0, 7], [7, 0, 7],
-            [0, 0, -7], [0, 0, 7], [-7, 0, 0], [7, 0, 0]
+            [-1.5, 0, -7], [1.5, 0, 7], [-7.5, 0, 0], [7.5, 0, 0] // Clear of the pillars
+        ],
+        flagBases: [
+            [3, 0, -7], [-3, 0, 7]
+        ],
+        hillZones: [
+            { pos: [0, 0, 0], size: [4, 2, 4] },
+            { pos: [-5, 0, -5], size: [3, 2, 3] },
+            { pos: [5, 0, 5], size: [3, 2, 3] }
         ],
         waypoints: [
             [-5, 0, -5], [5, 0, -5], [5, 0, 5], [-5, 0, 5],
@@ -238,6 +292,83 @@ export class ArenaLayoutFactory {
         }));
     }
 
+    /**
+     * Get the static bullet-blocking geometry of a layout as boxes.
+     * Mirrors the colliders Arena builds (minus destructible barrels) so the
+     * server can raycast shots without a scene.
+     * @param {string} layoutName - Layout name
+     * @returns {THREE.Box3[]} Axis-aligned solid boxes
+     */
+    static getSolidBoxes(layoutName) {
+        const layout = this.getLayout(layoutName);
+        const boxes = [];
+        const addBox = (pos, size) => {
+            boxes.push(new THREE.Box3(
+                new THREE.Vector3(pos[0] - size[0] / 2, pos[1] - size[1] / 2, pos[2] - size[2] / 2),
+                new THREE.Vector3(pos[0] + size[0] / 2, pos[1] + size[1] / 2, pos[2] + size[2] / 2)
+            ));
+        };
+
+        layout.walls.forEach(wall => addBox(wall.pos, wall.size));
+        layout.platforms.forEach(platform => addBox(platform.pos, platform.size));
+        layout.crates.forEach(crate => addBox(crate.pos, [crate.size, crate.size, crate.size]));
+        (layout.barrels || []).forEach(pos => addBox([pos[0], 0.6, pos[2]], [0.8, 1.2, 0.8]));
+        layout.pillars.forEach(pos => addBox([pos[0], pos[1], pos[2]], [1.2, pos[1] * 2, 1.2]));
+
+        if (layout.lowCeiling) {
+            const height = layout.ceilingHeight || 3;
+            addBox([0, height + 0.15, 0], [layout.size * 2, 0.3, layout.size * 2]);
+        }
+
+        return boxes;
+    }
+
+    /**
+     * Get the movement colliders of a layout, in the same order Arena builds them
+     * (walls, crates, barrels, explosive barrels, platforms, pillars, boundary, ceiling)
+     * so the server's movement simulation resolves overlaps exactly like the client.
+     * @param {string} layoutName - Layout name
+     * @returns {Object[]} AABBs [{min, max, isPlatform?, isCeiling?}]
+     */
+    static getColliders(layoutName) {
+        const layout = this.getLayout(layoutName);
+        const colliders = [];
+        const addBox = (pos, size, extra = {}) => {
+            colliders.push({
+                min: new THREE.Vector3(pos[0] - size[0] / 2, pos[1] - size[1] / 2, pos[2] - size[2] / 2),
+                max: new THREE.Vector3(pos[0] + size[0] / 2, pos[1] + size[1] / 2, pos[2] + size[2] / 2),
+                ...extra
+            });
+        };
+
+        layout.walls.forEach(wall => addBox(wall.pos, wall.size));
+        layout.crates.forEach(crate => addBox(crate.pos, [crate.size, crate.size, crate.size]));
+        (layout.barrels || []).forEach(pos => addBox([pos[0], 0.6, pos[2]], [0.8, 1.2, 0.8]));
+        (layout.explosiveBarrels || []).forEach(pos => addBox([pos[0], 0.5, pos[2]], [0.8, 1.0, 0.8]));
+        layout.platforms.forEach(platform => addBox(platform.pos, platform.size, { isPlatform: true }));
+        layout.pillars.forEach(pos => addBox([pos[0], pos[1], pos[2]], [1.2, pos[1] * 2, 1.2]));
+
+        // Invisible boundary walls
+        const edge = layout.size + 0.5;
+        colliders.push(
+            { min: new THREE.Vector3(-edge, 0, -100), max: new THREE.Vector3(-edge + 0.5, 10, 100) },
+            { min: new THREE.Vector3(edge - 0.5, 0, -100), max: new THREE.Vector3(edge, 10, 100) },
+            { min: new THREE.Vector3(-100, 0, -edge), max: new THREE.Vector3(100, 10, -edge + 0.5) },
+            { min: new THREE.Vector3(-100, 0, edge - 0.5), max: new THREE.Vector3(100, 10, edge) }
+        );
+
+        if (layout.lowCeiling) {
+            const height = layout.ceilingHeight || 3;
+            colliders.push({
+                min: new THREE.Vector3(-layout.size, height, -layout.size),
+                max: new THREE.Vector3(layout.size, height + 0.3, layout.size),
+                isCeiling: true
+            });
+        }
+
+        return colliders;
+    }
+
     /**
      * Get random spawn point far from a position
      * @param {string} layoutName - Layout name
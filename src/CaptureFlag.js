@@ -0,0 +1,55 @@
+// CaptureFlag.js - Flag model for Capture the Flag
+// Used for flags standing in the world and flags carried on a RemotePlayer's back
+
+import * as THREE from 'three';
+
+/**
+ * Flag dimensions (metres)
+ */
+const FLAG_CONFIG = {
+    POLE_HEIGHT: 1.6,
+    POLE_RADIUS: 0.03,
+    CLOTH_WIDTH: 0.6,
+    CLOTH_HEIGHT: 0.4
+};
+
+/**
+ * Build a flag model: pole with a coloured cloth, base at the group origin
+ * @param {number} color - Team colour
+ * @returns {THREE.Group} Flag group (dispose with disposeFlagModel)
+ */
+export function createFlagModel(color) {
+    const group = new THREE.Group();
+
+    const poleGeometry = new THREE.CylinderGeometry(
+        FLAG_CONFIG.POLE_RADIUS, FLAG_CONFIG.POLE_RADIUS, FLAG_CONFIG.POLE_HEIGHT, 6
+    );
+    const poleMaterial = new THREE.MeshLambertMaterial({ color: 0xcccccc });
+    const pole = new THREE.Mesh(poleGeometry, poleMaterial);
+    pole.position.y = FLAG_CONFIG.POLE_HEIGHT / 2;
+    group.add(pole);
+
+    const clothGeometry = new THREE.PlaneGeometry(FLAG_CONFIG.CLOTH_WIDTH, FLAG_CONFIG.CLOTH_HEIGHT);
+    const clothMaterial = new THREE.MeshBasicMaterial({ color, side: THREE.DoubleSide });
+    const cloth = new THREE.Mesh(clothGeometry, clothMaterial);
+    cloth.position.set(
+        FLAG_CONFIG.CLOTH_WIDTH / 2,
+        FLAG_CONFIG.POLE_HEIGHT - FLAG_CONFIG.CLOTH_HEIGHT / 2,
+        0
+    );
+    group.add(cloth);
+
+    return group;
+}
+
+/**
+ * Remove a flag model from its parent and free its GPU resources
+ * @param {THREE.Group} flag - Model from createFlagModel
+ */
+export function disposeFlagModel(flag) {
+    flag.removeFromParent();
+    flag.traverse((child) => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+    });
+}
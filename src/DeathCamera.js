@@ -1,11 +1,12 @@
-// DeathCamera.js - Cinematic death camera with third-person killer view
+// DeathCamera.js - Cinematic death camera: killcam from the killer's eyes, or a third-person killer view
 // Provides visual feedback when player dies, showing the killer
 
 import * as THREE from 'three';
 
 /**
  * Death camera system for cinematic death sequences
- * Shows killer from third-person view with slow-motion effect
+ * Replays the kill from the killer's viewpoint when there is history of it,
+ * otherwise shows the killer from a third-person view
  */
 export class DeathCamera {
     constructor(camera, scene) {
@@ -34,6 +35,11 @@ export class DeathCamera {
         this.cameraDistance = 5;
         this.cameraHeight = 2;
 
+        // Killcam state
+        this.killcam = null; // Playback from MultiplayerManager.startKillcam()
+        this.killcamGun = null; // Copy of the killer's gun model held in front of the camera
+        this.hiddenCameraChildren = []; // Our own gun and the like, hidden during the killcam
+
         // Pre-allocated vectors
         this._tempVec = new THREE.Vector3();
         this._lerpVec = new THREE.Vector3();
@@ -148,10 +154,8 @@ export class DeathCamera {
         this.originalRotation.copy(this.camera.rotation);
 
         // Store killer info
-        this.killerId = killerData.id;
-        this.killerName = killerData.name || 'Unknown';
+        this._setKillerInfo(killerData);
         this.killerPosition.copy(killerData.position || playerDeathPos);
-        this.weaponUsed = killerData.weapon || '';
 
         // Calculate camera position behind and above the killer
         const dirToKiller = this._tempVec.subVectors(this.killerPosition, playerDeathPos).normalize();
@@ -165,12 +169,52 @@ export class DeathCamera {
         this.targetLookAt.copy(this.killerPosition);
         this.targetLookAt.y += 0.8; // Look at chest height
 
-        // Update overlay
+        this._showOverlay('ELIMINATED');
+    }
+
+    /**
+     * Start a killcam: the last moments before the death, seen through the killer's
+     * eyes with their gun in hand. Ends when the playback reaches its duration.
+     * @param {Object} killerData - Killer information {id, name, weapon}
+     * @param {Object} killcam - Playback from MultiplayerManager.startKillcam(),
+     *   advanced by the manager (time, duration, killer, view)
+     */
+    startKillcam(killerData, killcam) {
+        this.isActive = true;
+        this.killcam = killcam;
+        this.progress = 0;
+
+        // Restored when the killcam ends
+        this.originalPosition.copy(this.camera.position);
+        this.originalRotation.copy(this.camera.rotation);
+
+        this._setKillerInfo(killerData);
+
+        // Swap our gun for a copy of theirs
+        this.hiddenCameraChildren = this.camera.children.filter(child => child.visible);
+        this.hiddenCameraChildren.forEach(child => { child.visible = false; });
+        this.killcamGun = killcam.killer.createFirstPersonGun();
+        if (this.killcamGun) this.camera.add(this.killcamGun);
+
+        this._updateKillcam();
+        this._showOverlay('KILLCAM');
+    }
+
+    _setKillerInfo(killerData) {
+        this.killerId = killerData.id;
+        this.killerName = killerData.name || 'Unknown';
+        this.weaponUsed = killerData.weapon || '';
+    }
+
+    /**
+     * @param {string} title - Headline, e.g. ELIMINATED
+     */
+    _showOverlay(title) {
+        this.overlay.querySelector('.death-camera-title').textContent = title;
         this.overlay.querySelector('.killer-name').textContent = this.killerName;
         this.overlay.querySelector('.death-camera-weapon').textContent =
             this.weaponUsed ? `with ${this.weaponUsed}` : '';
 
-        // Show overlay
         this.overlay.classList.remove('hidden');
         setTimeout(() => this.overlay.classList.add('active'), 50);
     }
@@ -182,6 +226,7 @@ export class DeathCamera {
      */
     update(deltaTime) {
         if (!this.isActive) return false;
+        if (this.killcam) return this._updateKillcam();
 
         const elapsed = performance.now() - this.startTime;
         this.progress = Math.min(elapsed / this.duration, 1);
@@ -212,6 +257,24 @@ export class DeathCamera {
         return true;
     }
 
+    // Look through the killer's eyes at the current playback time
+    _updateKillcam() {
+        const { view, time, duration } = this.killcam;
+        this.progress = Math.min(time / duration, 1);
+
+        if (view) {
+            this.camera.position.set(view.position.x, view.position.y, view.position.z);
+            this.camera.rotation.set(view.rotation.x, view.rotation.y, 0);
+        }
+
+        if (this.progress >= 1) {
+            this.stop();
+            return false;
+        }
+
+        return true;
+    }
+
     /**
      * Update killer position (for tracking moving killer)
      * @param {THREE.Vector3} position - New killer position
@@ -234,6 +297,18 @@ export class DeathCamera {
 
         this.isActive = false;
 
+        if (this.killcam) {
+            // Geometry and materials belong to the killer's model, so only detach the copy
+            if (this.killcamGun) this.camera.remove(this.killcamGun);
+            this.killcamGun = null;
+            this.hiddenCameraChildren.forEach(child => { child.visible = true; });
+            this.hiddenCameraChildren = [];
+
+            this.camera.position.copy(this.originalPosition);
+            this.camera.rotation.copy(this.originalRotation);
+            this.killcam = null;
+        }
+
         // Hide and reset overlay
         this.overlay.classList.remove('active');
         setTimeout(() => this.overlay.classList.add('hidden'), 500);
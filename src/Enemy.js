@@ -1,9 +1,201 @@
 // Enemy.js - Intelligent Enemy AI with FSM and A* Pathfinding
 import * as THREE from 'three';
-import { ENEMY_STATES as STATES, ENEMY_TYPES } from './config/GameConfig.js';
+import { ENEMY_STATES as STATES, ENEMY_TYPES, PLAYER } from './config/GameConfig.js';
 
 export { ENEMY_TYPES };
 
+/**
+ * Build the model for an enemy type, facing +Z with its feet at the origin.
+ * Shared by solo enemies and the server-run enemies of co-op matches.
+ * @param {string} type - Key of ENEMY_TYPES
+ * @returns {{group: THREE.Group, healthBar: THREE.Mesh}} Model and its health bar fill
+ */
+export function createEnemyModel(type) {
+    const config = ENEMY_TYPES[type] || ENEMY_TYPES.NORMAL;
+    const group = new THREE.Group();
+
+    // Body (improved capsule)
+    const bodyGeometry = new THREE.CapsuleGeometry(0.25, 0.6, 4, 8);
+    const bodyMaterial = new THREE.MeshStandardMaterial({
+        color: config.bodyColor,
+        roughness: 0.4,
+        metalness: 0.4,
+        emissive: config.bodyColor,
+        emissiveIntensity: 0.1
+    });
+    const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+    body.position.y = 0.8;
+    body.castShadow = true;
+    group.add(body);
+
+    // Shoulders
+    const shoulderGeo = new THREE.SphereGeometry(0.15, 8, 8);
+    const shoulderMat = new THREE.MeshStandardMaterial({ color: config.bodyColor, metalness: 0.5 });
+    [-0.35, 0.35].forEach(x => {
+        const shoulder = new THREE.Mesh(shoulderGeo, shoulderMat);
+        shoulder.position.set(x, 1.1, 0);
+        shoulder.castShadow = true;
+        group.add(shoulder);
+    });
+
+    // Arms
+    const armGeo = new THREE.CapsuleGeometry(0.08, 0.4, 4, 8);
+    const armMat = new THREE.MeshStandardMaterial({ color: config.bodyColor, metalness: 0.3 });
+    [-0.4, 0.4].forEach(x => {
+        const arm = new THREE.Mesh(armGeo, armMat);
+        arm.position.set(x, 0.7, 0);
+        arm.castShadow = true;
+        group.add(arm);
+    });
+
+    // Legs
+    const legGeo = new THREE.CapsuleGeometry(0.1, 0.5, 4, 8);
+    [-0.15, 0.15].forEach(x => {
+        const leg = new THREE.Mesh(legGeo, armMat);
+        leg.position.set(x, 0.25, 0);
+        leg.castShadow = true;
+        group.add(leg);
+    });
+
+    // Head (rounded box style)
+    const headGeometry = new THREE.BoxGeometry(0.35, 0.35, 0.35);
+    const headMaterial = new THREE.MeshStandardMaterial({
+        color: config.headColor,
+        roughness: 0.3,
+        metalness: 0.3
+    });
+    const head = new THREE.Mesh(headGeometry, headMaterial);
+    head.position.y = 1.45;
+    head.castShadow = true;
+    head.userData.isHead = true;
+    group.add(head);
+
+    // Glowing eyes
+    const eyeGeometry = new THREE.SphereGeometry(0.05, 8, 8);
+    const eyeMaterial = new THREE.MeshBasicMaterial({
+        color: type === 'BERSERKER' || type === 'BOSS' ? 0xff0000 : 0xffff00
+    });
+
+    [-0.08, 0.08].forEach(x => {
+        const eye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+        eye.position.set(x, 1.48, 0.18);
+        group.add(eye);
+    });
+
+    // Type-specific features
+    if (type === 'TANK') {
+        // Armor plates
+        const armorGeo = new THREE.BoxGeometry(0.5, 0.4, 0.15);
+        const armorMat = new THREE.MeshStandardMaterial({ color: 0x3333aa, metalness: 0.8, roughness: 0.2 });
+        const chest = new THREE.Mesh(armorGeo, armorMat);
+        chest.position.set(0, 0.9, 0.2);
+        group.add(chest);
+    } else if (type === 'RUNNER') {
+        // Sleek visor
+        const visorGeo = new THREE.BoxGeometry(0.38, 0.1, 0.1);
+        const visorMat = new THREE.MeshBasicMaterial({ color: 0x00ff00 });
+        const visor = new THREE.Mesh(visorGeo, visorMat);
+        visor.position.set(0, 1.5, 0.18);
+        group.add(visor);
+    } else if (type === 'BERSERKER') {
+        // Spiky shoulders
+        const spikeMat = new THREE.MeshStandardMaterial({ color: 0xff00ff, metalness: 0.7 });
+        [-0.4, 0.4].forEach(x => {
+            const spike = new THREE.Mesh(new THREE.ConeGeometry(0.08, 0.25, 4), spikeMat);
+            spike.position.set(x, 1.3, 0);
+            spike.rotation.z = x > 0 ? -0.5 : 0.5;
+            group.add(spike);
+        });
+    } else if (type === 'BOSS') {
+        // Heavy plating front and back
+        const plateMat = new THREE.MeshStandardMaterial({ color: 0x222222, metalness: 0.9, roughness: 0.3 });
+        [0.2, -0.2].forEach(z => {
+            const plate = new THREE.Mesh(new THREE.BoxGeometry(0.6, 0.5, 0.12), plateMat);
+            plate.position.set(0, 0.9, z);
+            group.add(plate);
+        });
+
+        // Pauldrons
+        [-0.42, 0.42].forEach(x => {
+            const pauldron = new THREE.Mesh(new THREE.BoxGeometry(0.3, 0.14, 0.36), plateMat);
+            pauldron.position.set(x, 1.22, 0);
+            pauldron.rotation.z = x > 0 ? -0.3 : 0.3;
+            group.add(pauldron);
+        });
+
+        // Horns
+        const hornMat = new THREE.MeshStandardMaterial({ color: 0xddccaa, roughness: 0.6 });
+        [-0.14, 0.14].forEach(x => {
+            const horn = new THREE.Mesh(new THREE.ConeGeometry(0.05, 0.3, 6), hornMat);
+            horn.position.set(x, 1.7, 0);
+            horn.rotation.z = x > 0 ? -0.4 : 0.4;
+            group.add(horn);
+        });
+
+        // Weak points: glowing cores set into the chest and back plates
+        const coreGeo = new THREE.SphereGeometry(0.1, 12, 12);
+        [0.27, -0.27].forEach(z => {
+            const core = new THREE.Mesh(coreGeo, new THREE.MeshStandardMaterial({
+                color: 0xffaa00,
+                emissive: 0xff6600,
+                emissiveIntensity: 1
+            }));
+            core.position.set(0, 0.95, z);
+            core.userData.bodyPart = 'weakpoint';
+            group.add(core);
+        });
+    }
+
+    // Health bar background
+    const healthBgGeometry = new THREE.PlaneGeometry(0.6, 0.08);
+    const healthBgMaterial = new THREE.MeshBasicMaterial({
+        color: 0x333333,
+        side: THREE.DoubleSide
+    });
+    const healthBg = new THREE.Mesh(healthBgGeometry, healthBgMaterial);
+    healthBg.position.y = 1.85;
+    group.add(healthBg);
+
+    // Health bar fill
+    const healthBarGeometry = new THREE.PlaneGeometry(0.58, 0.06);
+    const healthBarMaterial = new THREE.MeshBasicMaterial({
+        color: 0x00ff00,
+        side: THREE.DoubleSide
+    });
+    const healthBar = new THREE.Mesh(healthBarGeometry, healthBarMaterial);
+    healthBar.position.y = 1.85;
+    healthBar.position.z = 0.01;
+    group.add(healthBar);
+
+    // Bosses show their health on the HUD instead
+    if (config.isBoss) {
+        healthBg.visible = false;
+        healthBar.visible = false;
+    }
+
+    // Apply type-based scale
+    group.scale.setScalar(config.scale);
+
+    return { group, healthBar };
+}
+
+/**
+ * Size and colour a health bar fill made by createEnemyModel
+ * @param {THREE.Mesh} healthBar - Health bar fill
+ * @param {number} healthPercent - Health left, 0-1
+ */
+export function updateEnemyHealthBar(healthBar, healthPercent) {
+    healthBar.scale.x = healthPercent;
+    healthBar.position.x = (1 - healthPercent) * -0.29; // Center the scaling
+
+    // Change health bar color based on health
+    if (healthPercent < 0.3) {
+        healthBar.material.color.setHex(0xff0000);
+    } else if (healthPercent < 0.6) {
+        healthBar.material.color.setHex(0xffaa00);
+    }
+}
+
 export class Enemy {
     constructor(scene, arena, position, pathfinder = null, type = 'NORMAL') {
         this.scene = scene;
@@ -15,6 +207,7 @@ export class Enemy {
         const config = ENEMY_TYPES[type] || ENEMY_TYPES.NORMAL;
 
         // Stats from type
+        this.name = config.name;
         this.health = config.health[0] + Math.random() * (config.health[1] - config.health[0]);
         this.maxHealth = this.health;
         this.speed = config.speed;
@@ -44,6 +237,28 @@ export class Enemy {
         this.leapVelocity = new THREE.Vector3();
         this.isLeaping = false;
 
+        // Boss phases, slam and barrage (BOSS)
+        this.isBoss = config.isBoss || false;
+        if (this.isBoss) {
+            this.phases = config.phases;
+            this.phase = 0;
+            this.slamConfig = config.slam;
+            this.barrageConfig = config.barrage;
+            this.slamTimer = config.phases[0].slamCooldown;
+            this.barrageTimer = config.phases[0].barrageCooldown;
+            this.slamWindup = 0; // Seconds left before a slam lands
+            this.slamRing = null;
+            this.barrageShotsLeft = 0;
+            this.barrageShotTimer = 0;
+            this.detectionRange = 100; // Always hunting
+            this._aimVec = new THREE.Vector3();
+        }
+        this.onSummon = null; // (types, position) => void, set by WaveManager
+
+        // Squad coordination (set by WaveManager's SquadDirector)
+        this.director = null;
+        this.flankTarget = null; // Point to reach before closing in, while flanking
+
         // State
         this.state = STATES.PATROL;
         this.isDead = false;
@@ -63,7 +278,7 @@ export class Enemy {
         this.strafeDirection = Math.random() < 0.5 ? 1 : -1;
         this.strafeTimer = 0;
         this.strafeDuration = 1 + Math.random(); // 1-2 seconds per strafe
-        this.retreatThreshold = 0.3; // Retreat when below 30% health
+        this.retreatThreshold = this.isBoss ? 0 : 0.3; // Retreat when below 30% health
 
         // Collision settings
         this.collisionRadius = 0.4; // Enemy hitbox radius
@@ -94,126 +309,8 @@ export class Enemy {
     }
 
     createMesh() {
-        const group = new THREE.Group();
-
-        // Body (improved capsule)
-        const bodyGeometry = new THREE.CapsuleGeometry(0.25, 0.6, 4, 8);
-        const bodyMaterial = new THREE.MeshStandardMaterial({
-            color: this.bodyColor,
-            roughness: 0.4,
-            metalness: 0.4,
-            emissive: this.bodyColor,
-            emissiveIntensity: 0.1
-        });
-        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-        body.position.y = 0.8;
-        body.castShadow = true;
-        group.add(body);
-
-        // Shoulders
-        const shoulderGeo = new THREE.SphereGeometry(0.15, 8, 8);
-        const shoulderMat = new THREE.MeshStandardMaterial({ color: this.bodyColor, metalness: 0.5 });
-        [-0.35, 0.35].forEach(x => {
-            const shoulder = new THREE.Mesh(shoulderGeo, shoulderMat);
-            shoulder.position.set(x, 1.1, 0);
-            shoulder.castShadow = true;
-            group.add(shoulder);
-        });
-
-        // Arms
-        const armGeo = new THREE.CapsuleGeometry(0.08, 0.4, 4, 8);
-        const armMat = new THREE.MeshStandardMaterial({ color: this.bodyColor, metalness: 0.3 });
-        [-0.4, 0.4].forEach(x => {
-            const arm = new THREE.Mesh(armGeo, armMat);
-            arm.position.set(x, 0.7, 0);
-            arm.castShadow = true;
-            group.add(arm);
-        });
-
-        // Legs
-        const legGeo = new THREE.CapsuleGeometry(0.1, 0.5, 4, 8);
-        [-0.15, 0.15].forEach(x => {
-            const leg = new THREE.Mesh(legGeo, armMat);
-            leg.position.set(x, 0.25, 0);
-            leg.castShadow = true;
-            group.add(leg);
-        });
-
-        // Head (rounded box style)
-        const headGeometry = new THREE.BoxGeometry(0.35, 0.35, 0.35);
-        const headMaterial = new THREE.MeshStandardMaterial({
-            color: this.headColor,
-            roughness: 0.3,
-            metalness: 0.3
-        });
-        const head = new THREE.Mesh(headGeometry, headMaterial);
-        head.position.y = 1.45;
-        head.castShadow = true;
-        head.userData.isHead = true;
-        group.add(head);
-
-        // Glowing eyes
-        const eyeGeometry = new THREE.SphereGeometry(0.05, 8, 8);
-        const eyeMaterial = new THREE.MeshBasicMaterial({
-            color: this.type === 'BERSERKER' ? 0xff0000 : 0xffff00
-        });
-
-        [-0.08, 0.08].forEach(x => {
-            const eye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-            eye.position.set(x, 1.48, 0.18);
-            group.add(eye);
-        });
-
-        // Type-specific features
-        if (this.type === 'TANK') {
-            // Armor plates
-            const armorGeo = new THREE.BoxGeometry(0.5, 0.4, 0.15);
-            const armorMat = new THREE.MeshStandardMaterial({ color: 0x3333aa, metalness: 0.8, roughness: 0.2 });
-            const chest = new THREE.Mesh(armorGeo, armorMat);
-            chest.position.set(0, 0.9, 0.2);
-            group.add(chest);
-        } else if (this.type === 'RUNNER') {
-            // Sleek visor
-            const visorGeo = new THREE.BoxGeometry(0.38, 0.1, 0.1);
-            const visorMat = new THREE.MeshBasicMaterial({ color: 0x00ff00 });
-            const visor = new THREE.Mesh(visorGeo, visorMat);
-            visor.position.set(0, 1.5, 0.18);
-            group.add(visor);
-        } else if (this.type === 'BERSERKER') {
-            // Spiky shoulders
-            const spikeMat = new THREE.MeshStandardMaterial({ color: 0xff00ff, metalness: 0.7 });
-            [-0.4, 0.4].forEach(x => {
-                const spike = new THREE.Mesh(new THREE.ConeGeometry(0.08, 0.25, 4), spikeMat);
-                spike.position.set(x, 1.3, 0);
-                spike.rotation.z = x > 0 ? -0.5 : 0.5;
-                group.add(spike);
-            });
-        }
-
-        // Health bar background
-        const healthBgGeometry = new THREE.PlaneGeometry(0.6, 0.08);
-        const healthBgMaterial = new THREE.MeshBasicMaterial({
-            color: 0x333333,
-            side: THREE.DoubleSide
-        });
-        const healthBg = new THREE.Mesh(healthBgGeometry, healthBgMaterial);
-        healthBg.position.y = 1.85;
-        group.add(healthBg);
-
-        // Health bar fill
-        const healthBarGeometry = new THREE.PlaneGeometry(0.58, 0.06);
-        const healthBarMaterial = new THREE.MeshBasicMaterial({
-            color: 0x00ff00,
-            side: THREE.DoubleSide
-        });
-        this.healthBar = new THREE.Mesh(healthBarGeometry, healthBarMaterial);
-        this.healthBar.position.y = 1.85;
-        this.healthBar.position.z = 0.01;
-        group.add(this.healthBar);
-
-        // Apply type-based scale
-        group.scale.setScalar(this.scale);
-
+        const { group, healthBar } = createEnemyModel(this.type);
+        this.healthBar = healthBar;
         return group;
     }
 
@@ -240,6 +337,11 @@ export class Enemy {
         this.strafeTimer += deltaTime;
         this.lastPathUpdate += deltaTime;
 
+        // Boss attacks run alongside the state machine (a slam wind-up holds it in IDLE)
+        if (this.isBoss) {
+            this.updateBoss(deltaTime, playerPos, distanceToPlayer);
+        }
+
         // State machine with tactical decisions
         switch (this.state) {
             case STATES.PATROL:
@@ -263,10 +365,13 @@ export class Enemy {
                 } else if (this.isRanged && distanceToPlayer <= this.attackRange) {
                     // Ranged enemies switch to shooting
                     this.state = STATES.ATTACK_RANGED;
+                } else if (this.flankTarget && distanceToPlayer > this.attackRange * 2) {
+                    // The squad wants us coming in from another side
+                    this.state = STATES.FLANK;
                 } else if (this.canLeap && distanceToPlayer > 3 && distanceToPlayer < 8) {
                     // Berserker leap opportunity
                     const currentTime = performance.now() / 1000;
-                    if (currentTime - this.lastLeapTime > this.leapCooldown) {
+                    if (currentTime - this.lastLeapTime > this.leapCooldown && this.mayAttack()) {
                         this.state = STATES.LEAP;
                         this.startLeap(playerPos);
                     } else {
@@ -332,10 +437,13 @@ export class Enemy {
                 break;
 
             case STATES.FLANK:
-                // Move to player's side
-                this.flank(deltaTime, playerPos);
+                // Reach the side the squad director picked, then close in
                 if (distanceToPlayer < this.attackRange) {
                     this.state = STATES.STRAFE;
+                } else if (!this.flankTarget) {
+                    this.state = STATES.CHASE;
+                } else {
+                    this.flank(deltaTime);
                 }
                 break;
 
@@ -350,16 +458,7 @@ export class Enemy {
             this.healthBar.lookAt(playerPos.x, playerPos.y, playerPos.z);
         }
 
-        // Update health bar scale
-        this.healthBar.scale.x = healthPercent;
-        this.healthBar.position.x = (1 - healthPercent) * -0.29; // Center the scaling
-
-        // Change health bar color based on health
-        if (healthPercent < 0.3) {
-            this.healthBar.material.color.setHex(0xff0000);
-        } else if (healthPercent < 0.6) {
-            this.healthBar.material.color.setHex(0xffaa00);
-        }
+        updateEnemyHealthBar(this.healthBar, healthPercent);
     }
 
     requestPath(targetPos) {
@@ -650,30 +749,29 @@ export class Enemy {
         this.mesh.lookAt(playerPos.x, this.mesh.position.y, playerPos.z);
     }
 
-    flank(deltaTime, playerPos) {
-        // Try to move to player's side
-        const toPlayer = this._moveDir;
-        toPlayer.subVectors(playerPos, this.mesh.position);
-        toPlayer.y = 0;
-
-        // Get perpendicular direction
-        const flankX = toPlayer.z * this.strafeDirection;
-        const flankZ = -toPlayer.x * this.strafeDirection;
-
-        // Also move closer
-        toPlayer.normalize();
-        const dx = (toPlayer.x * 0.5 + flankX * 0.5) * this.speed * deltaTime;
-        const dz = (toPlayer.z * 0.5 + flankZ * 0.5) * this.speed * deltaTime;
+    flank(deltaTime) {
+        // Path to the flank point; once there, chase in from that side
+        const target = this.flankTarget;
+        const dx = target.x - this.mesh.position.x;
+        const dz = target.z - this.mesh.position.z;
+        if (dx * dx + dz * dz < 1) {
+            this.flankTarget = null;
+            this.state = STATES.CHASE;
+            return;
+        }
 
-        this.tryMove(dx, dz, deltaTime);
+        this.chase(deltaTime, target);
+    }
 
-        this.mesh.lookAt(playerPos.x, this.mesh.position.y, playerPos.z);
+    // Whether the squad director lets us attack now (always, without one)
+    mayAttack() {
+        return !this.director || this.director.requestAttack(this);
     }
 
     attack(deltaTime) {
         const currentTime = performance.now() / 1000;
 
-        if (currentTime - this.lastAttackTime >= this.attackCooldown) {
+        if (currentTime - this.lastAttackTime >= this.attackCooldown && this.mayAttack()) {
             this.lastAttackTime = currentTime;
 
             // Deal damage to player
@@ -687,8 +785,8 @@ export class Enemy {
     }
 
     animateAttack() {
-        const originalScale = 1;
-        const attackScale = 1.2;
+        const originalScale = this.scale;
+        const attackScale = this.scale * 1.2;
 
         this.mesh.scale.setScalar(attackScale);
 
@@ -727,6 +825,7 @@ export class Enemy {
     die() {
         this.isDead = true;
         this.state = STATES.IDLE;
+        if (this.slamRing) this.slamRing.visible = false;
 
         // Death animation - shrink and fade
         const duration = 300;
@@ -753,6 +852,11 @@ export class Enemy {
         if (this.laserLine) {
             this.scene.remove(this.laserLine);
         }
+        if (this.slamRing) {
+            this.scene.remove(this.slamRing);
+            this.slamRing.geometry.dispose();
+            this.slamRing.material.dispose();
+        }
         this.mesh.traverse(obj => {
             if (obj.geometry) obj.geometry.dispose();
             if (obj.material) obj.material.dispose();
@@ -822,8 +926,8 @@ export class Enemy {
             this.currentAimTime += deltaTime;
             this.updateLaserSight(true, playerPos);
 
-            // Fire when aim complete
-            if (this.currentAimTime >= this.aimTime) {
+            // Fire when aim complete (holding aim until the squad gives us a turn)
+            if (this.currentAimTime >= this.aimTime && this.mayAttack()) {
                 const myPos = this.mesh.position;
                 const origin = this._tempVec.set(
                     myPos.x,
@@ -929,6 +1033,131 @@ export class Enemy {
         }
     }
 
+    // === BOSS ===
+
+    /**
+     * Phase changes and the slam and barrage attacks. Movement and melee stay with the state machine.
+     * @param {number} deltaTime - Frame delta in seconds
+     * @param {THREE.Vector3} playerPos - Player camera position
+     * @param {number} distanceToPlayer - 2D distance to the player
+     */
+    updateBoss(deltaTime, playerPos, distanceToPlayer) {
+        const healthPercent = this.health / this.maxHealth;
+        while (this.phase < this.phases.length - 1 && healthPercent <= this.phases[this.phase + 1].health) {
+            this.enterPhase(this.phase + 1);
+        }
+
+        if (this.slamWindup > 0) {
+            this.updateSlam(deltaTime, playerPos);
+            return;
+        }
+
+        if (this.barrageShotsLeft > 0) {
+            this.updateBarrage(deltaTime, playerPos);
+        }
+
+        const phase = this.phases[this.phase];
+        this.slamTimer -= deltaTime;
+        if (phase.barrageCooldown > 0) this.barrageTimer -= deltaTime; // Held while the phase has no barrage
+
+        if (this.slamTimer <= 0 && distanceToPlayer < this.slamConfig.radius && !this.isLeaping) {
+            this.startSlam();
+        } else if (phase.barrageCooldown > 0 && this.barrageTimer <= 0 && this.barrageShotsLeft === 0 &&
+            distanceToPlayer >= this.slamConfig.radius) {
+            // Out of slam reach - fire a fan of projectiles instead
+            this.barrageShotsLeft = this.barrageConfig.shots;
+            this.barrageShotTimer = 0;
+            this.barrageTimer = phase.barrageCooldown;
+        }
+    }
+
+    /**
+     * Move to a phase: faster, new cooldowns, brighter weak points and a wave of minions
+     * @param {number} index - Index into phases
+     */
+    enterPhase(index) {
+        const phase = this.phases[index];
+        const hadBarrage = this.phases[this.phase].barrageCooldown > 0;
+        this.phase = index;
+        this.speed = phase.speed;
+        this.slamTimer = Math.min(this.slamTimer, phase.slamCooldown);
+        // The first barrage waits a full cooldown rather than firing with the summon
+        this.barrageTimer = hadBarrage ? Math.min(this.barrageTimer, phase.barrageCooldown) : phase.barrageCooldown;
+
+        this.mesh.traverse(child => {
+            if (child.userData.bodyPart === 'weakpoint') child.material.emissiveIntensity = 1 + index;
+        });
+
+        if (phase.summon.length > 0 && this.onSummon) {
+            this.onSummon(phase.summon, this.mesh.position);
+        }
+    }
+
+    // Rear up and telegraph the slam with a ring that grows to its reach
+    startSlam() {
+        this.state = STATES.IDLE;
+        this.slamWindup = this.slamConfig.windup;
+
+        if (!this.slamRing) {
+            this.slamRing = new THREE.Mesh(
+                new THREE.RingGeometry(0.9, 1, 32),
+                new THREE.MeshBasicMaterial({ color: 0xff3300, transparent: true, opacity: 0.6, side: THREE.DoubleSide })
+            );
+            this.slamRing.rotation.x = -Math.PI / 2;
+            this.scene.add(this.slamRing);
+        }
+        this.slamRing.visible = true;
+    }
+
+    updateSlam(deltaTime, playerPos) {
+        const myPos = this.mesh.position;
+        this.slamWindup -= deltaTime;
+
+        const progress = 1 - Math.max(this.slamWindup, 0) / this.slamConfig.windup;
+        this.slamRing.position.set(myPos.x, myPos.y + 0.05, myPos.z);
+        this.slamRing.scale.setScalar(Math.max(progress, 0.05) * this.slamConfig.radius);
+        this.mesh.lookAt(playerPos.x, myPos.y, playerPos.z);
+
+        if (this.slamWindup > 0) return;
+
+        // Land: hits anyone in reach who isn't in the air
+        this.slamRing.visible = false;
+        this.slamTimer = this.phases[this.phase].slamCooldown;
+        this.state = STATES.CHASE;
+
+        const dx = playerPos.x - myPos.x;
+        const dz = playerPos.z - myPos.z;
+        const grounded = playerPos.y - myPos.y < PLAYER.STAND_HEIGHT + 0.5;
+        if (dx * dx + dz * dz < this.slamConfig.radius * this.slamConfig.radius && grounded &&
+            this.player && !this.player.isDead) {
+            this.player.takeDamage(this.slamConfig.damage);
+        }
+        this.animateAttack();
+    }
+
+    // Fire the next shot of a barrage, sweeping across the spread toward the player
+    updateBarrage(deltaTime, playerPos) {
+        if (!this.projectileManager) {
+            this.barrageShotsLeft = 0;
+            return;
+        }
+
+        this.barrageShotTimer -= deltaTime;
+        if (this.barrageShotTimer > 0) return;
+        this.barrageShotTimer = this.barrageConfig.interval;
+
+        const { shots, spread, damage } = this.barrageConfig;
+        const myPos = this.mesh.position;
+        const origin = this._tempVec.set(myPos.x, myPos.y + 1.2 * this.scale, myPos.z);
+
+        const shot = shots - this.barrageShotsLeft;
+        const angle = shots > 1 ? -spread / 2 + spread * shot / (shots - 1) : 0;
+        const target = this._aimVec.subVectors(playerPos, origin).applyAxisAngle(THREE.Object3D.DEFAULT_UP, angle).add(origin);
+
+        this.projectileManager.fire(origin, target, damage, this.projectileSpeed);
+        this.barrageShotsLeft--;
+    }
+
     getMesh() {
         return this.mesh;
     }
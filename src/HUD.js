@@ -1,5 +1,6 @@
 // HUD.js - Heads-up display with screen-edge enemy indicators
 import { Logger } from './utils/Logger.js';
+import { TEAMS } from './config/GameConfig.js';
 
 export class HUD {
     constructor() {
@@ -11,6 +12,10 @@ export class HUD {
             enemies: document.getElementById('enemies'),
             timer: document.getElementById('timer'),
             score: document.getElementById('score'),
+            bossBar: document.getElementById('boss-bar'),
+            bossName: document.getElementById('boss-name'),
+            bossPhase: document.getElementById('boss-phase'),
+            bossFill: document.querySelector('#boss-bar .boss-bar-fill'),
             indicators: document.getElementById('enemy-indicators'),
             hitmarker: document.getElementById('hitmarker'),
             weaponName: document.getElementById('weapon-name'),
@@ -27,6 +32,19 @@ export class HUD {
             respawnKillerName: document.getElementById('respawn-killer-name'),
             playerCount: document.getElementById('player-count'),
             playerCountText: document.getElementById('player-count-text'),
+            flagStatus: document.getElementById('flag-status'),
+            hillStatus: document.getElementById('hill-status'),
+            downedOverlay: document.getElementById('downed-overlay'),
+            downedTitle: document.getElementById('downed-title'),
+            downedDetail: document.getElementById('downed-detail'),
+            downedFill: document.querySelector('#downed-overlay .downed-fill'),
+            reconnectOverlay: document.getElementById('reconnect-overlay'),
+            reconnectDetail: document.getElementById('reconnect-detail'),
+            chatBox: document.getElementById('chat-box'),
+            chatMessages: document.getElementById('chat-messages'),
+            chatInputRow: document.getElementById('chat-input-row'),
+            chatChannel: document.getElementById('chat-channel'),
+            chatInput: document.getElementById('chat-input'),
             // Scope overlay (sniper)
             scopeOverlay: document.getElementById('scope-overlay'),
             crosshair: document.getElementById('crosshair')
@@ -35,6 +53,8 @@ export class HUD {
         this.startTime = 0;
         this.currentScore = 0;
         this.hitmarkerTimeout = null;
+        this.chatChannel = 'all'; // Channel of the open chat input
+        this.shownBoss = null; // Boss the boss bar was built for
 
         // Edge indicator settings
         this.indicatorPool = [];
@@ -362,6 +382,9 @@ export class HUD {
         if (this.elements.playerCount) {
             this.elements.playerCount.classList.toggle('hidden', !enabled);
         }
+        if (this.elements.chatBox) {
+            this.elements.chatBox.classList.toggle('hidden', !enabled);
+        }
 
         // Hide wave-based stats in multiplayer
         if (this.elements.wave) {
@@ -508,6 +531,56 @@ export class HUD {
         }
     }
 
+    /**
+     * Wave and enemy count for co-op matches (the solo stats, hidden in other modes)
+     * @param {Object|null} wave - { number, total, remaining, nextWaveIn } from the server, null outside co-op
+     */
+    updateWaveStatus(wave) {
+        const display = wave ? 'block' : 'none';
+        if (this.elements.wave) this.elements.wave.style.display = display;
+        if (this.elements.enemies) this.elements.enemies.style.display = display;
+        if (!wave) return;
+
+        this.updateWave(wave.number > wave.total ? wave.number : `${wave.number} / ${wave.total}`);
+        if (wave.nextWaveIn > 0 && this.elements.enemies) {
+            this.elements.enemies.textContent = `Next wave: ${Math.ceil(wave.nextWaveIn / 1000)}s`;
+        } else {
+            this.updateEnemies(wave.remaining);
+        }
+    }
+
+    /**
+     * Solo boss health bar, with marks where the boss changes phase
+     * @param {Enemy|null} boss - Living boss, null to hide the bar
+     */
+    updateBossBar(boss) {
+        const { bossBar, bossName, bossPhase, bossFill } = this.elements;
+        if (!bossBar) return;
+
+        if (!boss) {
+            bossBar.classList.add('hidden');
+            this.shownBoss = null;
+            return;
+        }
+
+        if (boss !== this.shownBoss) {
+            this.shownBoss = boss;
+            bossName.textContent = boss.name.toUpperCase();
+            const track = bossFill.parentElement;
+            track.querySelectorAll('.boss-phase-mark').forEach(mark => mark.remove());
+            boss.phases.slice(1).forEach(phase => {
+                const mark = document.createElement('div');
+                mark.className = 'boss-phase-mark';
+                mark.style.left = `${phase.health * 100}%`;
+                track.appendChild(mark);
+            });
+            bossBar.classList.remove('hidden');
+        }
+
+        bossPhase.textContent = `PHASE ${boss.phase + 1} / ${boss.phases.length}`;
+        bossFill.style.width = `${Math.max(0, boss.health / boss.maxHealth) * 100}%`;
+    }
+
     updateTimer() {
         const elapsed = Math.floor((performance.now() - this.startTime) / 1000);
         if (this.elements.timer) {
@@ -630,16 +703,42 @@ export class HUD {
         this.elements.scoreboard?.classList.add('hidden');
     }
 
-    updateScoreboard(scores, localPlayerId) {
+    /**
+     * Rebuild the scoreboard
+     * @param {Object[]} scores - Player scores, sorted by kills
+     * @param {string} localPlayerId - Highlighted player
+     * @param {number[]|null} teamScores - Team totals in team modes; groups rows by team
+     */
+    updateScoreboard(scores, localPlayerId, teamScores = null) {
         if (!this.elements.scoreboardRows) return;
 
         // Create a hash of scores to detect changes (avoid unnecessary DOM updates)
-        const hash = scores.map(p => `${p.id}:${p.kills}:${p.deaths}`).join('|');
+        const hash = scores.map(p => `${p.id}:${p.kills}:${p.deaths}`).join('|') +
+            (teamScores ? `#${teamScores.join(':')}` : '');
         if (hash === this._lastScoreboardHash) return;
         this._lastScoreboardHash = hash;
 
         this.elements.scoreboardRows.innerHTML = '';
 
+        if (teamScores) {
+            TEAMS.forEach(team => {
+                const header = document.createElement('div');
+                header.className = 'scoreboard-team';
+                header.style.color = `#${team.color.toString(16).padStart(6, '0')}`;
+                header.innerHTML = `
+                    <span>${team.name}</span>
+                    <span class="team-score">${teamScores[team.id] ?? 0}</span>
+                `;
+                this.elements.scoreboardRows.appendChild(header);
+
+                this._addScoreboardRows(scores.filter(p => p.team === team.id), localPlayerId);
+            });
+        } else {
+            this._addScoreboardRows(scores, localPlayerId);
+        }
+    }
+
+    _addScoreboardRows(scores, localPlayerId) {
         scores.forEach(player => {
             const row = document.createElement('div');
             row.className = 'scoreboard-row';
@@ -654,10 +753,15 @@ export class HUD {
             const colorHex = player.color ?
                 `#${player.color.toString(16).padStart(6, '0')}` : '#ffffff';
 
+            // Objective points in free-for-all objective modes
+            const points = player.score !== undefined
+                ? `<span class="player-points">${player.score} PTS</span>` : '';
+
             row.innerHTML = `
                 <div class="player-name">
                     <div class="player-color" style="background-color: ${colorHex}"></div>
                     <span>${player.name}</span>
+                    ${points}
                 </div>
                 <div class="player-kills">${player.kills}</div>
                 <div class="player-deaths">${player.deaths}</div>
@@ -668,7 +772,11 @@ export class HUD {
         });
     }
 
-    addKillFeedEntry(killer, victim, isHeadshot, isLocalKill, isLocalDeath) {
+    /**
+     * Add a kill feed line ("killer icon victim")
+     * @param {string} icon - Optional icon override, used for objective events
+     */
+    addKillFeedEntry(killer, victim, isHeadshot, isLocalKill, isLocalDeath, icon = null) {
         if (!this.elements.killFeed) return;
 
         const entry = document.createElement('div');
@@ -677,7 +785,7 @@ export class HUD {
         if (isLocalKill) entry.classList.add('local-kill');
         if (isLocalDeath) entry.classList.add('local-death');
 
-        const icon = isHeadshot ? '💀' : '☠';
+        icon = icon || (isHeadshot ? '💀' : '☠');
 
         entry.innerHTML = `
             <span class="killer">${killer}</span>
@@ -738,6 +846,54 @@ export class HUD {
         }
     }
 
+    /**
+     * Co-op: downed, waiting for a teammate to revive us
+     * @param {number} bleedOutIn - ms until we bleed out
+     * @param {number} progress - Revive progress, 0-1
+     */
+    showDownedOverlay(bleedOutIn, progress) {
+        const { downedOverlay, downedTitle, downedDetail, downedFill } = this.elements;
+        if (!downedOverlay) return;
+
+        downedOverlay.classList.remove('hidden');
+        downedTitle.textContent = progress > 0 ? 'BEING REVIVED' : 'DOWNED';
+        downedDetail.textContent = `Bleeding out in ${Math.ceil(bleedOutIn / 1000)}s - a teammate can revive you`;
+        downedFill.parentElement.style.visibility = 'visible';
+        downedFill.style.width = `${Math.round(progress * 100)}%`;
+    }
+
+    // Co-op: bled out, back when the next wave starts
+    showBledOutOverlay() {
+        const { downedOverlay, downedTitle, downedDetail, downedFill } = this.elements;
+        if (!downedOverlay) return;
+
+        downedOverlay.classList.remove('hidden');
+        downedTitle.textContent = 'BLED OUT';
+        downedDetail.textContent = 'Back in the fight when the next wave starts';
+        downedFill.parentElement.style.visibility = 'hidden';
+    }
+
+    hideDownedOverlay() {
+        this.elements.downedOverlay?.classList.add('hidden');
+    }
+
+    /**
+     * Connection lost mid-match, retrying
+     * @param {number} attempt - Current attempt, from 1
+     * @param {number} maxAttempts - Attempts before giving up
+     */
+    showReconnectOverlay(attempt, maxAttempts) {
+        const { reconnectOverlay, reconnectDetail } = this.elements;
+        if (!reconnectOverlay) return;
+
+        reconnectOverlay.classList.remove('hidden');
+        reconnectDetail.textContent = `Connection lost - attempt ${attempt} of ${maxAttempts}`;
+    }
+
+    hideReconnectOverlay() {
+        this.elements.reconnectOverlay?.classList.add('hidden');
+    }
+
     reset() {
         this.startTime = performance.now();
         this.currentScore = 0;
@@ -749,6 +905,9 @@ export class HUD {
         this.clearKillFeed();
         this.clearDamageIndicators();
         this.hideRespawnOverlay();
+        this.hideDownedOverlay();
+        this.hideReconnectOverlay();
+        this.updateBossBar(null);
         this.hideScoreboard();
     }
 
@@ -759,5 +918,195 @@ export class HUD {
         if (this.elements.playerCount) {
             this.elements.playerCount.classList.add('hidden');
         }
+        this.updateFlagStatus(null, null, 0);
+        this.updateHillStatus(null, null, 0, false);
+        this.closeChatInput();
+        this.clearChat();
+        this.elements.chatBox?.classList.add('hidden');
+    }
+
+    // === CHAT ===
+
+    /**
+     * Add a chat line. Text is set with textContent, never parsed as HTML.
+     * @param {Object} message - { channel, playerName, team, text } from the server
+     * @param {boolean} isLocal - Sent by the local player
+     */
+    addChatMessage(message, isLocal) {
+        const entry = document.createElement('div');
+        entry.className = 'chat-entry';
+        if (isLocal) entry.classList.add('local');
+
+        if (message.channel === 'team') {
+            const channel = document.createElement('span');
+            channel.className = 'chat-team-tag';
+            channel.textContent = '[TEAM] ';
+            entry.appendChild(channel);
+        }
+
+        const name = document.createElement('span');
+        name.className = 'chat-name';
+        name.textContent = `${message.playerName}: `;
+        const team = TEAMS[message.team];
+        if (team) name.style.color = `#${team.color.toString(16).padStart(6, '0')}`;
+        entry.appendChild(name);
+
+        const text = document.createElement('span');
+        text.className = 'chat-text';
+        text.textContent = message.text;
+        entry.appendChild(text);
+
+        this._appendChatEntry(entry);
+    }
+
+    // Server or client notice (mutes, rate limits, command help)
+    addChatNotice(text) {
+        const entry = document.createElement('div');
+        entry.className = 'chat-entry notice';
+        entry.textContent = text;
+        this._appendChatEntry(entry);
+    }
+
+    _appendChatEntry(entry) {
+        const container = this.elements.chatMessages;
+        if (!container) return;
+
+        container.appendChild(entry);
+        while (container.children.length > 8) {
+            container.removeChild(container.firstChild);
+        }
+
+        // Fade after 10 seconds (stays visible while the input is open, see CSS)
+        setTimeout(() => entry.classList.add('faded'), 10000);
+    }
+
+    clearChat() {
+        if (this.elements.chatMessages) {
+            this.elements.chatMessages.innerHTML = '';
+        }
+    }
+
+    /**
+     * Show and focus the chat input
+     * @param {string} channel - 'all' or 'team'
+     */
+    openChatInput(channel) {
+        const { chatBox, chatInputRow, chatChannel, chatInput } = this.elements;
+        if (!chatInput) return;
+
+        this.chatChannel = channel;
+        chatBox.classList.add('typing');
+        chatInputRow.classList.remove('hidden');
+        chatChannel.textContent = channel === 'team' ? 'TEAM' : 'ALL';
+        chatChannel.classList.toggle('team', channel === 'team');
+        chatInput.value = '';
+        chatInput.focus();
+    }
+
+    closeChatInput() {
+        const { chatBox, chatInputRow, chatInput } = this.elements;
+        if (!chatInput) return;
+
+        chatBox.classList.remove('typing');
+        chatInputRow.classList.add('hidden');
+        chatInput.value = '';
+        chatInput.blur();
+    }
+
+    get isChatOpen() {
+        return !!this.elements.chatInputRow && !this.elements.chatInputRow.classList.contains('hidden');
+    }
+
+    /**
+     * King of the Hill capture bar with an arrow pointing at the zone
+     * @param {Object|null} hill - MultiplayerManager.hill, null hides the panel
+     * @param {THREE.Vector3} playerPos - Local player position
+     * @param {number} playerYaw - Camera yaw
+     * @param {boolean} isLocalOwner - Hill held by the local player or their team
+     */
+    updateHillStatus(hill, playerPos, playerYaw, isLocalOwner) {
+        const panel = this.elements.hillStatus;
+        if (!panel) return;
+
+        if (!hill) {
+            panel.classList.add('hidden');
+            return;
+        }
+        panel.classList.remove('hidden');
+
+        let label = 'HILL // NEUTRAL';
+        if (hill.status === 'contested') {
+            label = 'HILL // CONTESTED';
+        } else if (hill.status === 'capturing') {
+            label = 'HILL // CAPTURING';
+        } else if (hill.owner !== null) {
+            label = `HILL // ${isLocalOwner ? 'HELD' : (hill.ownerName || 'ENEMY')}`;
+        }
+
+        const labelEl = panel.querySelector('.hill-label');
+        if (labelEl && labelEl.textContent !== label) labelEl.textContent = label;
+        panel.classList.toggle('contested', hill.status === 'contested');
+        panel.classList.toggle('friendly', isLocalOwner);
+
+        // Team colour of whoever owns or is taking the hill
+        const side = hill.owner ?? hill.capturer;
+        const fill = panel.querySelector('.hill-fill');
+        if (fill) {
+            fill.style.width = `${Math.round(hill.progress * 100)}%`;
+            const team = typeof side === 'number' ? TEAMS[side] : null;
+            fill.style.backgroundColor = team ? `#${team.color.toString(16).padStart(6, '0')}` : '';
+        }
+
+        const arrow = panel.querySelector('.hill-arrow');
+        if (arrow && playerPos) {
+            const dx = hill.zone.pos.x - playerPos.x;
+            const dz = hill.zone.pos.z - playerPos.z;
+            const relativeAngle = Math.atan2(dx, -dz) + playerYaw;
+            arrow.style.transform = `rotate(${relativeAngle * 180 / Math.PI}deg)`;
+        }
+    }
+
+    /**
+     * Capture the Flag status: each flag's state plus an arrow pointing at it
+     * @param {Object[]|null} flags - From MultiplayerManager.getFlagMarkers(), null hides the panel
+     * @param {THREE.Vector3} playerPos - Local player position
+     * @param {number} playerYaw - Camera yaw
+     */
+    updateFlagStatus(flags, playerPos, playerYaw) {
+        const panel = this.elements.flagStatus;
+        if (!panel) return;
+
+        if (!flags || flags.length === 0) {
+            panel.classList.add('hidden');
+            return;
+        }
+        panel.classList.remove('hidden');
+
+        flags.forEach(flag => {
+            const chip = panel.querySelector(`.flag-chip[data-team="${flag.team}"]`);
+            if (!chip) return;
+
+            const teamName = TEAMS[flag.team]?.name || '';
+            let label = `${teamName} FLAG // HOME`;
+            if (flag.state === 'carried') {
+                label = `${teamName} FLAG // ${flag.carrierName || 'TAKEN'}`;
+            } else if (flag.state === 'dropped') {
+                label = `${teamName} FLAG // DROPPED`;
+            }
+
+            const labelEl = chip.querySelector('.flag-label');
+            if (labelEl && labelEl.textContent !== label) labelEl.textContent = label;
+            chip.classList.toggle('carried', flag.state === 'carried');
+            chip.classList.toggle('dropped', flag.state === 'dropped');
+
+            // Same angle convention as the enemy edge indicators
+            const arrow = chip.querySelector('.flag-arrow');
+            if (arrow && playerPos && flag.position) {
+                const dx = flag.position.x - playerPos.x;
+                const dz = flag.position.z - playerPos.z;
+                const relativeAngle = Math.atan2(dx, -dz) + playerYaw;
+                arrow.style.transform = `rotate(${relativeAngle * 180 / Math.PI}deg)`;
+            }
+        });
     }
 }
@@ -0,0 +1,87 @@
+// HillZone.js - Control zone model for King of the Hill
+// A translucent column over the active hill, tinted by whoever holds it
+
+import * as THREE from 'three';
+
+/**
+ * Zone tints for states without an owning team
+ */
+const HILL_COLORS = {
+    NEUTRAL: 0xffffff,
+    CONTESTED: 0xffaa00,
+    OWNED: 0x44ff88 // Owner colour in free-for-all
+};
+
+/**
+ * Build a hill zone model sized to the zone, base at the group origin
+ * @param {{x: number, y: number, z: number}} size - Zone dimensions
+ * @returns {THREE.Group} Zone group (dispose with disposeHillZone)
+ */
+export function createHillZone(size) {
+    const group = new THREE.Group();
+
+    const columnGeometry = new THREE.BoxGeometry(size.x, size.y, size.z);
+    const columnMaterial = new THREE.MeshBasicMaterial({
+        color: HILL_COLORS.NEUTRAL,
+        transparent: true,
+        opacity: 0.12,
+        depthWrite: false
+    });
+    const column = new THREE.Mesh(columnGeometry, columnMaterial);
+    column.position.y = size.y / 2;
+    group.add(column);
+
+    const floorGeometry = new THREE.PlaneGeometry(size.x, size.z);
+    const floorMaterial = new THREE.MeshBasicMaterial({
+        color: HILL_COLORS.NEUTRAL,
+        transparent: true,
+        opacity: 0.35,
+        side: THREE.DoubleSide,
+        depthWrite: false
+    });
+    const floor = new THREE.Mesh(floorGeometry, floorMaterial);
+    floor.rotation.x = -Math.PI / 2;
+    floor.position.y = 0.03;
+    group.add(floor);
+
+    return group;
+}
+
+/**
+ * Tint a zone model for the current hill state
+ * @param {THREE.Group} zone - Model from createHillZone
+ * @param {string} status - 'neutral', 'capturing', 'held' or 'contested'
+ * @param {number|null} ownerColor - Holding team's colour, null if nobody holds it
+ */
+export function setHillZoneState(zone, status, ownerColor) {
+    let color = HILL_COLORS.NEUTRAL;
+    if (status === 'contested') {
+        color = HILL_COLORS.CONTESTED;
+    } else if (ownerColor !== null) {
+        color = ownerColor;
+    }
+    zone.traverse((child) => {
+        if (child.material) child.material.color.setHex(color);
+    });
+}
+
+/**
+ * Default owner colour for free-for-all hills
+ * @param {boolean} ownedByLocal - Whether the local player holds the hill
+ * @returns {number} Colour
+ */
+export function getFfaHillColor(ownedByLocal) {
+    return ownedByLocal ? HILL_COLORS.OWNED : 0xff4444;
+}
+
+/**
+ * Remove a zone model from its parent and free its GPU resources
+ * @param {THREE.Group} zone - Model from createHillZone
+ */
+export function disposeHillZone(zone) {
+    zone.removeFromParent();
+    zone.traverse((child) => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+    });
+}
@@ -1,4 +1,6 @@
 // Menu.js - Start and Game Over menu management with Settings and Multiplayer Lobby
+import { TEAMS } from './config/GameConfig.js';
+
 export class Menu {
     constructor() {
         this.elements = {
@@ -29,6 +31,28 @@ export class Menu {
             lobbyPlayers: document.getElementById('lobby-players'),
             playerList: document.getElementById('player-list'),
             mapSelect: document.getElementById('map-select'),
+            roomCodeInput: document.getElementById('room-code'),
+            roomPrivateToggle: document.getElementById('room-private'),
+            roomFriendlyFireToggle: document.getElementById('room-friendly-fire'),
+            modeSelect: document.getElementById('mode-select'),
+            createRoomBtn: document.getElementById('create-room-btn'),
+            findMatchBtn: document.getElementById('find-match-btn'),
+            roomBrowser: document.getElementById('room-browser'),
+            roomList: document.getElementById('room-list'),
+            roomListEmpty: document.getElementById('room-list-empty'),
+            refreshRoomsBtn: document.getElementById('refresh-rooms-btn'),
+            replayBrowser: document.getElementById('replay-browser'),
+            replayList: document.getElementById('replay-list'),
+            replayListEmpty: document.getElementById('replay-list-empty'),
+            refreshReplaysBtn: document.getElementById('refresh-replays-btn'),
+            openReplayBtn: document.getElementById('open-replay-btn'),
+            replayFileInput: document.getElementById('replay-file-input'),
+            statsBrowser: document.getElementById('stats-browser'),
+            statsNameInput: document.getElementById('stats-name'),
+            statsLookupBtn: document.getElementById('stats-lookup-btn'),
+            statsView: document.getElementById('stats-view'),
+            statsEmpty: document.getElementById('stats-empty'),
+            lobbyRoomInfo: document.getElementById('lobby-room-info'),
             // Multiplayer game over
             mpGameOver: document.getElementById('multiplayer-game-over'),
             mpResultTitle: document.getElementById('mp-result-title'),
@@ -67,6 +91,12 @@ export class Menu {
             this.elements.mapSelect.value = savedMap;
         }
 
+        // Load saved mode preference
+        const savedMode = localStorage.getItem('fps_mode');
+        if (savedMode && this.elements.modeSelect) {
+            this.elements.modeSelect.value = savedMode;
+        }
+
         // Apply initial toggle states
         if (this.elements.particlesToggle) {
             this.elements.particlesToggle.checked = this.settings.particles;
@@ -91,6 +121,10 @@ export class Menu {
         this.onMultiplayerConnect = null;
         this.onMultiplayerDisconnect = null;
         this.onMultiplayerPlayAgain = null;
+        this.onRefreshRooms = null;
+        this.onRefreshReplays = null;
+        this.onWatchReplay = null; // ({ serverUrl, name } or { file })
+        this.onRequestStats = null; // (serverUrl, name)
         // Pause menu callbacks
         this.onResume = null;
         this.onVoteRestart = null;
@@ -183,9 +217,54 @@ export class Menu {
             }
         });
 
-        // Connect button
+        // Connect button - quick play, or join by code if one was entered
         this.elements.connectBtn?.addEventListener('click', () => {
-            this.handleConnect();
+            const code = this.elements.roomCodeInput?.value.trim().toUpperCase();
+            this.handleConnect(code ? { code } : null);
+        });
+
+        // Host a new room
+        this.elements.createRoomBtn?.addEventListener('click', () => {
+            this.handleConnect({
+                create: true,
+                isPrivate: !!this.elements.roomPrivateToggle?.checked,
+                friendlyFire: !!this.elements.roomFriendlyFireToggle?.checked
+            });
+        });
+
+        // Skill-based matchmaking queue
+        this.elements.findMatchBtn?.addEventListener('click', () => {
+            this.handleConnect({ queue: true });
+        });
+
+        // Room browser refresh
+        this.elements.refreshRoomsBtn?.addEventListener('click', () => {
+            this.requestRoomList();
+        });
+
+        // Replay browser
+        this.elements.refreshReplaysBtn?.addEventListener('click', () => {
+            this.requestReplayList();
+        });
+
+        this.elements.openReplayBtn?.addEventListener('click', () => {
+            this.elements.replayFileInput?.click();
+        });
+
+        this.elements.replayFileInput?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // Picking the same file again still fires 'change'
+            if (file && this.onWatchReplay) {
+                this.onWatchReplay({ file });
+            }
+        });
+
+        // Career stats lookup
+        this.elements.statsLookupBtn?.addEventListener('click', () => {
+            this.requestStats(this.elements.statsNameInput?.value.trim());
+        });
+        this.elements.statsNameInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.requestStats(e.target.value.trim());
         });
 
         // Save player name on change
@@ -237,23 +316,258 @@ export class Menu {
         });
     }
 
-    handleConnect() {
+    /**
+     * Start a multiplayer connection
+     * @param {Object} roomOptions - null for quick play, { roomId, spectate }, { code },
+     *   { create, isPrivate, friendlyFire } or { queue }
+     */
+    handleConnect(roomOptions = null) {
         const playerName = this.elements.playerNameInput?.value.trim() || 'Player';
-        const serverUrl = this.elements.serverUrlInput?.value.trim() || 'ws://localhost:8080';
+        const serverUrl = this.getServerUrl();
         const selectedMap = this.elements.mapSelect?.value || 'WAREHOUSE';
+        const selectedMode = this.getSelectedMode();
 
         // Save preferences
         localStorage.setItem('fps_player_name', playerName);
         localStorage.setItem('fps_map', selectedMap);
+        localStorage.setItem('fps_mode', selectedMode);
+
+        // Quick play and hosting both use the selected mode
+        roomOptions = { ...roomOptions, mode: selectedMode };
 
         // Show connecting status
         this.showLobbyStatus('Connecting to server...');
 
         if (this.onMultiplayerConnect) {
-            this.onMultiplayerConnect(serverUrl, playerName, selectedMap);
+            this.onMultiplayerConnect(serverUrl, playerName, selectedMap, roomOptions);
+        }
+    }
+
+    // Ask for the server's public room list
+    requestRoomList() {
+        const serverUrl = this.getServerUrl();
+        if (this.elements.roomListEmpty) {
+            this.elements.roomListEmpty.textContent = 'Loading rooms...';
+            this.elements.roomListEmpty.classList.remove('hidden');
+        }
+        if (this.onRefreshRooms) {
+            this.onRefreshRooms(serverUrl);
+        }
+    }
+
+    /**
+     * Render the room browser
+     * @param {Object[]|null} rooms - Room summaries, or null if the server was unreachable
+     */
+    showRoomList(rooms) {
+        const list = this.elements.roomList;
+        if (!list) return;
+
+        list.innerHTML = '';
+        if (this.elements.roomListEmpty) {
+            const emptyText = rooms ? 'No open rooms - host one!' : 'Server unreachable';
+            this.elements.roomListEmpty.textContent = emptyText;
+            this.elements.roomListEmpty.classList.toggle('hidden', !!rooms && rooms.length > 0);
+        }
+        if (!rooms) return;
+
+        rooms.forEach(room => {
+            const li = document.createElement('li');
+
+            const nameSpan = document.createElement('span');
+            nameSpan.className = 'room-name';
+            nameSpan.textContent = room.name;
+
+            const metaSpan = document.createElement('span');
+            metaSpan.className = 'room-meta';
+            metaSpan.textContent = `${room.mode} ${room.map} ${room.players}/${room.maxPlayers}`;
+            if (room.bots > 0) metaSpan.textContent += ` (${room.bots} bots)`;
+            if (room.spectators > 0) metaSpan.textContent += ` +${room.spectators} watching`;
+
+            const stateSpan = document.createElement('span');
+            stateSpan.className = `room-meta room-state ${room.state}`;
+            stateSpan.textContent = room.state === 'playing' ? 'LIVE' : 'WAITING';
+
+            const joinBtn = document.createElement('button');
+            const isFull = room.players - (room.bots || 0) >= room.maxPlayers; // Bots make way for people
+            joinBtn.textContent = isFull ? 'FULL' : 'JOIN';
+            joinBtn.disabled = isFull;
+            joinBtn.addEventListener('click', () => {
+                this.handleConnect({ roomId: room.id });
+            });
+
+            // Spectators don't take a player slot, so full rooms can still be watched
+            const watchBtn = document.createElement('button');
+            watchBtn.textContent = 'WATCH';
+            watchBtn.addEventListener('click', () => {
+                this.handleConnect({ roomId: room.id, spectate: true });
+            });
+
+            li.appendChild(nameSpan);
+            li.appendChild(metaSpan);
+            li.appendChild(stateSpan);
+            li.appendChild(joinBtn);
+            li.appendChild(watchBtn);
+            list.appendChild(li);
+        });
+    }
+
+    // Ask the server for its saved replays
+    requestReplayList() {
+        const serverUrl = this.getServerUrl();
+        if (this.elements.replayListEmpty) {
+            this.elements.replayListEmpty.textContent = 'Loading replays...';
+            this.elements.replayListEmpty.classList.remove('hidden');
+        }
+        if (this.onRefreshReplays) {
+            this.onRefreshReplays(serverUrl);
         }
     }
 
+    /**
+     * Render the replay browser
+     * @param {Object[]|null} replays - Replay summaries, or null if the server was unreachable
+     */
+    showReplayList(replays) {
+        const list = this.elements.replayList;
+        if (!list) return;
+
+        list.innerHTML = '';
+        if (this.elements.replayListEmpty) {
+            this.elements.replayListEmpty.textContent = replays ? 'No replays yet' : 'Server unreachable';
+            this.elements.replayListEmpty.classList.toggle('hidden', !!replays && replays.length > 0);
+        }
+        if (!replays) return;
+
+        const serverUrl = this.getServerUrl();
+        replays.forEach(replay => {
+            const li = document.createElement('li');
+
+            const nameSpan = document.createElement('span');
+            nameSpan.className = 'room-name';
+            nameSpan.textContent = new Date(replay.recordedAt).toLocaleString();
+
+            const metaSpan = document.createElement('span');
+            metaSpan.className = 'room-meta';
+            metaSpan.textContent = `${replay.mode} ${replay.map}`;
+
+            const watchBtn = document.createElement('button');
+            watchBtn.textContent = 'WATCH';
+            watchBtn.addEventListener('click', () => {
+                if (this.onWatchReplay) {
+                    this.onWatchReplay({ serverUrl, name: replay.name });
+                }
+            });
+
+            li.appendChild(nameSpan);
+            li.appendChild(metaSpan);
+            li.appendChild(watchBtn);
+            list.appendChild(li);
+        });
+    }
+
+    /**
+     * Ask the server for a player's career stats
+     * @param {string} name - Player name
+     */
+    requestStats(name) {
+        if (!name) return;
+        this.elements.statsView?.classList.add('hidden');
+        if (this.elements.statsEmpty) {
+            this.elements.statsEmpty.textContent = 'Loading stats...';
+            this.elements.statsEmpty.classList.remove('hidden');
+        }
+        if (this.onRequestStats) {
+            this.onRequestStats(this.getServerUrl(), name);
+        }
+    }
+
+    /**
+     * Render a player's career stats
+     * @param {Object|null|undefined} stats - Stats from the server, null if it has none for
+     *   the name, undefined if the server was unreachable
+     * @param {string} name - Name that was looked up
+     */
+    showStats(stats, name) {
+        const view = this.elements.statsView;
+        if (!view) return;
+
+        view.innerHTML = '';
+        view.classList.toggle('hidden', !stats);
+        if (this.elements.statsEmpty) {
+            this.elements.statsEmpty.textContent = stats === undefined ? 'Server unreachable' : `No stats for ${name} yet`;
+            this.elements.statsEmpty.classList.toggle('hidden', !!stats);
+        }
+        if (!stats) return;
+
+        const percent = (ratio) => `${Math.round(ratio * 100)}%`;
+        const grid = document.createElement('div');
+        grid.className = 'stats-grid';
+        [
+            ['MATCHES', stats.matches],
+            ['WINS', stats.wins],
+            ['K/D', stats.kd.toFixed(2)],
+            ['KILLS', stats.kills],
+            ['DEATHS', stats.deaths],
+            ['BEST STREAK', stats.longestStreak],
+            ['ACCURACY', percent(stats.accuracy)],
+            ['HEADSHOTS', percent(stats.headshotRatio)],
+            ['RATING', stats.rating]
+        ].forEach(([label, value]) => {
+            const cell = document.createElement('div');
+            cell.className = 'stat';
+
+            const valueSpan = document.createElement('span');
+            valueSpan.className = 'stat-value';
+            valueSpan.textContent = value;
+
+            const labelSpan = document.createElement('span');
+            labelSpan.className = 'stat-label';
+            labelSpan.textContent = label;
+
+            cell.appendChild(valueSpan);
+            cell.appendChild(labelSpan);
+            grid.appendChild(cell);
+        });
+        view.appendChild(grid);
+
+        // Kills per weapon, most used first
+        const weapons = Object.entries(stats.weaponKills).sort((a, b) => b[1] - a[1]);
+        if (weapons.length > 0) {
+            const weaponLine = document.createElement('p');
+            weaponLine.className = 'stats-line';
+            weaponLine.textContent = weapons.map(([weapon, kills]) => `${weapon} ${kills}`).join(' // ');
+            view.appendChild(weaponLine);
+        }
+
+        const matchList = document.createElement('ul');
+        stats.recentMatches.forEach(match => {
+            const li = document.createElement('li');
+
+            const resultSpan = document.createElement('span');
+            resultSpan.className = `stats-match ${match.result}`;
+            resultSpan.textContent = match.result.toUpperCase();
+
+            const metaSpan = document.createElement('span');
+            metaSpan.className = 'room-name';
+            metaSpan.textContent = `${match.mode} ${match.map}`;
+
+            const scoreSpan = document.createElement('span');
+            scoreSpan.className = 'room-meta';
+            scoreSpan.textContent = `${match.kills}/${match.deaths}`;
+
+            li.appendChild(resultSpan);
+            li.appendChild(metaSpan);
+            li.appendChild(scoreSpan);
+            matchList.appendChild(li);
+        });
+        view.appendChild(matchList);
+    }
+
+    getServerUrl() {
+        return this.elements.serverUrlInput?.value.trim() || 'ws://localhost:8080';
+    }
+
     /**
      * Get currently selected map
      * @returns {string} Map name (WAREHOUSE, COURTYARD, BUNKER)
@@ -262,6 +576,10 @@ export class Menu {
         return this.elements.mapSelect?.value || 'WAREHOUSE';
     }
 
+    getSelectedMode() {
+        return this.elements.modeSelect?.value || 'FFA';
+    }
+
     showSettings() {
         this.elements.startMenu?.classList.add('hidden');
         this.elements.settingsPanel?.classList.remove('hidden');
@@ -277,6 +595,16 @@ export class Menu {
         this.elements.multiplayerLobby?.classList.remove('hidden');
         this.hideLobbyStatus();
         this.hideLobbyPlayers();
+        this.elements.roomBrowser?.classList.remove('hidden');
+        this.elements.replayBrowser?.classList.remove('hidden');
+        this.elements.statsBrowser?.classList.remove('hidden');
+        this.requestRoomList();
+        this.requestReplayList();
+
+        // Start with our own record
+        const playerName = this.elements.playerNameInput?.value.trim();
+        if (this.elements.statsNameInput) this.elements.statsNameInput.value = playerName || '';
+        if (playerName) this.requestStats(playerName);
     }
 
     hideMultiplayerLobby() {
@@ -293,15 +621,43 @@ export class Menu {
         }
     }
 
+    /**
+     * Show progress while waiting in the matchmaking queue
+     * @param {Object} status - queue_status message { mode, rating, window, waiting, waitTime }
+     */
+    showQueueStatus(status) {
+        const seconds = Math.floor(status.waitTime / 1000);
+        const waitTime = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        this.showLobbyStatus(
+            `Finding ${status.mode} match ${waitTime} // Rating ${status.rating} ±${status.window} // ` +
+            `${status.waiting} searching`
+        );
+    }
+
     hideLobbyStatus() {
         this.elements.lobbyStatus?.classList.add('hidden');
     }
 
-    showLobbyPlayers(players, localPlayerId) {
+    /**
+     * @param {Object[]} players - Players in the room
+     * @param {string} localPlayerId - Our id
+     * @param {Object|null} room - Room summary
+     * @param {boolean} spectating - Joined as a spectator
+     */
+    showLobbyPlayers(players, localPlayerId, room = null, spectating = false) {
         this.hideLobbyStatus();
+        this.elements.roomBrowser?.classList.add('hidden');
+        this.elements.replayBrowser?.classList.add('hidden');
+        this.elements.statsBrowser?.classList.add('hidden');
         if (this.elements.lobbyPlayers) {
             this.elements.lobbyPlayers.classList.remove('hidden');
         }
+        if (this.elements.lobbyRoomInfo) {
+            this.elements.lobbyRoomInfo.textContent = room
+                ? `${room.name} // ${room.mode} // ${room.map} // CODE ${room.code}`
+                    + (spectating ? ' // SPECTATING' : '')
+                : '';
+        }
         this.updatePlayerList(players, localPlayerId);
     }
 
@@ -384,31 +740,62 @@ export class Menu {
             this.elements.mpResultTitle.dataset.text = data.reason || 'GAME OVER';
         }
 
+        // Announce the next map in the server's rotation
+        if (this.elements.mpResultSubtitle) {
+            this.elements.mpResultSubtitle.textContent = data.nextMap
+                ? `MATCH COMPLETE // NEXT: ${data.nextMap}`
+                : 'MATCH COMPLETE';
+        }
+
         // Build scores display
         if (this.elements.mpFinalScores && data.players) {
             this.elements.mpFinalScores.innerHTML = '';
 
+            // Team result row (team modes)
+            if (data.teamScores) {
+                const teamRow = document.createElement('div');
+                teamRow.className = 'winner-row';
+                teamRow.innerHTML = TEAMS.map(team => `
+                    <span class="winner-name" style="color: #${team.color.toString(16).padStart(6, '0')}">
+                        ${team.name} ${data.teamScores[team.id]}
+                    </span>
+                `).join('<span class="winner-kills">-</span>');
+                this.elements.mpFinalScores.appendChild(teamRow);
+            }
+
+            // Co-op: how far the team got instead of a winner
+            if (data.wave) {
+                const waveRow = document.createElement('div');
+                waveRow.className = 'winner-row';
+                waveRow.innerHTML = `
+                    <span class="winner-name">WAVE ${data.wave.number} / ${data.wave.total}</span>
+                    <span class="winner-kills">${data.players.reduce((sum, player) => sum + player.kills, 0)} KILLS</span>
+                `;
+                this.elements.mpFinalScores.appendChild(waveRow);
+            }
+
             // Winner row
-            if (data.winner) {
+            if (data.winner && !data.wave) {
                 const winnerRow = document.createElement('div');
                 winnerRow.className = 'winner-row';
                 winnerRow.innerHTML = `
                     <span class="crown">👑</span>
                     <span class="winner-name">${data.winner.name}</span>
-                    <span class="winner-kills">${data.winner.kills} KILLS</span>
+                    <span class="winner-kills">${data.rankByScore ? `${data.winner.score} PTS` : `${data.winner.kills} KILLS`}</span>
                 `;
                 this.elements.mpFinalScores.appendChild(winnerRow);
             }
 
             // Other players
-            const sortedPlayers = [...data.players].sort((a, b) => b.kills - a.kills);
+            const sortedPlayers = [...data.players].sort((a, b) =>
+                data.rankByScore ? b.score - a.score : b.kills - a.kills);
             sortedPlayers.forEach((player, index) => {
                 const row = document.createElement('div');
                 row.className = 'score-row';
                 row.innerHTML = `
                     <span class="rank">#${index + 1}</span>
                     <span class="name">${player.name}</span>
-                    <span class="stats">${player.kills}K / ${player.deaths}D</span>
+                    <span class="stats">${data.rankByScore ? `${player.score} PTS // ` : ''}${player.kills}K / ${player.deaths}D</span>
                 `;
                 this.elements.mpFinalScores.appendChild(row);
             });
@@ -1,6 +1,39 @@
 // MultiplayerManager.js - Manages multiplayer game state and remote players
 import * as THREE from 'three';
 import { RemotePlayer } from './RemotePlayer.js';
+import { RemoteEnemy } from './RemoteEnemy.js';
+import { createFlagModel, disposeFlagModel } from './CaptureFlag.js';
+import { createHillZone, setHillZoneState, getFfaHillColor, disposeHillZone } from './HillZone.js';
+import { TEAMS } from './config/GameConfig.js';
+import { Logger } from './utils/Logger.js';
+
+/**
+ * Snapshot interpolation tuning
+ */
+const INTERPOLATION = {
+    DEFAULT_DELAY: 100, // ms behind the server, overridden by the server's INTERP_DELAY
+    BUFFER_TIME: 1000, // ms of snapshots kept
+    MAX_EXTRAPOLATION: 250, // ms to keep moving players past the newest snapshot
+    TELEPORT_DISTANCE: 3, // Larger jumps between snapshots snap instead of sliding
+    CLOCK_SMOOTHING: 0.05, // Weight of each new server clock sample
+    CLOCK_RESET: 500 // ms of clock drift that resets the estimate
+};
+
+/**
+ * Client-side prediction limits
+ */
+const PREDICTION = {
+    MAX_PENDING_INPUTS: 300 // Unacknowledged inputs kept for replay (~2-5 s of frames)
+};
+
+/**
+ * Killcam history: what the local player saw, replayed from the killer's eyes on death
+ */
+const KILLCAM = {
+    HISTORY: 3000, // ms of drawn transforms and shots kept
+    DURATION: 2000, // ms before the death that get replayed
+    HOLD: 300 // ms the killing moment stays on screen
+};
 
 export class MultiplayerManager {
     constructor(scene, arena, networkManager, hud = null) {
@@ -11,18 +44,63 @@ export class MultiplayerManager {
 
         // Remote players
         this.remotePlayers = new Map();
+        this.remotePlayersByNetId = new Map(); // Snapshot netId -> RemotePlayer
+
+        // Snapshot buffer: remote players are drawn interpolationDelay ms in the past
+        this.snapshotBuffer = []; // [{ time, players: Map(netId -> { position, rotation }) }], oldest first
+        this.netStates = new Map(); // netId -> latest { position, rotation } after applying deltas
+        this.serverTimeOffset = null; // Server clock minus clock(), smoothed
+        this.interpolationDelay = INTERPOLATION.DEFAULT_DELAY;
+        this.clock = () => performance.now(); // Local time (ms); replays substitute their playback time
+
+        // Killcam history, recorded every frame at clock() times
+        this.killcamFrames = []; // [{ time, players: Map(playerId -> { position, rotation }) }], oldest first
+        this.killcamShots = []; // [{ time, playerId, target, weapon }], oldest first
+        this.killcam = null; // Playback in progress, see startKillcam()
+
+        // Client-side prediction: inputs are simulated locally right away and
+        // replayed on top of each server acknowledgement
+        this.inputSeq = 0; // Never reset, so a resumed session keeps counting up
+        this.pendingInputs = []; // Sent or not, not yet acknowledged, oldest first
+        this.unsentInputs = []; // Tail of pendingInputs still waiting for the send throttle
 
         // Local player and shooting references
         this.localPlayer = null;
         this.localPlayerId = null;
+        this.localPlayerData = null; // Our entry from 'joined', for our model in killcams
+        this.isSpectator = false; // Joined to watch: no local player in the match
+        this.spectateState = null; // { targetId, health, weapon, ammo } from the server while watching
         this.shooting = null; // For reading ADS, reload, weapon state
         this.bulletTracerManager = null; // For rendering remote player bullet tracers
 
         // Game state
         this.gameStarted = false;
         this.scores = [];
+        this.teamScores = null; // [red, blue] in team modes
         this.killFeed = [];
         this.respawnCountdown = 0;
+
+        // Room rules
+        this.mode = 'FFA';
+        this.friendlyFire = false;
+        this.localTeam = null;
+
+        // Capture the Flag state from the server, and world flag models
+        this.flags = null;
+        this.flagModels = [];
+
+        // King of the Hill state from the server, and the active zone model
+        this.hill = null;
+        this.hillModel = null;
+        this.hillZoneIndex = -1;
+
+        // Co-op wave state and the enemies the server runs, drawn interpolationDelay ms in the past
+        this.wave = null; // { number, total, remaining, nextWaveIn }, null outside co-op
+        this.waveReceivedAt = 0; // clock() when wave arrived, to count nextWaveIn down
+        this.enemies = new Map(); // Enemy id -> RemoteEnemy
+        this.enemySnapshots = []; // [{ time, enemies: Map(id -> { position, yaw }) }], oldest first
+        this.downed = new Map(); // Player id -> { progress, bleedOutIn } of downed co-op players
+        this.isDowned = false; // Local player is down and waiting for a revive
         this.isRespawning = false;
 
         // Callbacks
@@ -33,6 +111,17 @@ export class MultiplayerManager {
         this.onRespawnStart = null;
         this.onRespawnEnd = null;
         this.onPlayerCountChange = null;
+        this.onRestartVote = null;
+        this.onFlagEvent = null;
+        this.onHillUpdate = null;
+        this.onWaveUpdate = null;
+        this.onEnemyKilled = null;
+        this.onPlayerDowned = null;
+        this.onPlayerRevived = null;
+        this.onPlayerBledOut = null;
+        this.onChatMessage = null;
+        this.onChatNotice = null;
+        this.onSpectateUpdate = null;
 
         // Setup network handlers
         this.setupNetworkHandlers();
@@ -46,6 +135,10 @@ export class MultiplayerManager {
             if (this.onPlayerCountChange) {
                 this.onPlayerCountChange(this.getPlayerCount());
             }
+            // The server may have put us on them before they got here
+            if (this.spectateState?.targetId === data.player.id && this.onSpectateUpdate) {
+                this.onSpectateUpdate(this.spectateState);
+            }
         });
 
         // Player left
@@ -57,25 +150,13 @@ export class MultiplayerManager {
             }
         });
 
-        // Initial player list on join
-        this.network.on('joined', (data) => {
-            this.localPlayerId = data.playerId;
+        // Initial player list on join (main.js passes the first one in, see handleJoined)
+        this.network.on('joined', (data) => this.handleJoined(data));
 
-            // Add existing players
-            data.players.forEach(playerData => {
-                if (playerData.id !== this.localPlayerId) {
-                    this.addRemotePlayer(playerData);
-                }
-            });
-
-            if (data.gameStarted) {
-                this.gameStarted = true;
-                if (this.onGameStart) this.onGameStart(data.config);
-            }
-
-            if (this.onPlayerCountChange) {
-                this.onPlayerCountChange(this.getPlayerCount());
-            }
+        // Who we are watching, and their HUD stats (spectators and dead players)
+        this.network.on('spectating', (data) => {
+            this.spectateState = data.targetId ? data : null;
+            if (this.onSpectateUpdate) this.onSpectateUpdate(this.spectateState);
         });
 
         // Game start
@@ -83,51 +164,245 @@ export class MultiplayerManager {
             console.log('Game started!');
             this.gameStarted = true;
             this.scores = [];
+            this.teamScores = data.teamScores || null;
             this.killFeed = [];
+            this.applyFlagState(data.flags);
+            this.applyHillState(data.hill);
+            this.clearEnemies();
+            this.applyWaveState(data.wave);
+            this.isDowned = false;
 
-            if (this.onGameStart) this.onGameStart(data.config);
+            // An admin may have changed the mode since the last match: pick up the new teams
+            if (data.mode && data.mode !== this.mode) {
+                this.mode = data.mode;
+                data.players.forEach(playerData => {
+                    if (playerData.id === this.localPlayerId) {
+                        this.localPlayerData = playerData;
+                        this.localTeam = playerData.team ?? null;
+                        return;
+                    }
+                    this.removeRemotePlayer(playerData.id);
+                    this.addRemotePlayer(playerData);
+                });
+            }
+
+            if (this.onGameStart) this.onGameStart(data.config, data.map);
+            this.placeLocalPlayer(data.players);
         });
 
         // Game end
         this.network.on('game_end', (data) => {
             console.log('Game ended:', data.reason);
             this.gameStarted = false;
+            this.applyFlagState(null);
+            this.applyHillState(null);
+            this.clearEnemies();
+            this.applyWaveState(null);
+            this.isDowned = false;
 
             if (this.onGameEnd) this.onGameEnd(data);
         });
 
+        // Capture the Flag events
+        this.network.on('flag_update', (data) => {
+            this.applyFlagState(data.flags);
+
+            if (data.event === 'captured') {
+                this.teamScores = data.teamScores;
+                if (this.onScoreUpdate) this.onScoreUpdate(this.scores, this.teamScores);
+            }
+            if (this.onFlagEvent) this.onFlagEvent(data);
+        });
+
+        // King of the Hill progress and events
+        this.network.on('hill_update', (data) => {
+            this.applyHillState(data.hill);
+
+            if (data.scores) this.scores = data.scores;
+            if (data.teamScores) this.teamScores = data.teamScores;
+            if (data.scores || data.event === 'captured') {
+                if (this.onScoreUpdate) this.onScoreUpdate(this.scores, this.teamScores);
+            }
+            if (this.onHillUpdate) this.onHillUpdate(data);
+        });
+
+        // Co-op waves starting and being cleared
+        this.network.on('wave_update', (data) => {
+            this.applyWaveState(data.wave);
+            if (this.onWaveUpdate) this.onWaveUpdate(data);
+        });
+
+        // Co-op enemy transforms and downed players, buffered like player snapshots
+        this.network.on('wave_snapshot', (data) => this.applyWaveSnapshot(data));
+
+        this.network.on('enemy_damage', (data) => {
+            this.enemies.get(data.enemyId)?.setHealth(data.health);
+        });
+
+        this.network.on('enemy_killed', (data) => {
+            this.removeEnemy(data.enemyId);
+            this.applyWaveState(data.wave);
+            this.scores = data.scores;
+            if (this.onScoreUpdate) this.onScoreUpdate(this.scores, this.teamScores);
+            if (this.onEnemyKilled) this.onEnemyKilled(data, data.killerId === this.localPlayerId);
+        });
+
+        // Sniper enemy shots: tracer and sound only, hits arrive as player_damage
+        this.network.on('enemy_shot', (data) => {
+            const origin = new THREE.Vector3(data.origin.x, data.origin.y, data.origin.z);
+            if (this.bulletTracerManager) {
+                const target = new THREE.Vector3(data.target.x, data.target.y, data.target.z);
+                this.bulletTracerManager.fire(origin, target, 'SNIPER');
+            }
+            if (this.onRemoteShoot) this.onRemoteShoot(origin, 'SNIPER');
+        });
+
+        // Co-op players go down instead of dying, until revived or bled out
+        this.network.on('player_downed', (data) => {
+            const isLocal = data.playerId === this.localPlayerId;
+            this.downed.set(data.playerId, { progress: 0, bleedOutIn: data.bleedOut });
+            if (isLocal) {
+                this.isDowned = true;
+                if (this.localPlayer) {
+                    this.localPlayer.isDead = true;
+                    this.localPlayer.health = 0;
+                }
+            } else {
+                const player = this.remotePlayers.get(data.playerId);
+                if (player) {
+                    player.setAlive(false);
+                    player.setDowned(true);
+                }
+            }
+            if (this.onPlayerDowned) this.onPlayerDowned(data, isLocal);
+        });
+
+        this.network.on('player_revived', (data) => {
+            const isLocal = data.playerId === this.localPlayerId;
+            this.downed.delete(data.playerId);
+            if (isLocal) {
+                this.isDowned = false;
+                if (this.localPlayer) {
+                    this.localPlayer.isDead = false;
+                    this.localPlayer.health = data.health;
+                }
+                this.clearPendingInputs();
+            } else {
+                const player = this.remotePlayers.get(data.playerId);
+                if (player) {
+                    player.setDowned(false);
+                    player.setAlive(true);
+                    player.setHealth(data.health);
+                }
+            }
+            if (this.onPlayerRevived) this.onPlayerRevived(data, isLocal);
+        });
+
+        // Bled out: out of the fight until the next wave respawns them
+        this.network.on('player_bled_out', (data) => {
+            const isLocal = data.playerId === this.localPlayerId;
+            this.downed.delete(data.playerId);
+            if (isLocal) {
+                this.isDowned = false;
+                this.isRespawning = true;
+                this.respawnCountdown = 0;
+            } else {
+                const player = this.remotePlayers.get(data.playerId);
+                if (player) {
+                    player.setDowned(false);
+                    player.setAlive(false);
+                }
+            }
+            if (this.onPlayerBledOut) this.onPlayerBledOut(data, isLocal);
+        });
+
+        // Chat (already filtered by the server)
+        this.network.on('chat', (data) => {
+            if (this.onChatMessage) this.onChatMessage(data, data.playerId === this.localPlayerId);
+        });
+
+        // Chat moderation notices meant only for us
+        this.network.on('chat_notice', (data) => {
+            if (this.onChatNotice) this.onChatNotice(data.text);
+        });
+
+        // Announcements from the server admin
+        this.network.on('server_message', (data) => {
+            if (this.onChatNotice) this.onChatNotice(`[SERVER] ${data.text}`);
+        });
+
+        // Restart vote progress
+        this.network.on('restart_vote', (data) => {
+            const hasVoted = data.voters.includes(this.localPlayerId);
+            if (this.onRestartVote) this.onRestartVote(data, hasVoted);
+        });
+
+        // Server result of our movement inputs: rewind to it and replay the rest
+        this.network.on('input_ack', (data) => {
+            const acked = this.pendingInputs.findIndex(input => input.seq > data.seq);
+            this.pendingInputs = acked === -1 ? [] : this.pendingInputs.slice(acked);
+
+            if (this.localPlayer && !this.localPlayer.isDead && !this.isRespawning) {
+                this.localPlayer.reconcile(data, this.pendingInputs);
+            }
+        });
+
+        // The server rejected some of our movement and snapped us back; the
+        // input_ack that follows carries the corrected state
+        this.network.on('movement_correction', (data) => {
+            Logger.warn('Movement corrected by server:', data.reasons.join(', '));
+        });
+
+        // The server keeps the magazine count and refuses shots it doesn't allow
+        this.network.on('ammo_correction', (data) => {
+            Logger.debug(`Ammo corrected by server (${data.reason}): ${data.weapon} ${data.ammo}`);
+            if (this.shooting) this.shooting.applyServerAmmo(data.weapon, data.ammo, data.isReloading);
+        });
+
         // Position updates
-        this.network.on('player_position', (data) => {
-            const player = this.remotePlayers.get(data.playerId);
-            if (player) {
-                player.updatePosition(data.position, data.rotation);
+        // One snapshot per server tick. Entries only carry the fields that changed
+        // since the last snapshot; transforms are buffered and interpolated in update()
+        this.network.on('snapshot', (data) => {
+            this.trackServerClock(data.serverTime);
+
+            data.players.forEach(entry => {
+                const player = this.remotePlayersByNetId.get(entry.netId);
+                if (!player) return; // Local player or not yet joined
+
+                const previous = this.netStates.get(entry.netId);
+                this.netStates.set(entry.netId, {
+                    position: entry.position || previous?.position ||
+                        { x: player.position.x, y: player.position.y, z: player.position.z },
+                    rotation: entry.rotation || previous?.rotation || player.targetRotation
+                });
+
                 // Apply visual states for crouch, peek, ADS, sprint, etc.
-                if (data.state) {
-                    player.updateState(data.state);
+                if (entry.state) {
+                    player.updateState(entry.state);
                 }
+            });
+
+            this.snapshotBuffer.push({ time: data.serverTime, players: new Map(this.netStates) });
+            const oldest = data.serverTime - INTERPOLATION.BUFFER_TIME;
+            while (this.snapshotBuffer.length > 2 && this.snapshotBuffer[0].time < oldest) {
+                this.snapshotBuffer.shift();
             }
         });
 
         // Shoot events - now with bullet tracer data
         this.network.on('player_shoot', (data) => {
-            const player = this.remotePlayers.get(data.playerId);
-            if (player) {
-                player.showShootEffect();
-
-                // Render bullet tracer from the remote player's actual gun muzzle
-                if (this.bulletTracerManager && data.target) {
-                    // Use the remote player's gun muzzle position (not the sent origin)
-                    // This ensures the tracer comes from the correct position on their model
-                    const origin = player.getMuzzleWorldPosition();
-                    const target = new THREE.Vector3(data.target.x, data.target.y, data.target.z);
-                    this.bulletTracerManager.fire(origin, target, data.weapon || 'RIFLE');
-                }
-
-                // Callback for spatial audio
-                if (this.onRemoteShoot) {
-                    this.onRemoteShoot(player.getPosition(), data.weapon || 'RIFLE');
-                }
+            if (this.localPlayerId) {
+                this.killcamShots.push({
+                    time: this.clock(),
+                    playerId: data.playerId,
+                    target: data.target,
+                    weapon: data.weapon
+                });
             }
+
+            // Players are posed in the past during a killcam, so live shots would fire from the wrong spot
+            const player = this.remotePlayers.get(data.playerId);
+            if (player && !this.killcam) this.showRemoteShot(player, data);
         });
 
         // Damage events
@@ -140,6 +415,10 @@ export class MultiplayerManager {
                     const attacker = this.remotePlayers.get(data.attackerId);
                     if (attacker) {
                         attackerPos = attacker.getPosition();
+                    } else if (data.sourcePosition) {
+                        // Co-op enemy
+                        const { x, y, z } = data.sourcePosition;
+                        attackerPos = new THREE.Vector3(x, y, z);
                     }
                     this.localPlayer.takeDamage(data.damage, attackerPos);
                 }
@@ -157,7 +436,8 @@ export class MultiplayerManager {
         this.network.on('player_killed', (data) => {
             // Update scores
             this.scores = data.scores;
-            if (this.onScoreUpdate) this.onScoreUpdate(this.scores);
+            this.teamScores = data.teamScores || null;
+            if (this.onScoreUpdate) this.onScoreUpdate(this.scores, this.teamScores);
 
             // Add to kill feed
             const killInfo = {
@@ -215,6 +495,7 @@ export class MultiplayerManager {
                 if (this.localPlayer) {
                     this.localPlayer.respawnAt(data.position);
                 }
+                this.clearPendingInputs();
 
                 // Hide the respawn overlay - try both methods
                 // Direct HUD call
@@ -233,6 +514,8 @@ export class MultiplayerManager {
                 if (player) {
                     player.setAlive(true);
                     player.setHealth(data.health);
+                    // Don't slide from the death spot through buffered snapshots
+                    this.clearBufferedPlayer(player.netId);
                     player.updatePosition(data.position, { x: 0, y: 0 });
                 }
             }
@@ -247,8 +530,54 @@ export class MultiplayerManager {
         });
     }
 
+    /**
+     * Apply a 'joined' message. The first one arrives before this manager exists,
+     * so main.js hands it over; resumed sessions come through the network handler.
+     * @param {Object} data - 'joined' message
+     */
+    handleJoined(data) {
+        this.localPlayerId = data.playerId;
+        this.isSpectator = !!data.spectator;
+        this.interpolationDelay = data.config?.INTERP_DELAY ?? INTERPOLATION.DEFAULT_DELAY;
+        this.mode = data.room?.mode || 'FFA';
+        this.friendlyFire = !!data.room?.friendlyFire;
+
+        // Resumed session mid-match: keep the running game, just resync players
+        const resumingMatch = data.resumed && this.gameStarted;
+        const ids = new Set(data.players.map(playerData => playerData.id));
+        Array.from(this.remotePlayers.keys())
+            .filter(id => !ids.has(id))
+            .forEach(id => this.removeRemotePlayer(id));
+
+        // Add existing players
+        data.players.forEach(playerData => {
+            if (playerData.id !== this.localPlayerId) {
+                this.addRemotePlayer(playerData);
+            } else {
+                this.localPlayerData = playerData;
+                this.localTeam = playerData.team ?? null;
+            }
+        });
+
+        this.teamScores = data.teamScores || null;
+        this.applyFlagState(data.flags);
+        this.applyHillState(data.hill);
+        this.applyWaveState(data.wave);
+
+        if (data.gameStarted && !resumingMatch) {
+            this.gameStarted = true;
+            if (this.onGameStart) this.onGameStart(data.config, data.map);
+            this.placeLocalPlayer(data.players);
+        }
+
+        if (this.onPlayerCountChange) {
+            this.onPlayerCountChange(this.getPlayerCount());
+        }
+    }
+
     setLocalPlayer(player) {
         this.localPlayer = player;
+        player.onMovementInput = (input) => this.recordInput(input);
 
         // Add respawn method to player if not exists
         if (!player.respawnAt) {
@@ -258,10 +587,12 @@ export class MultiplayerManager {
                     const spawnY = position.y || 1.7;
                     player.camera.position.set(position.x, spawnY, position.z);
 
-                    // Reset velocity (Player uses separate velocityX/Y/Z properties)
+                    // Reset movement to match the server's fresh spawn state
                     player.velocityX = 0;
                     player.velocityY = 0;
                     player.velocityZ = 0;
+                    player.isOnGround = true;
+                    player.playerHeight = player.standHeight;
 
                     console.log('Local player respawned at:', position);
                 } catch (e) {
@@ -284,6 +615,7 @@ export class MultiplayerManager {
 
         const remotePlayer = new RemotePlayer(this.scene, playerData);
         this.remotePlayers.set(playerData.id, remotePlayer);
+        if (playerData.netId) this.remotePlayersByNetId.set(playerData.netId, remotePlayer);
 
         console.log(`Added remote player: ${playerData.name}`);
     }
@@ -293,6 +625,8 @@ export class MultiplayerManager {
         if (player) {
             player.dispose();
             this.remotePlayers.delete(playerId);
+            this.remotePlayersByNetId.delete(player.netId);
+            this.clearBufferedPlayer(player.netId);
         }
     }
 
@@ -303,77 +637,83 @@ export class MultiplayerManager {
             if (this.respawnCountdown < 0) this.respawnCountdown = 0;
         }
 
-        // Update remote players
+        // Update remote players; a killcam poses them from its history instead
+        if (this.killcam) {
+            this.updateKillcam(deltaTime);
+            this.killcam.victim.update(deltaTime);
+        } else {
+            this.interpolateRemotePlayers();
+        }
+        this.interpolateEnemies();
         this.remotePlayers.forEach(player => {
             player.update(deltaTime);
         });
+        if (!this.killcam) this.recordKillcamFrame();
 
-        // Send local player position with state
-        if (this.localPlayer && this.network.isConnected && !this.isRespawning) {
-            // Use getBasePosition to exclude peek offset - keeps remote legs still
-            const pos = this.localPlayer.getBasePosition ?
-                this.localPlayer.getBasePosition() :
-                this.localPlayer.getPosition();
-            const rot = {
-                x: this.localPlayer.camera.rotation.x,
-                y: this.localPlayer.camera.rotation.y
-            };
+        // Send buffered movement inputs with state
+        this.sendInputs(false);
+    }
 
-            // Collect local player state for visual sync
-            const state = {
-                isCrouching: this.localPlayer.isCrouching || false,
-                peekState: this.localPlayer.peekLeft ? -1 : (this.localPlayer.peekRight ? 1 : 0),
-                isAiming: this.shooting?.isAiming || false,
-                isSprinting: this.localPlayer.sprint || false,
-                isReloading: this.shooting?.isReloading || false,
-                weapon: this.shooting?.currentWeaponKey || 'RIFLE'
-            };
+    // === CLIENT-SIDE PREDICTION ===
+
+    /**
+     * Number and buffer an input the local player just simulated
+     * @param {Object} input - { flags, yaw, dt } from createMovementInput
+     */
+    recordInput(input) {
+        if (!this.network.isConnected || this.isRespawning) return;
 
-            this.network.sendPosition(pos, rot, state);
+        const command = { ...input, seq: ++this.inputSeq };
+        this.pendingInputs.push(command);
+        this.unsentInputs.push(command);
+
+        // Server stopped acknowledging (e.g. a stalled connection) - keep only recent history
+        if (this.pendingInputs.length > PREDICTION.MAX_PENDING_INPUTS) {
+            this.pendingInputs.shift();
         }
     }
 
+    /**
+     * Send unsent inputs with the current view pitch and visual state
+     * @param {boolean} force - Skip the network throttle
+     */
+    sendInputs(force) {
+        if (!this.localPlayer || !this.network.isConnected || this.unsentInputs.length === 0) return;
+
+        const state = {
+            peekState: this.localPlayer.peekLeft ? -1 : (this.localPlayer.peekRight ? 1 : 0),
+            isAiming: this.shooting?.isAiming || false,
+            isReloading: this.shooting?.isReloading || false,
+            weapon: this.shooting?.currentWeaponKey || 'RIFLE'
+        };
+
+        const sent = this.network.sendInputs(this.unsentInputs, this.localPlayer.camera.rotation.x, state, force);
+        if (sent > 0) this.unsentInputs.splice(0, sent);
+    }
+
+    // Teleports (spawns, game start) invalidate inputs simulated from the old position
+    clearPendingInputs() {
+        this.pendingInputs = [];
+        this.unsentInputs = [];
+    }
+
+    /**
+     * Put the local player where the server spawned them
+     * @param {Object[]} players - Player list from 'joined' or 'game_start'
+     */
+    placeLocalPlayer(players) {
+        const self = players?.find(player => player.id === this.localPlayerId);
+        if (self && this.localPlayer) this.localPlayer.respawnAt(self.position);
+        this.clearPendingInputs();
+    }
+
     onPlayerJump() {
-        if (this.localPlayer && this.network.isConnected) {
-            // Force immediate update on jump to ensure other players see it
-            const pos = this.localPlayer.getBasePosition ? this.localPlayer.getBasePosition() : this.localPlayer.getPosition();
-            const rot = {
-                x: this.localPlayer.camera.rotation.x,
-                y: this.localPlayer.camera.rotation.y
-            };
-            const state = {
-                isCrouching: false,
-                peekState: this.localPlayer.peekLeft ? -1 : (this.localPlayer.peekRight ? 1 : 0),
-                isAiming: this.shooting?.isAiming || false,
-                isSprinting: this.localPlayer.sprint || false,
-                isReloading: this.shooting?.isReloading || false,
-                weapon: this.shooting?.currentWeaponKey || 'RIFLE'
-            };
-            this.network.sendPosition(pos, rot, state, true); // Force update
-        }
+        // Send the jump right away so other players see it
+        this.sendInputs(true);
     }
 
     onPlayerLand() {
-        if (this.localPlayer && this.network.isConnected) {
-            // Force immediate update on landing
-            const pos = this.localPlayer.getBasePosition ? this.localPlayer.getBasePosition() : this.localPlayer.getPosition();
-            const rot = {
-                x: this.localPlayer.camera.rotation.x,
-                y: this.localPlayer.camera.rotation.y
-            };
-            const state = {
-                isCrouching: this.localPlayer.sprint || false, // Use current state
-                peekState: this.localPlayer.peekLeft ? -1 : (this.localPlayer.peekRight ? 1 : 0),
-                isAiming: this.shooting?.isAiming || false,
-                isSprinting: this.localPlayer.sprint || false,
-                isReloading: this.shooting?.isReloading || false,
-                weapon: this.shooting?.currentWeaponKey || 'RIFLE'
-            };
-            // Correct crouching check
-            state.isCrouching = this.localPlayer.isCrouching || false;
-
-            this.network.sendPosition(pos, rot, state, true); // Force update
-        }
+        this.sendInputs(true);
     }
 
     // Get all remote player meshes for hit detection
@@ -393,14 +733,373 @@ export class MultiplayerManager {
         return meshes;
     }
 
-    // Called when local player hits a remote player
-    handleLocalHit(targetPlayerId, damage, isHeadshot) {
-        this.network.sendHit(targetPlayerId, damage, isHeadshot);
-    }
-
     // Called when local player shoots - pass bullet trajectory data
     handleLocalShoot(weapon, bulletData) {
-        this.network.sendShoot(weapon, bulletData);
+        this.network.sendShoot(weapon, bulletData, this.shooting?.ammo);
+    }
+
+    // === SPECTATING ===
+
+    /**
+     * Ask the server to watch the next or previous player
+     * @param {number} direction - 1 next, -1 previous
+     */
+    requestSpectate(direction) {
+        this.network.sendSpectate(direction);
+    }
+
+    // Player the server has us watching, if they are here
+    getSpectateTarget() {
+        return this.spectateState ? this.remotePlayers.get(this.spectateState.targetId) || null : null;
+    }
+
+    /**
+     * Muzzle flash, tracer and sound for a remote player's shot
+     * @param {RemotePlayer} player - Shooter
+     * @param {Object} data - { target, weapon } from player_shoot
+     */
+    showRemoteShot(player, data) {
+        player.showShootEffect();
+
+        // Render bullet tracer from the remote player's actual gun muzzle
+        if (this.bulletTracerManager && data.target) {
+            // Use the remote player's gun muzzle position (not the sent origin)
+            // This ensures the tracer comes from the correct position on their model
+            const origin = player.getMuzzleWorldPosition();
+            const target = new THREE.Vector3(data.target.x, data.target.y, data.target.z);
+            this.bulletTracerManager.fire(origin, target, data.weapon || 'RIFLE');
+        }
+
+        // Callback for spatial audio
+        if (this.onRemoteShoot) {
+            this.onRemoteShoot(player.getPosition(), data.weapon || 'RIFLE');
+        }
+    }
+
+    // === SNAPSHOT INTERPOLATION ===
+
+    /**
+     * Estimate the server clock from snapshot timestamps
+     * @param {number} serverTime - Snapshot timestamp (server ms)
+     */
+    trackServerClock(serverTime) {
+        const offset = serverTime - this.clock();
+        if (this.serverTimeOffset === null ||
+            Math.abs(offset - this.serverTimeOffset) > INTERPOLATION.CLOCK_RESET) {
+            this.serverTimeOffset = offset;
+        } else {
+            this.serverTimeOffset += (offset - this.serverTimeOffset) * INTERPOLATION.CLOCK_SMOOTHING;
+        }
+    }
+
+    /**
+     * Place remote players at their buffered transforms for interpolationDelay ms ago,
+     * extrapolating briefly when snapshots stop arriving
+     */
+    interpolateRemotePlayers() {
+        const buffer = this.snapshotBuffer;
+        if (this.serverTimeOffset === null || buffer.length === 0) return;
+
+        const renderTime = this.clock() + this.serverTimeOffset - this.interpolationDelay;
+
+        // Newest snapshot at or before renderTime, and the one after it
+        let olderIndex = -1;
+        for (let i = buffer.length - 1; i >= 0; i--) {
+            if (buffer[i].time <= renderTime) {
+                olderIndex = i;
+                break;
+            }
+        }
+
+        this.remotePlayersByNetId.forEach((player, netId) => {
+            let transform = null;
+            if (olderIndex === -1) {
+                // Render time is before the buffer (just joined): hold the oldest
+                transform = buffer[0].players.get(netId);
+            } else if (olderIndex < buffer.length - 1) {
+                const older = buffer[olderIndex];
+                const newer = buffer[olderIndex + 1];
+                const t = (renderTime - older.time) / (newer.time - older.time);
+                transform = this.blendTransforms(older.players.get(netId), newer.players.get(netId), t);
+            } else if (buffer.length >= 2) {
+                // Past the newest snapshot (packet loss or lag): extrapolate
+                const previous = buffer[buffer.length - 2];
+                const latest = buffer[buffer.length - 1];
+                const ahead = Math.min(renderTime - latest.time, INTERPOLATION.MAX_EXTRAPOLATION);
+                const t = 1 + ahead / (latest.time - previous.time);
+                transform = this.blendTransforms(previous.players.get(netId), latest.players.get(netId), t);
+            } else {
+                transform = buffer[0].players.get(netId);
+            }
+
+            if (transform) player.setInterpolatedTransform(transform.position, transform.rotation);
+        });
+    }
+
+    /**
+     * Blend two buffered transforms (t > 1 extrapolates)
+     * @returns {Object|null} { position, rotation }
+     */
+    blendTransforms(from, to, t) {
+        if (!from || !to) return to || from || null;
+
+        const dx = to.position.x - from.position.x;
+        const dy = to.position.y - from.position.y;
+        const dz = to.position.z - from.position.z;
+        if (Math.sqrt(dx * dx + dy * dy + dz * dz) > INTERPOLATION.TELEPORT_DISTANCE) return to;
+
+        let yawDiff = to.rotation.y - from.rotation.y;
+        if (yawDiff > Math.PI) yawDiff -= Math.PI * 2;
+        if (yawDiff < -Math.PI) yawDiff += Math.PI * 2;
+
+        return {
+            position: {
+                x: from.position.x + dx * t,
+                y: from.position.y + dy * t,
+                z: from.position.z + dz * t
+            },
+            rotation: {
+                x: from.rotation.x + (to.rotation.x - from.rotation.x) * t,
+                y: from.rotation.y + yawDiff * t
+            }
+        };
+    }
+
+    // Forget a player's buffered transforms (left, or teleported by a respawn)
+    clearBufferedPlayer(netId) {
+        this.netStates.delete(netId);
+        this.snapshotBuffer.forEach(snapshot => snapshot.players.delete(netId));
+    }
+
+    // === CO-OP ENEMIES ===
+
+    isCoop() {
+        return this.mode === 'COOP';
+    }
+
+    /**
+     * @param {Object|null} wave - { number, total, remaining, nextWaveIn } from the server, null outside co-op
+     */
+    applyWaveState(wave) {
+        this.wave = wave || null;
+        this.waveReceivedAt = this.clock();
+    }
+
+    // Wave state with the break countdown brought up to now, for the HUD
+    getWaveState() {
+        if (!this.wave) return null;
+        const elapsed = this.clock() - this.waveReceivedAt;
+        return { ...this.wave, nextWaveIn: Math.max(0, this.wave.nextWaveIn - elapsed) };
+    }
+
+    /**
+     * Apply a wave_snapshot: add enemies we haven't seen, drop ones the server no longer runs,
+     * buffer their transforms and take the downed players' revive state
+     * @param {Object} data - { serverTime, enemies, downed }
+     */
+    applyWaveSnapshot(data) {
+        this.downed = new Map(data.downed.map(entry => [entry.playerId, entry]));
+
+        const transforms = new Map();
+        data.enemies.forEach(entry => {
+            let enemy = this.enemies.get(entry.id);
+            if (!enemy) {
+                enemy = new RemoteEnemy(this.scene, entry);
+                this.enemies.set(entry.id, enemy);
+            }
+            enemy.setState(entry);
+            transforms.set(entry.id, { position: { x: entry.x, y: entry.y, z: entry.z }, yaw: entry.yaw });
+        });
+        this.enemies.forEach((enemy, id) => {
+            if (!transforms.has(id)) this.removeEnemy(id);
+        });
+
+        this.enemySnapshots.push({ time: data.serverTime, enemies: transforms });
+        const oldest = data.serverTime - INTERPOLATION.BUFFER_TIME;
+        while (this.enemySnapshots.length > 2 && this.enemySnapshots[0].time < oldest) {
+            this.enemySnapshots.shift();
+        }
+    }
+
+    // Place enemies at their buffered transforms for the same render time as remote players
+    interpolateEnemies() {
+        const buffer = this.enemySnapshots;
+        if (this.serverTimeOffset === null || buffer.length === 0) return;
+
+        const renderTime = this.clock() + this.serverTimeOffset - this.interpolationDelay;
+        let olderIndex = buffer.length - 1;
+        while (olderIndex > 0 && buffer[olderIndex].time > renderTime) olderIndex--;
+        const older = buffer[olderIndex];
+        const newer = buffer[Math.min(olderIndex + 1, buffer.length - 1)];
+        const t = newer === older ? 1 : Math.max(0, Math.min(1, (renderTime - older.time) / (newer.time - older.time)));
+
+        this.enemies.forEach((enemy, id) => {
+            const to = newer.enemies.get(id);
+            const from = older.enemies.get(id) || to;
+            if (!to) return;
+
+            let yawDiff = to.yaw - from.yaw;
+            if (yawDiff > Math.PI) yawDiff -= Math.PI * 2;
+            if (yawDiff < -Math.PI) yawDiff += Math.PI * 2;
+            enemy.setTransform({
+                x: from.position.x + (to.position.x - from.position.x) * t,
+                y: from.position.y + (to.position.y - from.position.y) * t,
+                z: from.position.z + (to.position.z - from.position.z) * t
+            }, from.yaw + yawDiff * t);
+        });
+    }
+
+    /**
+     * Face enemy health bars to the camera and aim sniper lasers at their targets
+     * @param {THREE.Vector3} cameraPosition - Camera drawing the scene
+     */
+    updateEnemies(cameraPosition) {
+        this.enemies.forEach(enemy => {
+            let targetPosition = null;
+            if (enemy.targetId === this.localPlayerId && this.localPlayer) {
+                targetPosition = this.localPlayer.getPosition();
+            } else {
+                targetPosition = this.remotePlayers.get(enemy.targetId)?.getPosition() || null;
+            }
+            enemy.update(cameraPosition, targetPosition);
+        });
+    }
+
+    removeEnemy(enemyId) {
+        const enemy = this.enemies.get(enemyId);
+        if (!enemy) return;
+        enemy.dispose();
+        this.enemies.delete(enemyId);
+    }
+
+    clearEnemies() {
+        this.enemies.forEach(enemy => enemy.dispose());
+        this.enemies.clear();
+        this.enemySnapshots = [];
+        this.downed.clear();
+    }
+
+    // Enemy models for hit detection
+    getEnemyMeshes() {
+        return Array.from(this.enemies.values()).map(enemy => enemy.mesh);
+    }
+
+    // === KILLCAM ===
+
+    // Remember where everyone was drawn this frame
+    recordKillcamFrame() {
+        if (!this.localPlayerId || this.isSpectator) return; // Nobody here to die
+
+        const now = this.clock();
+        const players = new Map();
+        this.remotePlayers.forEach((player, id) => {
+            if (!player.isAlive) return;
+            const { x, y, z } = player.position;
+            const rotation = player.targetRotation;
+            players.set(id, { position: { x, y, z }, rotation: { x: rotation.x || 0, y: rotation.y || 0 } });
+        });
+        if (this.localPlayer && !this.localPlayer.isDead) {
+            const { position, rotation } = this.localPlayer.camera;
+            players.set(this.localPlayerId, {
+                position: { x: position.x, y: position.y, z: position.z },
+                rotation: { x: rotation.x, y: rotation.y }
+            });
+        }
+        this.killcamFrames.push({ time: now, players });
+
+        const oldest = now - KILLCAM.HISTORY;
+        while (this.killcamFrames.length > 0 && this.killcamFrames[0].time < oldest) {
+            this.killcamFrames.shift();
+        }
+        while (this.killcamShots.length > 0 && this.killcamShots[0].time < oldest) {
+            this.killcamShots.shift();
+        }
+    }
+
+    /**
+     * Replay the moments before our death. Remote players, and a model standing in
+     * for us, are posed from the history until stopKillcam()
+     * @param {string} killerId - Player whose view is replayed
+     * @returns {Object|null} Playback { killer, time, duration, view }, view being the
+     *   killer's { position, rotation } as it plays; null without history of the killer
+     */
+    startKillcam(killerId) {
+        this.stopKillcam();
+
+        const killer = this.remotePlayers.get(killerId);
+        const end = this.clock();
+        const frames = this.killcamFrames.filter(frame => frame.time >= end - KILLCAM.DURATION);
+        if (!killer || !frames.some(frame => frame.players.has(killerId))) return null;
+
+        const victim = new RemotePlayer(this.scene, {
+            ...this.localPlayerData,
+            id: this.localPlayerId,
+            team: this.localTeam,
+            weapon: this.shooting?.currentWeaponKey,
+            isAlive: true
+        });
+
+        this.killcam = {
+            killer,
+            killerId,
+            victim,
+            frames,
+            shots: this.killcamShots.filter(shot => shot.time >= frames[0].time),
+            startTime: frames[0].time,
+            time: 0, // ms since startTime
+            duration: end - frames[0].time + KILLCAM.HOLD,
+            view: null
+        };
+        killer.mesh.visible = false; // The camera is inside their head
+        this.updateKillcam(0);
+        return this.killcam;
+    }
+
+    /**
+     * Advance the killcam, posing players and replaying the shots fired meanwhile
+     * @param {number} deltaTime - Seconds
+     */
+    updateKillcam(deltaTime) {
+        const killcam = this.killcam;
+        const previous = killcam.startTime + killcam.time;
+        killcam.time = Math.min(killcam.time + deltaTime * 1000, killcam.duration);
+        const time = killcam.startTime + killcam.time;
+
+        // Frames around the playback time (held on the last one)
+        const { frames } = killcam;
+        let index = frames.length - 1;
+        while (index > 0 && frames[index].time > time) index--;
+        const older = frames[index];
+        const newer = frames[Math.min(index + 1, frames.length - 1)];
+        const t = newer.time > older.time ? Math.min((time - older.time) / (newer.time - older.time), 1) : 1;
+        const transformOf = id => this.blendTransforms(older.players.get(id), newer.players.get(id), t);
+
+        this.remotePlayers.forEach((player, id) => {
+            const transform = transformOf(id);
+            if (transform) player.setInterpolatedTransform(transform.position, transform.rotation);
+        });
+
+        const own = transformOf(this.localPlayerId);
+        killcam.victim.mesh.visible = !!own;
+        if (own) killcam.victim.setInterpolatedTransform(own.position, own.rotation);
+
+        killcam.view = transformOf(killcam.killerId) || killcam.view;
+
+        killcam.shots.forEach(shot => {
+            if (shot.time <= previous || shot.time > time) return;
+            const player = this.remotePlayers.get(shot.playerId);
+            if (player) this.showRemoteShot(player, shot);
+        });
+    }
+
+    // Back to live interpolation
+    stopKillcam() {
+        if (!this.killcam) return;
+
+        const { killer, victim } = this.killcam;
+        killer.mesh.visible = killer.isAlive;
+        victim.dispose();
+        this.killcam = null;
     }
 
     setBulletTracerManager(manager) {
@@ -408,13 +1107,143 @@ export class MultiplayerManager {
     }
 
     getPlayerCount() {
-        return this.remotePlayers.size + 1; // +1 for local player
+        return this.remotePlayers.size + (this.isSpectator ? 0 : 1); // +1 for local player
     }
 
     getScores() {
         return this.scores;
     }
 
+    /**
+     * Sync world flags and carried flags with the server's flag state
+     * @param {Object[]|null} flags - [{ team, position, state, carrierId }], null outside CTF
+     */
+    applyFlagState(flags) {
+        this.flags = flags || null;
+
+        // Drop models when CTF ends
+        if (!this.flags) {
+            this.flagModels.forEach(model => disposeFlagModel(model));
+            this.flagModels = [];
+            this.remotePlayers.forEach(player => player.setCarriedFlag(null));
+            return;
+        }
+
+        this.flags.forEach(flag => {
+            if (!this.flagModels[flag.team]) {
+                this.flagModels[flag.team] = createFlagModel(TEAMS[flag.team].color);
+                this.scene.add(this.flagModels[flag.team]);
+            }
+            const model = this.flagModels[flag.team];
+
+            // Carried flags ride on the carrier instead
+            model.visible = flag.state !== 'carried';
+            model.position.set(flag.position.x, flag.position.y, flag.position.z);
+        });
+
+        this.remotePlayers.forEach(player => {
+            const carried = this.flags.find(flag => flag.carrierId === player.id);
+            player.setCarriedFlag(carried ? carried.team : null);
+        });
+    }
+
+    /**
+     * Flags with carried ones placed on their carrier, for HUD direction arrows
+     * @param {THREE.Vector3} localPosition - Local player position
+     * @returns {Object[]} [{ team, state, carrierId, carrierName, position }]
+     */
+    getFlagMarkers(localPosition) {
+        if (!this.flags) return [];
+
+        return this.flags.map(flag => {
+            let position = flag.position;
+            let carrierName = null;
+            if (flag.state === 'carried') {
+                if (flag.carrierId === this.localPlayerId) {
+                    position = localPosition;
+                    carrierName = 'YOU';
+                } else {
+                    const carrier = this.remotePlayers.get(flag.carrierId);
+                    if (carrier) {
+                        position = carrier.position;
+                        carrierName = carrier.name;
+                    }
+                }
+            }
+            return { team: flag.team, state: flag.state, carrierId: flag.carrierId, carrierName, position };
+        });
+    }
+
+    /**
+     * Sync the hill zone model with the server's hill state
+     * @param {Object|null} hill - { zone, owner, ownerName, capturer, progress, status, movesIn }, null outside King of the Hill
+     */
+    applyHillState(hill) {
+        this.hill = hill || null;
+
+        // Rebuild the model when the hill ends or moves
+        if (this.hillModel && (!this.hill || this.hill.zone.index !== this.hillZoneIndex)) {
+            disposeHillZone(this.hillModel);
+            this.hillModel = null;
+            this.hillZoneIndex = -1;
+        }
+        if (!this.hill) return;
+
+        const { zone } = this.hill;
+        if (!this.hillModel) {
+            this.hillModel = createHillZone(zone.size);
+            this.hillModel.position.set(zone.pos.x, zone.pos.y, zone.pos.z);
+            this.hillZoneIndex = zone.index;
+            this.scene.add(this.hillModel);
+        }
+        setHillZoneState(this.hillModel, this.hill.status, this.getHillOwnerColor());
+    }
+
+    // Colour of the side holding the hill, null while neutral
+    getHillOwnerColor() {
+        const owner = this.hill?.owner ?? null;
+        if (owner === null) return null;
+        if (typeof owner === 'number') return TEAMS[owner]?.color ?? null;
+        return getFfaHillColor(owner === this.localPlayerId);
+    }
+
+    // True if the hill is held by the local player or their team
+    isHillOwnedLocally() {
+        const owner = this.hill?.owner ?? null;
+        return owner !== null && (owner === this.localPlayerId || owner === this.localTeam);
+    }
+
+    // Team of the flag the local player is carrying, or null
+    getLocalCarriedFlag() {
+        const carried = this.flags?.find(flag => flag.carrierId === this.localPlayerId);
+        return carried ? carried.team : null;
+    }
+
+    /**
+     * Find a remote player by display name (case-insensitive), for chat commands
+     * @param {string} name - Player name
+     * @returns {RemotePlayer|null}
+     */
+    findRemotePlayerByName(name) {
+        const wanted = name.toLowerCase();
+        for (const player of this.remotePlayers.values()) {
+            if (player.name.toLowerCase() === wanted) return player;
+        }
+        return null;
+    }
+
+    // True if the player is on the local player's team (always false in FFA)
+    isTeammate(playerId) {
+        const player = this.remotePlayers.get(playerId);
+        return this.localTeam !== null && !!player && player.team === this.localTeam;
+    }
+
+    // Mirrors the server's friendly fire rule, for local hit feedback
+    canDamage(playerId) {
+        if (this.isCoop()) return false;
+        return this.friendlyFire || !this.isTeammate(playerId);
+    }
+
     getKillFeed() {
         return this.killFeed;
     }
@@ -428,21 +1257,39 @@ export class MultiplayerManager {
     }
 
     reset() {
+        this.stopKillcam();
+        this.killcamFrames = [];
+        this.killcamShots = [];
+
         // Remove all remote players
         this.remotePlayers.forEach(player => {
             player.dispose();
         });
         this.remotePlayers.clear();
+        this.remotePlayersByNetId.clear();
+        this.snapshotBuffer = [];
+        this.netStates.clear();
+        this.serverTimeOffset = null;
+        this.clearPendingInputs();
+
+        this.applyFlagState(null);
+        this.applyHillState(null);
+        this.clearEnemies();
+        this.applyWaveState(null);
+        this.isDowned = false;
 
         this.gameStarted = false;
         this.scores = [];
+        this.teamScores = null;
         this.killFeed = [];
         this.respawnCountdown = 0;
         this.isRespawning = false;
+        this.spectateState = null;
     }
 
     dispose() {
         this.reset();
+        if (this.localPlayer) this.localPlayer.onMovementInput = null;
         this.network.disconnect();
     }
 }
@@ -0,0 +1,334 @@
+// NetProtocol.js - Binary encoding for high-frequency player state
+// Shared by server.js and NetworkManager. Everything else stays JSON.
+//
+// Layout (little-endian):
+//   SNAPSHOT   u8 type, u32 tick, f64 server time (ms), u8 count, count x entity
+//   INPUT      u8 type, i16 pitch * PITCH_SCALE, u8 state flags, u8 weapon, u8 count, count x input
+//   INPUT_ACK  u8 type, u32 seq, 3 x f32 position, 3 x f32 velocity, f32 player height, u8 ack flags
+//   entity     u16 netId, u8 fieldMask, then the fields present in the mask:
+//     POSITION  3 x i16  metres * POSITION_SCALE
+//     ROTATION  i16 pitch * PITCH_SCALE, u16 yaw as a fraction of a full turn
+//     STATE     u8 state flags
+//     WEAPON    u8 index into WEAPONS
+//   input      u32 seq, u16 dt in INPUT_DT_STEPS, u8 INPUT_FLAGS, u16 yaw in INPUT_YAW_STEPS
+
+import { WEAPONS } from './config/GameConfig.js';
+import { INPUT_DT_STEPS, INPUT_YAW_STEPS } from './PlayerMovement.js';
+
+/**
+ * Binary message types (first byte of every binary frame)
+ */
+export const BINARY_MESSAGES = {
+    SNAPSHOT: 1, // Server -> client: changed player state for one tick
+    INPUT: 3, // Client -> server: batch of movement inputs
+    INPUT_ACK: 4 // Server -> client: last processed input and the resulting movement state
+};
+
+/**
+ * Entity field mask bits
+ */
+export const FIELDS = {
+    POSITION: 1 << 0,
+    ROTATION: 1 << 1,
+    STATE: 1 << 2,
+    WEAPON: 1 << 3,
+    ALL: 0b1111
+};
+
+/**
+ * Player state flag bits
+ */
+const STATE_FLAGS = {
+    CROUCHING: 1 << 0,
+    AIMING: 1 << 1,
+    SPRINTING: 1 << 2,
+    RELOADING: 1 << 3,
+    PEEK_LEFT: 1 << 4,
+    PEEK_RIGHT: 1 << 5
+};
+
+const POSITION_SCALE = 100; // 1 cm steps, +-327 m range
+const PITCH_SCALE = 10000; // +-3.27 rad
+const TWO_PI = Math.PI * 2;
+const WEAPON_KEYS = Object.keys(WEAPONS);
+const SNAPSHOT_HEADER_SIZE = 14;
+const INPUT_HEADER_SIZE = 6;
+const INPUT_SIZE = 9;
+const INPUT_ACK_SIZE = 34;
+const ACK_ON_GROUND = 1 << 0;
+export const MAX_INPUTS_PER_MESSAGE = 255;
+
+// Byte size of each field, in mask bit order
+const FIELD_SIZES = [
+    [FIELDS.POSITION, 6],
+    [FIELDS.ROTATION, 4],
+    [FIELDS.STATE, 1],
+    [FIELDS.WEAPON, 1]
+];
+
+/**
+ * Quantise a player's state to the values that go on the wire.
+ * Compare quantised states to find changed fields without float noise.
+ * @param {Object} position - {x, y, z}
+ * @param {Object} rotation - {x: pitch, y: yaw}
+ * @param {Object} state - {isCrouching, peekState, isAiming, isSprinting, isReloading, weapon}
+ * @returns {Object} {px, py, pz, pitch, yaw, flags, weapon}
+ */
+export function quantizePlayerState(position, rotation, state = {}) {
+    let flags = 0;
+    if (state.isCrouching) flags |= STATE_FLAGS.CROUCHING;
+    if (state.isAiming) flags |= STATE_FLAGS.AIMING;
+    if (state.isSprinting) flags |= STATE_FLAGS.SPRINTING;
+    if (state.isReloading) flags |= STATE_FLAGS.RELOADING;
+    if (state.peekState < 0) flags |= STATE_FLAGS.PEEK_LEFT;
+    if (state.peekState > 0) flags |= STATE_FLAGS.PEEK_RIGHT;
+
+    const yawTurns = (((rotation.y % TWO_PI) + TWO_PI) % TWO_PI) / TWO_PI;
+
+    return {
+        px: clampInt(Math.round(position.x * POSITION_SCALE), -32768, 32767),
+        py: clampInt(Math.round(position.y * POSITION_SCALE), -32768, 32767),
+        pz: clampInt(Math.round(position.z * POSITION_SCALE), -32768, 32767),
+        pitch: clampInt(Math.round(rotation.x * PITCH_SCALE), -32768, 32767),
+        yaw: Math.round(yawTurns * 65536) & 0xffff,
+        flags,
+        weapon: Math.max(0, WEAPON_KEYS.indexOf(state.weapon))
+    };
+}
+
+/**
+ * Field mask of everything that differs between two quantised states
+ * @param {Object|null} previous - Last state sent, null for a full update
+ * @param {Object} current - Current quantised state
+ * @returns {number} Field mask (0 if nothing changed)
+ */
+export function diffPlayerState(previous, current) {
+    if (!previous) return FIELDS.ALL;
+
+    let mask = 0;
+    if (previous.px !== current.px || previous.py !== current.py || previous.pz !== current.pz) {
+        mask |= FIELDS.POSITION;
+    }
+    if (previous.pitch !== current.pitch || previous.yaw !== current.yaw) mask |= FIELDS.ROTATION;
+    if (previous.flags !== current.flags) mask |= FIELDS.STATE;
+    if (previous.weapon !== current.weapon) mask |= FIELDS.WEAPON;
+    return mask;
+}
+
+/**
+ * Expand the masked fields of a quantised state back into message form
+ * @param {Object} quantized - Quantised state
+ * @param {number} mask - Fields to include
+ * @returns {Object} {position?, rotation?, state?} ('weapon' lives inside state)
+ */
+export function dequantizePlayerState(quantized, mask) {
+    const entry = {};
+    if (mask & FIELDS.POSITION) {
+        entry.position = {
+            x: quantized.px / POSITION_SCALE,
+            y: quantized.py / POSITION_SCALE,
+            z: quantized.pz / POSITION_SCALE
+        };
+    }
+    if (mask & FIELDS.ROTATION) {
+        entry.rotation = {
+            x: quantized.pitch / PITCH_SCALE,
+            y: (quantized.yaw / 65536) * TWO_PI
+        };
+    }
+    if (mask & (FIELDS.STATE | FIELDS.WEAPON)) {
+        entry.state = {};
+        if (mask & FIELDS.STATE) {
+            const flags = quantized.flags;
+            entry.state.isCrouching = !!(flags & STATE_FLAGS.CROUCHING);
+            entry.state.isAiming = !!(flags & STATE_FLAGS.AIMING);
+            entry.state.isSprinting = !!(flags & STATE_FLAGS.SPRINTING);
+            entry.state.isReloading = !!(flags & STATE_FLAGS.RELOADING);
+            entry.state.peekState = (flags & STATE_FLAGS.PEEK_LEFT) ? -1 : ((flags & STATE_FLAGS.PEEK_RIGHT) ? 1 : 0);
+        }
+        if (mask & FIELDS.WEAPON) {
+            entry.state.weapon = WEAPON_KEYS[quantized.weapon] || WEAPON_KEYS[0];
+        }
+    }
+    return entry;
+}
+
+/**
+ * Encode one snapshot
+ * @param {number} tick - Server tick number
+ * @param {number} serverTime - Server timestamp (ms)
+ * @param {Object[]} entities - [{ netId, mask, quantized }]
+ * @returns {ArrayBuffer} Binary frame
+ */
+export function encodeSnapshot(tick, serverTime, entities) {
+    let size = SNAPSHOT_HEADER_SIZE;
+    entities.forEach(entity => { size += 3 + maskSize(entity.mask); });
+
+    const view = new DataView(new ArrayBuffer(size));
+    view.setUint8(0, BINARY_MESSAGES.SNAPSHOT);
+    view.setUint32(1, tick >>> 0, true);
+    view.setFloat64(5, serverTime, true);
+    view.setUint8(13, entities.length);
+
+    let offset = SNAPSHOT_HEADER_SIZE;
+    entities.forEach(entity => {
+        view.setUint16(offset, entity.netId, true);
+        view.setUint8(offset + 2, entity.mask);
+        offset = writeFields(view, offset + 3, entity.mask, entity.quantized);
+    });
+    return view.buffer;
+}
+
+/**
+ * Encode a batch of movement inputs for the server
+ * @param {Object[]} inputs - [{ seq, dt, flags, yaw }] from createMovementInput, at most MAX_INPUTS_PER_MESSAGE
+ * @param {number} pitch - Current view pitch
+ * @param {Object} state - {peekState, isAiming, isReloading, weapon}
+ * @returns {ArrayBuffer} Binary frame
+ */
+export function encodeInputs(inputs, pitch, state = {}) {
+    const view = new DataView(new ArrayBuffer(INPUT_HEADER_SIZE + inputs.length * INPUT_SIZE));
+    const quantized = quantizePlayerState({ x: 0, y: 0, z: 0 }, { x: pitch, y: 0 }, state);
+    view.setUint8(0, BINARY_MESSAGES.INPUT);
+    view.setInt16(1, quantized.pitch, true);
+    view.setUint8(3, quantized.flags);
+    view.setUint8(4, quantized.weapon);
+    view.setUint8(5, inputs.length);
+
+    let offset = INPUT_HEADER_SIZE;
+    inputs.forEach(input => {
+        view.setUint32(offset, input.seq >>> 0, true);
+        view.setUint16(offset + 4, Math.round(input.dt * INPUT_DT_STEPS), true);
+        view.setUint8(offset + 6, input.flags);
+        view.setUint16(offset + 7, Math.round((input.yaw / TWO_PI) * INPUT_YAW_STEPS) % INPUT_YAW_STEPS, true);
+        offset += INPUT_SIZE;
+    });
+    return view.buffer;
+}
+
+/**
+ * Encode an input acknowledgement for the player who sent the inputs
+ * @param {number} seq - Last processed input sequence number
+ * @param {Object} position - Resulting {x, y, z}
+ * @param {Object} body - Movement state (velocityX/Y/Z, isOnGround, playerHeight)
+ * @returns {ArrayBuffer} Binary frame
+ */
+export function encodeInputAck(seq, position, body) {
+    const view = new DataView(new ArrayBuffer(INPUT_ACK_SIZE));
+    view.setUint8(0, BINARY_MESSAGES.INPUT_ACK);
+    view.setUint32(1, seq >>> 0, true);
+    [position.x, position.y, position.z, body.velocityX, body.velocityY, body.velocityZ, body.playerHeight]
+        .forEach((value, i) => view.setFloat32(5 + i * 4, value, true));
+    view.setUint8(33, body.isOnGround ? ACK_ON_GROUND : 0);
+    return view.buffer;
+}
+
+/**
+ * Decode a binary frame
+ * @param {ArrayBuffer|ArrayBufferView} data - Received frame
+ * @returns {Object|null} { type: 'snapshot', tick, serverTime, players: [{ netId, position?, rotation?, state? }] },
+ *   { type: 'input', pitch, state, inputs: [{ seq, dt, flags, yaw }] }
+ *   or { type: 'input_ack', seq, position, velocity, isOnGround, playerHeight }; null if malformed
+ */
+export function decodeMessage(data) {
+    const view = ArrayBuffer.isView(data)
+        ? new DataView(data.buffer, data.byteOffset, data.byteLength)
+        : new DataView(data);
+
+    try {
+        const type = view.getUint8(0);
+        if (type === BINARY_MESSAGES.SNAPSHOT) {
+            const tick = view.getUint32(1, true);
+            const serverTime = view.getFloat64(5, true);
+            const count = view.getUint8(13);
+            const players = [];
+            let offset = SNAPSHOT_HEADER_SIZE;
+            for (let i = 0; i < count; i++) {
+                const netId = view.getUint16(offset, true);
+                const mask = view.getUint8(offset + 2);
+                const quantized = {};
+                offset = readFields(view, offset + 3, mask, quantized);
+                players.push({ netId, ...dequantizePlayerState(quantized, mask) });
+            }
+            return { type: 'snapshot', tick, serverTime, players };
+        }
+        if (type === BINARY_MESSAGES.INPUT) {
+            const { rotation, state } = dequantizePlayerState({
+                pitch: view.getInt16(1, true),
+                yaw: 0,
+                flags: view.getUint8(3),
+                weapon: view.getUint8(4)
+            }, FIELDS.ROTATION | FIELDS.STATE | FIELDS.WEAPON);
+            const count = view.getUint8(5);
+            const inputs = [];
+            let offset = INPUT_HEADER_SIZE;
+            for (let i = 0; i < count; i++) {
+                inputs.push({
+                    seq: view.getUint32(offset, true),
+                    dt: view.getUint16(offset + 4, true) / INPUT_DT_STEPS,
+                    flags: view.getUint8(offset + 6),
+                    yaw: (view.getUint16(offset + 7, true) / INPUT_YAW_STEPS) * TWO_PI
+                });
+                offset += INPUT_SIZE;
+            }
+            return { type: 'input', pitch: rotation.x, state, inputs };
+        }
+        if (type === BINARY_MESSAGES.INPUT_ACK) {
+            const values = [];
+            for (let i = 0; i < 7; i++) values.push(view.getFloat32(5 + i * 4, true));
+            return {
+                type: 'input_ack',
+                seq: view.getUint32(1, true),
+                position: { x: values[0], y: values[1], z: values[2] },
+                velocity: { x: values[3], y: values[4], z: values[5] },
+                playerHeight: values[6],
+                isOnGround: !!(view.getUint8(33) & ACK_ON_GROUND)
+            };
+        }
+    } catch (e) {
+        return null; // Truncated frame (RangeError)
+    }
+    return null;
+}
+
+function maskSize(mask) {
+    return FIELD_SIZES.reduce((size, [field, bytes]) => size + ((mask & field) ? bytes : 0), 0);
+}
+
+function writeFields(view, offset, mask, q) {
+    if (mask & FIELDS.POSITION) {
+        view.setInt16(offset, q.px, true);
+        view.setInt16(offset + 2, q.py, true);
+        view.setInt16(offset + 4, q.pz, true);
+        offset += 6;
+    }
+    if (mask & FIELDS.ROTATION) {
+        view.setInt16(offset, q.pitch, true);
+        view.setUint16(offset + 2, q.yaw, true);
+        offset += 4;
+    }
+    if (mask & FIELDS.STATE) view.setUint8(offset++, q.flags);
+    if (mask & FIELDS.WEAPON) view.setUint8(offset++, q.weapon);
+    return offset;
+}
+
+function readFields(view, offset, mask, q) {
+    if (mask & FIELDS.POSITION) {
+        q.px = view.getInt16(offset, true);
+        q.py = view.getInt16(offset + 2, true);
+        q.pz = view.getInt16(offset + 4, true);
+        offset += 6;
+    }
+    if (mask & FIELDS.ROTATION) {
+        q.pitch = view.getInt16(offset, true);
+        q.yaw = view.getUint16(offset + 2, true);
+        offset += 4;
+    }
+    if (mask & FIELDS.STATE) q.flags = view.getUint8(offset++);
+    if (mask & FIELDS.WEAPON) q.weapon = view.getUint8(offset++);
+    return offset;
+}
+
+function clampInt(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
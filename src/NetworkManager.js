@@ -1,5 +1,11 @@
 // NetworkManager.js - WebSocket client for multiplayer communication
 import { Logger } from './utils/Logger.js';
+import { MAX_INPUTS_PER_MESSAGE, encodeInputs, decodeMessage } from './NetProtocol.js';
+
+// HTTP endpoint of the game server behind a ws:// or wss:// URL
+function toHttpUrl(serverUrl) {
+    return serverUrl.replace(/^ws(s?):\/\//i, 'http$1://').replace(/\/+$/, '');
+}
 
 export class NetworkManager {
     constructor() {
@@ -11,9 +17,14 @@ export class NetworkManager {
         this.lastPingTime = 0;
         this.latency = 0;
 
-        // Position update throttling
-        this.lastPositionUpdate = 0;
-        this.positionUpdateInterval = 50; // 20 updates per second
+        // Input batch throttling
+        this.lastInputSend = 0;
+        this.inputSendInterval = 50; // 20 batches per second
+
+        // Wire format for inputs and snapshots. Set localStorage
+        // 'fps_protocol' to 'json' to get readable frames while debugging.
+        this.preferredProtocol = localStorage.getItem('fps_protocol') === 'json' ? 'json' : 'binary';
+        this.protocol = 'json'; // What the server agreed to in 'joined'
 
         // Reconnection state
         this.reconnectAttempts = 0;
@@ -22,14 +33,40 @@ export class NetworkManager {
         this.maxReconnectDelay = 30000; // Max 30 seconds
         this.lastServerUrl = null;
         this.lastPlayerName = null;
+        this.lastMap = null;
+        this.lastRoomOptions = null;
         this.isReconnecting = false;
         this.serverShutdown = false;
+        this.kickReason = null;
+        this.intentionalClose = false;
+
+        // Room the server placed us in ({ id, name, code, map, ... })
+        this.room = null;
+
+        // Sent when reconnecting so the server restores our player (id, stats, team)
+        this.resumeToken = null;
+
+        // Career stats profile the server records our matches to; kept across sessions
+        this.profileToken = localStorage.getItem('fps_profile_token');
     }
 
-    connect(serverUrl, playerName) {
+    /**
+     * Connect to a game server and join
+     * @param {string} serverUrl - WebSocket URL
+     * @param {string} playerName - Display name
+     * @param {string} map - Preferred layout (used if the room is idle)
+     * @param {Object} roomOptions - { mode } for quick play, { roomId } or { code } to join
+     *   (add spectate: true to watch instead of play), { create: true, roomName, isPrivate, mode,
+     *   friendlyFire } to host a new room, { queue: true, mode } to wait for a skill-matched room
+     *   (the server sends 'queue_status' until it finds one)
+     * @returns {Promise<Object>} Resolves with the 'joined' message
+     */
+    connect(serverUrl, playerName, map = null, roomOptions = null) {
         return new Promise((resolve, reject) => {
             try {
+                this.intentionalClose = false;
                 this.ws = new WebSocket(serverUrl);
+                this.ws.binaryType = 'arraybuffer';
 
                 this.ws.onopen = () => {
                     Logger.info('Connected to server');
@@ -38,13 +75,18 @@ export class NetworkManager {
                     this.reconnectDelay = 1000;
                     this.lastServerUrl = serverUrl;
                     this.lastPlayerName = playerName;
+                    this.lastMap = map;
+                    this.lastRoomOptions = roomOptions;
                     this.serverShutdown = false;
+                    this.kickReason = null;
 
-                    // Send join message
-                    this.send({
-                        type: 'join',
-                        name: playerName
-                    });
+                    // Send join / join_room / create_room message, reclaiming our
+                    // old player if this is a reconnect
+                    const joinMessage = this.buildJoinMessage(playerName, map, roomOptions);
+                    if (this.isReconnecting && this.resumeToken) {
+                        joinMessage.resumeToken = this.resumeToken;
+                    }
+                    this.send(joinMessage);
 
                     // Start ping loop
                     this.startPingLoop();
@@ -52,13 +94,26 @@ export class NetworkManager {
 
                 this.ws.onmessage = (event) => {
                     try {
-                        const message = JSON.parse(event.data);
+                        // Binary frames are decoded in handleMessage
+                        const message = typeof event.data === 'string' ? JSON.parse(event.data) : event.data;
                         this.handleMessage(message);
 
                         // Resolve on successful join
                         if (message.type === 'joined') {
                             this.playerId = message.playerId;
+                            this.room = message.room || null;
+                            this.protocol = message.protocol === 'binary' ? 'binary' : 'json';
+                            this.resumeToken = message.resumeToken || null;
+                            if (message.profileToken) {
+                                this.profileToken = message.profileToken;
+                                localStorage.setItem('fps_profile_token', message.profileToken);
+                            }
                             resolve(message);
+                        } else if (message.type === 'join_error') {
+                            const joinError = new Error(message.reason);
+                            joinError.isJoinError = true;
+                            reject(joinError);
+                            this.disconnect();
                         }
                     } catch (e) {
                         Logger.error('Failed to parse message:', e);
@@ -74,6 +129,11 @@ export class NetworkManager {
                     Logger.info('Disconnected from server', event.code, event.reason);
                     this.isConnected = false;
 
+                    // Closed by us (menu disconnect, join rejected) - nothing to recover
+                    if (this.intentionalClose) {
+                        return;
+                    }
+
                     // Handle server shutdown gracefully
                     if (this.serverShutdown) {
                         Logger.info('Server shutdown - not attempting reconnection');
@@ -81,6 +141,13 @@ export class NetworkManager {
                         return;
                     }
 
+                    // Kicked by the server - our session is gone, so don't try to resume it
+                    if (this.kickReason) {
+                        Logger.info('Kicked from server - not attempting reconnection');
+                        this.emit('kicked', { reason: this.kickReason });
+                        return;
+                    }
+
                     // Attempt reconnection for unexpected disconnects
                     if (!this.isReconnecting && this.reconnectAttempts < this.maxReconnectAttempts) {
                         this.attemptReconnect();
@@ -95,16 +162,156 @@ export class NetworkManager {
     }
 
     disconnect() {
+        this.intentionalClose = true;
         if (this.ws) {
-            this.ws.close();
+            // Normal closure tells the server not to hold our player for a resume
+            this.ws.close(1000, 'Left game');
             this.ws = null;
         }
         this.isConnected = false;
         this.playerId = null;
+        this.room = null;
+        this.resumeToken = null;
+        this.protocol = 'json';
         // Clear pending messages on disconnect
         this.pendingMessages = [];
     }
 
+    /**
+     * Build the message that places us in a room
+     * @param {string} playerName - Display name
+     * @param {string} map - Preferred layout
+     * @param {Object} roomOptions - See connect()
+     * @returns {Object} join, join_room, create_room or queue message
+     */
+    buildJoinMessage(playerName, map, roomOptions) {
+        if (roomOptions?.queue) {
+            return {
+                type: 'queue',
+                name: playerName,
+                map,
+                mode: roomOptions.mode,
+                protocol: this.preferredProtocol,
+                profileToken: this.profileToken
+            };
+        }
+        if (roomOptions?.create) {
+            return {
+                type: 'create_room',
+                name: playerName,
+                map,
+                roomName: roomOptions.roomName || `${playerName}'s room`,
+                isPrivate: !!roomOptions.isPrivate,
+                mode: roomOptions.mode,
+                friendlyFire: !!roomOptions.friendlyFire,
+                protocol: this.preferredProtocol,
+                profileToken: this.profileToken
+            };
+        }
+        if (roomOptions?.code || roomOptions?.roomId) {
+            return {
+                type: 'join_room',
+                name: playerName,
+                map,
+                code: roomOptions.code,
+                roomId: roomOptions.roomId,
+                spectate: !!roomOptions.spectate,
+                protocol: this.preferredProtocol,
+                profileToken: this.profileToken
+            };
+        }
+        return {
+            type: 'join',
+            name: playerName,
+            map,
+            mode: roomOptions?.mode,
+            protocol: this.preferredProtocol,
+            profileToken: this.profileToken
+        };
+    }
+
+    /**
+     * Fetch public rooms for the lobby browser.
+     * Uses a short-lived socket so browsing doesn't join a room.
+     * @param {string} serverUrl - WebSocket URL
+     * @param {number} timeout - Give up after this many ms
+     * @returns {Promise<Object[]>} Room summaries
+     */
+    listRooms(serverUrl, timeout = 5000) {
+        return new Promise((resolve, reject) => {
+            let socket;
+            try {
+                socket = new WebSocket(serverUrl);
+            } catch (error) {
+                reject(error);
+                return;
+            }
+
+            const timer = setTimeout(() => {
+                socket.close();
+                reject(new Error('Room list request timed out'));
+            }, timeout);
+
+            socket.onopen = () => {
+                socket.send(JSON.stringify({ type: 'list_rooms' }));
+            };
+
+            socket.onmessage = (event) => {
+                try {
+                    const message = JSON.parse(event.data);
+                    if (message.type === 'room_list') {
+                        clearTimeout(timer);
+                        socket.close();
+                        resolve(message.rooms || []);
+                    }
+                } catch (e) {
+                    Logger.error('Failed to parse room list:', e);
+                }
+            };
+
+            socket.onerror = (error) => {
+                clearTimeout(timer);
+                reject(error);
+            };
+        });
+    }
+
+    /**
+     * Fetch the server's saved match replays for the replay browser
+     * @param {string} serverUrl - WebSocket URL (replays are served over HTTP on the same port)
+     * @returns {Promise<Object[]>} [{ name, recordedAt, map, mode, room, size }], newest first
+     */
+    async listReplays(serverUrl) {
+        const response = await fetch(`${toHttpUrl(serverUrl)}/replays`);
+        if (!response.ok) throw new Error(`Replay list request failed (${response.status})`);
+        return response.json();
+    }
+
+    /**
+     * Download a saved replay
+     * @param {string} serverUrl - WebSocket URL
+     * @param {string} name - Replay file name from listReplays
+     * @returns {Promise<Blob>} Replay file, still compressed
+     */
+    async downloadReplay(serverUrl, name) {
+        const response = await fetch(`${toHttpUrl(serverUrl)}/replays/${encodeURIComponent(name)}`);
+        if (!response.ok) throw new Error(`Replay download failed (${response.status})`);
+        return response.blob();
+    }
+
+    /**
+     * Fetch a player's career stats
+     * @param {string} serverUrl - WebSocket URL (stats are served over HTTP on the same port)
+     * @param {string} name - Player name
+     * @returns {Promise<Object|null>} Stats, or null if the server has none for that name
+     */
+    async fetchStats(serverUrl, name) {
+        const response = await fetch(`${toHttpUrl(serverUrl)}/stats/${encodeURIComponent(name)}`);
+        if (response.status === 404) return null;
+        if (!response.ok) throw new Error(`Stats request failed (${response.status})`);
+        return response.json();
+    }
+
     /**
      * Validate message structure before sending
      * @param {Object} message - Message to validate
@@ -180,6 +387,15 @@ export class NetworkManager {
     }
 
     handleMessage(message) {
+        // Binary frames carry snapshots and input acks (see NetProtocol.js)
+        if (message instanceof ArrayBuffer) {
+            message = decodeMessage(message);
+            if (!message) {
+                Logger.warn('Malformed binary message');
+                return;
+            }
+        }
+
         // Handle pong for latency calculation
         if (message.type === 'pong') {
             this.latency = Date.now() - message.timestamp;
@@ -194,6 +410,13 @@ export class NetworkManager {
             return;
         }
 
+        // Remember why we were kicked; the close that follows reports it
+        if (message.type === 'kicked') {
+            Logger.warn('Kicked from server:', message.reason);
+            this.kickReason = message.reason || 'Kicked';
+            return;
+        }
+
         // Emit to registered handlers
         this.emit(message.type, message);
     }
@@ -250,7 +473,9 @@ export class NetworkManager {
 
         setTimeout(async () => {
             try {
-                await this.connect(this.lastServerUrl, this.lastPlayerName);
+                // Rejoin the same room by code rather than quick play
+                const roomOptions = this.room?.code ? { code: this.room.code } : this.lastRoomOptions;
+                await this.connect(this.lastServerUrl, this.lastPlayerName, this.lastMap, roomOptions);
                 Logger.info('Reconnection successful');
                 this.isReconnecting = false;
                 this.emit('reconnected');
@@ -267,40 +492,55 @@ export class NetworkManager {
     }
 
     // Game-specific methods
-    sendPosition(position, rotation, state = {}, force = false) {
+
+    /**
+     * Send buffered movement inputs, throttled to inputSendInterval
+     * @param {Object[]} inputs - [{ seq, dt, flags, yaw }], oldest first
+     * @param {number} pitch - Current view pitch (inputs only carry yaw)
+     * @param {Object} state - {peekState, isAiming, isReloading, weapon} for visual sync
+     * @param {boolean} force - Send now regardless of the throttle
+     * @returns {number} How many inputs were sent (0 if throttled)
+     */
+    sendInputs(inputs, pitch, state = {}, force = false) {
         const now = Date.now();
-        if (!force && now - this.lastPositionUpdate < this.positionUpdateInterval) {
-            return; // Throttled
+        if (inputs.length === 0 || !this.ws || this.ws.readyState !== WebSocket.OPEN) return 0;
+        if (!force && now - this.lastInputSend < this.inputSendInterval) {
+            return 0; // Throttled
         }
-        this.lastPositionUpdate = now;
-
-        this.send({
-            type: 'position',
-            position: {
-                x: position.x,
-                y: position.y,
-                z: position.z
-            },
-            rotation: {
-                x: rotation.x,
-                y: rotation.y
-            },
-            // Player state for visual sync
-            state: {
-                isCrouching: state.isCrouching || false,
-                peekState: state.peekState || 0, // -1 left, 0 none, 1 right
-                isAiming: state.isAiming || false,
-                isSprinting: state.isSprinting || false,
-                isReloading: state.isReloading || false,
-                weapon: state.weapon || 'RIFLE'
-            }
-        });
+        this.lastInputSend = now;
+
+        const batch = inputs.slice(0, MAX_INPUTS_PER_MESSAGE);
+        const visualState = {
+            peekState: state.peekState || 0, // -1 left, 0 none, 1 right
+            isAiming: state.isAiming || false,
+            isReloading: state.isReloading || false,
+            weapon: state.weapon || 'RIFLE'
+        };
+
+        // Inputs go out directly; queueing them for later would desync prediction
+        if (this.protocol === 'binary') {
+            this.ws.send(encodeInputs(batch, pitch, visualState));
+        } else {
+            this.ws.send(JSON.stringify({
+                type: 'input',
+                inputs: batch.map(input => ({ seq: input.seq, dt: input.dt, flags: input.flags, yaw: input.yaw })),
+                pitch,
+                state: visualState
+            }));
+        }
+        return batch.length;
     }
 
-    sendShoot(weapon, bulletData) {
+    /**
+     * @param {string} weapon - Weapon key
+     * @param {Object} bulletData - Tracer and hit detection data from Shooting
+     * @param {number} ammo - Rounds left after the shot (the server corrects us if its count differs)
+     */
+    sendShoot(weapon, bulletData, ammo) {
         this.send({
             type: 'shoot',
             weapon,
+            ammo,
             origin: bulletData.origin ? {
                 x: bulletData.origin.x,
                 y: bulletData.origin.y,
@@ -310,19 +550,22 @@ export class NetworkManager {
                 x: bulletData.target.x,
                 y: bulletData.target.y,
                 z: bulletData.target.z
-            } : null
-        });
-    }
-
-    sendHit(targetId, damage, isHeadshot) {
-        this.send({
-            type: 'hit',
-            targetId,
-            damage,
-            isHeadshot
+            } : null,
+            // Hit detection inputs - the server rewinds victims by latency
+            rayOrigin: bulletData.rayOrigin ? {
+                x: bulletData.rayOrigin.x,
+                y: bulletData.rayOrigin.y,
+                z: bulletData.rayOrigin.z
+            } : null,
+            directions: (bulletData.directions || []).map(dir => ({ x: dir.x, y: dir.y, z: dir.z })),
+            latency: this.latency
         });
     }
 
+    /**
+     * Report the weapon in hand after a switch (it comes with a full magazine)
+     * @param {string} weapon - Weapon key
+     */
     sendWeaponChange(weapon) {
         this.send({
             type: 'weapon_change',
@@ -330,6 +573,32 @@ export class NetworkManager {
         });
     }
 
+    // The server refuses shots until its own reload timer is done
+    sendReload() {
+        this.send({ type: 'reload' });
+    }
+
+    /**
+     * Ask to watch the next or previous player (while spectating or dead)
+     * @param {number} direction - 1 next, -1 previous
+     */
+    sendSpectate(direction) {
+        this.send({ type: 'spectate', direction });
+    }
+
+    /**
+     * @param {string} text - Message text (the server filters and trims it)
+     * @param {string} channel - 'all' or 'team'
+     */
+    sendChat(text, channel = 'all') {
+        this.send({ type: 'chat', text, channel });
+    }
+
+    // Mute or unmute another player's chat (only for us)
+    sendChatMute(playerId, muted) {
+        this.send({ type: 'chat_mute', playerId, muted });
+    }
+
     getLatency() {
         return this.latency;
     }
@@ -108,13 +108,11 @@ export class Pathfinding {
         this.arena = arena;
         this.cellSize = cellSize;
 
-        // Grid dimensions (arena is 20x20, centered at origin)
-        this.gridSize = Math.ceil(20 / cellSize);
-        this.halfGrid = this.gridSize / 2;
-        this.offset = 10; // Arena goes from -10 to 10
-
-        // Pre-allocate grid (1 = blocked, 0 = walkable)
-        this.grid = new Uint8Array(this.gridSize * this.gridSize);
+        // Grid dimensions - sized from the arena layout in buildGrid()
+        this.gridSize = 0;
+        this.halfGrid = 0;
+        this.offset = 0;
+        this.grid = null;
 
         // Build initial grid from colliders
         this.buildGrid();
@@ -141,7 +139,22 @@ export class Pathfinding {
         this._tempVec = new THREE.Vector3();
     }
 
+    /**
+     * (Re)build the walkability grid from the arena's current colliders.
+     * Call again after Arena.loadLayout() so the grid matches the new map.
+     */
     buildGrid() {
+        // Grid covers the arena square, centered at origin (-size to +size)
+        const halfSize = this.arena.size || 10;
+        const gridSize = Math.ceil((halfSize * 2) / this.cellSize);
+        if (gridSize !== this.gridSize) {
+            this.gridSize = gridSize;
+            // Pre-allocate grid (1 = blocked, 0 = walkable)
+            this.grid = new Uint8Array(gridSize * gridSize);
+        }
+        this.halfGrid = this.gridSize / 2;
+        this.offset = halfSize;
+
         const colliders = this.arena.colliders;
         const padding = 0.4; // Enemy radius padding
 
@@ -153,8 +166,8 @@ export class Pathfinding {
                 // Check if cell overlaps any collider (with padding)
                 let blocked = false;
                 for (const collider of colliders) {
-                    // Skip platforms (enemies walk under them)
-                    if (collider.isPlatform) continue;
+                    // Skip platforms and ceilings (enemies walk under them)
+                    if (collider.isPlatform || collider.isCeiling) continue;
 
                     if (worldX + padding >= collider.min.x && worldX - padding <= collider.max.x &&
                         worldZ + padding >= collider.min.z && worldZ - padding <= collider.max.z) {
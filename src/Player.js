@@ -1,5 +1,6 @@
 // Player.js - Ultra-optimized FPS camera and movement
-import * as THREE from 'three';
+import { PLAYER } from './config/GameConfig.js';
+import { INPUT_FLAGS, createMovementInput, simulateMovement } from './PlayerMovement.js';
 
 export class Player {
     constructor(camera, domElement, arena) {
@@ -10,16 +11,9 @@ export class Player {
         // Pre-set rotation order ONCE - critical for FPS camera
         this.camera.rotation.order = 'YXZ';
 
-        // Movement settings
-        this.walkSpeed = 4;
-        this.sprintSpeed = 6;
-        this.crouchSpeed = 2;
-        this.jumpForce = 8;
-        this.gravity = 20;
-        this.standHeight = 1.6;
-        this.crouchHeight = 1.0;
-        this.playerHeight = 1.6;
-        this.playerRadius = 0.4;
+        // Movement settings (speeds and physics live in PLAYER, shared with the server)
+        this.standHeight = PLAYER.STAND_HEIGHT;
+        this.playerHeight = PLAYER.STAND_HEIGHT;
 
         // Peek/Lean settings (Delta Force style - dramatic body lean)
         this.peekAngle = 10 * Math.PI / 180; // 20 degrees tilt (more dramatic)
@@ -40,7 +34,6 @@ export class Player {
         this.velocityY = 0;
         this.velocityX = 0; // Horizontal velocity for air momentum
         this.velocityZ = 0;
-        this.airControl = 0.3; // How much control player has in air (0-1)
 
         // Peek state
         this.currentPeekAngle = 0;
@@ -55,7 +48,9 @@ export class Player {
         this.onJump = null;
         this.onLand = null;
         this.footstepTimer = 0;
-        this.wasInAir = false;
+
+        // Called with every simulated input command (multiplayer prediction)
+        this.onMovementInput = null;
 
         // Input flags - using direct booleans for speed
         this.moveF = false;
@@ -68,9 +63,6 @@ export class Player {
         this.peekLeft = false;
         this.peekRight = false;
 
-        // Reusable vectors to avoid GC
-        this._testPos = new THREE.Vector3();
-
         // Initial setup
         this.camera.position.set(0, this.playerHeight, 5);
         this.camera.rotation.set(0, 0, 0);
@@ -144,6 +136,19 @@ export class Player {
         }
     }
 
+    // Held movement keys as INPUT_FLAGS bits
+    getInputFlags() {
+        let flags = 0;
+        if (this.moveF) flags |= INPUT_FLAGS.FORWARD;
+        if (this.moveB) flags |= INPUT_FLAGS.BACK;
+        if (this.moveL) flags |= INPUT_FLAGS.LEFT;
+        if (this.moveR) flags |= INPUT_FLAGS.RIGHT;
+        if (this.sprint) flags |= INPUT_FLAGS.SPRINT;
+        if (this.jump) flags |= INPUT_FLAGS.JUMP;
+        if (this.crouch) flags |= INPUT_FLAGS.CROUCH;
+        return flags;
+    }
+
     update(dt) {
         if (this.isDead || !this._isLocked) return;
 
@@ -154,185 +159,20 @@ export class Player {
             this.camera.position.y -= this._peekOffsetY;
         }
 
-        // Cap delta to prevent explosion
-        if (dt > 0.1) dt = 0.1;
-
-        // Handle crouch state (hold to crouch)
-        this.isCrouching = this.crouch;
-
-        // Smooth height transition (3 units/sec for smooth feel)
-        const targetHeight = this.isCrouching ? this.crouchHeight : this.standHeight;
-        if (this.playerHeight !== targetHeight) {
-            const heightDiff = targetHeight - this.playerHeight;
-            const maxChange = 3 * dt;
-            const heightChange = Math.abs(heightDiff) < maxChange ? heightDiff : Math.sign(heightDiff) * maxChange;
-
-            // Directly adjust camera Y to follow height change (prevents "jump" when crouching)
-            // This keeps the player grounded during crouch transition
-            if (this.isOnGround) {
-                this.camera.position.y += heightChange;
-            }
-
-            this.playerHeight += heightChange;
-        }
-
-        // Speed: crouch < walk < sprint (can't sprint while crouching)
-        const speed = this.isCrouching ? this.crouchSpeed : (this.sprint ? this.sprintSpeed : this.walkSpeed);
-        const yaw = this.camera.rotation.y;
+        // Movement is the shared simulation the server also runs on our inputs
+        const input = createMovementInput(this.getInputFlags(), this.camera.rotation.y, dt);
+        const movement = simulateMovement(this, this.camera.position, input, this.arena);
+        dt = input.dt;
+        if (this.onMovementInput) this.onMovementInput(input);
 
-        // Calculate sin/cos once
-        const s = Math.sin(yaw);
-        const c = Math.cos(yaw);
-
-        // Forward: -sin, -cos | Right: cos, -sin
-        let inputX = 0, inputZ = 0;
-
-        if (this.moveF) { inputX -= s; inputZ -= c; }
-        if (this.moveB) { inputX += s; inputZ += c; }
-        if (this.moveR) { inputX += c; inputZ -= s; }
-        if (this.moveL) { inputX -= c; inputZ += s; }
-
-        // Normalize if moving diagonally
-        const len = Math.sqrt(inputX * inputX + inputZ * inputZ);
-        if (len > 0) {
-            const inv = speed / len;
-            inputX *= inv;
-            inputZ *= inv;
-        }
-
-        // Apply movement based on ground/air state
-        if (this.isOnGround) {
-            // Ground movement with smooth acceleration/deceleration
-            const groundAccel = 15; // How fast player accelerates
-            const groundFriction = 8; // How fast player decelerates when no input
-
-            if (len > 0) {
-                // Accelerate towards target velocity
-                const accelRate = groundAccel * dt;
-                this.velocityX += (inputX - this.velocityX) * Math.min(1, accelRate);
-                this.velocityZ += (inputZ - this.velocityZ) * Math.min(1, accelRate);
-            } else {
-                // Apply friction when no input - smooth deceleration
-                const frictionRate = 1 - Math.min(1, groundFriction * dt);
-                this.velocityX *= frictionRate;
-                this.velocityZ *= frictionRate;
-
-                // Stop completely at very low speeds to avoid sliding forever
-                if (Math.abs(this.velocityX) < 0.01) this.velocityX = 0;
-                if (Math.abs(this.velocityZ) < 0.01) this.velocityZ = 0;
-            }
-        } else {
-            // In air: preserve momentum, allow limited air steering
-            if (len > 0) {
-                // Add air control (player can slightly steer mid-air)
-                this.velocityX += inputX * this.airControl * dt * 10;
-                this.velocityZ += inputZ * this.airControl * dt * 10;
-
-                // Cap air velocity to not exceed ground speed
-                const airSpeed = Math.sqrt(this.velocityX * this.velocityX + this.velocityZ * this.velocityZ);
-                if (airSpeed > speed) {
-                    const airInv = speed / airSpeed;
-                    this.velocityX *= airInv;
-                    this.velocityZ *= airInv;
-                }
-            }
-            // Minimal air friction - momentum is mostly preserved
-            // This ensures player completes their arc when releasing keys
-            this.velocityX *= 0.999;
-            this.velocityZ *= 0.999;
-        }
-
-        // Jump
-        if (this.jump && this.isOnGround) {
-            this.velocityY = this.jumpForce;
-            this.isOnGround = false;
+        if (movement.jumped) {
             this.jump = false;
-            this.wasInAir = true;
             if (this.onJump) this.onJump();
         }
-
-        // Gravity
-        this.velocityY -= this.gravity * dt;
-
-        // === ROBUST COLLISION WITH SWEPT TESTING AND PUSH-OUT ===
-        const pos = this.camera.position;
-
-        // Calculate movement deltas
-        const deltaX = this.velocityX * dt;
-        const deltaY = this.velocityY * dt;
-        const deltaZ = this.velocityZ * dt;
-
-        // Movement step size for sub-stepping (smaller = more accurate but slower)
-        const stepSize = this.playerRadius * 0.5;
-        const totalDist = Math.sqrt(deltaX * deltaX + deltaZ * deltaZ);
-        const steps = Math.max(1, Math.ceil(totalDist / stepSize));
-
-        // Sub-step horizontal movement to prevent tunneling
-        for (let i = 0; i < steps; i++) {
-            const stepFraction = 1 / steps;
-            const stepDeltaX = deltaX * stepFraction;
-            const stepDeltaZ = deltaZ * stepFraction;
-
-            // X collision
-            this._testPos.set(pos.x + stepDeltaX, pos.y, pos.z);
-            if (!this.arena.checkCollision(this._testPos, this.playerRadius)) {
-                pos.x = this._testPos.x;
-            } else {
-                this.velocityX = 0;
-                break; // Stop sub-stepping on collision
-            }
-
-            // Z collision
-            this._testPos.set(pos.x, pos.y, pos.z + stepDeltaZ);
-            if (!this.arena.checkCollision(this._testPos, this.playerRadius)) {
-                pos.z = this._testPos.z;
-            } else {
-                this.velocityZ = 0;
-                break;
-            }
-        }
-
-        // Y movement with ceiling collision
-        if (deltaY > 0) {
-            // Moving up - check ceiling
-            const ceiling = this.arena.checkCeilingCollision(pos, this.playerRadius, this.playerHeight, deltaY);
-            if (ceiling) {
-                // Hit ceiling, stop upward movement
-                this.velocityY = 0;
-            } else {
-                pos.y += deltaY;
-            }
-        } else {
-            // Moving down - just apply gravity
-            pos.y += deltaY;
-        }
-
-        // Ground check with radius consideration
-        const groundY = this.arena.getFloorHeightWithRadius(pos.x, pos.z, this.playerRadius) + this.playerHeight;
-        if (pos.y <= groundY) {
-            pos.y = groundY;
-            // Landing sound
-            if (this.wasInAir && this.onLand) {
-                this.onLand();
-            }
-            this.wasInAir = false;
-            this.velocityY = 0;
-            this.isOnGround = true;
-        } else {
-            this.isOnGround = false;
-            this.wasInAir = true;
-        }
-
-        // === SAFETY: Push out if somehow stuck inside a collider ===
-        const pushed = this.arena.resolveCollision(pos, this.playerRadius, this.playerHeight);
-        if (pushed) {
-            // Cancel velocity if we had to push out
-            this.velocityX *= 0.5;
-            this.velocityZ *= 0.5;
-        }
+        if (movement.landed && this.onLand) this.onLand();
 
         // Footstep sounds - only when moving on ground
-        if (this.isOnGround && len > 0) {
+        if (this.isOnGround && movement.moving) {
             const stepInterval = this.sprint ? 0.3 : 0.45; // Faster steps when sprinting
             this.footstepTimer += dt;
             if (this.footstepTimer >= stepInterval) {
@@ -416,7 +256,7 @@ export class Player {
         this.isCrouching = false;
         this.camera.position.set(0, this.playerHeight, 5);
         this.camera.rotation.set(0, 0, 0);
-        this.velocityY = 0;
+        this.velocityX = this.velocityY = this.velocityZ = 0;
         this.isOnGround = true;
         this.moveF = this.moveB = this.moveL = this.moveR = false;
         this.sprint = this.jump = this.crouch = false;
@@ -437,6 +277,33 @@ export class Player {
         return basePos;
     }
 
+    /**
+     * Server reconciliation: restart from the server's simulated state and replay
+     * the inputs it has not processed yet. Sounds and jump events are not re-fired.
+     * @param {Object} state - { position, velocity, isOnGround, playerHeight } from the server
+     * @param {Object[]} inputs - Unacknowledged inputs, oldest first
+     */
+    reconcile(state, inputs) {
+        const pos = this.camera.position;
+        const peekX = this._peekOffsetX || 0;
+        const peekY = this._peekOffsetY || 0;
+        const peekZ = this._peekOffsetZ || 0;
+
+        pos.set(state.position.x, state.position.y, state.position.z);
+        this.velocityX = state.velocity.x;
+        this.velocityY = state.velocity.y;
+        this.velocityZ = state.velocity.z;
+        this.isOnGround = state.isOnGround;
+        this.playerHeight = state.playerHeight;
+
+        inputs.forEach(input => simulateMovement(this, pos, input, this.arena));
+
+        // Keep the visual peek offset on top of the corrected position
+        pos.x += peekX;
+        pos.y += peekY;
+        pos.z += peekZ;
+    }
+
     lock() {
         this.domElement.requestPointerLock();
     }
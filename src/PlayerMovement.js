@@ -0,0 +1,348 @@
+// PlayerMovement.js - Shared player movement simulation
+// Player.update() runs it for the local player and server.js runs it on every input
+// command, so prediction and the server agree on speed, gravity and collisions.
+
+import { PLAYER } from './config/GameConfig.js';
+
+/**
+ * Input command flag bits
+ */
+export const INPUT_FLAGS = {
+    FORWARD: 1 << 0,
+    BACK: 1 << 1,
+    LEFT: 1 << 2,
+    RIGHT: 1 << 3,
+    SPRINT: 1 << 4,
+    JUMP: 1 << 5,
+    CROUCH: 1 << 6
+};
+
+/**
+ * Movement tuning not covered by PLAYER
+ */
+export const MOVEMENT = {
+    MAX_STEP: 0.1, // Longest simulated step (s)
+    GROUND_ACCEL: 15, // How fast the player reaches target speed
+    GROUND_FRICTION: 8, // How fast the player stops without input
+    AIR_FRICTION: 0.999, // Momentum is mostly preserved in the air
+    CROUCH_RATE: 3, // Height change per second when crouching/standing
+    MAX_STEP_HEIGHT: 3 // Tallest collider top that counts as floor
+};
+
+// Input commands are snapped to what the wire format can carry, so the server
+// replays exactly the values the client simulated
+export const INPUT_DT_STEPS = 10000; // 0.1 ms
+export const INPUT_YAW_STEPS = 65536; // Fraction of a full turn
+const TWO_PI = Math.PI * 2;
+
+// Reusable probe position to avoid GC
+const _testPos = { x: 0, y: 0, z: 0 };
+
+/**
+ * Build one movement input, snapped to network precision
+ * @param {number} flags - INPUT_FLAGS bits
+ * @param {number} yaw - View yaw (radians)
+ * @param {number} dt - Frame time (s), capped at MOVEMENT.MAX_STEP
+ * @returns {Object} { flags, yaw, dt }
+ */
+export function createMovementInput(flags, yaw, dt) {
+    const turns = (((yaw % TWO_PI) + TWO_PI) % TWO_PI) / TWO_PI;
+    const yawSteps = Math.round(turns * INPUT_YAW_STEPS) % INPUT_YAW_STEPS;
+    const dtSteps = Math.round(Math.min(Math.max(dt, 0), MOVEMENT.MAX_STEP) * INPUT_DT_STEPS);
+    return {
+        flags,
+        yaw: (yawSteps / INPUT_YAW_STEPS) * TWO_PI,
+        dt: dtSteps / INPUT_DT_STEPS
+    };
+}
+
+/**
+ * Fresh movement state for a standing player
+ * @returns {Object} { velocityX, velocityY, velocityZ, isOnGround, isCrouching, playerHeight }
+ */
+export function createMovementBody() {
+    return {
+        velocityX: 0,
+        velocityY: 0,
+        velocityZ: 0,
+        isOnGround: true,
+        isCrouching: false,
+        playerHeight: PLAYER.STAND_HEIGHT
+    };
+}
+
+/**
+ * Advance a player by one input command.
+ * Position is the eye position (feet + playerHeight), as on the local camera.
+ * @param {Object} body - Movement state (see createMovementBody), updated in place
+ * @param {Object} position - {x, y, z}, updated in place
+ * @param {Object} input - From createMovementInput
+ * @param {Object} world - Collision queries (Arena or CollisionWorld)
+ * @returns {Object} { jumped, landed, moving } for sounds and footsteps
+ */
+export function simulateMovement(body, position, input, world) {
+    const dt = Math.min(input.dt, MOVEMENT.MAX_STEP);
+    const flags = input.flags;
+    const sprint = !!(flags & INPUT_FLAGS.SPRINT);
+    const wasAirborne = !body.isOnGround;
+    const events = { jumped: false, landed: false, moving: false };
+
+    // Handle crouch state (hold to crouch)
+    body.isCrouching = !!(flags & INPUT_FLAGS.CROUCH);
+
+    // Smooth height transition, keeping grounded players on the floor
+    const targetHeight = body.isCrouching ? PLAYER.CROUCH_HEIGHT : PLAYER.STAND_HEIGHT;
+    if (body.playerHeight !== targetHeight) {
+        const heightDiff = targetHeight - body.playerHeight;
+        const maxChange = MOVEMENT.CROUCH_RATE * dt;
+        const heightChange = Math.abs(heightDiff) < maxChange ? heightDiff : Math.sign(heightDiff) * maxChange;
+        if (body.isOnGround) {
+            position.y += heightChange;
+        }
+        body.playerHeight += heightChange;
+    }
+
+    // Speed: crouch < walk < sprint (can't sprint while crouching)
+    const speed = body.isCrouching ? PLAYER.CROUCH_SPEED : (sprint ? PLAYER.SPRINT_SPEED : PLAYER.WALK_SPEED);
+    const s = Math.sin(input.yaw);
+    const c = Math.cos(input.yaw);
+
+    // Forward: -sin, -cos | Right: cos, -sin
+    let inputX = 0, inputZ = 0;
+    if (flags & INPUT_FLAGS.FORWARD) { inputX -= s; inputZ -= c; }
+    if (flags & INPUT_FLAGS.BACK) { inputX += s; inputZ += c; }
+    if (flags & INPUT_FLAGS.RIGHT) { inputX += c; inputZ -= s; }
+    if (flags & INPUT_FLAGS.LEFT) { inputX -= c; inputZ += s; }
+
+    // Normalize if moving diagonally
+    const len = Math.sqrt(inputX * inputX + inputZ * inputZ);
+    if (len > 0) {
+        const inv = speed / len;
+        inputX *= inv;
+        inputZ *= inv;
+    }
+    events.moving = len > 0;
+
+    if (body.isOnGround) {
+        if (len > 0) {
+            // Accelerate towards target velocity
+            const accelRate = Math.min(1, MOVEMENT.GROUND_ACCEL * dt);
+            body.velocityX += (inputX - body.velocityX) * accelRate;
+            body.velocityZ += (inputZ - body.velocityZ) * accelRate;
+        } else {
+            // Friction, stopping completely at very low speeds
+            const frictionRate = 1 - Math.min(1, MOVEMENT.GROUND_FRICTION * dt);
+            body.velocityX *= frictionRate;
+            body.velocityZ *= frictionRate;
+            if (Math.abs(body.velocityX) < 0.01) body.velocityX = 0;
+            if (Math.abs(body.velocityZ) < 0.01) body.velocityZ = 0;
+        }
+    } else {
+        // In air: preserve momentum, allow limited steering capped at ground speed
+        if (len > 0) {
+            body.velocityX += inputX * PLAYER.AIR_CONTROL * dt * 10;
+            body.velocityZ += inputZ * PLAYER.AIR_CONTROL * dt * 10;
+
+            const airSpeed = Math.sqrt(body.velocityX * body.velocityX + body.velocityZ * body.velocityZ);
+            if (airSpeed > speed) {
+                const airInv = speed / airSpeed;
+                body.velocityX *= airInv;
+                body.velocityZ *= airInv;
+            }
+        }
+        body.velocityX *= MOVEMENT.AIR_FRICTION;
+        body.velocityZ *= MOVEMENT.AIR_FRICTION;
+    }
+
+    // Jump
+    if ((flags & INPUT_FLAGS.JUMP) && body.isOnGround) {
+        body.velocityY = PLAYER.JUMP_FORCE;
+        body.isOnGround = false;
+        events.jumped = true;
+    }
+
+    // Gravity
+    body.velocityY -= PLAYER.GRAVITY * dt;
+
+    const radius = PLAYER.RADIUS;
+    const deltaX = body.velocityX * dt;
+    const deltaY = body.velocityY * dt;
+    const deltaZ = body.velocityZ * dt;
+
+    // Sub-step horizontal movement to prevent tunneling
+    const stepSize = radius * 0.5;
+    const totalDist = Math.sqrt(deltaX * deltaX + deltaZ * deltaZ);
+    const steps = Math.max(1, Math.ceil(totalDist / stepSize));
+    for (let i = 0; i < steps; i++) {
+        const stepDeltaX = deltaX / steps;
+        const stepDeltaZ = deltaZ / steps;
+
+        _testPos.x = position.x + stepDeltaX;
+        _testPos.y = position.y;
+        _testPos.z = position.z;
+        if (!world.checkCollision(_testPos, radius)) {
+            position.x = _testPos.x;
+        } else {
+            body.velocityX = 0;
+            break; // Stop sub-stepping on collision
+        }
+
+        _testPos.x = position.x;
+        _testPos.z = position.z + stepDeltaZ;
+        if (!world.checkCollision(_testPos, radius)) {
+            position.z = _testPos.z;
+        } else {
+            body.velocityZ = 0;
+            break;
+        }
+    }
+
+    // Y movement with ceiling collision
+    if (deltaY > 0 && world.checkCeilingCollision(position, radius, body.playerHeight, deltaY)) {
+        body.velocityY = 0;
+    } else {
+        position.y += deltaY;
+    }
+
+    // Ground check with radius consideration
+    const groundY = world.getFloorHeightWithRadius(position.x, position.z, radius) + body.playerHeight;
+    if (position.y <= groundY) {
+        position.y = groundY;
+        body.velocityY = 0;
+        body.isOnGround = true;
+        events.landed = wasAirborne;
+    } else {
+        body.isOnGround = false;
+    }
+
+    // Safety: push out if somehow stuck inside a collider
+    if (world.resolveCollision(position, radius, body.playerHeight)) {
+        body.velocityX *= 0.5;
+        body.velocityZ *= 0.5;
+    }
+
+    return events;
+}
+
+/**
+ * Collision queries over a plain collider list, with the same rules as Arena.
+ * Lets the server simulate movement without building a scene.
+ */
+export class CollisionWorld {
+    /**
+     * @param {Object[]} colliders - AABBs from ArenaLayoutFactory.getColliders()
+     */
+    constructor(colliders) {
+        this.colliders = colliders;
+    }
+
+    checkCollision(position, radius = 0.5) {
+        const minX = position.x - radius, maxX = position.x + radius;
+        const minY = position.y - 1, maxY = position.y + 0.5;
+        const minZ = position.z - radius, maxZ = position.z + radius;
+        for (const collider of this.colliders) {
+            if (minX <= collider.max.x && maxX >= collider.min.x &&
+                minY <= collider.max.y && maxY >= collider.min.y &&
+                minZ <= collider.max.z && maxZ >= collider.min.z) {
+                return collider;
+            }
+        }
+        return null;
+    }
+
+    checkCeilingCollision(position, radius, height, deltaY) {
+        if (deltaY <= 0) return null;
+
+        const headY = position.y + height / 2 + deltaY;
+        for (const collider of this.colliders) {
+            if (position.x + radius > collider.min.x && position.x - radius < collider.max.x &&
+                position.z + radius > collider.min.z && position.z - radius < collider.max.z) {
+                if (headY >= collider.min.y && position.y + height / 2 < collider.min.y) {
+                    return collider;
+                }
+            }
+        }
+        return null;
+    }
+
+    getFloorHeightWithRadius(x, z, radius) {
+        let highestFloor = 0;
+        for (const collider of this.colliders) {
+            if (x + radius > collider.min.x && x - radius < collider.max.x &&
+                z + radius > collider.min.z && z - radius < collider.max.z) {
+                const topY = collider.max.y;
+                if (topY > highestFloor && topY <= MOVEMENT.MAX_STEP_HEIGHT) {
+                    highestFloor = topY;
+                }
+            }
+        }
+        return highestFloor;
+    }
+
+    /**
+     * First collider a straight path passes through, for catching movement through walls
+     * @param {Object} from - Start {x, y, z}
+     * @param {Object} to - End {x, y, z}
+     * @param {number} inset - Shrink colliders by this much so grazing a surface doesn't count
+     * @returns {Object|null} Collider crossed, or null
+     */
+    findColliderOnPath(from, to, inset = 0) {
+        const dir = { x: to.x - from.x, y: to.y - from.y, z: to.z - from.z };
+        for (const collider of this.colliders) {
+            let tMin = 0;
+            let tMax = 1;
+            for (const axis of ['x', 'y', 'z']) {
+                const min = collider.min[axis] + inset;
+                const max = collider.max[axis] - inset;
+                if (Math.abs(dir[axis]) < 1e-9) {
+                    if (from[axis] < min || from[axis] > max) { tMin = 1; tMax = 0; break; }
+                    continue;
+                }
+                let t1 = (min - from[axis]) / dir[axis];
+                let t2 = (max - from[axis]) / dir[axis];
+                if (t1 > t2) [t1, t2] = [t2, t1];
+                tMin = Math.max(tMin, t1);
+                tMax = Math.min(tMax, t2);
+                if (tMin > tMax) break;
+            }
+            if (tMin <= tMax) return collider;
+        }
+        return null;
+    }
+
+    // Push the position out of any collider along the smallest overlap
+    resolveCollision(position, radius, height) {
+        const halfHeight = height / 2;
+        let pushed = false;
+
+        for (let iterations = 0; iterations < 5; iterations++) {
+            const hit = this.colliders.find(collider =>
+                position.x - radius <= collider.max.x && position.x + radius >= collider.min.x &&
+                position.y - halfHeight <= collider.max.y && position.y + halfHeight >= collider.min.y &&
+                position.z - radius <= collider.max.z && position.z + radius >= collider.min.z
+            );
+            if (!hit) break;
+
+            const overlapX = hit.max.x - (position.x - radius) < (position.x + radius) - hit.min.x
+                ? hit.max.x - (position.x - radius) : -((position.x + radius) - hit.min.x);
+            const overlapY = hit.max.y - (position.y - halfHeight) < (position.y + halfHeight) - hit.min.y
+                ? hit.max.y - (position.y - halfHeight) : -((position.y + halfHeight) - hit.min.y);
+            const overlapZ = hit.max.z - (position.z - radius) < (position.z + radius) - hit.min.z
+                ? hit.max.z - (position.z - radius) : -((position.z + radius) - hit.min.z);
+
+            const absX = Math.abs(overlapX);
+            const absY = Math.abs(overlapY);
+            const absZ = Math.abs(overlapZ);
+            if (absX <= absY && absX <= absZ) {
+                position.x += overlapX + Math.sign(overlapX) * 0.01;
+            } else if (absY <= absX && absY <= absZ) {
+                position.y += overlapY + Math.sign(overlapY) * 0.01;
+            } else {
+                position.z += overlapZ + Math.sign(overlapZ) * 0.01;
+            }
+            pushed = true;
+        }
+
+        return pushed;
+    }
+}
@@ -0,0 +1,110 @@
+// RemoteEnemy.js - Co-op enemy simulated by the server
+// Drawn with the solo Enemy model at the transforms wave snapshots give it; all AI runs on the server.
+import * as THREE from 'three';
+import { createEnemyModel, updateEnemyHealthBar, ENEMY_TYPES } from './Enemy.js';
+
+export class RemoteEnemy {
+    /**
+     * @param {THREE.Scene} scene - Scene to add the model to
+     * @param {Object} data - Entry of a wave_snapshot message
+     */
+    constructor(scene, data) {
+        this.scene = scene;
+        this.id = data.id;
+        this.type = data.type;
+        this.config = ENEMY_TYPES[data.type] || ENEMY_TYPES.NORMAL;
+        this.health = data.health;
+        this.maxHealth = data.maxHealth;
+        this.state = data.state;
+        this.targetId = data.targetId;
+        this.isDead = false;
+        this.isRemoteEnemy = true; // Tells it apart from solo enemies in hit callbacks
+
+        const { group, healthBar } = createEnemyModel(this.type);
+        this.mesh = group;
+        this.healthBar = healthBar;
+        this.mesh.position.set(data.x, data.y, data.z);
+        this.mesh.rotation.y = data.yaw;
+        this.mesh.userData.enemy = this; // Shooting resolves hits to this
+        this.mesh.traverse(child => {
+            if (child.userData.isHead) child.userData.bodyPart = 'head';
+        });
+        scene.add(this.mesh);
+
+        // Snipers show their aim while lining up a shot, like in solo
+        this.laserLine = null;
+        if (this.config.isRanged) {
+            const points = [new THREE.Vector3(), new THREE.Vector3()];
+            this.laserLine = new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints(points),
+                new THREE.LineBasicMaterial({ color: 0xff0000, transparent: true, opacity: 0.6 })
+            );
+            this.laserLine.visible = false;
+            scene.add(this.laserLine);
+        }
+    }
+
+    /**
+     * Apply an interpolated transform
+     * @param {Object} position - Feet position {x, y, z}
+     * @param {number} yaw - Facing (0 = +Z)
+     */
+    setTransform(position, yaw) {
+        this.mesh.position.set(position.x, position.y, position.z);
+        this.mesh.rotation.y = yaw;
+    }
+
+    /**
+     * Latest AI state and health from a wave snapshot
+     * @param {Object} data - Entry of a wave_snapshot message
+     */
+    setState(data) {
+        this.state = data.state;
+        this.targetId = data.targetId;
+        this.maxHealth = data.maxHealth;
+        this.setHealth(data.health);
+    }
+
+    setHealth(health) {
+        this.health = health;
+        updateEnemyHealthBar(this.healthBar, Math.max(0, health / this.maxHealth));
+    }
+
+    /**
+     * Keep the health bar facing the camera and draw the sniper laser while aiming
+     * @param {THREE.Vector3} cameraPosition - Local camera position
+     * @param {Object|null} targetPosition - Aim target's camera position, if aiming
+     */
+    update(cameraPosition, targetPosition = null) {
+        this.healthBar.lookAt(cameraPosition);
+
+        if (!this.laserLine) return;
+        const aiming = this.state === 'aim' && !!targetPosition;
+        this.laserLine.visible = aiming;
+        if (aiming) {
+            const positions = this.laserLine.geometry.attributes.position.array;
+            const from = this.mesh.position;
+            positions[0] = from.x;
+            positions[1] = from.y + 1.4 * this.config.scale;
+            positions[2] = from.z;
+            positions[3] = targetPosition.x;
+            positions[4] = targetPosition.y - 0.5;
+            positions[5] = targetPosition.z;
+            this.laserLine.geometry.attributes.position.needsUpdate = true;
+        }
+    }
+
+    dispose() {
+        this.isDead = true;
+        this.scene.remove(this.mesh);
+        this.mesh.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        if (this.laserLine) {
+            this.scene.remove(this.laserLine);
+            this.laserLine.geometry.dispose();
+            this.laserLine.material.dispose();
+        }
+    }
+}
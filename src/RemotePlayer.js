@@ -1,5 +1,7 @@
 // RemotePlayer.js - Represents other players in the game with full state sync
 import * as THREE from 'three';
+import { createFlagModel, disposeFlagModel } from './CaptureFlag.js';
+import { TEAMS } from './config/GameConfig.js';
 
 // Weapon model configurations - more distinctive shapes
 const WEAPON_MODELS = {
@@ -40,20 +42,28 @@ const WEAPON_MODELS = {
     }
 };
 
+// Where a first-person copy of the gun sits in camera space, like the local player's
+const FIRST_PERSON_GUN_POSITION = new THREE.Vector3(0.25, -0.2, -0.3);
+
 export class RemotePlayer {
     constructor(scene, playerData) {
         this.scene = scene;
         this.id = playerData.id;
         this.name = playerData.name;
         this.color = playerData.color || 0xff4444;
+        this.team = playerData.team ?? null; // Team index in team modes
+        this.carriedFlag = null; // CTF flag model on our back
+        this.carriedFlagTeam = null;
 
         // State
         this.health = playerData.health || 100;
         this.maxHealth = 100;
         this.isAlive = playerData.isAlive !== false;
+        this.isDowned = false; // Co-op: lying where they went down until revived
         this.weapon = playerData.weapon || 'RIFLE';
         this.kills = playerData.kills || 0;
         this.deaths = playerData.deaths || 0;
+        this.netId = playerData.netId ?? null; // Id used in server snapshots
 
         // Visual states
         this.isCrouching = false;
@@ -92,11 +102,13 @@ export class RemotePlayer {
 
         // Interpolation settings
         this.lerpFactor = 0.2; // Slightly faster for better jump visibility
+        this.interpolated = false; // True once transforms come from MultiplayerManager's snapshot buffer
 
         // Create visual representation
         this.createMesh();
         this.createNameTag();
         this.createHealthBar();
+        if (playerData.isDowned) this.setDowned(true);
     }
 
     createMesh() {
@@ -380,17 +392,28 @@ export class RemotePlayer {
         this.targetHeadPitch = rotation.x || 0;
     }
 
+    // Snapshots only include changed fields, so missing ones keep their value
+    /**
+     * Apply a transform already interpolated from the snapshot buffer (no extra smoothing)
+     * @param {Object} position - Camera position {x, y, z}
+     * @param {Object} rotation - {x: pitch, y: yaw}
+     */
+    setInterpolatedTransform(position, rotation) {
+        this.interpolated = true;
+        this.updatePosition(position, rotation);
+    }
+
     updateState(state) {
         if (!state) return;
-        this.isCrouching = state.isCrouching || false;
-        this.peekState = state.peekState || 0;
-        this.isAiming = state.isAiming || false;
-        this.isSprinting = state.isSprinting || false;
+        this.isCrouching = state.isCrouching ?? this.isCrouching;
+        this.peekState = state.peekState ?? this.peekState;
+        this.isAiming = state.isAiming ?? this.isAiming;
+        this.isSprinting = state.isSprinting ?? this.isSprinting;
 
         if (state.isReloading && !this.isReloading) {
             this.playReloadAnimation();
         }
-        this.isReloading = state.isReloading || false;
+        this.isReloading = state.isReloading ?? this.isReloading;
 
         if (state.weapon && state.weapon !== this.weapon) {
             this.setWeapon(state.weapon);
@@ -413,6 +436,19 @@ export class RemotePlayer {
         this.mesh.visible = alive;
     }
 
+    /**
+     * Co-op: lie on the ground where they went down (shown while not alive)
+     * @param {boolean} downed - Down and waiting for a revive
+     */
+    setDowned(downed) {
+        this.isDowned = downed;
+        this.mesh.rotation.z = downed ? Math.PI / 2 : 0;
+        if (downed) {
+            this.mesh.visible = true;
+            this.mesh.position.set(this.position.x, this.position.y - 1.6 + 0.25, this.position.z);
+        }
+    }
+
     setWeapon(weaponType) {
         this.weapon = weaponType;
         this.createWeaponModel(weaponType);
@@ -447,7 +483,9 @@ export class RemotePlayer {
         if (!this.isAlive) return;
 
         // === POSITION INTERPOLATION ===
-        this.position.lerp(this.targetPosition, this.lerpFactor);
+        // Buffered transforms are already smooth, so they apply directly
+        const lerpFactor = this.interpolated ? 1 : this.lerpFactor;
+        this.position.lerp(this.targetPosition, lerpFactor);
 
         // === MESH POSITION (keep feet at ground level) ===
         // When crouching, camera Y drops 0.6m (1.6 -> 1.0), but we want feet to stay planted
@@ -468,10 +506,10 @@ export class RemotePlayer {
         let diff = target - current;
         if (diff > Math.PI) diff -= Math.PI * 2;
         if (diff < -Math.PI) diff += Math.PI * 2;
-        this.mesh.rotation.y = current + diff * this.lerpFactor;
+        this.mesh.rotation.y = current + diff * lerpFactor;
 
         // Head pitch
-        this.headPitch += (this.targetHeadPitch - this.headPitch) * this.lerpFactor;
+        this.headPitch += (this.targetHeadPitch - this.headPitch) * lerpFactor;
         this.headMesh.rotation.x = -this.headPitch * 0.5;
         this.visorMesh.rotation.x = -this.headPitch * 0.5;
 
@@ -641,6 +679,20 @@ export class RemotePlayer {
     getMesh() { return this.mesh; }
     getHeadMesh() { return this.headMesh; }
 
+    /**
+     * Copy of this player's gun to hold in front of a camera looking through their eyes
+     * (killcam, first-person spectating). It shares this model's geometry and materials,
+     * so the muzzle flash shows on it too; detach it from the camera without disposing.
+     * @returns {THREE.Group|null}
+     */
+    createFirstPersonGun() {
+        if (!this.gunGroup) return null;
+        const gun = this.gunGroup.clone();
+        gun.position.copy(FIRST_PERSON_GUN_POSITION);
+        gun.rotation.set(0, 0, 0);
+        return gun;
+    }
+
     // Get the muzzle position in world coordinates for bullet tracers
     getMuzzleWorldPosition() {
         if (this.gunGroup && this.muzzleOffset) {
@@ -655,7 +707,29 @@ export class RemotePlayer {
         return fallback;
     }
 
+    /**
+     * Show or hide a carried CTF flag on the player's back
+     * @param {number|null} flagTeam - Team of the carried flag, or null
+     */
+    setCarriedFlag(flagTeam) {
+        if (flagTeam === this.carriedFlagTeam) return;
+
+        if (this.carriedFlag) {
+            disposeFlagModel(this.carriedFlag);
+            this.carriedFlag = null;
+        }
+        this.carriedFlagTeam = flagTeam;
+
+        if (flagTeam !== null && TEAMS[flagTeam]) {
+            this.carriedFlag = createFlagModel(TEAMS[flagTeam].color);
+            this.carriedFlag.position.set(-0.15, 0.9, 0.2); // Strapped to the back
+            this.carriedFlag.rotation.z = 0.2;
+            this.upperBodyGroup.add(this.carriedFlag);
+        }
+    }
+
     dispose() {
+        this.setCarriedFlag(null);
         this.scene.remove(this.mesh);
         this.mesh.traverse((child) => {
             if (child.geometry) child.geometry.dispose();
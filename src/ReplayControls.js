@@ -0,0 +1,236 @@
+// ReplayControls.js - Playback bar for match replays
+// Timeline, pause, seek and speed controls; camera views come from SpectatorMode
+
+const SEEK_STEP = 10000; // ms skipped by the rewind / forward buttons and J / L
+
+/**
+ * Format replay time as m:ss
+ * @param {number} ms - Time in milliseconds
+ * @returns {string}
+ */
+function formatTime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * On-screen replay controls bound to a ReplayPlayer
+ */
+export class ReplayControls {
+    constructor() {
+        this.replay = null;
+        this.active = false;
+        this.isScrubbing = false; // Timeline slider held down
+
+        // Callbacks
+        this.onExit = null;
+
+        // UI
+        this.overlay = null;
+        this.elements = {};
+        this._createOverlay();
+    }
+
+    _createOverlay() {
+        this.overlay = document.createElement('div');
+        this.overlay.id = 'replay-controls';
+        this.overlay.innerHTML = `
+            <div class="replay-title">
+                <span class="replay-label">REPLAY</span>
+                <span class="replay-match"></span>
+            </div>
+            <input class="replay-timeline" type="range" min="0" max="0" step="100" value="0">
+            <div class="replay-buttons">
+                <button data-action="back" title="Back 10s (J)">⏪</button>
+                <button data-action="pause" title="Pause (P)">⏸</button>
+                <button data-action="forward" title="Forward 10s (L)">⏩</button>
+                <button data-action="slower" title="Slower (-)">−</button>
+                <span class="replay-speed">1x</span>
+                <button data-action="faster" title="Faster (+)">+</button>
+                <span class="replay-time">0:00 / 0:00</span>
+                <button data-action="exit" title="Exit (Esc)">EXIT</button>
+            </div>
+        `;
+        this.overlay.style.cssText = `
+            position: fixed;
+            top: 20px;
+            left: 50%;
+            transform: translateX(-50%);
+            width: 480px;
+            padding: 10px 16px;
+            background: rgba(0, 0, 0, 0.7);
+            border: 1px solid rgba(255, 255, 255, 0.3);
+            font-family: monospace;
+            color: white;
+            z-index: 200;
+            display: none;
+        `;
+
+        const style = document.createElement('style');
+        style.textContent = `
+            #replay-controls .replay-title {
+                display: flex;
+                justify-content: space-between;
+                margin-bottom: 6px;
+                font-size: 12px;
+            }
+            #replay-controls .replay-label {
+                color: #ff4444;
+                letter-spacing: 2px;
+            }
+            #replay-controls .replay-match {
+                color: #888;
+            }
+            #replay-controls .replay-timeline {
+                width: 100%;
+                accent-color: #00ffaa;
+            }
+            #replay-controls .replay-buttons {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                margin-top: 6px;
+                font-size: 12px;
+            }
+            #replay-controls button {
+                background: none;
+                border: 1px solid rgba(255, 255, 255, 0.4);
+                color: white;
+                font-family: monospace;
+                padding: 2px 8px;
+                cursor: pointer;
+            }
+            #replay-controls button:hover {
+                border-color: #00ffaa;
+                color: #00ffaa;
+            }
+            #replay-controls .replay-speed {
+                min-width: 36px;
+                text-align: center;
+                color: #00ffaa;
+            }
+            #replay-controls .replay-time {
+                flex: 1;
+                text-align: right;
+                color: #888;
+            }
+        `;
+        document.head.appendChild(style);
+        document.body.appendChild(this.overlay);
+
+        this.elements = {
+            match: this.overlay.querySelector('.replay-match'),
+            timeline: this.overlay.querySelector('.replay-timeline'),
+            pauseBtn: this.overlay.querySelector('[data-action="pause"]'),
+            speed: this.overlay.querySelector('.replay-speed'),
+            time: this.overlay.querySelector('.replay-time')
+        };
+
+        this.overlay.querySelectorAll('button').forEach(button => {
+            button.addEventListener('click', () => {
+                button.blur(); // Keep keyboard shortcuts away from the focused button
+                this._runAction(button.dataset.action);
+            });
+        });
+
+        const timeline = this.elements.timeline;
+        timeline.addEventListener('pointerdown', () => { this.isScrubbing = true; });
+        timeline.addEventListener('pointerup', () => { this.isScrubbing = false; });
+        timeline.addEventListener('input', () => {
+            if (this.replay) this.replay.seek(parseFloat(timeline.value));
+        });
+    }
+
+    /**
+     * Show the controls for a replay
+     * @param {ReplayPlayer} replay - Replay being played
+     */
+    start(replay) {
+        this.replay = replay;
+        this.active = true;
+
+        const { header } = replay;
+        this.elements.match.textContent = `${header.room} // ${header.mode} // ${header.map}`;
+        this.elements.timeline.max = replay.duration;
+
+        this.overlay.style.display = 'block';
+        this.update();
+        this._setupInputHandlers();
+    }
+
+    stop() {
+        this.active = false;
+        this.replay = null;
+        this.isScrubbing = false;
+        this.overlay.style.display = 'none';
+        this._removeInputHandlers();
+    }
+
+    // Refresh the time, speed and pause state
+    update() {
+        if (!this.active) return;
+
+        const { replay } = this;
+        if (!this.isScrubbing) this.elements.timeline.value = replay.time;
+        this.elements.time.textContent = `${formatTime(replay.time)} / ${formatTime(replay.duration)}`;
+        this.elements.speed.textContent = `${replay.speed}x`;
+        this.elements.pauseBtn.textContent = replay.isPaused ? '▶' : '⏸';
+    }
+
+    _runAction(action) {
+        if (!this.replay) return;
+
+        switch (action) {
+            case 'pause':
+                this.replay.togglePause();
+                break;
+            case 'back':
+                this.replay.seek(this.replay.time - SEEK_STEP);
+                break;
+            case 'forward':
+                this.replay.seek(this.replay.time + SEEK_STEP);
+                break;
+            case 'slower':
+                this.replay.changeSpeed(-1);
+                break;
+            case 'faster':
+                this.replay.changeSpeed(1);
+                break;
+            case 'exit':
+                if (this.onExit) this.onExit();
+                return;
+        }
+        this.update();
+    }
+
+    // Keys avoid the ones SpectatorMode uses (arrows, Q/E, F, WASD, Space, Shift)
+    _setupInputHandlers() {
+        const actions = {
+            KeyP: 'pause',
+            KeyJ: 'back',
+            KeyL: 'forward',
+            Minus: 'slower',
+            NumpadSubtract: 'slower',
+            Equal: 'faster',
+            NumpadAdd: 'faster'
+        };
+
+        this._keyDown = (e) => {
+            if (!this.active || !actions[e.code]) return;
+            this._runAction(actions[e.code]);
+        };
+
+        document.addEventListener('keydown', this._keyDown);
+    }
+
+    _removeInputHandlers() {
+        document.removeEventListener('keydown', this._keyDown);
+    }
+
+    dispose() {
+        this.stop();
+        if (this.overlay && this.overlay.parentNode) {
+            this.overlay.parentNode.removeChild(this.overlay);
+        }
+    }
+}
@@ -0,0 +1,95 @@
+// ReplayFormat.js - Match replay file format
+// Shared by server.js (recording) and ReplayPlayer (playback).
+//
+// A replay is gzip-compressed JSON lines:
+//   line 1     header { format, version, room, map, mode, startedAt, tickRate, interpDelay, players }
+//   line 2..n  [time, message] - a server message as clients received it, time in ms since startedAt
+// Snapshots are stored as JSON snapshot messages (deltas against the previous one, the first
+// one complete) without tick or serverTime; the line time stands in for the server time.
+
+export const REPLAY_FORMAT = 'fps-replay';
+export const REPLAY_VERSION = 1;
+export const REPLAY_EXTENSION = '.fpsreplay';
+
+// <recorded at>-<map>-<mode>-<room code>.fpsreplay, e.g. 20261019T181502123Z-BUNKER-CTF-K7PQX.fpsreplay
+// The name carries the listing metadata so replays never have to be unpacked to be listed
+const FILE_NAME_PATTERN = /^(\d{8}T\d{9}Z)-([A-Z]+)-([A-Z_]+)-([A-Z0-9]+)\.fpsreplay$/;
+
+/**
+ * File name for a new recording
+ * @param {number} startedAt - Recording start (epoch ms)
+ * @param {string} map - Layout name
+ * @param {string} mode - Game mode key
+ * @param {string} roomCode - Room join code
+ * @returns {string} File name
+ */
+export function getReplayFileName(startedAt, map, mode, roomCode) {
+    const stamp = new Date(startedAt).toISOString().replace(/[-:.]/g, '');
+    return `${stamp}-${map}-${mode}-${roomCode}${REPLAY_EXTENSION}`;
+}
+
+/**
+ * Read the metadata out of a replay file name
+ * @param {string} name - File name (no directories)
+ * @returns {Object|null} { name, recordedAt, map, mode, room }, or null if it isn't a replay name
+ */
+export function parseReplayFileName(name) {
+    const match = FILE_NAME_PATTERN.exec(name);
+    if (!match) return null;
+
+    const [, stamp, map, mode, room] = match;
+    const iso = stamp.replace(
+        /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(\d{3})Z$/,
+        '$1-$2-$3T$4:$5:$6.$7Z'
+    );
+    return { name, recordedAt: Date.parse(iso), map, mode, room };
+}
+
+/**
+ * @param {Object} header - { room, map, mode, startedAt, tickRate, interpDelay, players }
+ * @returns {string} Header line
+ */
+export function encodeReplayHeader(header) {
+    return JSON.stringify({ format: REPLAY_FORMAT, version: REPLAY_VERSION, ...header }) + '\n';
+}
+
+/**
+ * @param {number} time - ms since the recording started
+ * @param {Object} message - Server message
+ * @returns {string} Event line
+ */
+export function encodeReplayEvent(time, message) {
+    return JSON.stringify([time, message]) + '\n';
+}
+
+/**
+ * Parse a decompressed replay
+ * @param {string} text - Replay file contents
+ * @returns {{header: Object, events: Object[], duration: number}} Events are { time, message }, oldest first
+ * @throws {Error} If the text is not a replay this version can play
+ */
+export function parseReplay(text) {
+    const lines = text.split('\n');
+    let header;
+    try {
+        header = JSON.parse(lines[0]);
+    } catch (e) {
+        throw new Error('Not a replay file');
+    }
+    if (header?.format !== REPLAY_FORMAT) throw new Error('Not a replay file');
+    if (header.version !== REPLAY_VERSION) throw new Error(`Unsupported replay version ${header.version}`);
+
+    const events = [];
+    for (let i = 1; i < lines.length; i++) {
+        if (!lines[i]) continue;
+        try {
+            const [time, message] = JSON.parse(lines[i]);
+            events.push({ time, message });
+        } catch (e) {
+            break; // Cut short (server stopped mid-write) - play what we have
+        }
+    }
+
+    const duration = events.length > 0 ? events[events.length - 1].time : 0;
+    return { header, events, duration };
+}
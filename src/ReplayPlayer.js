@@ -0,0 +1,190 @@
+// ReplayPlayer.js - Plays back a recorded match
+// Stands in for NetworkManager: MultiplayerManager subscribes with on() and receives the
+// recorded server messages at their original pace, scaled by the playback speed.
+// There is no local player, so everyone in the replay is a RemotePlayer.
+
+import { parseReplay } from './ReplayFormat.js';
+import { Logger } from './utils/Logger.js';
+
+/**
+ * Playback speeds, slowest first
+ */
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+// Effect-only messages skipped while fast-forwarding to a seek target
+const SKIPPED_WHILE_SEEKING = new Set(['player_shoot', 'restart_vote']);
+
+export class ReplayPlayer {
+    /**
+     * @param {Object} replay - { header, events, duration } from parseReplay
+     */
+    constructor(replay) {
+        this.header = replay.header;
+        this.events = replay.events;
+        this.duration = replay.duration;
+
+        // Snapshots are stored without a server time; the event time is the clock.
+        // Co-op enemy snapshots carry the live server time, which has to match it.
+        this.events.forEach(event => {
+            const { type } = event.message;
+            if (type === 'snapshot' || type === 'wave_snapshot') event.message.serverTime = event.time;
+        });
+
+        // Playback state
+        this.time = 0; // ms since the recording started
+        this.cursor = 0; // Index of the next event to emit
+        this.speed = 1;
+        this.isPaused = false;
+        this.isSeeking = false; // Fast-forwarding to a seek target
+
+        // NetworkManager stand-in (nothing is ever sent)
+        this.isConnected = false;
+        this.messageHandlers = new Map();
+
+        // Callbacks
+        this.onRewind = null; // Playback went back to the start; listeners should drop their state
+        this.onEnd = null;
+    }
+
+    /**
+     * Read a replay file, as downloaded from the server or picked from disk
+     * @param {Blob} blob - Gzipped replay
+     * @returns {Promise<ReplayPlayer>}
+     * @throws {Error} If the file is not a playable replay
+     */
+    static async fromBlob(blob) {
+        let text;
+        try {
+            const stream = blob.stream().pipeThrough(new DecompressionStream('gzip'));
+            text = await new Response(stream).text();
+        } catch (e) {
+            throw new Error('Not a replay file');
+        }
+
+        const replay = parseReplay(text);
+        Logger.info(`Loaded replay: ${replay.header.mode} on ${replay.header.map}, ` +
+            `${replay.events.length} events, ${Math.round(replay.duration / 1000)}s`);
+        return new ReplayPlayer(replay);
+    }
+
+    // === NETWORK STAND-IN ===
+
+    on(type, callback) {
+        if (!this.messageHandlers.has(type)) {
+            this.messageHandlers.set(type, []);
+        }
+        this.messageHandlers.get(type).push(callback);
+    }
+
+    off(type, callback) {
+        const handlers = this.messageHandlers.get(type);
+        if (!handlers) return;
+        const index = handlers.indexOf(callback);
+        if (index > -1) handlers.splice(index, 1);
+    }
+
+    emit(type, data = null) {
+        const handlers = this.messageHandlers.get(type);
+        if (!handlers) return;
+        handlers.forEach(callback => {
+            try {
+                callback(data);
+            } catch (e) {
+                Logger.error(`Error in replay handler for ${type}:`, e);
+            }
+        });
+    }
+
+    getPlayerId() {
+        return null;
+    }
+
+    disconnect() {}
+
+    // === PLAYBACK ===
+
+    // Play from the beginning
+    start() {
+        this.cursor = 0;
+        this.time = 0;
+        this.emitJoin();
+    }
+
+    // Introduce the players present when recording started, like a server 'joined' message
+    emitJoin() {
+        this.emit('joined', {
+            playerId: null,
+            players: this.header.players,
+            room: { mode: this.header.mode },
+            config: { INTERP_DELAY: this.header.interpDelay },
+            map: this.header.map,
+            gameStarted: false // The recorded game_start follows
+        });
+    }
+
+    /**
+     * Advance playback by one frame
+     * @param {number} dt - Real seconds since the last frame
+     */
+    update(dt) {
+        if (this.isPaused) return;
+
+        this.playUntil(Math.min(this.time + dt * 1000 * this.speed, this.duration));
+        if (this.time >= this.duration) {
+            this.isPaused = true;
+            if (this.onEnd) this.onEnd();
+        }
+    }
+
+    /**
+     * Emit every event up to a replay time
+     * @param {number} time - Target time (ms)
+     */
+    playUntil(time) {
+        while (this.cursor < this.events.length && this.events[this.cursor].time <= time) {
+            const { time: eventTime, message } = this.events[this.cursor++];
+            this.time = eventTime; // Listeners read the clock while handling the event
+            if (this.isSeeking && SKIPPED_WHILE_SEEKING.has(message.type)) continue;
+            this.emit(message.type, message);
+        }
+        this.time = time;
+    }
+
+    /**
+     * Jump to a replay time. Going backwards restarts from the beginning and
+     * fast-forwards, since snapshots only carry changes.
+     * @param {number} time - Target time (ms)
+     */
+    seek(time) {
+        const target = Math.max(0, Math.min(time, this.duration));
+        if (target < this.time) {
+            if (this.onRewind) this.onRewind();
+            this.start();
+        }
+
+        this.isSeeking = true;
+        this.playUntil(target);
+        this.isSeeking = false;
+    }
+
+    togglePause() {
+        // Playing again from the end starts over
+        if (this.isPaused && this.time >= this.duration) this.seek(0);
+        this.isPaused = !this.isPaused;
+    }
+
+    /**
+     * Step through REPLAY_SPEEDS
+     * @param {number} step - +1 faster, -1 slower
+     */
+    changeSpeed(step) {
+        const index = REPLAY_SPEEDS.indexOf(this.speed);
+        const next = Math.max(0, Math.min(index + step, REPLAY_SPEEDS.length - 1));
+        this.speed = REPLAY_SPEEDS[next];
+    }
+
+    // Multiplier for frame times of replayed systems (0 while paused)
+    getTimeScale() {
+        return this.isPaused ? 0 : this.speed;
+    }
+}
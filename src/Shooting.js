@@ -15,12 +15,14 @@ export class Shooting {
 
         // Ammo
         this.ammo = this.weapon.magazineSize;
+        this.ammoByWeapon = {}; // Magazines of holstered weapons, by weapon key (missing = full)
         this.isReloading = false;
 
         // Shooting state
         this.lastShotTime = 0;
         this.minTimeBetweenShots = 1000 / this.weapon.fireRate;
         this.isShooting = false;
+        this.isSuspended = false; // No firing while a multiplayer match is on hold (reconnecting)
 
         // ADS (Aim Down Sights)
         this.isAiming = false;
@@ -59,6 +61,7 @@ export class Shooting {
         this.onShoot = null;
         this.onWeaponChange = null;
         this.onReload = null; // For reload sound
+        this.onWeaponSwitch = null; // Another weapon is in hand (multiplayer tells the server)
         this.onScopeChange = null; // Callback for scope overlay (sniper)
 
         // Scope state
@@ -75,7 +78,7 @@ export class Shooting {
         this.bulletTracerManager = null;
 
         // Last bullet trajectory data for network sync
-        this.lastBulletData = { origin: null, target: null };
+        this.lastBulletData = { origin: null, target: null, rayOrigin: null, directions: [] };
 
         // Muzzle flash pooling state (replaces setTimeout)
         this._muzzleFlashActiveTime = 0;
@@ -205,9 +208,10 @@ export class Shooting {
     // Actually apply the weapon switch (called at midpoint of animation)
     applyWeaponSwitch() {
         const weaponKey = this.pendingWeaponKey;
+        this.ammoByWeapon[this.currentWeaponKey] = this.ammo; // Put away as it is, like the server
         this.currentWeaponKey = weaponKey;
         this.weapon = WEAPONS[weaponKey];
-        this.ammo = this.weapon.magazineSize;
+        this.ammo = this.ammoByWeapon[weaponKey] ?? this.weapon.magazineSize;
         this.minTimeBetweenShots = 1000 / this.weapon.fireRate;
         this.shotsFired = 0;
         this.recoilPitch = 0;
@@ -222,6 +226,30 @@ export class Shooting {
         }
         this.createGunModel();
 
+        if (this.onWeaponSwitch) {
+            this.onWeaponSwitch(weaponKey);
+        }
+        if (this.onWeaponChange) {
+            this.onWeaponChange(this.weapon, this.ammo);
+        }
+    }
+
+    /**
+     * Take the magazine the server counted (multiplayer). Refused shots give their rounds back,
+     * and a reload the server still has in progress carries on here.
+     * @param {string} weaponKey - Weapon the count is for
+     * @param {number} ammo - Rounds in the magazine
+     * @param {boolean} isReloading - Whether the server is reloading it
+     */
+    applyServerAmmo(weaponKey, ammo, isReloading) {
+        // Meant for the weapon we are putting away
+        if (weaponKey !== this.currentWeaponKey || this.isSwitchingWeapon) return;
+
+        this.ammo = ammo;
+        if (isReloading && !this.isReloading) {
+            this.reload();
+        }
+
         if (this.onWeaponChange) {
             this.onWeaponChange(this.weapon, this.ammo);
         }
@@ -626,6 +654,7 @@ export class Shooting {
     tryShoot() {
         // Check if player is dead (multiplayer respawn state)
         if (this.player && this.player.isDead) return false;
+        if (this.isSuspended) return false;
 
         if (this.isReloading || this.isSwitchingWeapon) return false;
         if (this.ammo <= 0) {
@@ -652,7 +681,8 @@ export class Shooting {
             head: 3.0,   // Headshot
             torso: 1.0,  // Base damage
             arm: 0.7,    // Reduced
-            leg: 0.6     // Most reduced
+            leg: 0.6,    // Most reduced
+            weakpoint: 2.5 // Boss weak points
         };
 
         // Calculate spread (reduced when ADS)
@@ -675,7 +705,13 @@ export class Shooting {
         }
 
         // Reset last bullet data for this shot
-        this.lastBulletData = { origin: muzzlePos.clone(), target: null };
+        // Ray origin and per-pellet directions let the server resolve hits itself
+        this.lastBulletData = {
+            origin: muzzlePos.clone(),
+            target: null,
+            rayOrigin: this.camera.position.clone(),
+            directions: []
+        };
 
         for (let p = 0; p < pellets; p++) {
             // Apply spread
@@ -683,6 +719,7 @@ export class Shooting {
             const spreadY = (Math.random() - 0.5) * spread;
 
             this.raycaster.setFromCamera(new THREE.Vector2(spreadX, spreadY), this.camera);
+            this.lastBulletData.directions.push(this.raycaster.ray.direction.clone());
 
             // Raycast against ALL scene objects to detect walls/obstacles
             // Include both enemy/player meshes and all other scene objects (walls, arena, boxes)
@@ -769,7 +806,7 @@ export class Shooting {
 
                     // Determine body part and calculate damage
                     const bodyPart = hit.object.userData.bodyPart || 'torso';
-                    const isHeadshot = bodyPart === 'head';
+                    const isHeadshot = bodyPart === 'head' || bodyPart === 'weakpoint'; // Weak points confirm like headshots
                     const multiplier = BODY_PART_MULTIPLIERS[bodyPart] || 1.0;
                     const damage = Math.round(this.weapon.damage * multiplier);
 
@@ -1018,6 +1055,7 @@ export class Shooting {
     reset() {
         this.lastShotTime = 0;
         this.ammo = this.weapon.magazineSize;
+        this.ammoByWeapon = {};
         this.isReloading = false;
         this.shotsFired = 0;
         this.recoilPitch = 0;
@@ -1,11 +1,11 @@
-// SpectatorMode.js - Spectator camera for dead players in multiplayer
+// SpectatorMode.js - Spectator camera for dead players, spectators and replays
 // Allows viewing other players while waiting to respawn
 
 import * as THREE from 'three';
 
 /**
  * Spectator mode for dead players
- * Switches between watching alive players with smooth transitions
+ * Switches between watching alive players, through their eyes or from behind
  */
 export class SpectatorMode {
     constructor(camera, scene) {
@@ -18,6 +18,17 @@ export class SpectatorMode {
         this.targetIndex = 0;
         this.players = [];
 
+        // View: 'first' looks through the target's eyes holding their gun, 'third' follows behind
+        this.view = 'first';
+        this.firstPersonGun = null; // Copy of the target's gun on the camera
+        this.firstPersonGunSource = null; // Target gun it was copied from, to notice weapon changes
+        this.hiddenPlayer = null; // Target whose model is hidden while looking through their eyes
+        this.hiddenCameraChildren = []; // Our own gun and the like, hidden in first person
+
+        // Server-driven targets: when set, next/previous ask the server (direction 1 / -1)
+        // and the answer comes back through setTarget()
+        this.onCycle = null;
+
         // Camera positioning
         this.offset = new THREE.Vector3(0, 3, -5);
         this.lookAtOffset = new THREE.Vector3(0, 1.5, 0);
@@ -51,6 +62,7 @@ export class SpectatorMode {
             </div>
             <div class="spectator-controls">
                 <span>← → Switch Player</span>
+                <span>V View</span>
                 <span>F Free Cam</span>
             </div>
         `;
@@ -129,6 +141,7 @@ export class SpectatorMode {
      * Stop spectator mode
      */
     stop() {
+        this._clearFirstPerson();
         this.active = false;
         this.targetPlayer = null;
         this.overlay.style.display = 'none';
@@ -144,13 +157,34 @@ export class SpectatorMode {
         // Keep watching same player if still alive
         if (this.targetPlayer && !this.players.includes(this.targetPlayer)) {
             this.nextPlayer();
+        } else if (!this.targetPlayer && this.players.length > 0) {
+            // Started with nobody to watch - pick up the first player to appear
+            this.targetIndex = 0;
+            this.targetPlayer = this.players[0];
+            this._updateOverlay();
         }
     }
 
+    /**
+     * Watch a specific player (server-driven spectating)
+     * @param {Object|null} player - Player to watch, null if there is nobody
+     */
+    setTarget(player) {
+        if (player === this.targetPlayer) return;
+
+        this.targetPlayer = player;
+        this.targetIndex = Math.max(0, this.players.indexOf(player));
+        this._updateOverlay();
+    }
+
     /**
      * Switch to next player
      */
     nextPlayer() {
+        if (this.onCycle) {
+            this.onCycle(1);
+            return;
+        }
         if (this.players.length === 0) return;
 
         this.targetIndex = (this.targetIndex + 1) % this.players.length;
@@ -162,6 +196,10 @@ export class SpectatorMode {
      * Switch to previous player
      */
     prevPlayer() {
+        if (this.onCycle) {
+            this.onCycle(-1);
+            return;
+        }
         if (this.players.length === 0) return;
 
         this.targetIndex = (this.targetIndex - 1 + this.players.length) % this.players.length;
@@ -177,6 +215,11 @@ export class SpectatorMode {
         this._updateOverlay();
     }
 
+    // Switch between first and third person
+    toggleView() {
+        this.view = this.view === 'first' ? 'third' : 'first';
+    }
+
     /**
      * Update spectator camera
      * @param {number} dt - Delta time
@@ -185,12 +228,64 @@ export class SpectatorMode {
         if (!this.active) return;
 
         if (this.freeCam) {
+            this._clearFirstPerson();
             this._updateFreeCam(dt);
+        } else if (this.view === 'first') {
+            this._updateFirstPersonCam();
         } else {
+            this._clearFirstPerson();
             this._updateFollowCam(dt);
         }
     }
 
+    _updateFirstPersonCam() {
+        const target = this.targetPlayer;
+        if (target !== this.hiddenPlayer) this._clearFirstPerson();
+        if (!target) return;
+
+        // Their model would block the view; our own gun would be in it
+        if (!this.hiddenPlayer) {
+            this.hiddenPlayer = target;
+            target.mesh.visible = false;
+            this.hiddenCameraChildren = this.camera.children.filter(child => child.visible);
+            this.hiddenCameraChildren.forEach(child => { child.visible = false; });
+        }
+
+        // Weapon switches rebuild their gun
+        if (target.gunGroup !== this.firstPersonGunSource) {
+            this._removeFirstPersonGun();
+            this.firstPersonGunSource = target.gunGroup;
+            this.firstPersonGun = target.createFirstPersonGun();
+            if (this.firstPersonGun) this.camera.add(this.firstPersonGun);
+        }
+
+        const rotation = target.targetRotation;
+        this.camera.position.copy(target.getPosition());
+        this.camera.rotation.set(rotation.x || 0, rotation.y || 0, 0);
+
+        // Third person picks up from here
+        this.currentPosition.copy(this.camera.position);
+        this.currentLookAt.copy(target.getPosition()).add(this.lookAtOffset);
+    }
+
+    // Show the watched player's model and our own camera children again
+    _clearFirstPerson() {
+        if (!this.hiddenPlayer) return;
+
+        this.hiddenPlayer.mesh.visible = this.hiddenPlayer.isAlive;
+        this.hiddenPlayer = null;
+        this.hiddenCameraChildren.forEach(child => { child.visible = true; });
+        this.hiddenCameraChildren = [];
+        this._removeFirstPersonGun();
+    }
+
+    // The copy shares the target's geometry and materials, so it is only detached
+    _removeFirstPersonGun() {
+        if (this.firstPersonGun) this.camera.remove(this.firstPersonGun);
+        this.firstPersonGun = null;
+        this.firstPersonGunSource = null;
+    }
+
     _updateFollowCam(dt) {
         if (!this.targetPlayer) return;
 
@@ -263,6 +358,8 @@ export class SpectatorMode {
                 this.prevPlayer();
             } else if (key === 'f') {
                 this.toggleFreeCam();
+            } else if (key === 'v') {
+                this.toggleView();
             } else if (this.freeCam) {
                 if (key === 'w') this.keys.w = true;
                 if (key === 'a') this.keys.a = true;
@@ -0,0 +1,196 @@
+// SquadDirector.js - Squad-level coordination for solo enemies
+// Gives each enemy a role, sends flankers around to different sides of the player along
+// Pathfinding routes and hands out attack turns so hits arrive staggered, not all at once.
+// Enemies keep their own state machines; the director only sets flankTarget and answers requestAttack().
+
+import * as THREE from 'three';
+import { ENEMY_TYPES, SQUAD } from './config/GameConfig.js';
+
+/**
+ * Squad roles
+ */
+export const SQUAD_ROLES = {
+    CHARGER: 'CHARGER',       // Straight at the player
+    FLANKER: 'FLANKER',       // Around to a side first, then in
+    SUPPRESSOR: 'SUPPRESSOR'  // Ranged fire from a distance
+};
+
+const DEG_TO_RAD = Math.PI / 180;
+
+export class SquadDirector {
+    constructor() {
+        this.pathfinder = null;
+        this.roles = new Map(); // Enemy -> role
+        this.attackers = new Set(); // Enemies holding a melee turn
+        this.lastAttackTime = 0; // Seconds (performance.now) of the last granted attack
+        this.planTimer = 0;
+
+        // Reusable vectors
+        this._front = new THREE.Vector3();
+        this._offset = new THREE.Vector3();
+    }
+
+    setPathfinder(pathfinder) {
+        this.pathfinder = pathfinder;
+    }
+
+    /**
+     * Re-plan roles and flank routes on an interval; attack turns every frame
+     * @param {number} deltaTime - Frame delta in seconds
+     * @param {Enemy[]} enemies - Living enemies, in spawn order
+     * @param {THREE.Vector3} playerPos - Player position
+     */
+    update(deltaTime, enemies, playerPos) {
+        // Forget enemies that died
+        for (const enemy of this.roles.keys()) {
+            if (enemy.isDead) this.roles.delete(enemy);
+        }
+
+        this.planTimer -= deltaTime;
+        if (this.planTimer <= 0) {
+            this.planTimer = SQUAD.PLAN_INTERVAL;
+            this.assignRoles(enemies);
+            this.planFlanks(enemies, playerPos);
+        }
+
+        this.assignAttackers(enemies, playerPos);
+    }
+
+    /**
+     * Ranged types suppress, heavy types charge, and a share of the rest flank.
+     * Roles stay put once given, so flankers don't swap sides every plan.
+     * @param {Enemy[]} enemies - Living enemies, in spawn order
+     */
+    assignRoles(enemies) {
+        const candidates = enemies.filter(e => SQUAD.FLANK_TYPES.includes(e.type));
+        const wantedFlankers = enemies.length > 1 ? Math.floor(candidates.length * SQUAD.FLANKER_SHARE) : 0;
+        let flankers = candidates.filter(e => this.roles.get(e) === SQUAD_ROLES.FLANKER).length;
+
+        enemies.forEach(enemy => {
+            if (this.roles.has(enemy)) return;
+
+            let role = SQUAD_ROLES.CHARGER;
+            if (ENEMY_TYPES[enemy.type]?.isRanged) {
+                role = SQUAD_ROLES.SUPPRESSOR;
+            } else if (SQUAD.FLANK_TYPES.includes(enemy.type) && flankers < wantedFlankers) {
+                role = SQUAD_ROLES.FLANKER;
+                flankers++;
+            }
+            this.roles.set(enemy, role);
+        });
+    }
+
+    /**
+     * Give each flanker a point to the side of (or behind) the player, measured from
+     * where the chargers are coming from. Flankers already on their side go straight in.
+     * @param {Enemy[]} enemies - Living enemies
+     * @param {THREE.Vector3} playerPos - Player position
+     */
+    planFlanks(enemies, playerPos) {
+        const flankers = enemies.filter(e => this.roles.get(e) === SQUAD_ROLES.FLANKER);
+        if (flankers.length === 0) return;
+
+        // Main assault direction: from the player toward the chargers (or everyone)
+        const chargers = enemies.filter(e => this.roles.get(e) === SQUAD_ROLES.CHARGER);
+        const front = this._front.set(0, 0, 0);
+        (chargers.length > 0 ? chargers : enemies).forEach(e => {
+            front.x += e.mesh.position.x - playerPos.x;
+            front.z += e.mesh.position.z - playerPos.z;
+        });
+        if (front.lengthSq() < 0.01) front.set(0, 0, 1);
+        front.normalize();
+        const frontAngle = Math.atan2(front.x, front.z);
+
+        flankers.forEach((enemy, i) => {
+            const pos = enemy.mesh.position;
+            const dx = pos.x - playerPos.x;
+            const dz = pos.z - playerPos.z;
+            const distance = Math.sqrt(dx * dx + dz * dz);
+
+            // Already fighting up close - no detour
+            if (distance < enemy.attackRange * 1.5) {
+                enemy.flankTarget = null;
+                return;
+            }
+
+            const slotAngle = frontAngle + SQUAD.FLANK_ANGLES[i % SQUAD.FLANK_ANGLES.length] * DEG_TO_RAD;
+            let offAngle = Math.atan2(dx, dz) - slotAngle;
+            offAngle = Math.atan2(Math.sin(offAngle), Math.cos(offAngle)); // Wrap to -PI..PI
+
+            if (Math.abs(offAngle) < SQUAD.FLANK_TOLERANCE * DEG_TO_RAD && distance < SQUAD.FLANK_DISTANCE * 1.5) {
+                enemy.flankTarget = null; // In position
+                return;
+            }
+
+            const point = this._offset.set(
+                playerPos.x + Math.sin(slotAngle) * SQUAD.FLANK_DISTANCE,
+                0,
+                playerPos.z + Math.cos(slotAngle) * SQUAD.FLANK_DISTANCE
+            );
+            enemy.flankTarget = this.snapToWalkable(point);
+        });
+    }
+
+    /**
+     * Move a point onto the nearest walkable Pathfinding cell
+     * @param {THREE.Vector3} point - World position
+     * @returns {THREE.Vector3|null} New vector, or null if nothing walkable is near
+     */
+    snapToWalkable(point) {
+        if (!this.pathfinder) return point.clone();
+
+        let cell = this.pathfinder.worldToGrid(point.x, point.z);
+        if (!this.pathfinder.isWalkable(cell.x, cell.z)) {
+            cell = this.pathfinder.findNearestWalkable(cell.x, cell.z);
+            if (!cell) return null;
+        }
+        const world = this.pathfinder.gridToWorld(cell.x, cell.z);
+        return new THREE.Vector3(world.x, 0, world.z);
+    }
+
+    /**
+     * The nearest few non-ranged enemies get melee turns; the rest circle until one frees up
+     * @param {Enemy[]} enemies - Living enemies
+     * @param {THREE.Vector3} playerPos - Player position
+     */
+    assignAttackers(enemies, playerPos) {
+        const distanceSq = e => {
+            const dx = e.mesh.position.x - playerPos.x;
+            const dz = e.mesh.position.z - playerPos.z;
+            return dx * dx + dz * dz;
+        };
+
+        const melee = enemies
+            .filter(e => this.roles.get(e) !== SQUAD_ROLES.SUPPRESSOR)
+            .sort((a, b) => distanceSq(a) - distanceSq(b));
+
+        this.attackers.clear();
+        melee.slice(0, SQUAD.MAX_ATTACKERS).forEach(e => this.attackers.add(e));
+    }
+
+    /**
+     * Ask to land an attack now. Melee needs a turn, and any attack waits out the gap after the last one.
+     * @param {Enemy} enemy - Enemy about to attack
+     * @returns {boolean} True if it may attack (the gap starts over)
+     */
+    requestAttack(enemy) {
+        if (this.roles.get(enemy) !== SQUAD_ROLES.SUPPRESSOR && !this.attackers.has(enemy)) return false;
+
+        const now = performance.now() / 1000;
+        if (now - this.lastAttackTime < SQUAD.ATTACK_GAP) return false;
+
+        this.lastAttackTime = now;
+        return true;
+    }
+
+    getRole(enemy) {
+        return this.roles.get(enemy) || null;
+    }
+
+    reset() {
+        this.roles.clear();
+        this.attackers.clear();
+        this.lastAttackTime = 0;
+        this.planTimer = 0;
+    }
+}
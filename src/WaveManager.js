@@ -1,7 +1,9 @@
 // WaveManager.js - Enhanced wave spawning with variety and fast pacing
+import * as THREE from 'three';
 import { Enemy, ENEMY_TYPES } from './Enemy.js';
 import { Pathfinding } from './Pathfinding.js';
 import { EnemyProjectileManager } from './EnemyProjectile.js';
+import { SquadDirector } from './SquadDirector.js';
 import { WAVES, WAVE_CONFIG } from './config/GameConfig.js';
 
 export class WaveManager {
@@ -23,6 +25,7 @@ export class WaveManager {
         this.lastIndividualSpawn = 0;
         this.waveCompleted = false;
         this.waveCooldown = 2000; // Brief pause between waves
+        this.bossWaveInterval = WAVE_CONFIG.BOSS_WAVE_INTERVAL;
 
         // Enemy tracking
         this.enemies = [];
@@ -33,6 +36,7 @@ export class WaveManager {
         this.shooting = null;
         this.pathfinder = null;
         this.projectileManager = null; // Enemy projectile system
+        this.director = new SquadDirector(); // Roles, flank routes and attack turns
 
         // Callbacks
         this.onEnemyKilled = null;
@@ -41,6 +45,7 @@ export class WaveManager {
 
     initPathfinding() {
         this.pathfinder = new Pathfinding(this.arena, 0.5);
+        this.director.setPathfinder(this.pathfinder);
     }
 
     initProjectiles(scene) {
@@ -83,18 +88,28 @@ export class WaveManager {
         }
     }
 
-    spawnEnemy(type = 'NORMAL') {
+    /**
+     * @param {string} type - Key of ENEMY_TYPES
+     * @param {THREE.Vector3|null} position - Where to spawn; a spawn point away from the player if null
+     * @returns {boolean} False if the enemy cap is reached
+     */
+    spawnEnemy(type = 'NORMAL', position = null) {
         if (this.getAliveCount() >= this.maxEnemies) return false;
 
         // Use strategic spawn - prefer spawns far from player
         const playerPos = this.player ? this.player.position : null;
-        const spawnPos = this.arena.getSpawnPointWithMinDistance(playerPos, 8);
+        const spawnPos = position || this.arena.getSpawnPointWithMinDistance(playerPos, 8);
         const enemy = new Enemy(this.scene, this.arena, spawnPos, this.pathfinder, type);
 
         if (this.player) {
             enemy.setPlayer(this.player);
         }
 
+        enemy.director = this.director;
+
+        // Bosses call in minions when they change phase
+        enemy.onSummon = (types, origin) => this.summonMinions(types, origin);
+
         // Connect projectile manager for ranged enemies
         if (this.projectileManager) {
             enemy.setProjectileManager(this.projectileManager);
@@ -105,6 +120,25 @@ export class WaveManager {
         return true;
     }
 
+    /**
+     * Spawn minions in a ring around a boss, on its spot where the ring meets a wall
+     * @param {string[]} types - Keys of ENEMY_TYPES
+     * @param {THREE.Vector3} origin - Boss position
+     */
+    summonMinions(types, origin) {
+        const radius = 1.5;
+        types.forEach((type, i) => {
+            const angle = (i / types.length) * Math.PI * 2;
+            const x = origin.x + Math.cos(angle) * radius;
+            const z = origin.z + Math.sin(angle) * radius;
+            const blocked = this.arena.checkCollision(new THREE.Vector3(x, 1, z), 0.4);
+            const position = blocked
+                ? origin.clone()
+                : new THREE.Vector3(x, this.arena.getFloorHeight(x, z), z);
+            this.spawnEnemy(type, position);
+        });
+    }
+
     updateShootingTargets() {
         if (this.shooting) {
             const meshes = this.enemies
@@ -134,6 +168,11 @@ export class WaveManager {
         const currentTime = performance.now();
         const aliveEnemies = this.enemies.filter(e => !e.isDead);
 
+        // Coordinate the squad before each enemy runs its own state machine
+        if (this.player) {
+            this.director.update(deltaTime, aliveEnemies, this.player.getPosition());
+        }
+
         // Update all enemies
         this.enemies.forEach(enemy => {
             enemy.update(deltaTime);
@@ -217,17 +256,25 @@ export class WaveManager {
     startEndlessWave() {
         // Generate random enemy composition for endless mode
         const enemyCount = Math.min(8 + Math.floor(this.totalKills / 20), this.maxEnemies);
-        const types = Object.keys(ENEMY_TYPES);
+        const types = Object.keys(ENEMY_TYPES).filter(type => !ENEMY_TYPES[type].isBoss);
 
         this.waveEnemyQueue = [];
-        for (let i = 0; i < enemyCount; i++) {
+        this.currentWave++;
+
+        // Every few endless waves a boss leads, with a smaller escort
+        let escortCount = enemyCount;
+        if (this.currentWave % this.bossWaveInterval === 0) {
+            this.waveEnemyQueue.push('BOSS');
+            escortCount = Math.ceil(enemyCount / 2);
+        }
+
+        for (let i = 0; i < escortCount; i++) {
             const type = types[Math.floor(Math.random() * types.length)];
             this.waveEnemyQueue.push(type);
         }
 
         this.spawnDelay = Math.max(100, 200 - Math.floor(this.totalKills / 10));
         this.waveCompleted = false;
-        this.currentWave++;
 
         if (this.onWaveChange) {
             this.onWaveChange(this.currentWave);
@@ -251,6 +298,11 @@ export class WaveManager {
         return this.enemies.filter(e => !e.isDead).length;
     }
 
+    // The living boss, if a boss wave is on
+    getBoss() {
+        return this.enemies.find(e => e.isBoss && !e.isDead) || null;
+    }
+
     getWave() {
         return this.currentWave;
     }
@@ -268,6 +320,7 @@ export class WaveManager {
 
         this.enemies = [];
         this.waveEnemyQueue = [];
+        this.director.reset();
         this.currentWave = 1;
         this.totalKills = 0;
         this.lastSpawnTime = 0;
@@ -159,9 +159,19 @@ export const BODY_PART_MULTIPLIERS = {
     head: 3.0,
     torso: 1.0,
     arm: 0.7,
-    leg: 0.6
+    leg: 0.6,
+    weakpoint: 2.5 // Boss weak points (solo)
 };
 
+/**
+ * Multiplayer teams, indexed by the team number the server assigns.
+ * Team 0 holds the -Z half of every layout, team 1 the +Z half.
+ */
+export const TEAMS = [
+    { id: 0, name: 'RED', color: 0xff4444 },
+    { id: 1, name: 'BLUE', color: 0x4488ff }
+];
+
 /**
  * Enemy AI states
  */
@@ -242,6 +252,29 @@ export const ENEMY_TYPES = {
         isRanged: true,
         projectileSpeed: 25,
         aimTime: 1.5
+    },
+    // Solo endless-mode boss, see WAVE_CONFIG.BOSS_WAVE_INTERVAL. Never part of a random wave.
+    BOSS: {
+        name: 'Warlord',
+        health: [1200, 1200],
+        speed: 1.6,
+        damage: 25,
+        attackCooldown: 1.2,
+        attackRange: 2.8,
+        bodyColor: 0x661111,
+        headColor: 0x332222,
+        scale: 1.8,
+        isBoss: true,
+        projectileSpeed: 18,
+        slam: { radius: 4.5, damage: 30, windup: 0.9 },           // Jump to avoid it
+        barrage: { shots: 7, interval: 0.12, spread: 0.6, damage: 8 }, // Spread in radians
+        // A phase starts once health falls to its share of max; its minions are summoned on entry.
+        // Cooldowns are in seconds, 0 = the attack is not used in that phase.
+        phases: [
+            { health: 1.0, speed: 1.6, slamCooldown: 7, barrageCooldown: 0, summon: [] },
+            { health: 0.66, speed: 1.9, slamCooldown: 5, barrageCooldown: 6, summon: ['RUNNER', 'RUNNER'] },
+            { health: 0.33, speed: 2.6, slamCooldown: 3.5, barrageCooldown: 4, summon: ['BERSERKER', 'NORMAL', 'NORMAL'] }
+        ]
     }
 };
 
@@ -278,7 +311,22 @@ export const WAVE_CONFIG = {
     MAX_ENEMIES: 12,
     BASE_SPAWN_INTERVAL: 3000,   // ms
     MIN_SPAWN_INTERVAL: 1000,    // ms
-    SPAWN_DELAY_BETWEEN: 500     // ms between individual spawns
+    SPAWN_DELAY_BETWEEN: 500,    // ms between individual spawns
+    BOSS_WAVE_INTERVAL: 5        // Endless waves numbered a multiple of this open with a boss
+};
+
+/**
+ * Solo squad director: enemy roles, flank routes and attack staggering
+ */
+export const SQUAD = {
+    PLAN_INTERVAL: 0.5,          // Seconds between role and flank route updates
+    FLANK_TYPES: ['NORMAL', 'RUNNER'], // Types that may be sent to flank (others charge; ranged types suppress)
+    FLANKER_SHARE: 0.5,          // Share of those types sent to flank
+    FLANK_DISTANCE: 5,           // Flank points sit this far from the player
+    FLANK_ANGLES: [90, -90, 150, -150], // Degrees off the main assault, one per flanker in turn
+    FLANK_TOLERANCE: 35,         // Degrees off its side a flanker still counts as in position
+    MAX_ATTACKERS: 2,            // Enemies allowed to melee the player at once
+    ATTACK_GAP: 0.3              // Minimum seconds between any two enemy attacks
 };
 
 /**
@@ -23,6 +23,9 @@ import { SpatialAudio } from './SpatialAudio.js';
 import { DeathAnimationManager } from './DeathAnimation.js';
 import { DynamicMapManager } from './DynamicMapElements.js';
 import { SpectatorMode } from './SpectatorMode.js';
+import { ReplayPlayer } from './ReplayPlayer.js';
+import { ReplayControls } from './ReplayControls.js';
+import { TEAMS, WEAPONS, ENEMY_TYPES } from './config/GameConfig.js';
 
 // Game states
 const STATES = {
@@ -32,7 +35,8 @@ const STATES = {
     GAME_OVER: 3,
     MULTIPLAYER_LOBBY: 4,
     MULTIPLAYER_PLAYING: 5,
-    MULTIPLAYER_GAME_OVER: 6
+    MULTIPLAYER_GAME_OVER: 6,
+    REPLAY: 7
 };
 
 class Game {
@@ -46,7 +50,8 @@ class Game {
         this.initLighting();
 
         // Initialize game systems
-        this.arena = new Arena(this.scene);
+        // Start on the last arena picked in the lobby so solo needs no rebuild
+        this.arena = new Arena(this.scene, localStorage.getItem('fps_map') || 'WAREHOUSE');
         this.player = new Player(this.camera, this.renderer.domElement, this.arena);
         this.shooting = new Shooting(this.camera, this.scene);
         this.waveManager = new WaveManager(this.scene, this.arena);
@@ -93,6 +98,11 @@ class Game {
         this.dynamicMap = new DynamicMapManager(this.scene);
         this.spectatorMode = new SpectatorMode(this.camera, this.scene);
 
+        // Match replays: a ReplayPlayer feeds its own MultiplayerManager
+        this.replay = null;
+        this.replayManager = null;
+        this.replayControls = new ReplayControls();
+        this.replayControls.onExit = () => this.stopReplay();
 
         // Connect camera effects to shooting
         this.shooting.cameraEffects = this.cameraEffects;
@@ -139,13 +149,17 @@ class Game {
         document.addEventListener('keydown', (e) => {
             if (e.code === 'Escape') {
                 this.handleEscapeKey();
+            } else if ((e.code === 'KeyT' || e.code === 'KeyY') && this.canOpenChat()) {
+                e.preventDefault(); // Don't type the key into the input
+                this.openChat(e.code === 'KeyY' ? 'team' : 'all');
             }
         });
+        this.setupChatInput();
 
         // Click to re-lock pointer when playing (only if not paused)
         this.renderer.domElement.addEventListener('click', () => {
             if ((this.state === STATES.PLAYING || this.state === STATES.MULTIPLAYER_PLAYING)
-                && !this.player.isLocked && !this.menu.isPaused) {
+                && !this.player.isLocked && !this.menu.isPaused && !this.network.isReconnecting) {
                 this.player.lock();
             }
         });
@@ -303,12 +317,22 @@ class Game {
             this.hud.updateWeapon(weapon, ammo, this.shooting.isReloading);
         };
 
+        // Ammo and reloads are counted by the server in multiplayer
+        this.shooting.onWeaponSwitch = (weaponKey) => {
+            if (this.state === STATES.MULTIPLAYER_PLAYING && this.network.isConnected) {
+                this.network.sendWeaponChange(weaponKey);
+            }
+        };
+
         this.shooting.onReloadProgress = (progress, isReloading) => {
             this.hud.updateReloadIndicator(progress, isReloading);
         };
 
         this.shooting.onReload = () => {
             this.audio.playReload();
+            if (this.state === STATES.MULTIPLAYER_PLAYING && this.network.isConnected) {
+                this.network.sendReload();
+            }
         };
 
         // Sniper scope overlay callback
@@ -371,15 +395,22 @@ class Game {
             if (this.state === STATES.MENU) {
                 this.startGame();
             }
+            // Clicking back into the game abandons a half-typed message
+            if (this.hud.isChatOpen) {
+                this.hud.closeChatInput();
+            }
         });
     }
 
     setupMultiplayerCallbacks() {
         // Menu multiplayer connect
-        this.menu.onMultiplayerConnect = async (serverUrl, playerName) => {
+        this.menu.onMultiplayerConnect = async (serverUrl, playerName, selectedMap, roomOptions) => {
             try {
                 this.state = STATES.MULTIPLAYER_LOBBY;
-                const result = await this.network.connect(serverUrl, playerName);
+                const result = await this.network.connect(serverUrl, playerName, selectedMap, roomOptions);
+
+                // The room decides the map - our pick only applies to an idle room
+                this.loadArenaLayout(result.map);
 
                 // Initialize multiplayer manager
                 this.multiplayerManager = new MultiplayerManager(
@@ -395,33 +426,56 @@ class Game {
                 // Setup multiplayer manager callbacks BEFORE adding players
                 this.setupMultiplayerManagerCallbacks();
 
-                // Manually add existing players (since 'joined' event was already emitted before MultiplayerManager existed)
-                result.players.forEach(playerData => {
-                    if (playerData.id !== result.playerId) {
-                        Logger.debug('Adding existing player:', playerData.name);
-                        this.multiplayerManager.addRemotePlayer(playerData);
-                    }
-                });
-
                 // Show player list
-                this.menu.showLobbyPlayers(result.players, result.playerId);
-
-                // Update player count
-                if (this.multiplayerManager.onPlayerCountChange) {
-                    this.multiplayerManager.onPlayerCountChange(this.multiplayerManager.getPlayerCount());
-                }
+                this.menu.showLobbyPlayers(result.players, result.playerId, result.room, !!result.spectator);
 
-                // If game already started, jump in
-                if (result.gameStarted) {
-                    this.startMultiplayerGame();
-                }
+                // The 'joined' event was emitted before MultiplayerManager existed: add the
+                // existing players, and jump in (or start watching) if the game already started
+                this.multiplayerManager.handleJoined(result);
             } catch (error) {
                 Logger.error('Connection failed:', error);
-                this.menu.showConnectionError('Failed to connect. Is the server running?');
+                // join_error rejections carry the server's reason (room full, not found...)
+                this.menu.showConnectionError(error?.isJoinError
+                    ? error.message
+                    : 'Failed to connect. Is the server running?');
                 this.state = STATES.MENU;
             }
         };
 
+        // Room browser
+        this.menu.onRefreshRooms = async (serverUrl) => {
+            try {
+                const rooms = await this.network.listRooms(serverUrl);
+                this.menu.showRoomList(rooms);
+            } catch (error) {
+                Logger.warn('Room list unavailable:', error);
+                this.menu.showRoomList(null);
+            }
+        };
+
+        // Replay browser
+        this.menu.onRefreshReplays = async (serverUrl) => {
+            try {
+                const replays = await this.network.listReplays(serverUrl);
+                this.menu.showReplayList(replays);
+            } catch (error) {
+                Logger.warn('Replay list unavailable:', error);
+                this.menu.showReplayList(null);
+            }
+        };
+
+        this.menu.onWatchReplay = (source) => this.watchReplay(source);
+
+        // Career stats screen
+        this.menu.onRequestStats = async (serverUrl, name) => {
+            try {
+                this.menu.showStats(await this.network.fetchStats(serverUrl, name), name);
+            } catch (error) {
+                Logger.warn('Stats unavailable:', error);
+                this.menu.showStats(undefined, name);
+            }
+        };
+
         // Disconnect
         this.menu.onMultiplayerDisconnect = () => {
             this.network.disconnect();
@@ -442,27 +496,82 @@ class Game {
 
         // Network disconnected
         this.network.on('disconnected', () => {
+            // Reconnect attempts may still resume the session (see 'reconnecting')
+            if (this.network.isReconnecting) return;
+
             if (this.state === STATES.MULTIPLAYER_PLAYING) {
-                this.player.unlock();
-                this.hud.hide();
-                this.menu.showConnectionError('Disconnected from server.');
-                this.state = STATES.MULTIPLAYER_LOBBY;
+                this.returnToLobby('Disconnected from server.');
+            }
+        });
+
+        // Connection lost mid-match: hold play (no movement, shots or inputs) while retrying
+        this.network.on('reconnecting', ({ attempt }) => {
+            if (this.state !== STATES.MULTIPLAYER_PLAYING) return;
+
+            this.player.unlock();
+            this.shooting.isShooting = false;
+            this.shooting.isSuspended = true;
+            this.hud.showReconnectOverlay(attempt, this.network.maxReconnectAttempts);
+        });
+
+        this.network.on('reconnected', () => {
+            this.shooting.isSuspended = false;
+            this.hud.hideReconnectOverlay();
+        });
+
+        this.network.on('reconnect_failed', () => {
+            if (this.state === STATES.MULTIPLAYER_PLAYING || this.state === STATES.MULTIPLAYER_GAME_OVER) {
+                this.returnToLobby('Connection lost. Could not reconnect to the server.');
             }
         });
+
+        // Waiting in the matchmaking queue (connect() resolves once we're placed in a room)
+        this.network.on('queue_status', (status) => {
+            if (this.state === STATES.MULTIPLAYER_LOBBY) this.menu.showQueueStatus(status);
+        });
+
+        // Removed by the server (e.g. movement anti-cheat)
+        this.network.on('kicked', (data) => {
+            this.returnToLobby(`Kicked from server: ${data.reason}`);
+        });
+    }
+
+    /**
+     * Leave a match we can no longer play and show why in the multiplayer lobby
+     * @param {string} message - Lobby status text
+     */
+    returnToLobby(message) {
+        this.network.disconnect();
+        this.player.unlock();
+        this.deathCamera.stop();
+        this.spectatorMode.stop();
+        if (this.multiplayerManager) {
+            this.multiplayerManager.dispose();
+            this.multiplayerManager = null;
+        }
+        this.shooting.isSuspended = false;
+        this.hud.hide();
+        this.hud.resetMultiplayer();
+        this.state = STATES.MULTIPLAYER_LOBBY;
+        this.menu.showMultiplayerLobby();
+        this.menu.showConnectionError(message);
     }
 
     setupMultiplayerManagerCallbacks() {
         if (!this.multiplayerManager) return;
 
         // Game start
-        this.multiplayerManager.onGameStart = (config) => {
+        this.multiplayerManager.onGameStart = (config, map) => {
             Logger.info('Multiplayer game starting!', config);
+            this.loadArenaLayout(map);
             this.startMultiplayerGame();
         };
 
         // Game end
         this.multiplayerManager.onGameEnd = (data) => {
             Logger.info('Multiplayer game ended!', data);
+            this.deathCamera.stop();
+            this.spectatorMode.stop();
             this.state = STATES.MULTIPLAYER_GAME_OVER;
             this.player.unlock();
             this.hud.hide();
@@ -470,8 +579,8 @@ class Game {
         };
 
         // Score updates
-        this.multiplayerManager.onScoreUpdate = (scores) => {
-            this.hud.updateScoreboard(scores, this.network.getPlayerId());
+        this.multiplayerManager.onScoreUpdate = (scores, teamScores) => {
+            this.hud.updateScoreboard(scores, this.network.getPlayerId(), teamScores);
         };
 
         // Kill feed
@@ -494,22 +603,46 @@ class Game {
 
         // Respawn
         this.multiplayerManager.onRespawnStart = (countdown, killerData) => {
-            this.hud.showRespawnOverlay(countdown, killerData?.name);
+            // Replay the kill from the killer's eyes first when we saw it happen
+            const killcam = killerData ? this.multiplayerManager.startKillcam(killerData.id) : null;
+            if (killcam) {
+                this.deathCamera.startKillcam(killerData, killcam);
+                return;
+            }
+
             // Start death camera if we have killer data
             if (killerData && killerData.position) {
                 this.deathCamera.start(this.player.getPosition(), killerData);
             }
-            // Start spectator mode with remote players
-            const remotePlayers = Array.from(this.multiplayerManager.remotePlayers.values());
-            if (remotePlayers.length > 0) {
-                this.spectatorMode.start(remotePlayers);
-            }
+            this.showRespawnScreen(countdown, killerData?.name);
         };
 
+        // Killcam over: on to the respawn countdown, unless we already respawned
+        this.deathCamera.setOnComplete(() => {
+            const manager = this.multiplayerManager;
+            if (!manager || !manager.killcam) return; // Third-person death camera
+
+            manager.stopKillcam();
+            if (manager.gameStarted && manager.isRespawning) {
+                this.showRespawnScreen(manager.respawnCountdown, this.deathCamera.killerName);
+            }
+        });
+
         this.multiplayerManager.onRespawnEnd = () => {
             this.hud.hideRespawnOverlay();
+            this.hud.hideDownedOverlay();
             this.deathCamera.stop();
             this.spectatorMode.stop();
+            // Back to our own weapon after showing the spectated player's
+            this.hud.updateWeapon(this.shooting.weapon, this.shooting.ammo, this.shooting.isReloading);
+        };
+
+        // Spectating is server-driven: switching asks the server, which answers with the new target
+        this.spectatorMode.onCycle = (direction) => this.multiplayerManager.requestSpectate(direction);
+        this.multiplayerManager.onSpectateUpdate = () => {
+            if (this.spectatorMode.active) {
+                this.spectatorMode.setTarget(this.multiplayerManager.getSpectateTarget());
+            }
         };
 
         // Player count
@@ -519,22 +652,150 @@ class Game {
             if (this.state === STATES.MULTIPLAYER_LOBBY) {
                 const players = Array.from(this.multiplayerManager.remotePlayers.values())
                     .map(p => ({ id: p.id, name: p.name, color: p.color }));
-                // Add local player
-                players.unshift({
-                    id: this.network.getPlayerId(),
-                    name: 'You',
-                    color: 0x00ffaa
-                });
+                // Add local player (spectators aren't in the match)
+                if (!this.multiplayerManager.isSpectator) {
+                    players.unshift({
+                        id: this.network.getPlayerId(),
+                        name: 'You',
+                        color: 0x00ffaa
+                    });
+                }
                 this.menu.updatePlayerList(players, this.network.getPlayerId());
             }
         };
 
+        // Capture the Flag events go through the kill feed
+        this.multiplayerManager.onFlagEvent = (data) => {
+            this.addFlagEventToKillFeed(data, data.playerId === this.network.getPlayerId());
+        };
+
+        // King of the Hill captures and moves go through the kill feed
+        this.multiplayerManager.onHillUpdate = (data) => {
+            this.addHillEventToKillFeed(data, this.multiplayerManager.isHillOwnedLocally());
+        };
+
+        // Co-op waves, enemy kills, downs and revives go through the kill feed
+        this.multiplayerManager.onWaveUpdate = (data) => {
+            this.addWaveEventToKillFeed(data);
+        };
+        this.multiplayerManager.onEnemyKilled = (data, isLocal) => {
+            this.addEnemyKillToKillFeed(data, isLocal);
+            if (isLocal) this.audio.playHitConfirmation('kill');
+        };
+        this.multiplayerManager.onPlayerDowned = (data, isLocal) => {
+            this.addDownedEventToKillFeed('downed', data, isLocal);
+            if (isLocal) this.hud.showDownedOverlay(data.bleedOut, 0);
+        };
+        this.multiplayerManager.onPlayerRevived = (data, isLocal) => {
+            this.addDownedEventToKillFeed('revived', data, isLocal);
+            if (isLocal) this.hud.hideDownedOverlay();
+        };
+        this.multiplayerManager.onPlayerBledOut = (data, isLocal) => {
+            this.addDownedEventToKillFeed('bled_out', data, isLocal);
+            if (!isLocal) return;
+            // Watch the others until the next wave brings us back
+            this.hud.showBledOutOverlay();
+            const remotePlayers = Array.from(this.multiplayerManager.remotePlayers.values());
+            if (remotePlayers.length > 0) this.startSpectating(remotePlayers);
+        };
+
+        // Restart vote progress
+        this.multiplayerManager.onRestartVote = (data, hasVoted) => {
+            if (data.status === 'open') {
+                this.menu.updateVoteRestartStatus(data.votes, data.required, hasVoted);
+            } else {
+                // Passed, expired or cancelled - back to a fresh button
+                this.menu.updateVoteRestartStatus(0, data.required, false);
+            }
+        };
+
+        // Chat
+        this.multiplayerManager.onChatMessage = (message, isLocal) => {
+            this.hud.addChatMessage(message, isLocal);
+        };
+        this.multiplayerManager.onChatNotice = (text) => {
+            this.hud.addChatNotice(text);
+        };
+
         // Spatial audio for remote gunshots
         this.multiplayerManager.onRemoteShoot = (position, weaponType) => {
             this.spatialAudio.playRemoteGunshot(position, weaponType);
         };
     }
 
+    /**
+     * Kill feed line for a Capture the Flag event
+     * @param {Object} data - flag_update message
+     * @param {boolean} isLocal - The local player caused it
+     */
+    addFlagEventToKillFeed(data, isLocal) {
+        const flagName = `${TEAMS[data.flagTeam]?.name} FLAG`;
+        const actions = {
+            taken: 'TOOK',
+            dropped: 'DROPPED',
+            returned: 'RETURNED',
+            captured: 'CAPTURED'
+        };
+        this.hud.addKillFeedEntry(
+            data.playerName || 'SERVER',
+            `${actions[data.event] || data.event.toUpperCase()} ${flagName}`,
+            false,
+            isLocal,
+            false,
+            '⚑'
+        );
+    }
+
+    /**
+     * Kill feed line for a King of the Hill capture or move
+     * @param {Object} data - hill_update message
+     * @param {boolean} isLocalOwner - The hill is now held by the local player or their team
+     */
+    addHillEventToKillFeed(data, isLocalOwner) {
+        if (data.event === 'captured') {
+            this.hud.addKillFeedEntry(data.hill.ownerName || 'SERVER', 'CAPTURED THE HILL', false, isLocalOwner, false, '⛰');
+        } else if (data.event === 'moved') {
+            this.hud.addKillFeedEntry('SERVER', 'THE HILL HAS MOVED', false, false, false, '⛰');
+        }
+    }
+
+    /**
+     * Kill feed line for a co-op wave starting or being cleared
+     * @param {Object} data - wave_update message
+     */
+    addWaveEventToKillFeed(data) {
+        const text = data.event === 'started' ? `WAVE ${data.wave.number} INCOMING` : `WAVE ${data.wave.number} CLEARED`;
+        this.hud.addKillFeedEntry('SERVER', text, false, false, false, '⚔');
+    }
+
+    /**
+     * Kill feed line for a co-op enemy kill
+     * @param {Object} data - enemy_killed message
+     * @param {boolean} isLocal - The local player got the kill
+     */
+    addEnemyKillToKillFeed(data, isLocal) {
+        const enemyName = (ENEMY_TYPES[data.enemyType]?.name || data.enemyType).toUpperCase();
+        this.hud.addKillFeedEntry(data.killerName, enemyName, data.isHeadshot, isLocal, false);
+    }
+
+    /**
+     * Kill feed line for a co-op player going down, being revived or bleeding out
+     * @param {string} event - 'downed', 'revived' or 'bled_out'
+     * @param {Object} data - player_downed, player_revived or player_bled_out message
+     * @param {boolean} isLocal - It happened to the local player
+     */
+    addDownedEventToKillFeed(event, data, isLocal) {
+        if (event === 'downed') {
+            const enemyName = (ENEMY_TYPES[data.enemyType]?.name || 'ENEMY').toUpperCase();
+            this.hud.addKillFeedEntry(enemyName, `${data.playerName} IS DOWN`, false, false, isLocal, '▼');
+        } else if (event === 'revived') {
+            const isLocalReviver = data.reviverId === this.network.getPlayerId();
+            this.hud.addKillFeedEntry(data.reviverName, `REVIVED ${data.playerName}`, false, isLocalReviver, false, '✚');
+        } else {
+            this.hud.addKillFeedEntry(data.playerName, 'BLED OUT', false, false, isLocal, '☠');
+        }
+    }
+
     setupPauseMenuCallbacks() {
         // Resume game
         this.menu.onResume = () => {
@@ -544,9 +805,8 @@ class Game {
         // Vote restart (multiplayer only)
         this.menu.onVoteRestart = () => {
             if (this.network && this.network.isConnected) {
+                // Button updates when the server broadcasts the vote count
                 this.network.send({ type: 'voteRestart' });
-                // Update button to show voted state
-                this.menu.updateVoteRestartStatus(1, 2, true);
             }
         };
 
@@ -554,6 +814,8 @@ class Game {
         this.menu.onDisconnect = () => {
             if (this.state === STATES.MULTIPLAYER_PLAYING) {
                 // Disconnect from server
+                this.deathCamera.stop();
+                this.spectatorMode.stop();
                 this.network.disconnect();
                 if (this.multiplayerManager) {
                     this.multiplayerManager.dispose();
@@ -569,6 +831,11 @@ class Game {
     }
 
     handleEscapeKey() {
+        if (this.state === STATES.REPLAY) {
+            this.stopReplay();
+            return;
+        }
+
         // Only handle ESC when playing
         if (this.state !== STATES.PLAYING && this.state !== STATES.MULTIPLAYER_PLAYING) {
             return;
@@ -588,6 +855,205 @@ class Game {
         }
     }
 
+    // === REPLAYS ===
+
+    /**
+     * Load a replay and start watching it
+     * @param {Object} source - { serverUrl, name } for a server replay, { file } for a local one
+     */
+    async watchReplay(source) {
+        this.menu.showLobbyStatus('Loading replay...');
+        try {
+            const blob = source.file || await this.network.downloadReplay(source.serverUrl, source.name);
+            this.startReplay(await ReplayPlayer.fromBlob(blob));
+        } catch (error) {
+            Logger.error('Replay failed to load:', error);
+            this.menu.showConnectionError(`Could not load replay: ${error.message}`);
+        }
+    }
+
+    /**
+     * @param {ReplayPlayer} replay - Loaded replay
+     */
+    startReplay(replay) {
+        this.replay = replay;
+        this.state = STATES.REPLAY;
+        this.audio.init();
+        this.spatialAudio.init();
+        this.loadArenaLayout(replay.header.map);
+
+        // Recorded messages go through the same remote player, tracer and
+        // kill feed code as a live match, on the replay's clock
+        this.replayManager = new MultiplayerManager(this.scene, this.arena, replay);
+        this.replayManager.clock = () => replay.time;
+        this.replayManager.setBulletTracerManager(this.bulletTracerManager);
+        this.setupReplayManagerCallbacks();
+
+        // Seeking backwards replays from the start
+        replay.onRewind = () => {
+            this.replayManager.reset();
+            this.bulletTracerManager.reset();
+            this.hud.clearKillFeed();
+        };
+
+        this.hud.reset();
+        this.hud.setMultiplayerMode(true, null);
+        this.hud.elements.chatBox?.classList.add('hidden'); // Chat isn't recorded
+        this.menu.hideAll();
+
+        replay.start();
+        this.spectatorMode.onCycle = null; // Free cycling; there is no server to ask
+        this.spectatorMode.start(Array.from(this.replayManager.remotePlayers.values()));
+        this.replayControls.start(replay);
+    }
+
+    setupReplayManagerCallbacks() {
+        const manager = this.replayManager;
+        const replay = this.replay;
+
+        manager.onScoreUpdate = (scores, teamScores) => {
+            this.hud.updateScoreboard(scores, null, teamScores);
+        };
+
+        // Feed entries are skipped while seeking; they would all land at once
+        manager.onKillFeed = (killFeed) => {
+            if (replay.isSeeking || killFeed.length === 0) return;
+            const latest = killFeed[0];
+            this.hud.addKillFeedEntry(latest.killer, latest.victim, latest.isHeadshot, false, false);
+        };
+        manager.onFlagEvent = (data) => {
+            if (!replay.isSeeking) this.addFlagEventToKillFeed(data, false);
+        };
+        manager.onHillUpdate = (data) => {
+            if (!replay.isSeeking) this.addHillEventToKillFeed(data, false);
+        };
+        manager.onWaveUpdate = (data) => {
+            if (!replay.isSeeking) this.addWaveEventToKillFeed(data);
+        };
+        manager.onEnemyKilled = (data) => {
+            if (!replay.isSeeking) this.addEnemyKillToKillFeed(data, false);
+        };
+        manager.onPlayerDowned = (data) => {
+            if (!replay.isSeeking) this.addDownedEventToKillFeed('downed', data, false);
+        };
+        manager.onPlayerRevived = (data) => {
+            if (!replay.isSeeking) this.addDownedEventToKillFeed('revived', data, false);
+        };
+        manager.onPlayerBledOut = (data) => {
+            if (!replay.isSeeking) this.addDownedEventToKillFeed('bled_out', data, false);
+        };
+        manager.onGameEnd = (data) => {
+            if (!replay.isSeeking) this.hud.addKillFeedEntry('SERVER', data.reason.toUpperCase(), false, false, false, '⚑');
+        };
+
+        manager.onPlayerCountChange = () => {
+            this.hud.updatePlayerCount(manager.remotePlayers.size);
+        };
+
+        manager.onRemoteShoot = (position, weaponType) => {
+            this.spatialAudio.playRemoteGunshot(position, weaponType);
+        };
+    }
+
+    updateReplay(dt) {
+        this.replay.update(dt);
+
+        // Replayed systems run on replay time (stopped while paused)
+        const replayDt = dt * this.replay.getTimeScale();
+        this.replayManager.update(replayDt);
+        this.replayManager.updateEnemies(this.camera.position);
+        this.bulletTracerManager.update(replayDt);
+        this.hud.updateWaveStatus(this.replayManager.getWaveState());
+
+        // SpectatorMode drives the camera: follow a player or fly freely
+        this.spectatorMode.updatePlayers(Array.from(this.replayManager.remotePlayers.values()));
+        this.spectatorMode.update(dt);
+
+        this.arena.update(dt, this.camera.position);
+        this.arena.updateLOD(this.camera.position, this.camera);
+        this.spatialAudio.updateListener(this.camera);
+        this.replayControls.update();
+    }
+
+    // Leave the replay for the multiplayer lobby
+    stopReplay() {
+        this.replayControls.stop();
+        this.spectatorMode.stop();
+        this.replayManager.dispose();
+        this.replayManager = null;
+        this.replay = null;
+        this.bulletTracerManager.reset();
+
+        this.hud.resetMultiplayer();
+        this.state = STATES.MENU;
+        this.menu.showMultiplayerLobby();
+    }
+
+    // === CHAT ===
+
+    setupChatInput() {
+        const input = this.hud.elements.chatInput;
+        if (!input) return;
+
+        input.addEventListener('keydown', (e) => {
+            // Keep typing away from movement keys and the pause menu
+            e.stopPropagation();
+            if (e.code === 'Enter') {
+                this.submitChat(input.value);
+                this.closeChat();
+            } else if (e.code === 'Escape') {
+                this.closeChat();
+            }
+        });
+    }
+
+    canOpenChat() {
+        return this.state === STATES.MULTIPLAYER_PLAYING && !!this.multiplayerManager &&
+            this.player.isLocked && !this.hud.isChatOpen && !this.menu.isPaused;
+    }
+
+    // Release pointer lock while typing
+    openChat(channel) {
+        // Team chat falls back to all chat outside team modes
+        const hasTeam = this.multiplayerManager.localTeam !== null;
+        this.player.unlock();
+        this.hud.openChatInput(channel === 'team' && hasTeam ? 'team' : 'all');
+    }
+
+    closeChat() {
+        this.hud.closeChatInput();
+        if (this.state === STATES.MULTIPLAYER_PLAYING && !this.menu.isPaused) {
+            this.player.lock();
+        }
+    }
+
+    /**
+     * Send a chat message or run a chat command (/mute name, /unmute name)
+     * @param {string} rawText - Input contents
+     */
+    submitChat(rawText) {
+        const text = rawText.trim();
+        if (!text) return;
+
+        const command = text.match(/^\/(mute|unmute)\s+(.+)$/i);
+        if (command) {
+            const muted = command[1].toLowerCase() === 'mute';
+            const target = this.multiplayerManager.findRemotePlayerByName(command[2].trim());
+            if (target) {
+                this.network.sendChatMute(target.id, muted);
+            } else {
+                this.hud.addChatNotice(`No player named "${command[2].trim()}"`);
+            }
+            return;
+        }
+        if (text.startsWith('/')) {
+            this.hud.addChatNotice('Commands: /mute <name>, /unmute <name>');
+            return;
+        }
+
+        this.network.sendChat(text, this.hud.chatChannel);
+    }
+
     resumeGame() {
         this.menu.hidePauseMenu();
         this.player.lock();
@@ -600,12 +1066,30 @@ class Game {
         requestAnimationFrame(this.animate);
     }
 
+    /**
+     * Swap the arena to another layout and rebuild dependent grids
+     * @param {string} layoutName - Layout key from LAYOUTS
+     */
+    loadArenaLayout(layoutName) {
+        if (!layoutName || this.arena.layoutName === layoutName.toUpperCase()) return;
+
+        this.arena.loadLayout(layoutName);
+        // Enemy A* grid is derived from the arena colliders
+        if (this.waveManager.pathfinder) {
+            this.waveManager.pathfinder.buildGrid();
+        }
+        Logger.info('Loaded arena layout:', this.arena.layoutName);
+    }
+
     startGame() {
         if (this.state === STATES.PLAYING) return;
 
         this.state = STATES.PLAYING;
         this.audio.init();
 
+        // Solo uses the arena picked in the lobby (saved preference)
+        this.loadArenaLayout(this.menu.getSelectedMap());
+
         this.player.reset();
         this.waveManager.reset();
         this.score.reset();
@@ -635,6 +1119,39 @@ class Game {
         this.waveManager.start();
     }
 
+    /**
+     * Respawn countdown while dead, spectating the remaining players
+     * @param {number} countdown - Seconds until respawn
+     * @param {string} killerName - Shown on the overlay
+     */
+    showRespawnScreen(countdown, killerName) {
+        this.hud.showRespawnOverlay(countdown, killerName);
+        // Start spectator mode with remote players
+        const remotePlayers = Array.from(this.multiplayerManager.remotePlayers.values());
+        if (remotePlayers.length > 0) {
+            this.startSpectating(remotePlayers);
+        }
+    }
+
+    /**
+     * Watch other players, starting with whoever the server has us watching
+     * @param {RemotePlayer[]} players - Remote players
+     */
+    startSpectating(players) {
+        this.spectatorMode.start(players);
+        const target = this.multiplayerManager.getSpectateTarget();
+        if (target) this.spectatorMode.setTarget(target);
+    }
+
+    // Show the watched player's health, weapon and ammo in place of ours
+    updateSpectatedHud() {
+        const state = this.multiplayerManager.spectateState;
+        const weapon = WEAPONS[state.weapon] || WEAPONS.RIFLE;
+        const target = this.multiplayerManager.getSpectateTarget();
+        this.hud.updateHealth(state.health, 100);
+        this.hud.updateWeapon(weapon, state.ammo ?? '-', !!target?.isReloading);
+    }
+
     startMultiplayerGame() {
         this.state = STATES.MULTIPLAYER_PLAYING;
         this.audio.init();
@@ -650,6 +1167,16 @@ class Game {
         this.hud.show();
         this.player.lock();
 
+        // Spectators watch the match without a player of their own
+        if (this.multiplayerManager?.isSpectator) {
+            this.player.isDead = true; // No movement or shooting
+            this.startSpectating(Array.from(this.multiplayerManager.remotePlayers.values()));
+            return;
+        }
+
+        // The server starts everyone on a full magazine of the weapon it last heard about
+        this.network.sendWeaponChange(this.shooting.currentWeaponKey);
+
         // Setup shooting for multiplayer hits
         this.setupMultiplayerShooting();
     }
@@ -657,10 +1184,11 @@ class Game {
     setupMultiplayerShooting() {
         // Override shooting hit callback for multiplayer
         this.shooting.onHit = (target, damage, hitPoint, isHeadshot) => {
-            // Check if this is a remote player
-            if (target && target.playerId) {
-                // Send hit to server
-                this.multiplayerManager.handleLocalHit(target.playerId, damage, isHeadshot);
+            // Check if this is a remote player or a co-op enemy
+            const canHurt = target?.isRemoteEnemy ||
+                (target && target.playerId && this.multiplayerManager.canDamage(target.playerId));
+            if (canHurt) {
+                // Immediate feedback only - the server resolves the hit from the shot ray
                 this.hud.showHitmarker(isHeadshot);
                 // Play hit confirmation sound (kill sound is played when kill is confirmed by server)
                 this.audio.playHitConfirmation(isHeadshot ? 'headshot' : 'body');
@@ -696,6 +1224,7 @@ class Game {
             mesh.headMesh = data.headMesh;
             return mesh;
         });
+        meshes.push(...this.multiplayerManager.getEnemyMeshes()); // Co-op enemies
         this.shooting.setEnemyMeshes(meshes);
     }
 
@@ -740,6 +1269,8 @@ class Game {
             this.updateSoloGame(dt, time);
         } else if (this.state === STATES.MULTIPLAYER_PLAYING) {
             this.updateMultiplayerGame(dt, time);
+        } else if (this.state === STATES.REPLAY) {
+            this.updateReplay(dt);
         }
 
         // Render with post-processing
@@ -777,6 +1308,7 @@ class Game {
                 this.hud.updateHealth(this.player.health, this.player.maxHealth);
                 this.hud.updateEnemies(this.waveManager.getAliveCount());
                 this.hud.updateWave(this.waveManager.getWave());
+                this.hud.updateBossBar(this.waveManager.getBoss());
                 const elapsed = this.hud.updateTimer();
                 this.score.updateSurvival(elapsed);
                 this.hud.updateScore(this.score.getScore());
@@ -791,11 +1323,6 @@ class Game {
     }
 
     updateMultiplayerGame(dt, time) {
-        // Update death camera first (takes over camera control when active)
-        if (this.deathCamera.isPlaying()) {
-            this.deathCamera.update(dt);
-        }
-
         // Update player
         this.player.update(dt);
         this.shooting.update(dt);
@@ -811,9 +1338,46 @@ class Game {
         if (this.multiplayerManager) {
             this.multiplayerManager.update(dt);
 
+            // Death camera after the manager, which advances killcam playback (takes over camera control when active)
+            if (this.deathCamera.isPlaying()) {
+                this.deathCamera.update(dt);
+            } else if (this.spectatorMode.active) {
+                this.spectatorMode.update(dt);
+            }
+
             // Update shooting targets every frame for accurate hit detection
             this.updateMultiplayerShootingTargets();
 
+            // Capture the Flag HUD (hidden outside CTF)
+            const playerPos = this.player.getPosition();
+            this.hud.updateFlagStatus(
+                this.multiplayerManager.flags ? this.multiplayerManager.getFlagMarkers(playerPos) : null,
+                playerPos,
+                this.camera.rotation.y
+            );
+
+            // King of the Hill HUD (hidden outside KOTH)
+            this.hud.updateHillStatus(
+                this.multiplayerManager.hill,
+                playerPos,
+                this.camera.rotation.y,
+                this.multiplayerManager.isHillOwnedLocally()
+            );
+
+            // Co-op enemies and waves (hidden outside co-op)
+            this.multiplayerManager.updateEnemies(this.camera.position);
+            if (this.multiplayerManager.isCoop()) {
+                this.hud.updateEnemyIndicators(
+                    playerPos,
+                    this.camera.rotation.y,
+                    Array.from(this.multiplayerManager.enemies.values())
+                );
+            }
+            if (this.multiplayerManager.isDowned) {
+                const downed = this.multiplayerManager.downed.get(this.network.getPlayerId());
+                if (downed) this.hud.showDownedOverlay(downed.bleedOutIn, downed.progress);
+            }
+
             // Update respawn timer OR hide overlay if player is alive
             if (this.multiplayerManager.isRespawning) {
                 this.hud.updateRespawnTimer(this.multiplayerManager.getRespawnCountdown());
@@ -825,7 +1389,12 @@ class Game {
 
         // Update HUD
         if (Math.floor(time / 100) !== Math.floor((time - dt * 1000) / 100)) {
-            this.hud.updateHealth(this.player.health, this.player.maxHealth);
+            if (this.spectatorMode.active && this.multiplayerManager.spectateState) {
+                this.updateSpectatedHud();
+            } else {
+                this.hud.updateHealth(this.player.health, this.player.maxHealth);
+            }
+            this.hud.updateWaveStatus(this.multiplayerManager?.getWaveState() || null);
             this.hud.updateTimer();
         }
     }